@@ -7,36 +7,260 @@
  */
 
 import {
+  initStorage,
+  unlockStorage,
+  isEncryptionEnabled,
+  enableEncryption,
+  changePassphrase as storageChangePassphrase,
+  disableEncryption,
   loadEpisodes,
+  loadTrash,
   addEpisode as storageAddEpisode,
   updateEpisode as storageUpdateEpisode,
   deleteEpisode as storageDeleteEpisode,
+  restoreEpisode as storageRestoreEpisode,
+  purgeEpisode as storagePurgeEpisode,
+  emptyTrash as storageEmptyTrash,
+  getEpisodeSnapshot,
+  applyEpisodeSnapshot,
+  getRecordSnapshot,
+  applyRecordSnapshot,
+  newId,
+  importBackupJSON,
+  readBackupJSON,
+  planBackupMerge,
+  applyBackupMerge,
+  importEpisodesCSV,
   getSettings,
-  updateSettings as storageUpdateSettings
+  saveSettings,
+  updateSettings as storageUpdateSettings,
+  switchProfile as storageSwitchProfile,
+  createProfile as storageCreateProfile,
+  deleteProfile as storageDeleteProfile,
+  moveEpisodesToProfile,
+  loadPreventives,
+  savePreventive as storageSavePreventive,
+  deletePreventive as storageDeletePreventive,
+  loadDoseLog,
+  saveDoseEntry,
+  deleteDoseEntry,
+  loadDiary,
+  saveDiaryEntry,
+  deleteDiaryEntry,
+  loadPeriods,
+  savePeriod as storageSavePeriod,
+  deletePeriod as storageDeletePeriod,
+  loadQuestionnaires,
+  saveQuestionnaire as storageSaveQuestionnaire,
+  deleteQuestionnaire as storageDeleteQuestionnaire,
+  loadWeather,
+  importWeather as storageImportWeather,
+  clearWeather as storageClearWeather,
+  loadExposures,
+  saveExposure as storageSaveExposure,
+  deleteExposure as storageDeleteExposure,
+  loadInsightHistory,
+  saveInsights as storageSaveInsights,
+  clearInsightHistory as storageClearInsightHistory
 } from './storage.js';
-import { analysePatterns } from './patterns.js';
+import { listProfiles, getActiveProfile, renameProfile as registryRenameProfile } from './profiles.js';
+import { analysePatterns, DEFAULT_WINDOW_DAYS } from './patterns.js';
+import { SNOOZE_DAYS, insightId, updateHistory, isHidden, isNew, hideInsight } from './insights.js';
 import { renderCharts } from './charts.js';
-import { initReminders, cancelReminders } from './reminders.js';
+import { reportData, reportHTML } from './report.js';
+import {
+  initReminders,
+  cancelReminders,
+  watchOngoingEpisode,
+  watchDoseFollowUps,
+  schedulePreventiveReminders
+} from './reminders.js';
+import { findOngoing, startedEpisode, withIntensityReading, endedEpisode } from './ongoing.js';
+import { doseId } from './preventives.js';
+import { dayOf, parseDay } from './dates.js';
+
+// how many actions can be undone
+const HISTORY_LIMIT = 50;
 
 // internal state
 const state = {
+  // true until the passphrase has been entered for encrypted data
+  locked: false,
+  encryptionEnabled: false,
+  // every profile on this device and the one being shown
+  profiles: [],
+  activeProfile: null,
   episodes: [],
+  trash: [],
+  // preventive treatments and their dose log (see preventives.js)
+  preventives: [],
+  doseLog: [],
+  // daily check-ins (see diary.js)
+  diary: [],
+  // menstrual periods (see cycles.js)
+  periods: [],
+  // completed MIDAS and HIT-6 questionnaires (see questionnaires.js)
+  questionnaires: [],
+  // imported hourly weather readings, sorted by time (see weather.js)
+  weather: [],
+  // timestamped exposures to possible triggers (see exposures.js)
+  exposures: [],
+  // insights shown so far, with dismissals and snoozes (see insights.js)
+  insightHistory: [],
   settings: {},
+  // labels of the actions undo/redo would act on, null when unavailable
+  history: { undoLabel: null, redoLabel: null },
   listeners: []
 };
 
+// Each entry holds episode snapshots (id -> record|null, see storage.js)
+// from before and after the action, plus settings when they changed.
+const undoStack = [];
+const redoStack = [];
+
+/**
+ * Initialise application state and set up reminders. Should be awaited
+ * once on page load before rendering UI; calling it again reloads
+ * state from storage (e.g. after an import).
+ */
+export async function initApp() {
+  const { locked } = await initStorage();
+  state.locked = locked;
+  refreshProfiles();
+  if (locked) {
+    state.episodes = [];
+    state.trash = [];
+    state.preventives = [];
+    state.doseLog = [];
+    state.diary = [];
+    state.periods = [];
+    state.questionnaires = [];
+    state.weather = [];
+    state.exposures = [];
+    state.insightHistory = [];
+    notify();
+    return;
+  }
+  await loadState();
+}
+
 /**
- * Initialise application state and set up reminders. Should be called
- * once on page load before rendering UI.
+ * Unlock encrypted data and load state. Rejects on a wrong passphrase.
+ * @param {string} passphrase
  */
-export function initApp() {
-  state.episodes = loadEpisodes();
-  state.settings = getSettings();
+export async function unlock(passphrase) {
+  await unlockStorage(passphrase);
+  state.locked = false;
+  await loadState();
+}
+
+async function loadState() {
+  await reloadEpisodes();
+  await reloadRecords();
+  await reloadWeather();
+  state.settings = await getSettings();
+  state.encryptionEnabled = isEncryptionEnabled();
   // initialise reminders based on settings
   initReminders(state.settings);
+  watchOngoingEpisode(findOngoing(state.episodes), state.settings);
+  notify();
+}
+
+/**
+ * Encrypt stored data with a passphrase.
+ * @param {string} passphrase
+ */
+export async function setPassphrase(passphrase) {
+  await enableEncryption(passphrase);
+  state.encryptionEnabled = true;
+  notify();
+}
+
+/**
+ * Re-encrypt stored data under a new passphrase.
+ * @param {string} current
+ * @param {string} next
+ */
+export async function changePassphrase(current, next) {
+  await storageChangePassphrase(current, next);
+  notify();
+}
+
+/**
+ * Turn encryption off, storing data in plain form again.
+ * @param {string} current
+ */
+export async function removePassphrase(current) {
+  await disableEncryption(current);
+  state.encryptionEnabled = false;
+  notify();
+}
+
+// ---------- Profiles ----------
+
+function refreshProfiles() {
+  state.profiles = listProfiles();
+  state.activeProfile = getActiveProfile();
+}
+
+/**
+ * Make another profile active. Reminders, undo history and the UI all
+ * belong to the current profile, so callers reload the page afterwards
+ * and initApp starts over with the new one (which may be locked).
+ * @param {string} id
+ */
+export function switchProfile(id) {
+  storageSwitchProfile(id);
+}
+
+/**
+ * Create a profile. It stays inactive until switched to.
+ * @param {string} name
+ */
+export async function createProfile(name) {
+  const profile = await storageCreateProfile(name);
+  refreshProfiles();
+  notify();
+  return profile;
+}
+
+/**
+ * @param {string} id
+ * @param {string} name
+ */
+export function renameProfile(id, name) {
+  registryRenameProfile(id, name);
+  refreshProfiles();
+  notify();
+}
+
+/**
+ * Delete an inactive profile and all of its data.
+ * @param {string} id
+ */
+export async function deleteProfile(id) {
+  await storageDeleteProfile(id);
+  refreshProfiles();
   notify();
 }
 
+/**
+ * Move episodes into another profile. This cannot be undone from here,
+ * as the episodes leave this profile's history.
+ * @param {string[]} ids
+ * @param {string} targetId
+ * @param {{passphrase?: string}} [options]
+ */
+export async function moveEpisodes(ids, targetId, options) {
+  const moved = await moveEpisodesToProfile(ids, targetId, options);
+  // drop history entries that could bring the moved episodes back here
+  undoStack.length = 0;
+  redoStack.length = 0;
+  await reloadEpisodes();
+  notify();
+  return moved;
+}
+
 /** Register a listener to be notified whenever state changes.
  * Listener is called with the latest state object.
  * @param {(state: any) => void} fn
@@ -46,18 +270,165 @@ export function subscribe(fn) {
   fn(state); // call once initially
 }
 
-function notify() {
+// Suggestions as of now for each window asked for, worked out once per
+// change to the records rather than by every caller (see getSuggestions).
+// Kept for the day they were worked out on.
+let cachedSuggestions = { day: null, byWindow: new Map() };
+
+// `keepSuggestions` when only the insight history or the time the
+// Insights tab was opened changed, which suggestions don't depend on.
+function notify({ keepSuggestions = false } = {}) {
+  if (!keepSuggestions) cachedSuggestions = { day: null, byWindow: new Map() };
+  state.history = {
+    undoLabel: undoStack.length ? undoStack[undoStack.length - 1].label : null,
+    redoLabel: redoStack.length ? redoStack[redoStack.length - 1].label : null
+  };
   state.listeners.forEach(fn => fn({ ...state }));
+  syncInsightHistory();
+}
+
+// Insights are worked out afresh on every change, so they are recorded
+// here as they come up. Syncs run one at a time; one that records
+// something notifies again, and the one after that finds nothing new.
+let insightSync = Promise.resolve();
+
+function syncInsightHistory() {
+  insightSync = insightSync
+    .then(async () => {
+      if (state.locked) return;
+      const changed = updateHistory(state.insightHistory, getSuggestions());
+      if (changed.length === 0) return;
+      await storageSaveInsights(changed);
+      state.insightHistory = await loadInsightHistory();
+      notify({ keepSuggestions: true });
+    })
+    .catch(err => console.warn('Could not update the insight history', err));
+}
+
+async function reloadEpisodes() {
+  state.episodes = await loadEpisodes();
+  state.trash = await loadTrash();
+  watchOngoingEpisode(findOngoing(state.episodes), state.settings);
+  watchDoseFollowUps(state.episodes);
+}
+
+// treatments, dose log, diary, periods, questionnaires, exposures and
+// the insight history
+async function reloadRecords() {
+  state.preventives = await loadPreventives();
+  state.doseLog = await loadDoseLog();
+  state.diary = await loadDiary();
+  state.periods = await loadPeriods();
+  state.questionnaires = await loadQuestionnaires();
+  state.exposures = await loadExposures();
+  state.insightHistory = await loadInsightHistory();
+  schedulePreventiveReminders(state.preventives, state.doseLog);
+}
+
+// Weather readings only change on import, and there can be thousands
+// of them, so they aren't reloaded with the other records.
+async function reloadWeather() {
+  state.weather = (await loadWeather()).sort((a, b) => (a.time < b.time ? -1 : 1));
+}
+
+/**
+ * Run a data-changing action and push it onto the undo stack.
+ * `ids` lists the episodes the action touches; omit it for bulk
+ * actions such as imports, which snapshot every episode. Imports also
+ * snapshot settings and, as they can rewrite treatments, the diary and
+ * the other records, every store in RECORD_STORES (see storage.js).
+ * @param {string} label - shown in the UI, e.g. "Delete episode"
+ * @param {string[]|null} ids
+ * @param {() => Promise<any>} action
+ * @param {{includeSettings?: boolean, includeRecords?: boolean}} [options]
+ */
+async function recordAction(label, ids, action, { includeSettings = false, includeRecords = false } = {}) {
+  const before = await getEpisodeSnapshot(ids || undefined);
+  const settingsBefore = includeSettings ? await getSettings() : null;
+  const recordsBefore = includeRecords ? await getRecordSnapshot() : null;
+  const result = await action();
+  const after = await getEpisodeSnapshot(ids || undefined);
+  // ids created by the action have no "before" record
+  Object.keys(after).forEach(id => { if (!(id in before)) before[id] = null; });
+  Object.keys(before).forEach(id => { if (!(id in after)) after[id] = null; });
+  undoStack.push({
+    label,
+    before,
+    after,
+    settingsBefore,
+    settingsAfter: includeSettings ? await getSettings() : null,
+    recordsBefore,
+    recordsAfter: includeRecords ? await getRecordSnapshot() : null
+  });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack.length = 0;
+  await reloadEpisodes();
+  if (includeSettings) state.settings = await getSettings();
+  if (includeRecords) {
+    await reloadRecords();
+    await reloadWeather();
+  }
+  notify();
+  return result;
 }
 
 /**
  * Create a new episode and update state.
  * @param {Partial<Episode>} episodeData
  */
-export function addEpisode(episodeData) {
-  const episode = storageAddEpisode(episodeData);
-  state.episodes = loadEpisodes();
-  notify();
+export async function addEpisode(episodeData) {
+  // assign the id up front so the undo entry only snapshots this episode
+  const episode = { ...episodeData, id: episodeData.id || newId() };
+  return recordAction('Add episode', [episode.id], () => storageAddEpisode(episode));
+}
+
+/**
+ * Start an episode now, without a duration. It stays ongoing until
+ * endEpisode is called. Only one episode can be ongoing at a time.
+ * @param {Partial<Episode>} episodeData - datetime defaults to now
+ */
+export async function startEpisode(episodeData) {
+  if (findOngoing(state.episodes)) {
+    throw new Error('An episode is already ongoing. End it before starting another.');
+  }
+  const episode = startedEpisode({ ...episodeData, id: episodeData.id || newId() });
+  return recordAction('Start episode', [episode.id], () => storageAddEpisode(episode));
+}
+
+/**
+ * Record the current intensity of an ongoing episode.
+ * @param {string} id
+ * @param {number} intensity
+ */
+export async function logIntensity(id, intensity) {
+  const episode = state.episodes.find(e => e.id === id);
+  if (!episode) throw new Error('Episode not found.');
+  const { intensity: peak, intensityLog } = withIntensityReading(episode, intensity);
+  return recordAction('Log intensity', [id], () => storageUpdateEpisode(id, { intensity: peak, intensityLog }));
+}
+
+/**
+ * End an ongoing episode; its duration is worked out from onset to now.
+ * @param {string} id
+ */
+export async function endEpisode(id) {
+  const episode = state.episodes.find(e => e.id === id);
+  if (!episode) throw new Error('Episode not found.');
+  const { ongoing, endedAt, durationMinutes } = endedEpisode(episode);
+  return recordAction('End episode', [id], () => storageUpdateEpisode(id, { ongoing, endedAt, durationMinutes }));
+}
+
+/**
+ * Record how well one of an episode's medications worked.
+ * @param {string} id - episode id
+ * @param {number} index - position in episode.medications
+ * @param {{relief2h?: string, relief24h?: string, reliefMinutes?: number}} rating
+ */
+export async function rateMedication(id, index, rating) {
+  const episode = state.episodes.find(e => e.id === id);
+  if (!episode || !episode.medications[index]) throw new Error('Medication not found.');
+  const medications = episode.medications.map((m, i) => (i === index ? { ...m, ...rating } : m));
+  return recordAction('Rate medication', [id], () => storageUpdateEpisode(id, { medications }));
 }
 
 /**
@@ -65,19 +436,274 @@ export function addEpisode(episodeData) {
  * @param {string} id
  * @param {Partial<Episode>} updates
  */
-export function updateEpisode(id, updates) {
-  storageUpdateEpisode(id, updates);
-  state.episodes = loadEpisodes();
+export async function updateEpisode(id, updates) {
+  return recordAction('Edit episode', [id], () => storageUpdateEpisode(id, updates));
+}
+
+/**
+ * Move an episode to the trash.
+ * @param {string} id
+ */
+export async function deleteEpisode(id) {
+  return recordAction('Delete episode', [id], () => storageDeleteEpisode(id));
+}
+
+/**
+ * Import a JSON backup file, merging or replacing existing data.
+ * Encrypted backups need `options.passphrase`; `options.invalid` says
+ * what to do with invalid episodes (see readBackupJSON in storage.js).
+ * @param {File} file
+ * @param {{mode?: 'merge'|'replace', passphrase?: string, invalid?: 'reject'|'skip'|'fix'}} [options]
+ */
+export async function importBackup(file, options) {
+  return recordAction('Import backup', null, () => importBackupJSON(file, options), { includeSettings: true, includeRecords: true });
+}
+
+/**
+ * Read a JSON backup and work out how it would merge into local data,
+ * without writing anything. Pass the result to commitBackupMerge.
+ * @param {File} file
+ * @param {{passphrase?: string, invalid?: 'reject'|'skip'|'fix'}} [options]
+ * @returns {Promise<{data: {episodes: Episode[], settings: object|null, rejected: object[], fixed: number}, plan: MergePlan}>}
+ */
+export async function planBackupImport(file, options) {
+  const data = await readBackupJSON(file, options);
+  return { data, plan: await planBackupMerge(data) };
+}
+
+/**
+ * Apply a merge reviewed by the user.
+ * @param {{data: object, plan: MergePlan}} preview - from planBackupImport
+ * @param {{resolutions?: Object<string, 'local'|'incoming'>, importSettings?: boolean}} [options]
+ */
+export async function commitBackupMerge({ data, plan }, options) {
+  return recordAction('Import backup', null, () => applyBackupMerge(plan, data.settings, { ...options, records: data }), { includeSettings: true, includeRecords: true });
+}
+
+/**
+ * Import episodes parsed from a CSV file.
+ * @param {Episode[]} episodes
+ * @param {{mode?: 'merge'|'replace', invalid?: 'reject'|'skip'|'fix'}} [options]
+ * @returns {Promise<{imported: number, rejected: object[], fixed: number}>}
+ */
+export async function importCsv(episodes, options) {
+  return recordAction('Import CSV', null, () => importEpisodesCSV(episodes, options));
+}
+
+/**
+ * Undo the most recent action, if any.
+ * @returns {Promise<string|null>} label of the undone action
+ */
+export async function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  await applyHistoryEntry(entry.before, entry.settingsBefore, entry.recordsBefore);
+  redoStack.push(entry);
+  notify();
+  return entry.label;
+}
+
+/**
+ * Redo the most recently undone action, if any.
+ * @returns {Promise<string|null>} label of the redone action
+ */
+export async function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  await applyHistoryEntry(entry.after, entry.settingsAfter, entry.recordsAfter);
+  undoStack.push(entry);
+  notify();
+  return entry.label;
+}
+
+async function applyHistoryEntry(snapshot, settings, records) {
+  await applyEpisodeSnapshot(snapshot);
+  await reloadEpisodes();
+  if (settings) {
+    await saveSettings(settings);
+    state.settings = settings;
+  }
+  if (records) {
+    await applyRecordSnapshot(records);
+    await reloadRecords();
+    await reloadWeather();
+  }
+}
+
+/**
+ * Restore an episode from the trash.
+ * @param {string} id
+ */
+export async function restoreEpisode(id) {
+  return recordAction('Restore episode', [id], () => storageRestoreEpisode(id));
+}
+
+/**
+ * Permanently delete an episode from the trash. This can't be undone,
+ * so the episode is dropped from the undo history as well.
+ * @param {string} id
+ */
+export async function purgeEpisode(id) {
+  await storagePurgeEpisode(id);
+  forgetEpisodes([id]);
+  await reloadEpisodes();
+  notify();
+}
+
+/** Permanently delete everything in the trash. */
+export async function emptyTrash() {
+  forgetEpisodes(await storageEmptyTrash());
+  await reloadEpisodes();
+  notify();
+}
+
+// Take purged episodes out of every undo entry so no undo or redo can
+// bring them back. Entries left with nothing to restore are dropped, and
+// the redo stack is cleared as after any other change.
+function forgetEpisodes(ids) {
+  redoStack.length = 0;
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    const entry = undoStack[i];
+    ids.forEach(id => {
+      delete entry.before[id];
+      delete entry.after[id];
+    });
+    if (Object.keys(entry.before).length === 0 && !entry.settingsBefore && !entry.recordsBefore) undoStack.splice(i, 1);
+  }
+}
+
+/**
+ * Add or update a preventive treatment. Changes to treatments and the
+ * dose log aren't part of the undo history.
+ * @param {object} preventive - see preventives.js; without an id to add one
+ */
+export async function savePreventive(preventive) {
+  const saved = await storageSavePreventive(preventive);
+  await reloadRecords();
   notify();
+  return saved;
 }
 
 /**
- * Delete an episode by id.
+ * Delete a preventive treatment together with its dose log.
  * @param {string} id
  */
-export function deleteEpisode(id) {
-  storageDeleteEpisode(id);
-  state.episodes = loadEpisodes();
+export async function deletePreventive(id) {
+  await storageDeletePreventive(id);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Log a scheduled dose as taken or missed, or clear it with null.
+ * @param {string} preventiveId
+ * @param {string} date - the day the dose was due, 'YYYY-MM-DD'
+ * @param {'taken'|'missed'|null} status
+ */
+export async function logDose(preventiveId, date, status) {
+  const id = doseId(preventiveId, date);
+  if (status) await saveDoseEntry({ id, preventiveId, date, status, at: new Date().toISOString() });
+  else await deleteDoseEntry(id);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Save the daily check-in for `entry.date`, replacing any earlier one
+ * for that day. Like treatments, check-ins aren't part of the undo
+ * history.
+ * @param {{date: string, headache: boolean, factors?: string[], lifestyle?: object, note?: string}} entry
+ */
+export async function checkIn(entry) {
+  const saved = await saveDiaryEntry(entry);
+  await reloadRecords();
+  notify();
+  return saved;
+}
+
+/**
+ * Remove the check-in for a day.
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export async function deleteCheckIn(date) {
+  await deleteDiaryEntry(date);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Add or update a menstrual period; leave out `endDate` while it is
+ * still going. Not part of the undo history.
+ * @param {{id?: string, startDate: string, endDate?: string}} period
+ */
+export async function savePeriod(period) {
+  const saved = await storageSavePeriod(period);
+  await reloadRecords();
+  notify();
+  return saved;
+}
+
+/** @param {string} id */
+export async function deletePeriod(id) {
+  await storageDeletePeriod(id);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Log an exposure to a possible trigger, or update one. Not part of
+ * the undo history.
+ * @param {{id?: string, name: string, time: string, note?: string}} exposure
+ */
+export async function saveExposure(exposure) {
+  const saved = await storageSaveExposure(exposure);
+  await reloadRecords();
+  notify();
+  return saved;
+}
+
+/** @param {string} id */
+export async function deleteExposure(id) {
+  await storageDeleteExposure(id);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Save a completed MIDAS or HIT-6. Not part of the undo history.
+ * @param {{id?: string, type: 'midas'|'hit6', date: string, answers: object}} record
+ */
+export async function saveQuestionnaire(record) {
+  const saved = await storageSaveQuestionnaire(record);
+  await reloadRecords();
+  notify();
+  return saved;
+}
+
+/** @param {string} id */
+export async function deleteQuestionnaire(id) {
+  await storageDeleteQuestionnaire(id);
+  await reloadRecords();
+  notify();
+}
+
+/**
+ * Import hourly weather readings from a CSV or JSON file (see
+ * weather.js). Not part of the undo history.
+ * @param {File} file
+ * @returns {Promise<{imported: number, from: string, to: string}>}
+ */
+export async function importWeather(file) {
+  const result = await storageImportWeather(file);
+  await reloadWeather();
+  notify();
+  return result;
+}
+
+/** Remove all imported weather readings. */
+export async function clearWeather() {
+  await storageClearWeather();
+  state.weather = [];
   notify();
 }
 
@@ -86,37 +712,206 @@ export function deleteEpisode(id) {
  * reminders if relevant settings changed.
  * @param {Partial<Settings>} updates
  */
-export function updateSettings(updates) {
-  state.settings = storageUpdateSettings(updates);
+export async function updateSettings(updates) {
+  state.settings = await storageUpdateSettings(updates);
   // if reminders toggled or time changed, reschedule
   cancelReminders();
   if (state.settings.reminderEnabled) {
     initReminders(state.settings);
   }
+  watchOngoingEpisode(findOngoing(state.episodes), state.settings);
   notify();
 }
 
 /**
- * Compute suggestions based on current episodes.
+ * Compute suggestions based on current episodes, as of `now` (today
+ * unless given) looking back `windowDays` (see analysePatterns). Without
+ * `now` the result is reused until the records change or the day ends,
+ * so treat it as read-only.
+ * @param {{now?: Date, windowDays?: number}} [options]
  * @returns {Array<{title:string,message:string}>}
  */
-export function getSuggestions() {
-  return analysePatterns(state.episodes);
+export function getSuggestions({ now, windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+  if (now) return analyseState({ now, windowDays });
+  const today = dayOf(new Date());
+  if (cachedSuggestions.day !== today) cachedSuggestions = { day: today, byWindow: new Map() };
+  if (!cachedSuggestions.byWindow.has(windowDays)) {
+    cachedSuggestions.byWindow.set(windowDays, analyseState({ windowDays }));
+  }
+  return cachedSuggestions.byWindow.get(windowDays);
+}
+
+function analyseState({ now, windowDays }) {
+  return analysePatterns(state.episodes, {
+    preventives: state.preventives,
+    doseLog: state.doseLog,
+    diary: state.diary,
+    periods: trackedPeriods(),
+    weather: state.weather,
+    exposures: state.exposures,
+    rules: state.settings.insightRules,
+    now,
+    windowDays
+  });
+}
+
+/**
+ * Suggestions for the Insights tab (see getSuggestions) along with what
+ * the insight history knows of each: `id`, `firstSeen` and `isNew`,
+ * which says whether it came up since `seenAt` (by default the last
+ * time the tab was opened). Dismissed and snoozed insights are left
+ * out and counted in `hidden`.
+ * @param {{now?: Date, windowDays?: number, seenAt?: string|null}} [options]
+ * @returns {{insights: Array<{id: string, ruleId: string, title: string, message: string, firstSeen: string|null, isNew: boolean}>, hidden: number}}
+ */
+export function getInsights({ now, windowDays, seenAt = state.settings.insightsSeenAt } = {}) {
+  const records = new Map(state.insightHistory.map(r => [r.id, r]));
+  const at = now || new Date();
+  const insights = [];
+  let hidden = 0;
+  getSuggestions({ now, windowDays }).forEach(s => {
+    const id = insightId(s);
+    const record = records.get(id);
+    if (isHidden(record, at)) {
+      hidden++;
+      return;
+    }
+    // not recorded yet, so it has only just come up
+    insights.push({ ...s, id, firstSeen: record ? record.firstSeen : null, isNew: record ? isNew(record, seenAt, at) : true });
+  });
+  return { insights, hidden };
+}
+
+/** Remember that the Insights tab was opened, which clears its badge. */
+export async function markInsightsSeen() {
+  state.settings = await storageUpdateSettings({ insightsSeenAt: new Date().toISOString() });
+  notify({ keepSuggestions: true });
+}
+
+/**
+ * Stop showing an insight until it is restored from the history.
+ * @param {{id?: string, ruleId?: string, title: string, message: string}} insight
+ */
+export async function dismissInsight(insight) {
+  const record = state.insightHistory.find(r => r.id === insightId(insight));
+  await storageSaveInsights([hideInsight(record, insight)]);
+  state.insightHistory = await loadInsightHistory();
+  notify({ keepSuggestions: true });
+}
+
+/**
+ * Hide an insight for `days` days; it counts as new when it comes back.
+ * @param {{id?: string, ruleId?: string, title: string, message: string}} insight
+ * @param {number} [days]
+ */
+export async function snoozeInsight(insight, days = SNOOZE_DAYS) {
+  const record = state.insightHistory.find(r => r.id === insightId(insight));
+  await storageSaveInsights([hideInsight(record, insight, { days })]);
+  state.insightHistory = await loadInsightHistory();
+  notify({ keepSuggestions: true });
+}
+
+/** Show a dismissed or snoozed insight again. @param {string} id */
+export async function restoreInsight(id) {
+  const record = state.insightHistory.find(r => r.id === id);
+  if (!record) return;
+  await storageSaveInsights([{ ...record, dismissedAt: null, snoozedUntil: null }]);
+  state.insightHistory = await loadInsightHistory();
+  notify({ keepSuggestions: true });
+}
+
+/** Forget every insight shown so far, along with dismissals and snoozes. */
+export async function clearInsightHistory() {
+  await storageClearInsightHistory();
+  state.insightHistory = [];
+  notify({ keepSuggestions: true });
+}
+
+// periods only count while cycle tracking is turned on
+function trackedPeriods() {
+  return state.settings.cycleTracking ? state.periods : [];
 }
 
 /**
  * Render charts into a container element. Wrapper around charts.js
- * to provide episodes from state.
+ * to provide episodes, treatments, periods, questionnaires, weather and
+ * exposures from state, optionally as of `now` with the trigger chart
+ * covering `windowDays` and the lag chart showing `lagExposure`.
  * @param {HTMLElement} container
+ * @param {{now?: Date, windowDays?: number, lagExposure?: string}} [options]
  */
-export function updateCharts(container) {
-  renderCharts(container, state.episodes);
+export function updateCharts(container, { now, windowDays, lagExposure } = {}) {
+  renderCharts(container, state.episodes, {
+    preventives: state.preventives,
+    periods: trackedPeriods(),
+    questionnaires: state.questionnaires,
+    weather: state.weather,
+    exposures: state.exposures,
+    now,
+    windowDays,
+    lagExposure
+  });
 }
 
 /**
- * Get a fresh copy of the current state (episodes + settings).
+ * The doctor report for `from` to `to` (inclusive 'YYYY-MM-DD' days) as
+ * a standalone HTML page (see report.js). The insights are those as of
+ * the end of the range, and the charts are drawn into `container` as of
+ * it and embedded as images, so the container must be in the document;
+ * the caller removes it.
+ * @param {{from: string, to: string}} range
+ * @param {HTMLElement} container
+ * @returns {string}
+ */
+export function reportPage(range, container) {
+  const data = reportData(state, range);
+  const end = parseDay(range.to);
+  end.setHours(23, 59, 59, 999);
+  renderCharts(container, state.episodes, {
+    preventives: state.preventives,
+    periods: trackedPeriods(),
+    questionnaires: state.questionnaires,
+    weather: state.weather,
+    now: end
+  });
+  return reportHTML(data, {
+    // a single profile is just "Me", so only name it when there are others
+    profile: state.profiles.length > 1 ? state.activeProfile.name : '',
+    insights: getSuggestions({ now: end }),
+    charts: [...container.querySelectorAll('canvas')].map(canvas => ({ title: CHART_TITLES[canvas.id] || '', src: canvas.toDataURL('image/png') }))
+  });
+}
+
+// alt text for the chart images in the report
+const CHART_TITLES = {
+  lineChart: 'Intensity over the last 90 days of the period',
+  barChart: 'Episodes per week',
+  triggerChart: 'Trigger frequency',
+  preventiveChart: 'Migraines per month before and after starting each preventive',
+  midasChart: 'MIDAS scores',
+  hit6Chart: 'HIT-6 scores'
+};
+
+/**
+ * Get a fresh copy of the current state (lock status, profiles, episodes, trash + settings).
  * Useful for tests or debugging.
  */
 export function getState() {
-  return { episodes: [...state.episodes], settings: { ...state.settings } };
+  return {
+    locked: state.locked,
+    encryptionEnabled: state.encryptionEnabled,
+    profiles: [...state.profiles],
+    activeProfile: state.activeProfile,
+    episodes: [...state.episodes],
+    trash: [...state.trash],
+    preventives: [...state.preventives],
+    doseLog: [...state.doseLog],
+    diary: [...state.diary],
+    periods: [...state.periods],
+    questionnaires: [...state.questionnaires],
+    weather: [...state.weather],
+    exposures: [...state.exposures],
+    insightHistory: [...state.insightHistory],
+    settings: { ...state.settings }
+  };
 }
@@ -6,15 +6,37 @@
  * available or the containing element changes size.
  */
 
+import { isOngoing } from './ongoing.js';
+import { compareBeforeAfter } from './preventives.js';
+import { parseDay, dayOf } from './dates.js';
+import { perimenstrualDays, periodEnd } from './cycles.js';
+import { QUESTIONNAIRES, scoreQuestionnaire } from './questionnaires.js';
+import { DEFAULT_WINDOW_DAYS } from './patterns.js';
+import { lagAnalysis, LAG_WINDOWS } from './exposures.js';
+
 /**
  * Render all charts into the given container element. The container
  * must contain canvas elements with IDs lineChart, barChart and
  * triggerChart. If not present, they will be created automatically.
+ * When preventive treatments are given, their start dates are marked on
+ * the weekly chart and a preventiveChart compares migraines before and
+ * after each one started. Menstrual periods are shaded behind the
+ * intensity chart, with their perimenstrual windows in a lighter tint,
+ * and imported air pressure is drawn over it on its own scale.
+ * Completed questionnaires get a score trend chart per questionnaire
+ * (midasChart, hit6Chart) over its grade bands. The charts end at
+ * `now`, which can be set to chart a past period, and the trigger chart
+ * covers the last `windowDays` days, as the trigger insight does. With
+ * logged exposures, a lagChart shows how long before each migraine the
+ * `lagExposure` one came (the most logged exposure if not given).
  *
  * @param {HTMLElement} container
  * @param {Episode[]} episodes
+ * @param {{preventives?: object[], periods?: object[], questionnaires?: object[], weather?: object[], exposures?: object[], now?: Date, windowDays?: number, lagExposure?: string}} [options]
  */
-export function renderCharts(container, episodes) {
+export function renderCharts(container, episodes, {
+  preventives = [], periods = [], questionnaires = [], weather = [], exposures = [], now = new Date(), windowDays = DEFAULT_WINDOW_DAYS, lagExposure = null
+} = {}) {
   // ensure canvases exist
   let lineCanvas = container.querySelector('#lineChart');
   if (!lineCanvas) {
@@ -55,25 +77,69 @@ export function renderCharts(container, episodes) {
   triggerCanvas.width = width;
   triggerCanvas.height = triggerHeight;
 
-  drawLineChart(lineCanvas.getContext('2d'), episodes);
-  drawBarChart(barCanvas.getContext('2d'), episodes);
-  drawTriggerChart(triggerCanvas.getContext('2d'), episodes);
+  drawLineChart(lineCanvas.getContext('2d'), episodes, periods, weather, now);
+  drawBarChart(barCanvas.getContext('2d'), episodes, preventives, now);
+  drawTriggerChart(triggerCanvas.getContext('2d'), episodes, now, windowDays);
+
+  // before/after comparison, only when there is something to compare
+  const comparisons = preventives
+    .map(p => ({ name: p.name, comparison: compareBeforeAfter(episodes, p, { now }) }))
+    .filter(c => c.comparison);
+  const preventiveCanvas = optionalCanvas(container, 'preventiveChart', comparisons.length > 0, width);
+  if (preventiveCanvas) drawPreventiveChart(preventiveCanvas.getContext('2d'), comparisons);
+
+  // questionnaire scores over time, one chart per questionnaire taken
+  Object.values(QUESTIONNAIRES).forEach(def => {
+    const records = questionnaires.filter(r => r.type === def.id && r.date <= dayOf(now));
+    const canvas = optionalCanvas(container, `${def.id}Chart`, records.length > 0, width);
+    if (canvas) drawScoreChart(canvas.getContext('2d'), def, records);
+  });
+
+  // hours from the chosen exposure to each onset
+  const lags = lagAnalysis(episodes, exposures, { now });
+  const chosen = lags && (lags.exposures.find(e => e.name === (lagExposure || '').trim().toLowerCase()) || lags.exposures[0]);
+  const lagCanvas = optionalCanvas(container, 'lagChart', !!chosen, width);
+  if (lagCanvas) drawLagChart(lagCanvas.getContext('2d'), chosen, lags.episodes);
+}
+
+// The canvas with `id` when `show` is true, created and sized as needed;
+// otherwise any existing one is removed and null returned.
+function optionalCanvas(container, id, show, width) {
+  let canvas = container.querySelector(`#${id}`);
+  if (!show) {
+    if (canvas) canvas.remove();
+    return null;
+  }
+  if (!canvas) {
+    canvas = document.createElement('canvas');
+    canvas.id = id;
+    canvas.style.display = 'block';
+    canvas.style.marginTop = '32px';
+    canvas.style.maxWidth = '100%';
+    container.appendChild(canvas);
+  }
+  canvas.width = width;
+  canvas.height = 200;
+  return canvas;
 }
 
 /**
- * Draw line chart of intensity over time (last 90 days).
+ * Draw line chart of intensity over time (last 90 days), over any
+ * period days and perimenstrual windows and air pressure readings.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Episode[]} episodes
+ * @param {object[]} periods
+ * @param {object[]} weather - readings sorted by time
+ * @param {Date} now
  */
-function drawLineChart(ctx, episodes) {
+function drawLineChart(ctx, episodes, periods, weather, now) {
   clearCanvas(ctx);
   // filter last 90 days
-  const now = new Date();
-  const cutoff = new Date();
+  const cutoff = new Date(now);
   cutoff.setDate(cutoff.getDate() - 90);
   const data = episodes
-    .filter(ep => new Date(ep.datetime) >= cutoff)
-    .map(ep => ({ x: new Date(ep.datetime), y: ep.intensity }))
+    .filter(ep => new Date(ep.datetime) >= cutoff && new Date(ep.datetime) <= now)
+    .map(ep => ({ x: new Date(ep.datetime), y: ep.intensity, ongoing: isOngoing(ep) }))
     .sort((a, b) => a.x - b.x);
   if (data.length === 0) {
     drawCenteredText(ctx, 'No data for last 90 days');
@@ -121,6 +187,14 @@ function drawLineChart(ctx, episodes) {
     const label = `${date.getMonth()+1}/${date.getDate()}`;
     ctx.fillText(label, x - 15, h - margin + 16);
   }
+  if (periods.length > 0) {
+    drawCycleOverlay(ctx, periods, now, { minX, maxX, left: margin, top: margin, width: chartW, height: chartH });
+  }
+  if (weather.length > 0) {
+    // keep clear of the period legend
+    const legendX = margin + chartW - (periods.length > 0 ? 250 : 80);
+    drawPressureOverlay(ctx, weather, { minX, maxX, left: margin, top: margin, width: chartW, height: chartH, legendX });
+  }
   // plot line
   ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-primary');
   ctx.fillStyle = ctx.strokeStyle;
@@ -133,13 +207,14 @@ function drawLineChart(ctx, episodes) {
     else ctx.lineTo(x, y);
   });
   ctx.stroke();
-  // draw points
+  // draw points; ongoing episodes are hollow as their peak may still rise
   data.forEach(pt => {
     const x = margin + ((pt.x.getTime() - minX) / (maxX - minX)) * chartW;
     const y = h - margin - ((pt.y - minY) / (maxY - minY)) * chartH;
     ctx.beginPath();
-    ctx.arc(x, y, 3, 0, Math.PI * 2);
-    ctx.fill();
+    ctx.arc(x, y, pt.ongoing ? 4 : 3, 0, Math.PI * 2);
+    if (pt.ongoing) ctx.stroke();
+    else ctx.fill();
   });
   // title
   ctx.fillStyle = ctx.strokeStyle;
@@ -147,15 +222,85 @@ function drawLineChart(ctx, episodes) {
   ctx.fillText('Intensity over last 90 days', margin, margin - 10);
 }
 
+// Shade whole days between minX and maxX: perimenstrual windows lightly,
+// period days more strongly, with a small legend in the top right.
+function drawCycleOverlay(ctx, periods, now, { minX, maxX, left, top, width, height }) {
+  const span = Math.max(maxX - minX, 1);
+  const shade = (day, colour) => {
+    const start = parseDay(day).getTime();
+    const end = start + 24 * 60 * 60 * 1000;
+    if (end <= minX || start >= maxX) return;
+    const x0 = left + ((Math.max(start, minX) - minX) / span) * width;
+    const x1 = left + ((Math.min(end, maxX) - minX) / span) * width;
+    ctx.fillStyle = colour;
+    ctx.fillRect(x0, top, Math.max(x1 - x0, 1), height);
+  };
+  const windowColour = 'rgba(216, 27, 96, 0.12)';
+  const periodColour = 'rgba(216, 27, 96, 0.25)';
+  periods.forEach(p => {
+    perimenstrualDays(p.startDate).forEach(day => shade(day, windowColour));
+    for (let d = parseDay(p.startDate); d <= parseDay(periodEnd(p, now)); d.setDate(d.getDate() + 1)) {
+      shade(dayOf(d), periodColour);
+    }
+  });
+  ctx.font = '11px sans-serif';
+  [[periodColour, 'Period'], [windowColour, 'Days −2 to 3']].forEach(([colour, label], i) => {
+    const x = left + width - 170 + i * 70;
+    ctx.fillStyle = colour;
+    ctx.fillRect(x, top - 22, 10, 10);
+    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
+    ctx.fillText(label, x + 14, top - 13);
+  });
+}
+
+// Air pressure between minX and maxX as a thin line scaled to its own
+// range, labelled in hPa on the right-hand axis.
+function drawPressureOverlay(ctx, weather, { minX, maxX, left, top, width, height, legendX }) {
+  const readings = weather.filter(r => {
+    const t = Date.parse(r.time);
+    return t >= minX && t <= maxX;
+  });
+  if (readings.length < 2) return;
+  const values = readings.map(r => r.pressure);
+  const low = Math.floor(Math.min(...values));
+  const high = Math.max(Math.ceil(Math.max(...values)), low + 1);
+  const span = Math.max(maxX - minX, 1);
+  const xOf = r => left + ((Date.parse(r.time) - minX) / span) * width;
+  const yOf = p => top + height - ((p - low) / (high - low)) * height;
+  const colour = 'rgba(96, 125, 139, 0.8)';
+  ctx.save();
+  ctx.strokeStyle = colour;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  readings.forEach((r, i) => {
+    // break the line over gaps of more than a few hours
+    const gap = i > 0 && Date.parse(r.time) - Date.parse(readings[i - 1].time) > 6 * 60 * 60 * 1000;
+    if (i === 0 || gap) ctx.moveTo(xOf(r), yOf(r.pressure));
+    else ctx.lineTo(xOf(r), yOf(r.pressure));
+  });
+  ctx.stroke();
+  ctx.restore();
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = colour;
+  ctx.fillText(String(high), left + width + 4, top + 4);
+  ctx.fillText(String(low), left + width + 4, top + height);
+  ctx.fillRect(legendX, top - 18, 10, 2);
+  ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
+  ctx.fillText('Pressure (hPa)', legendX + 14, top - 13);
+}
+
 /**
- * Draw bar chart of episodes per week (last 12 weeks).
+ * Draw bar chart of episodes per week (last 12 weeks), with a marker
+ * where each preventive treatment started.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Episode[]} episodes
+ * @param {object[]} preventives
+ * @param {Date} now
  */
-function drawBarChart(ctx, episodes) {
+function drawBarChart(ctx, episodes, preventives, now) {
   clearCanvas(ctx);
   // compute last 12 weeks counts (ending this week)
-  const now = new Date();
   // find Monday of this week to align weekly buckets (ISO week)
   const day = now.getDay();
   const monday = new Date(now);
@@ -220,6 +365,24 @@ function drawBarChart(ctx, episodes) {
     ctx.font = '10px sans-serif';
     ctx.fillText(label, x - 4, h - margin + 12);
   });
+  // preventive start markers
+  const rangeStart = weekStarts[0].getTime();
+  const rangeEnd = rangeStart + 12 * 7 * 24 * 60 * 60 * 1000;
+  ctx.strokeStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-primary');
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.font = '10px sans-serif';
+  ctx.setLineDash([4, 4]);
+  preventives.forEach(p => {
+    const start = parseDay(p.startDate).getTime();
+    if (start < rangeStart || start >= rangeEnd) return;
+    const x = margin + ((start - rangeStart) / (rangeEnd - rangeStart)) * chartW;
+    ctx.beginPath();
+    ctx.moveTo(x, margin);
+    ctx.lineTo(x, h - margin);
+    ctx.stroke();
+    ctx.fillText(p.name, x + 3, margin + 10);
+  });
+  ctx.setLineDash([]);
   // title
   ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
   ctx.font = 'bold 14px sans-serif';
@@ -227,16 +390,187 @@ function drawBarChart(ctx, episodes) {
 }
 
 /**
- * Draw horizontal bar chart for trigger frequency (last 30 days).
+ * Draw paired bars of migraines per month before and after each
+ * preventive treatment started.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<{name: string, comparison: object}>} comparisons - from compareBeforeAfter
+ */
+function drawPreventiveChart(ctx, comparisons) {
+  clearCanvas(ctx);
+  const w = ctx.canvas.width;
+  const h = ctx.canvas.height;
+  const margin = 40;
+  const chartW = w - margin * 2;
+  const chartH = h - margin * 2;
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
+  const beforeColor = getComputedStyle(document.documentElement).getPropertyValue('--color-secondary') || textColor;
+  const afterColor = getComputedStyle(document.documentElement).getPropertyValue('--color-primary');
+  const maxRate = Math.max(...comparisons.flatMap(c => [c.comparison.before.perMonth, c.comparison.after.perMonth]), 1);
+  ctx.strokeStyle = textColor;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin, margin);
+  ctx.lineTo(margin, h - margin);
+  ctx.lineTo(w - margin, h - margin);
+  ctx.stroke();
+  const groupW = chartW / comparisons.length;
+  const barW = Math.min(groupW * 0.3, 60);
+  comparisons.forEach((c, idx) => {
+    const groupX = margin + idx * groupW + (groupW - barW * 2) / 2;
+    [[c.comparison.before.perMonth, beforeColor], [c.comparison.after.perMonth, afterColor]].forEach(([rate, color], i) => {
+      const barH = (rate / maxRate) * chartH;
+      const x = groupX + i * barW;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, h - margin - barH, barW - 4, barH);
+      ctx.fillStyle = textColor;
+      ctx.font = '10px sans-serif';
+      ctx.fillText(rate.toFixed(1), x, h - margin - barH - 4);
+    });
+    ctx.fillStyle = textColor;
+    ctx.font = '12px sans-serif';
+    ctx.fillText(c.name, groupX, h - margin + 14);
+  });
+  // legend and title
+  ctx.font = '10px sans-serif';
+  ctx.fillStyle = beforeColor;
+  ctx.fillRect(w - margin - 120, h - 14, 10, 10);
+  ctx.fillStyle = afterColor;
+  ctx.fillRect(w - margin - 60, h - 14, 10, 10);
+  ctx.fillStyle = textColor;
+  ctx.fillText('Before', w - margin - 106, h - 5);
+  ctx.fillText('After', w - margin - 46, h - 5);
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText('Migraines per month, before and after starting', margin, margin - 10);
+}
+
+/**
+ * Draw a questionnaire's scores over time over its grade bands, which
+ * get darker as the grade gets worse.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} def - from QUESTIONNAIRES
+ * @param {object[]} records - completed questionnaires of that type
+ */
+function drawScoreChart(ctx, def, records) {
+  clearCanvas(ctx);
+  const w = ctx.canvas.width;
+  const h = ctx.canvas.height;
+  const margin = 40;
+  // room on the right for the band labels
+  const right = w - 110;
+  const chartW = right - margin;
+  const chartH = h - margin * 2;
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
+  const lineColor = getComputedStyle(document.documentElement).getPropertyValue('--color-primary');
+  const points = records
+    .map(r => ({ x: parseDay(r.date).getTime(), y: scoreQuestionnaire(r).score }))
+    .sort((a, b) => a.x - b.x);
+  const [minY, rangeTop] = def.range;
+  const maxY = Math.max(rangeTop, ...points.map(p => p.y));
+  const minX = points[0].x;
+  const maxX = points[points.length - 1].x;
+  const xOf = x => (maxX === minX ? margin + chartW / 2 : margin + ((x - minX) / (maxX - minX)) * chartW);
+  const yOf = y => h - margin - ((y - minY) / (maxY - minY)) * chartH;
+  // grade bands, labelled at the right
+  ctx.font = '10px sans-serif';
+  def.grades.forEach((g, i) => {
+    const top = i + 1 < def.grades.length ? def.grades[i + 1].min : maxY;
+    ctx.fillStyle = `rgba(216, 67, 21, ${0.05 + i * 0.07})`;
+    ctx.fillRect(margin, yOf(top), chartW, yOf(g.min) - yOf(top));
+    ctx.fillStyle = textColor;
+    ctx.fillText(g.label.replace(/:.*/, ''), right + 4, yOf((g.min + top) / 2) + 3);
+  });
+  // axes with the band boundaries as ticks
+  ctx.strokeStyle = textColor;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin, margin);
+  ctx.lineTo(margin, h - margin);
+  ctx.lineTo(right, h - margin);
+  ctx.stroke();
+  [minY, ...def.grades.slice(1).map(g => g.min), maxY].forEach(v => {
+    ctx.fillText(String(v), margin - 24, yOf(v) + 3);
+  });
+  // scores
+  ctx.strokeStyle = lineColor;
+  ctx.fillStyle = lineColor;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach((p, i) => (i === 0 ? ctx.moveTo(xOf(p.x), yOf(p.y)) : ctx.lineTo(xOf(p.x), yOf(p.y))));
+  ctx.stroke();
+  points.forEach(p => {
+    ctx.beginPath();
+    ctx.arc(xOf(p.x), yOf(p.y), 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  // dates of the first and last, and the title
+  ctx.fillStyle = textColor;
+  const label = x => {
+    const d = new Date(x);
+    return `${d.getMonth() + 1}/${d.getDate()}/${String(d.getFullYear()).slice(2)}`;
+  };
+  ctx.fillText(label(minX), xOf(minX) - 15, h - margin + 14);
+  if (maxX !== minX) ctx.fillText(label(maxX), xOf(maxX) - 30, h - margin + 14);
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText(`${def.name} score`, margin, margin - 10);
+}
+
+/**
+ * Draw how many migraines started within each lag window (0–6 hours,
+ * 6–24 hours and so on) after the latest exposure before them.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} exposure - an entry of lagAnalysis's `exposures`
+ * @param {number} episodes - migraines since exposures were first logged
+ */
+function drawLagChart(ctx, exposure, episodes) {
+  clearCanvas(ctx);
+  const bins = LAG_WINDOWS.map((hours, i) => ({ from: i ? LAG_WINDOWS[i - 1] : 0, to: hours }));
+  const counts = bins.map(b => exposure.lags.filter(h => (b.from === 0 ? h >= 0 : h > b.from) && h <= b.to).length);
+  const w = ctx.canvas.width;
+  const h = ctx.canvas.height;
+  const margin = 40;
+  const chartW = w - margin * 2;
+  const chartH = h - margin * 2;
+  const textColor = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
+  ctx.strokeStyle = textColor;
+  ctx.fillStyle = textColor;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(margin, margin);
+  ctx.lineTo(margin, h - margin);
+  ctx.lineTo(w - margin, h - margin);
+  ctx.stroke();
+  const maxTick = Math.max(...counts, 5);
+  const step = Math.ceil(maxTick / 5);
+  ctx.font = '10px sans-serif';
+  for (let i = 0; i <= maxTick; i += step) {
+    const y = h - margin - (i / maxTick) * chartH;
+    ctx.fillText(i.toString(), margin - 28, y + 4);
+  }
+  const slot = chartW / bins.length;
+  counts.forEach((count, idx) => {
+    const x = margin + (idx + 0.2) * slot;
+    const barH = (count / maxTick) * chartH;
+    ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-primary');
+    ctx.fillRect(x, h - margin - barH, slot * 0.6, barH);
+    ctx.fillStyle = textColor;
+    ctx.fillText(`${bins[idx].from}–${bins[idx].to} h`, x, h - margin + 12);
+  });
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText(`Hours from ${exposure.label.toLowerCase()} to migraine (${exposure.lags.length} of ${episodes} migraines)`, margin, margin - 10);
+}
+
+/**
+ * Draw horizontal bar chart for trigger frequency over the last `days` days.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Episode[]} episodes
+ * @param {Date} now
+ * @param {number} days
  */
-function drawTriggerChart(ctx, episodes) {
+function drawTriggerChart(ctx, episodes, now, days) {
   clearCanvas(ctx);
-  const now = new Date();
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - 30);
-  const recent = episodes.filter(ep => new Date(ep.datetime) >= cutoff);
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - days);
+  const recent = episodes.filter(ep => new Date(ep.datetime) >= cutoff && new Date(ep.datetime) <= now);
   if (recent.length === 0) {
     drawCenteredText(ctx, 'No recent triggers');
     return;
@@ -274,7 +608,7 @@ function drawTriggerChart(ctx, episodes) {
   });
   ctx.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--color-text');
   ctx.font = 'bold 14px sans-serif';
-  ctx.fillText('Trigger frequency (last 30 days)', margin, margin - 10);
+  ctx.fillText(`Trigger frequency (last ${days} days)`, margin, margin - 10);
 }
 
 // --- utility functions ---
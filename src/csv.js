@@ -0,0 +1,248 @@
+/* csv.js
+ *
+ * Reading and writing episodes as CSV. The export format is
+ *   id,datetime,intensity,durationMinutes,triggers,medications,notes,<symptoms>
+ * with `;`-separated triggers and medications written as `Name(50mg)`.
+ * Each symptom from symptoms.js gets its own column named by its id:
+ * `yes` or empty for flags, the option id for choices and `;`-separated
+ * option ids for multiple choice.
+ * The importer reads that format back and can also map the columns of
+ * hand-made spreadsheets onto episode fields. Rows are checked with
+ * validation.js. Completed questionnaires (see questionnaires.js) can be
+ * exported too. No DOM access here, so storage.js and ui.js can share it.
+ */
+
+import { validateEpisode } from './validation.js';
+import { SYMPTOMS } from './symptoms.js';
+import { QUESTIONNAIRES, scoreQuestionnaire } from './questionnaires.js';
+
+export const CSV_FIELDS = [
+  'id', 'datetime', 'intensity', 'durationMinutes', 'triggers', 'medications', 'notes',
+  ...SYMPTOMS.map(s => s.id)
+];
+
+// Fields offered in the column-mapping step. `time` is only for
+// spreadsheets that keep the date and time in separate columns.
+export const IMPORT_FIELDS = [
+  { field: 'datetime', label: 'Date & time', required: true },
+  { field: 'time', label: 'Time (if separate)' },
+  { field: 'intensity', label: 'Intensity', required: true },
+  { field: 'durationMinutes', label: 'Duration (minutes)', required: true },
+  { field: 'triggers', label: 'Triggers' },
+  { field: 'medications', label: 'Medications' },
+  { field: 'notes', label: 'Notes' },
+  ...SYMPTOMS.map(s => ({ field: s.id, label: s.label })),
+  { field: 'id', label: 'ID' }
+];
+
+// lower-case header names recognised for each field, besides the field name itself
+const HEADER_ALIASES = {
+  datetime: ['date', 'date/time', 'date time', 'start', 'started', 'when'],
+  time: ['time', 'start time', 'hour'],
+  intensity: ['severity', 'pain', 'pain level', 'score'],
+  durationMinutes: ['duration', 'minutes', 'duration (min)', 'length'],
+  triggers: ['trigger', 'cause', 'causes'],
+  medications: ['medication', 'meds', 'medicine', 'drugs'],
+  notes: ['note', 'comment', 'comments', 'description'],
+  ...Object.fromEntries(SYMPTOMS.map(s => [s.id, [s.label.toLowerCase()]]))
+};
+
+/**
+ * Serialise episodes to CSV text, newest first.
+ * @param {Episode[]} episodes
+ * @returns {string}
+ */
+export function episodesToCSV(episodes) {
+  const eps = [...episodes].sort((a, b) => new Date(b.datetime) - new Date(a.datetime));
+  const rows = eps.map(e => [
+    e.id,
+    e.datetime,
+    e.intensity,
+    e.durationMinutes,
+    (e.triggers || []).join(';'),
+    (e.medications || []).map(m => m.doseMg ? `${m.name}(${m.doseMg}mg)` : m.name).join(';'),
+    (e.notes || '').replace(/\r?\n/g, ' '),
+    ...SYMPTOMS.map(def => symptomCell(def, (e.symptoms || {})[def.id]))
+  ]);
+  return formatCSV([CSV_FIELDS, ...rows]);
+}
+
+/**
+ * Completed MIDAS and HIT-6 questionnaires as CSV, newest first: date,
+ * questionnaire, score and grade, then one column per question id with
+ * the number of days or the answer given (empty for the other
+ * questionnaire's questions).
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function questionnairesToCSV(records) {
+  const questions = Object.values(QUESTIONNAIRES).flatMap(def => def.questions.map(q => q.id));
+  const rows = [...records]
+    .sort((a, b) => (a.date < b.date ? 1 : -1))
+    .map(r => {
+      const { score, grade } = scoreQuestionnaire(r);
+      return [r.date, QUESTIONNAIRES[r.type].name, score, grade.label, ...questions.map(id => r.answers[id])];
+    });
+  return formatCSV([['date', 'questionnaire', 'score', 'grade', ...questions], ...rows]);
+}
+
+function formatCSV(rows) {
+  return rows
+    .map(r => r.map(cell => {
+      const s = String(cell ?? '');
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(','))
+    .join('\n');
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted fields containing
+ * commas, doubled quotes and line breaks, and both LF and CRLF endings.
+ * Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const src = text.replace(/^\uFEFF/, ''); // spreadsheet apps like to add a BOM
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Guess which column holds each import field from the header row.
+ * @param {string[]} headers
+ * @returns {Object<string, number>} field -> column index, -1 when unmapped
+ */
+export function guessColumnMapping(headers) {
+  const normalised = headers.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  IMPORT_FIELDS.forEach(({ field }) => {
+    const names = [field.toLowerCase(), ...(HEADER_ALIASES[field] || [])];
+    mapping[field] = normalised.findIndex(h => names.includes(h));
+  });
+  return mapping;
+}
+
+/**
+ * Convert data rows (header excluded) into episodes using a column
+ * mapping. Every row is returned with the errors validateEpisode finds
+ * in it so the caller can preview the import before committing it.
+ * Cells that don't parse are kept as text, so repairEpisode can still
+ * make something of values like "45 min".
+ *
+ * @param {string[][]} rows
+ * @param {Object<string, number>} mapping - from guessColumnMapping or the user
+ * @returns {Array<{line: number, episode: object, errors: string[]}>}
+ *   `line` is the 1-based data row number, counting the header as row 1
+ */
+export function episodesFromRows(rows, mapping) {
+  const cellOf = (row, field) => {
+    const idx = mapping[field];
+    return idx === undefined || idx < 0 ? '' : String(row[idx] ?? '').trim();
+  };
+  return rows.map((row, i) => {
+    const dateCell = cellOf(row, 'datetime');
+    const timeCell = cellOf(row, 'time');
+    const when = parseDateTime(dateCell, timeCell);
+    const episode = {
+      datetime: when ? when.toISOString() : [dateCell, timeCell].filter(Boolean).join(' '),
+      intensity: parseNumber(cellOf(row, 'intensity')),
+      durationMinutes: parseNumber(cellOf(row, 'durationMinutes')),
+      triggers: splitList(cellOf(row, 'triggers')),
+      medications: splitList(cellOf(row, 'medications')).map(parseMedication),
+      notes: cellOf(row, 'notes')
+    };
+    const symptoms = {};
+    SYMPTOMS.forEach(def => {
+      const value = parseSymptomCell(def, cellOf(row, def.id));
+      if (value !== undefined) symptoms[def.id] = value;
+    });
+    if (Object.keys(symptoms).length) episode.symptoms = symptoms;
+    const id = cellOf(row, 'id');
+    if (id) episode.id = id;
+    const errors = validateEpisode(episode).map(e => e.message);
+    return { line: i + 2, episode, errors };
+  });
+}
+
+/**
+ * Parse a medication cell such as `Ibuprofen(400mg)` or `Sumatriptan`.
+ * @param {string} text
+ * @returns {{name: string, doseMg?: number}}
+ */
+export function parseMedication(text) {
+  const m = /^(.*?)\s*\(\s*(\d+(?:\.\d+)?)\s*mg\s*\)$/i.exec(text);
+  if (!m) return { name: text };
+  return { name: m[1], doseMg: parseFloat(m[2]) };
+}
+
+function symptomCell(def, value) {
+  if (def.type === 'boolean') return value === true ? 'yes' : '';
+  if (def.type === 'multi') return (value || []).join(';');
+  return value || '';
+}
+
+// Unrecognised text is kept as is so validation reports it.
+function parseSymptomCell(def, cell) {
+  if (cell === '') return undefined;
+  if (def.type === 'boolean') {
+    if (/^(y|yes|true|1|x)$/i.test(cell)) return true;
+    if (/^(n|no|false|0)$/i.test(cell)) return false;
+    return cell;
+  }
+  if (def.type === 'multi') return splitList(cell.toLowerCase());
+  return cell.toLowerCase();
+}
+
+// a number when the cell holds one, otherwise the text itself (undefined when empty)
+function parseNumber(cell) {
+  if (cell === '') return undefined;
+  const n = Number(cell);
+  return Number.isFinite(n) ? n : cell;
+}
+
+function splitList(cell) {
+  return cell ? cell.split(';').map(s => s.trim()).filter(Boolean) : [];
+}
+
+function parseDateTime(dateCell, timeCell) {
+  if (!dateCell) return null;
+  const text = timeCell ? `${dateCell} ${timeCell.padStart(5, '0')}` : dateCell;
+  const d = new Date(text);
+  return isNaN(d.getTime()) ? null : d;
+}
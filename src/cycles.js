@@ -0,0 +1,158 @@
+/* cycles.js
+ *
+ * Optional menstrual cycle tracking. Each period is one record:
+ *
+ *   { id, startDate: '2024-03-01', endDate: '2024-03-05' }
+ *
+ * with `endDate` left out until it is known. Following the ICHD-3
+ * definition of menstrually related migraine, the perimenstrual window
+ * runs from two days before the first day of bleeding (day 1) to day 3;
+ * there is no day 0. Pure functions only; storage.js stores the
+ * periods and app.js keeps them in state.
+ */
+
+import { dayOf, parseDay, isDay } from './dates.js';
+
+// days before day 1 and days from day 1 (inclusive) in the perimenstrual window
+export const PERIMENSTRUAL_WINDOW = { before: 2, after: 3 };
+// an open period is assumed over after this many days
+const OPEN_PERIOD_DAYS = 7;
+// gaps between starts outside this range are treated as missed logs
+const MIN_CYCLE_DAYS = 15;
+const MAX_CYCLE_DAYS = 60;
+const TYPICAL_CYCLE_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @param {object} period */
+export function periodErrors(period) {
+  const errors = [];
+  if (!period || typeof period !== 'object') return [{ field: 'period', message: 'Period must be an object' }];
+  const { startDate, endDate } = period;
+  if (!isDay(startDate)) errors.push({ field: 'startDate', message: 'Start date is required' });
+  if (endDate !== undefined && (!isDay(endDate) || (isDay(startDate) && endDate < startDate))) {
+    errors.push({ field: 'endDate', message: 'End date must be on or after the start date' });
+  }
+  return errors;
+}
+
+/** The day `n` days after `day` (before, for negative `n`). */
+function addDays(day, n) {
+  const d = parseDay(day);
+  d.setDate(d.getDate() + n);
+  return dayOf(d);
+}
+
+// whole days from `a` to `b`, both 'YYYY-MM-DD'
+function daysBetween(a, b) {
+  return Math.round((parseDay(b) - parseDay(a)) / DAY_MS);
+}
+
+/**
+ * The last day of a period: its end date, or for an open period today
+ * or OPEN_PERIOD_DAYS after it started, whichever is earlier.
+ * @param {object} period
+ * @param {Date} [now]
+ */
+export function periodEnd(period, now = new Date()) {
+  if (period.endDate) return period.endDate;
+  const assumed = addDays(period.startDate, OPEN_PERIOD_DAYS - 1);
+  const today = dayOf(now);
+  return today < assumed ? (today < period.startDate ? period.startDate : today) : assumed;
+}
+
+/**
+ * The period covering `day`, if any.
+ * @param {object[]} periods
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {Date} [now]
+ */
+export function periodOn(periods, day, now = new Date()) {
+  return periods.find(p => p.startDate <= day && periodEnd(p, now) >= day) || null;
+}
+
+/**
+ * The days of the perimenstrual window around a period starting on
+ * `startDate`: day −2 to day 3.
+ * @param {string} startDate
+ * @returns {string[]}
+ */
+export function perimenstrualDays(startDate) {
+  const days = [];
+  for (let n = -PERIMENSTRUAL_WINDOW.before; n < PERIMENSTRUAL_WINDOW.after; n++) days.push(addDays(startDate, n));
+  return days;
+}
+
+/**
+ * Cycle day of `day` counting the latest period start on or before it
+ * as day 1, or null when there is none within MAX_CYCLE_DAYS.
+ * @param {object[]} periods
+ * @param {string} day
+ * @returns {number|null}
+ */
+export function cycleDay(periods, day) {
+  const start = periods
+    .map(p => p.startDate)
+    .filter(s => s <= day)
+    .sort()
+    .pop();
+  if (!start) return null;
+  const n = daysBetween(start, day) + 1;
+  return n <= MAX_CYCLE_DAYS ? n : null;
+}
+
+/**
+ * Lengths of the complete cycles between consecutive period starts,
+ * leaving out gaps too short or long to be a single cycle.
+ * @param {object[]} periods
+ * @returns {number[]}
+ */
+export function cycleLengths(periods) {
+  const starts = periods.map(p => p.startDate).sort();
+  return starts
+    .slice(1)
+    .map((start, i) => daysBetween(starts[i], start))
+    .filter(n => n >= MIN_CYCLE_DAYS && n <= MAX_CYCLE_DAYS);
+}
+
+/**
+ * Compare how often migraines start in the perimenstrual window with
+ * other days, over the periods started in the last `days` days. Days
+ * count from the first window to the end of the last cycle (its usual
+ * length after the last start, or today), so months without period
+ * logs don't dilute the comparison. Null without any periods.
+ * @param {Episode[]} episodes
+ * @param {object[]} periods
+ * @param {{now?: Date, days?: number}} [options]
+ * @returns {{cycles: number, cyclesWithAttack: number, windowDays: number, windowAttackDays: number, otherDays: number, otherAttackDays: number, windowRate: number, otherRate: number}|null}
+ */
+export function perimenstrualAnalysis(episodes, periods, { now = new Date(), days = 365 } = {}) {
+  const today = dayOf(now);
+  const since = addDays(today, -days);
+  const starts = periods.map(p => p.startDate).filter(s => s >= since && s <= today).sort();
+  if (starts.length === 0) return null;
+  const lengths = cycleLengths(periods);
+  const typical = lengths.length ? lengths.sort((a, b) => a - b)[Math.floor(lengths.length / 2)] : TYPICAL_CYCLE_DAYS;
+  const first = addDays(starts[0], -PERIMENSTRUAL_WINDOW.before);
+  const expectedEnd = addDays(starts[starts.length - 1], typical - PERIMENSTRUAL_WINDOW.before - 1);
+  const last = expectedEnd < today ? expectedEnd : today;
+  const windows = starts.map(start => new Set(perimenstrualDays(start)));
+  const inWindow = day => windows.some(w => w.has(day));
+  const attackDays = new Set(episodes.map(ep => dayOf(new Date(ep.datetime))));
+  const result = { cycles: starts.length, cyclesWithAttack: 0, windowDays: 0, windowAttackDays: 0, otherDays: 0, otherAttackDays: 0 };
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    const attack = attackDays.has(day);
+    if (inWindow(day)) {
+      result.windowDays += 1;
+      if (attack) result.windowAttackDays += 1;
+    } else {
+      result.otherDays += 1;
+      if (attack) result.otherAttackDays += 1;
+    }
+  }
+  result.cyclesWithAttack = windows.filter(w => [...w].some(day => day <= today && attackDays.has(day))).length;
+  return {
+    ...result,
+    windowRate: result.windowDays ? result.windowAttackDays / result.windowDays : 0,
+    otherRate: result.otherDays ? result.otherAttackDays / result.otherDays : 0
+  };
+}
@@ -0,0 +1,23 @@
+/* dates.js
+ *
+ * Local calendar days as 'YYYY-MM-DD' strings, the form treatments,
+ * check-ins, periods and questionnaires store their dates in. Pure
+ * functions only.
+ */
+
+/** Local calendar day of a Date, e.g. '2024-03-01'. */
+export function dayOf(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** Midnight (local) at the start of a 'YYYY-MM-DD' day. */
+export function parseDay(day) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** Whether `value` is a valid 'YYYY-MM-DD' day. */
+export function isDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(parseDay(value).getTime());
+}
@@ -0,0 +1,177 @@
+/* db.js
+ *
+ * Thin promise wrapper around IndexedDB. Declares the object stores
+ * used by the data layer and opens (or upgrades) the database on first
+ * use. Each profile has its own database (see profiles.js); calls go to
+ * the active one unless a name is given. Only storage.js should talk to
+ * this module directly.
+ */
+
+// bump whenever STORES changes so onupgradeneeded runs
+const DB_VERSION = 8;
+
+// keyPath and secondary indexes for each object store
+const STORES = {
+  episodes: { keyPath: 'id', indexes: ['datetime', 'id'] },
+  meta: { keyPath: 'key', indexes: [] },
+  // preventive treatments and their dose log (see preventives.js)
+  preventives: { keyPath: 'id', indexes: [] },
+  doseLog: { keyPath: 'id', indexes: [] },
+  // daily check-ins, keyed by date (see diary.js)
+  diary: { keyPath: 'id', indexes: [] },
+  // menstrual periods (see cycles.js)
+  periods: { keyPath: 'id', indexes: [] },
+  // completed MIDAS and HIT-6 questionnaires (see questionnaires.js)
+  questionnaires: { keyPath: 'id', indexes: [] },
+  // imported hourly weather readings, keyed by time (see weather.js)
+  weather: { keyPath: 'id', indexes: [] },
+  // timestamped exposures to possible triggers (see exposures.js)
+  exposures: { keyPath: 'id', indexes: [] },
+  // insights shown so far and whether they were dismissed or snoozed (see insights.js)
+  insights: { keyPath: 'id', indexes: [] }
+};
+
+let activeName = 'aiMigraineTracker';
+const connections = new Map(); // database name -> Promise<IDBDatabase>
+
+/** Direct subsequent calls that don't name a database to `name`. */
+export function useDatabase(name) {
+  activeName = name;
+}
+
+/**
+ * Open a database, creating any missing stores and indexes.
+ * Connections are cached for the lifetime of the page.
+ * @param {string} [name] - defaults to the active database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB(name = activeName) {
+  if (connections.has(name)) return connections.get(name);
+  const dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const tx = req.transaction;
+      for (const [storeName, def] of Object.entries(STORES)) {
+        const store = db.objectStoreNames.contains(storeName)
+          ? tx.objectStore(storeName)
+          : db.createObjectStore(storeName, { keyPath: def.keyPath });
+        def.indexes.forEach(idx => {
+          if (!store.indexNames.contains(idx)) store.createIndex(idx, idx);
+        });
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // another tab upgraded the schema; drop our connection so it can proceed
+      db.onversionchange = () => {
+        db.close();
+        connections.delete(name);
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      connections.delete(name);
+      reject(req.error);
+    };
+  });
+  connections.set(name, dbPromise);
+  return dbPromise;
+}
+
+/**
+ * Close and delete a whole database, e.g. when a profile is removed.
+ * @param {string} name
+ */
+export async function deleteDatabase(name) {
+  if (connections.has(name)) {
+    (await connections.get(name)).close();
+    connections.delete(name);
+  }
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn` inside a single transaction spanning `storeNames`. `fn`
+ * receives an object mapping each store name to its IDBObjectStore.
+ * Resolves with fn's return value once the transaction has committed,
+ * so callers can rely on all writes being durable.
+ *
+ * @param {string[]} storeNames
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(stores: Object<string, IDBObjectStore>) => any} fn
+ * @param {string} [dbName] - defaults to the active database
+ */
+export async function transaction(storeNames, mode, fn, dbName) {
+  const db = await openDB(dbName);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+    let result;
+    try {
+      result = fn(stores);
+    } catch (err) {
+      tx.abort();
+      reject(err);
+      return;
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Read every record in a store, optionally ordered by an index.
+ * @param {string} storeName
+ * @param {string} [indexName]
+ */
+export async function getAll(storeName, indexName) {
+  const db = await openDB();
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  return promisify(indexName ? store.index(indexName).getAll() : store.getAll());
+}
+
+export async function get(storeName, key, dbName) {
+  const db = await openDB(dbName);
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  const value = await promisify(store.get(key));
+  return value === undefined ? null : value;
+}
+
+export function put(storeName, value) {
+  return transaction([storeName], 'readwrite', stores => {
+    stores[storeName].put(value);
+    return value;
+  });
+}
+
+/**
+ * Write many records in one transaction. With `replace` the store is
+ * cleared first, so either the old or the new contents survive intact.
+ */
+export function putMany(storeName, values, { replace = false } = {}) {
+  return transaction([storeName], 'readwrite', stores => {
+    if (replace) stores[storeName].clear();
+    values.forEach(v => stores[storeName].put(v));
+    return values;
+  });
+}
+
+export function remove(storeName, key) {
+  return transaction([storeName], 'readwrite', stores => {
+    stores[storeName].delete(key);
+  });
+}
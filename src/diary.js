@@ -0,0 +1,107 @@
+/* diary.js
+ *
+ * Daily check-ins. Episodes only say when there was a migraine; a
+ * check-in also records the days without one, so a headache-free day
+ * can be told apart from a day nobody logged. One entry per local
+ * calendar day:
+ *
+ *   { id: '2024-03-01', date: '2024-03-01', headache: false,
+ *     factors: ['Stress', 'Poor sleep'], lifestyle: { sleepHours: 6 }, note }
+ *
+ * `factors` are things noticed that day, named like episode triggers;
+ * `lifestyle` holds the measured daily factors (see lifestyle.js).
+ * Every day an episode was going counts as a migraine day whatever the
+ * check-in says; headache days include migraine days. Pure functions
+ * only; storage.js stores the entries and app.js keeps them in state.
+ */
+
+import { episodeDays } from './ongoing.js';
+import { lifestyleErrors } from './lifestyle.js';
+import { dayOf, parseDay, isDay } from './dates.js';
+
+/** @param {object} entry - a diary entry */
+export function diaryEntryErrors(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object') return [{ field: 'entry', message: 'Check-in must be an object' }];
+  const { id, date, headache, factors, lifestyle, note } = entry;
+  if (!isDay(date)) errors.push({ field: 'date', message: 'Check-in date must be a day' });
+  else if (id !== date) errors.push({ field: 'id', message: 'Check-in id must be its date' });
+  if (typeof headache !== 'boolean') errors.push({ field: 'headache', message: 'Say whether you had a headache' });
+  if (factors !== undefined && !(Array.isArray(factors) && factors.every(f => typeof f === 'string' && f.trim()))) {
+    errors.push({ field: 'factors', message: 'Factors must be a list of names' });
+  }
+  if (lifestyle !== undefined) errors.push(...lifestyleErrors(lifestyle));
+  if (note !== undefined && typeof note !== 'string') errors.push({ field: 'note', message: 'Note must be text' });
+  return errors;
+}
+
+/**
+ * What is known about each day between `from` and `to` (both
+ * inclusive): 'migraine' when an episode was going, 'headache' when
+ * the check-in says so, 'free' for a check-in without a headache and
+ * null when nothing was logged.
+ * @param {Episode[]} episodes
+ * @param {object[]} diary
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Map<string, 'migraine'|'headache'|'free'|null>}
+ */
+export function dayStatuses(episodes, diary, from, to) {
+  const statuses = new Map();
+  for (let d = parseDay(dayOf(from)); d <= to; d.setDate(d.getDate() + 1)) {
+    statuses.set(dayOf(d), null);
+  }
+  diary.forEach(entry => {
+    if (statuses.has(entry.date)) statuses.set(entry.date, entry.headache ? 'headache' : 'free');
+  });
+  episodes.forEach(ep => {
+    episodeDays(ep, to).forEach(day => {
+      if (statuses.has(day)) statuses.set(day, 'migraine');
+    });
+  });
+  return statuses;
+}
+
+/**
+ * Migraine days, headache days and headache-free days in a calendar
+ * month, counting days up to `now` only. `coverage` is the share of
+ * those days with a check-in or an episode, so a low figure means the
+ * counts are missing days rather than showing good ones.
+ * @param {Episode[]} episodes
+ * @param {object[]} diary
+ * @param {string} month - 'YYYY-MM'
+ * @param {Date} [now]
+ * @returns {{month: string, days: number, trackedDays: number, migraineDays: number, headacheDays: number, headacheFreeDays: number, coverage: number}}
+ */
+export function monthlySummary(episodes, diary, month, now = new Date()) {
+  const from = parseDay(`${month}-01`);
+  const monthEnd = new Date(from.getFullYear(), from.getMonth() + 1, 0, 23, 59, 59, 999);
+  const to = monthEnd < now ? monthEnd : now;
+  const statuses = [...dayStatuses(episodes, diary, from, to).values()];
+  const count = status => statuses.filter(s => s === status).length;
+  const migraineDays = count('migraine');
+  const trackedDays = statuses.filter(s => s !== null).length;
+  return {
+    month,
+    days: statuses.length,
+    trackedDays,
+    migraineDays,
+    headacheDays: migraineDays + count('headache'),
+    headacheFreeDays: count('free'),
+    coverage: statuses.length ? trackedDays / statuses.length : 0
+  };
+}
+
+/**
+ * monthlySummary for the current month and the `months - 1` before it,
+ * most recent first.
+ * @param {Episode[]} episodes
+ * @param {object[]} diary
+ * @param {{now?: Date, months?: number}} [options]
+ */
+export function recentMonths(episodes, diary, { now = new Date(), months = 3 } = {}) {
+  return Array.from({ length: months }, (_, i) => {
+    const first = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    return monthlySummary(episodes, diary, dayOf(first).slice(0, 7), now);
+  });
+}
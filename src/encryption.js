@@ -0,0 +1,139 @@
+/* encryption.js
+ *
+ * Passphrase-based encryption built on WebCrypto: a PBKDF2 (SHA-256)
+ * key derivation feeding AES-GCM. Values are JSON-serialised before
+ * encryption and travel as base64 strings so they can be stored in
+ * IndexedDB or written into backup files. The passphrase itself is
+ * never stored; a small encrypted marker is kept instead to tell a
+ * wrong passphrase from a right one.
+ */
+
+export const KDF_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_VALUE = 'ai-migraine-tracker';
+
+/**
+ * Derive an AES-GCM key from a passphrase.
+ * @param {string} passphrase
+ * @param {string} salt - base64
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/** @returns {string} a fresh random salt, base64 encoded */
+export function randomSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Encrypt any JSON-serialisable value.
+ * @param {CryptoKey} key
+ * @param {any} value
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+export async function encryptJSON(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plain = new TextEncoder().encode(JSON.stringify(value));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) };
+}
+
+/**
+ * Decrypt a value produced by encryptJSON. AES-GCM authenticates the
+ * data, so a wrong key or tampered data is rejected rather than
+ * returning garbage.
+ * @param {CryptoKey} key
+ * @param {{iv: string, data: string}} sealed
+ */
+export async function decryptJSON(key, sealed) {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data)
+    );
+  } catch {
+    throw new Error('Incorrect passphrase, or the data is damaged.');
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Build the record that lets a passphrase be checked later.
+ * @param {CryptoKey} key
+ * @param {string} salt
+ * @param {number} iterations
+ */
+export async function createKeyCheck(key, salt, iterations = KDF_ITERATIONS) {
+  return { salt, iterations, check: await encryptJSON(key, CHECK_VALUE) };
+}
+
+/**
+ * Derive the key for a passphrase and verify it against a record from
+ * createKeyCheck. Throws on a wrong passphrase.
+ * @param {string} passphrase
+ * @param {{salt: string, iterations: number, check: {iv: string, data: string}}} record
+ * @returns {Promise<CryptoKey>}
+ */
+export async function unlockKey(passphrase, record) {
+  const key = await deriveKey(passphrase, record.salt, record.iterations);
+  if (await decryptJSON(key, record.check) !== CHECK_VALUE) {
+    throw new Error('Incorrect passphrase, or the data is damaged.');
+  }
+  return key;
+}
+
+// ---------- Backup envelopes ----------
+
+/**
+ * Wrap a backup payload in an encrypted envelope. The salt and
+ * iteration count travel with the file so it can be opened on another
+ * device with just the passphrase.
+ */
+export async function sealBackup(key, keyRecord, payload) {
+  return {
+    schemaVersion: payload.schemaVersion,
+    encrypted: true,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: keyRecord.salt, iterations: keyRecord.iterations },
+    cipher: { name: 'AES-GCM', ...(await encryptJSON(key, payload)) }
+  };
+}
+
+export function isSealedBackup(data) {
+  return Boolean(data && data.encrypted === true && data.kdf && data.cipher);
+}
+
+/** Decrypt an envelope from sealBackup with a passphrase. */
+export async function openBackup(passphrase, envelope) {
+  const key = await deriveKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+  return decryptJSON(key, envelope.cipher);
+}
+
+// ---------- Helpers ----------
+// built in chunks: spreading a large array into fromCharCode overflows the stack
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(str) {
+  const binary = atob(str);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,99 @@
+/* exposures.js
+ *
+ * Exposures to possible triggers logged when they happen, apart from
+ * episodes, since a trigger may act hours or days before an attack:
+ *
+ *   { id, name: 'Red wine', time: '2024-03-01T21:00:00.000Z', note }
+ *
+ * Names are free text, usually picked from the trigger list, and are
+ * compared ignoring case. lagAnalysis looks at how often each exposure
+ * came in the hours before a migraine started, against how much of the
+ * time falls in such hours anyway. Pure functions only.
+ */
+
+// hours before onset an exposure may act, from soon after to three days
+export const LAG_WINDOWS = [6, 24, 48, 72];
+const HOUR_MS = 60 * 60 * 1000;
+
+/** @param {object} exposure */
+export function exposureErrors(exposure) {
+  if (!exposure || typeof exposure !== 'object') return [{ field: 'exposure', message: 'Exposure must be an object' }];
+  const errors = [];
+  const { name, time, note } = exposure;
+  if (typeof name !== 'string' || !name.trim()) errors.push({ field: 'name', message: 'Say what you were exposed to' });
+  if (typeof time !== 'string' || isNaN(new Date(time).getTime())) errors.push({ field: 'time', message: 'Time is required' });
+  if (note !== undefined && typeof note !== 'string') errors.push({ field: 'note', message: 'Note must be text' });
+  return errors;
+}
+
+/**
+ * For each exposure, how often it came within each of `windows` hours
+ * before a migraine started, over the `days` days up to `now` but only
+ * since the first exposure was logged, as before that nobody was
+ * logging them. `share` is the share of onsets with the exposure in the
+ * window before them and `coverage` the share of all the time that
+ * falls within that many hours after one, so it is what `share` would
+ * be if migraines came regardless; `ratio` is share over coverage.
+ * `lags` holds, for each onset, the hours since the latest exposure
+ * before it when that is within the longest window. Exposures are
+ * listed most logged first. Null when no exposures are in range.
+ * @param {Episode[]} episodes
+ * @param {object[]} exposures
+ * @param {{now?: Date, days?: number, windows?: number[]}} [options]
+ * @returns {{from: Date, episodes: number, exposures: Array<{name: string, label: string, count: number, windows: Array<{hours: number, preceded: number, share: number, coverage: number, ratio: number}>, lags: number[]}>}|null}
+ */
+export function lagAnalysis(episodes, exposures, { now = new Date(), days = 180, windows = LAG_WINDOWS } = {}) {
+  const end = now.getTime();
+  const longest = Math.max(...windows);
+  const inRange = exposures
+    .map(e => ({ ...e, ms: new Date(e.time).getTime() }))
+    .filter(e => e.ms <= end && e.ms >= end - days * 24 * HOUR_MS);
+  if (inRange.length === 0) return null;
+  const start = Math.min(...inRange.map(e => e.ms));
+  const onsets = episodes.map(ep => new Date(ep.datetime).getTime()).filter(t => t >= start && t <= end);
+  const byName = new Map();
+  inRange.sort((a, b) => a.ms - b.ms).forEach(e => {
+    const key = e.name.trim().toLowerCase();
+    const entry = byName.get(key) || { name: key, label: e.name.trim(), times: [] };
+    entry.label = e.name.trim();
+    entry.times.push(e.ms);
+    byName.set(key, entry);
+  });
+  return {
+    from: new Date(start),
+    episodes: onsets.length,
+    exposures: [...byName.values()].map(({ name, label, times }) => {
+      // hours since the latest exposure at or before each onset
+      const since = onsets.map(t => {
+        const before = times.filter(ms => ms <= t);
+        return before.length ? (t - before[before.length - 1]) / HOUR_MS : Infinity;
+      });
+      return {
+        name,
+        label,
+        count: times.length,
+        windows: windows.map(hours => {
+          const preceded = since.filter(h => h <= hours).length;
+          const share = onsets.length ? preceded / onsets.length : 0;
+          const coverage = covered(times, hours * HOUR_MS, start, end) / Math.max(end - start, HOUR_MS);
+          return { hours, preceded, share, coverage, ratio: coverage > 0 ? share / coverage : 0 };
+        }),
+        lags: since.filter(h => h <= longest)
+      };
+    }).sort((a, b) => b.count - a.count)
+  };
+}
+
+// milliseconds between `start` and `end` within `length` after any of `times` (sorted)
+function covered(times, length, start, end) {
+  let total = 0;
+  let reach = start;
+  times.forEach(t => {
+    const from = Math.max(t, reach);
+    const to = Math.min(t + length, end);
+    if (to > from) total += to - from;
+    reach = Math.max(reach, t + length);
+  });
+  return total;
+}
+
@@ -0,0 +1,102 @@
+/* insights.js
+ *
+ * History of the insights shown on the Insights tab. Suggestions are
+ * worked out afresh from the records each time (see patterns.js); this
+ * remembers each one, keyed by the rule that made it and its title, so
+ * it can be dismissed, snoozed and told apart when it is new:
+ *
+ *   { id: 'medication-overuse:Possible medication overuse', ruleId, title,
+ *     message, firstSeen, lastSeen, dismissedAt, snoozedUntil }
+ *
+ * `message` is the latest wording, as the numbers in it change from day
+ * to day. Times are ISO strings; `dismissedAt` and `snoozedUntil` are
+ * null unless set. Pure functions only.
+ */
+
+import { dayOf } from './dates.js';
+
+// how long a snoozed insight stays hidden
+export const SNOOZE_DAYS = 7;
+
+/** @param {{ruleId?: string, title: string}} suggestion */
+export function insightId(suggestion) {
+  return `${suggestion.ruleId || 'other'}:${suggestion.title}`;
+}
+
+/** @param {object} record */
+export function insightErrors(record) {
+  if (!record || typeof record !== 'object') return [{ field: 'insight', message: 'Insight must be an object' }];
+  const errors = [];
+  const isTime = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+  if (typeof record.title !== 'string' || !record.title) errors.push({ field: 'title', message: 'Title is required' });
+  if (typeof record.message !== 'string') errors.push({ field: 'message', message: 'Message must be text' });
+  if (!isTime(record.firstSeen)) errors.push({ field: 'firstSeen', message: 'First seen time is required' });
+  if (!isTime(record.lastSeen)) errors.push({ field: 'lastSeen', message: 'Last seen time is required' });
+  if (record.dismissedAt != null && !isTime(record.dismissedAt)) errors.push({ field: 'dismissedAt', message: 'Dismissed time is invalid' });
+  if (record.snoozedUntil != null && !isTime(record.snoozedUntil)) errors.push({ field: 'snoozedUntil', message: 'Snooze end is invalid' });
+  return errors;
+}
+
+/**
+ * The history records to write after `suggestions` were shown at `now`:
+ * new ones, and known ones whose wording changed or that were last seen
+ * on an earlier day. Unchanged records are left out, so showing the
+ * same insights again the same day writes nothing.
+ * @param {object[]} history
+ * @param {Array<{ruleId?: string, title: string, message: string}>} suggestions
+ * @param {Date} [now]
+ * @returns {object[]}
+ */
+export function updateHistory(history, suggestions, now = new Date()) {
+  const known = new Map(history.map(r => [r.id, r]));
+  const time = now.toISOString();
+  const changed = [];
+  suggestions.forEach(s => {
+    const id = insightId(s);
+    const record = known.get(id);
+    if (!record) {
+      const added = { id, ruleId: s.ruleId || null, title: s.title, message: s.message, firstSeen: time, lastSeen: time, dismissedAt: null, snoozedUntil: null };
+      known.set(id, added);
+      changed.push(added);
+    } else if (record.message !== s.message || dayOf(new Date(record.lastSeen)) !== dayOf(now)) {
+      changed.push({ ...record, message: s.message, lastSeen: time });
+    }
+  });
+  return changed;
+}
+
+/** Whether a dismissed or snoozed insight should stay out of sight at `now`. */
+export function isHidden(record, now = new Date()) {
+  return !!record && (!!record.dismissedAt || (!!record.snoozedUntil && new Date(record.snoozedUntil) > now));
+}
+
+/**
+ * Whether an insight counts as new for someone who last looked at the
+ * Insights tab at `seenAt`: it was first seen since, or its snooze ran
+ * out since. Everything is new before the first visit.
+ * @param {object} record
+ * @param {string|null} seenAt
+ * @param {Date} [now]
+ */
+export function isNew(record, seenAt, now = new Date()) {
+  if (!record || isHidden(record, now)) return false;
+  if (!seenAt) return true;
+  if (record.firstSeen > seenAt) return true;
+  return !!record.snoozedUntil && record.snoozedUntil > seenAt && new Date(record.snoozedUntil) <= now;
+}
+
+/**
+ * The record for `suggestion` snoozed for `days` from `now`, or
+ * dismissed when `days` is omitted. Creates the record if the insight
+ * isn't in the history yet.
+ * @param {object|undefined} record
+ * @param {{ruleId?: string, title: string, message: string}} suggestion
+ * @param {{now?: Date, days?: number}} [options]
+ */
+export function hideInsight(record, suggestion, { now = new Date(), days } = {}) {
+  const time = now.toISOString();
+  const base = record || { id: insightId(suggestion), ruleId: suggestion.ruleId || null, title: suggestion.title, message: suggestion.message, firstSeen: time, lastSeen: time };
+  if (days === undefined) return { ...base, dismissedAt: time, snoozedUntil: null };
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  return { ...base, dismissedAt: null, snoozedUntil: until.toISOString() };
+}
@@ -0,0 +1,119 @@
+/* lifestyle.js
+ *
+ * Daily lifestyle factors logged with the check-in, so exposure is
+ * known on days without an attack too. They are stored on the diary
+ * entry (see diary.js) as numbers, each one optional:
+ *
+ *   lifestyle: { sleepHours: 6.5, sleepQuality: 2, caffeine: 3, water: 6,
+ *                stress: 7, alcohol: 0, exercise: 30, screenHours: 9 }
+ *
+ * lifestyleAnalysis compares each factor on days before a migraine with
+ * days not followed by one. Pure functions only.
+ */
+
+import { episodeDays } from './ongoing.js';
+import { dayOf, parseDay } from './dates.js';
+
+export const LIFESTYLE_FACTORS = [
+  { id: 'sleepHours', label: 'Sleep', unit: 'hours', min: 0, max: 24, step: 0.5 },
+  { id: 'sleepQuality', label: 'Sleep quality', unit: 'out of 5', min: 1, max: 5, step: 1 },
+  { id: 'caffeine', label: 'Caffeine', unit: 'cups', min: 0, max: 20, step: 1 },
+  { id: 'water', label: 'Water', unit: 'glasses', min: 0, max: 30, step: 1 },
+  { id: 'stress', label: 'Stress', unit: 'out of 10', min: 0, max: 10, step: 1 },
+  { id: 'alcohol', label: 'Alcohol', unit: 'drinks', min: 0, max: 30, step: 1 },
+  { id: 'exercise', label: 'Exercise', unit: 'minutes', min: 0, max: 600, step: 1 },
+  { id: 'screenHours', label: 'Screen time', unit: 'hours', min: 0, max: 24, step: 0.5 }
+];
+
+// both groups need this many logged days before they are compared
+export const MIN_LIFESTYLE_DAYS = 5;
+// a difference counts as meaningful at a medium effect size (Cohen's d)
+// that is also unlikely to be chance (|t| of about p < 0.05)
+export const MIN_EFFECT_SIZE = 0.5;
+const MIN_T = 2;
+
+/**
+ * Problems with a check-in's lifestyle values, in the same shape as
+ * validateEpisode's.
+ * @param {object} lifestyle
+ */
+export function lifestyleErrors(lifestyle) {
+  if (!lifestyle || typeof lifestyle !== 'object' || Array.isArray(lifestyle)) {
+    return [{ field: 'lifestyle', message: 'Lifestyle factors must be an object' }];
+  }
+  const errors = [];
+  Object.entries(lifestyle).forEach(([id, value]) => {
+    const factor = LIFESTYLE_FACTORS.find(f => f.id === id);
+    if (!factor) {
+      errors.push({ field: 'lifestyle', message: `Unknown lifestyle factor "${id}"` });
+    } else if (typeof value !== 'number' || !Number.isInteger(value / factor.step) || value < factor.min || value > factor.max) {
+      const steps = factor.step === 1 ? 'a whole number' : `a number in steps of ${factor.step}`;
+      errors.push({ field: id, message: `${factor.label} must be ${steps} from ${factor.min} to ${factor.max}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Compare each lifestyle factor on days followed by the start of a
+ * migraine with days that weren't, over the check-ins from the last
+ * `days` days. Days an attack was already going are left out, as an
+ * attack changes sleep, exercise and the rest by itself, and so is
+ * today, whose next day isn't known yet. Every factor with values is
+ * listed; `meaningful` marks the differences worth mentioning, by
+ * default those of at least MIN_EFFECT_SIZE with MIN_LIFESTYLE_DAYS in
+ * each group.
+ * @param {Episode[]} episodes
+ * @param {object[]} diary
+ * @param {{now?: Date, days?: number, minDays?: number, minEffectSize?: number}} [options]
+ * @returns {Array<{id: string, label: string, unit: string, before: {days: number, mean: number}, other: {days: number, mean: number}, effectSize: number, meaningful: boolean}>}
+ */
+export function lifestyleAnalysis(episodes, diary, { now = new Date(), days = 180, minDays = MIN_LIFESTYLE_DAYS, minEffectSize = MIN_EFFECT_SIZE } = {}) {
+  const today = dayOf(now);
+  const since = parseDay(today);
+  since.setDate(since.getDate() - days);
+  const onsets = new Set(episodes.map(ep => dayOf(new Date(ep.datetime))));
+  const attackDays = new Set(episodes.flatMap(ep => episodeDays(ep, now)));
+  const entries = diary.filter(e => e.lifestyle && e.date >= dayOf(since) && e.date < today && !attackDays.has(e.date));
+  return LIFESTYLE_FACTORS.map(factor => {
+    const before = [];
+    const other = [];
+    entries.forEach(e => {
+      const value = e.lifestyle[factor.id];
+      if (typeof value !== 'number') return;
+      (onsets.has(nextDay(e.date)) ? before : other).push(value);
+    });
+    if (before.length + other.length === 0) return null;
+    const a = stats(before);
+    const b = stats(other);
+    const diff = a.mean - b.mean;
+    const pooled = Math.sqrt(((a.n - 1) * a.variance + (b.n - 1) * b.variance) / Math.max(a.n + b.n - 2, 1));
+    const se = Math.sqrt(a.variance / Math.max(a.n, 1) + b.variance / Math.max(b.n, 1));
+    const ratio = (d, s) => (d === 0 ? 0 : s === 0 ? Math.sign(d) * Infinity : d / s);
+    const effectSize = ratio(diff, pooled);
+    const enough = a.n >= minDays && b.n >= minDays;
+    return {
+      id: factor.id,
+      label: factor.label,
+      unit: factor.unit,
+      before: { days: a.n, mean: a.mean },
+      other: { days: b.n, mean: b.mean },
+      effectSize,
+      meaningful: enough && Math.abs(effectSize) >= minEffectSize && Math.abs(ratio(diff, se)) >= MIN_T
+    };
+  }).filter(Boolean);
+}
+
+function nextDay(day) {
+  const d = parseDay(day);
+  d.setDate(d.getDate() + 1);
+  return dayOf(d);
+}
+
+// count, mean and sample variance
+function stats(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { n, mean, variance };
+}
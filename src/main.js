@@ -8,7 +8,16 @@ import { initApp } from './app.js';
 import { initUI } from './ui.js';
 
 // Wait until DOM content is ready
-document.addEventListener('DOMContentLoaded', () => {
-  initApp();
+document.addEventListener('DOMContentLoaded', async () => {
+  // storage is async, so load state before the first render
+  try {
+    await initApp();
+  } catch (err) {
+    // e.g. data written by a newer version of the app; don't touch it
+    const root = document.getElementById('app');
+    if (root) root.textContent = `Unable to load your data: ${err.message}`;
+    console.error(err);
+    return;
+  }
   initUI();
 });
@@ -0,0 +1,246 @@
+/* medications.js
+ *
+ * A small local catalogue of acute migraine medications. Episodes only
+ * store the name the user typed, so the class is looked up from the
+ * name whenever it's needed: by brand or generic name, or by a suffix
+ * such as "-triptan". Each class has its own overuse limit in days per
+ * month, following the usual guidance (10+ days for triptans, opioids,
+ * ergots and combination analgesics, 15+ days for simple analgesics).
+ * Classes without an established limit have `overuseDays: null`, and
+ * the simple analgesics are marked `simple`.
+ *
+ * A dose can also record when it was taken and how much it helped:
+ *
+ *   { name, doseMg, takenAt, relief2h, relief24h, reliefMinutes }
+ *
+ * where the ratings are RELIEF_LEVELS ids and `reliefMinutes` is how
+ * long it took to start working. "Much better" or "pain free" at two
+ * hours counts as a response.
+ */
+
+import { dayOf } from './dates.js';
+
+export const MEDICATION_CLASSES = [
+  { id: 'triptan', label: 'Triptans', overuseDays: 10 },
+  { id: 'ergot', label: 'Ergotamines', overuseDays: 10 },
+  { id: 'opioid', label: 'Opioids', overuseDays: 10 },
+  { id: 'combination', label: 'Combination analgesics', overuseDays: 10 },
+  { id: 'nsaid', label: 'NSAIDs', overuseDays: 15, simple: true },
+  { id: 'paracetamol', label: 'Paracetamol', overuseDays: 15, simple: true },
+  { id: 'gepant', label: 'Gepants', overuseDays: null },
+  { id: 'ditan', label: 'Ditans', overuseDays: null },
+  { id: 'antiemetic', label: 'Anti-sickness', overuseDays: null },
+  // anything not in the catalogue is held to the strictest limit
+  { id: 'other', label: 'Other medication', overuseDays: 10 }
+];
+
+export const MEDICATION_CATALOGUE = [
+  { name: 'Sumatriptan', classId: 'triptan', aliases: ['Imitrex', 'Imigran'] },
+  { name: 'Rizatriptan', classId: 'triptan', aliases: ['Maxalt'] },
+  { name: 'Zolmitriptan', classId: 'triptan', aliases: ['Zomig'] },
+  { name: 'Eletriptan', classId: 'triptan', aliases: ['Relpax'] },
+  { name: 'Naratriptan', classId: 'triptan', aliases: ['Amerge', 'Naramig'] },
+  { name: 'Almotriptan', classId: 'triptan', aliases: ['Axert', 'Almogran'] },
+  { name: 'Frovatriptan', classId: 'triptan', aliases: ['Frova', 'Migard'] },
+  { name: 'Ergotamine', classId: 'ergot', aliases: ['Cafergot'] },
+  { name: 'Dihydroergotamine', classId: 'ergot', aliases: ['DHE', 'Migranal', 'Trudhesa'] },
+  { name: 'Codeine', classId: 'opioid', aliases: [] },
+  { name: 'Co-codamol', classId: 'opioid', aliases: ['Tylenol with codeine'] },
+  { name: 'Tramadol', classId: 'opioid', aliases: ['Ultram'] },
+  { name: 'Excedrin', classId: 'combination', aliases: ['Excedrin Migraine', 'Anadin Extra'] },
+  { name: 'Fioricet', classId: 'combination', aliases: ['Butalbital'] },
+  { name: 'Ibuprofen', classId: 'nsaid', aliases: ['Advil', 'Motrin', 'Nurofen'] },
+  { name: 'Naproxen', classId: 'nsaid', aliases: ['Aleve', 'Naprosyn'] },
+  { name: 'Diclofenac', classId: 'nsaid', aliases: ['Voltaren', 'Cambia'] },
+  { name: 'Aspirin', classId: 'nsaid', aliases: ['Acetylsalicylic acid'] },
+  { name: 'Paracetamol', classId: 'paracetamol', aliases: ['Acetaminophen', 'Tylenol', 'Panadol'] },
+  { name: 'Ubrogepant', classId: 'gepant', aliases: ['Ubrelvy'] },
+  { name: 'Rimegepant', classId: 'gepant', aliases: ['Nurtec', 'Vydura'] },
+  { name: 'Zavegepant', classId: 'gepant', aliases: ['Zavzpret'] },
+  { name: 'Lasmiditan', classId: 'ditan', aliases: ['Reyvow'] },
+  { name: 'Metoclopramide', classId: 'antiemetic', aliases: ['Reglan', 'Maxolon'] },
+  { name: 'Domperidone', classId: 'antiemetic', aliases: ['Motilium'] },
+  { name: 'Prochlorperazine', classId: 'antiemetic', aliases: ['Stemetil', 'Compazine'] }
+];
+
+const SUFFIXES = [
+  ['triptan', 'triptan'],
+  ['gepant', 'gepant'],
+  ['ditan', 'ditan']
+];
+
+/**
+ * The catalogue entry for a medication name, matched case-insensitively
+ * against names and aliases.
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function findMedication(name) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+  return (
+    MEDICATION_CATALOGUE.find(
+      entry => entry.name.toLowerCase() === key || entry.aliases.some(a => a.toLowerCase() === key)
+    ) || null
+  );
+}
+
+/**
+ * The class a medication belongs to; 'other' when it isn't recognised.
+ * @param {string} name
+ * @returns {string} class id
+ */
+export function classifyMedication(name) {
+  const entry = findMedication(name);
+  if (entry) return entry.classId;
+  const key = String(name || '').trim().toLowerCase();
+  const suffix = SUFFIXES.find(([end]) => key.endsWith(end));
+  return suffix ? suffix[1] : 'other';
+}
+
+/** @param {string} id */
+export function medicationClass(id) {
+  return MEDICATION_CLASSES.find(c => c.id === id) || MEDICATION_CLASSES[MEDICATION_CLASSES.length - 1];
+}
+
+/**
+ * Names to offer while typing: the catalogue plus anything the user has
+ * logged before that isn't in it, sorted alphabetically.
+ * @param {Episode[]} [episodes]
+ * @returns {string[]}
+ */
+export function medicationSuggestions(episodes = []) {
+  const names = new Map();
+  MEDICATION_CATALOGUE.forEach(entry => {
+    [entry.name, ...entry.aliases].forEach(n => names.set(n.toLowerCase(), n));
+  });
+  episodes.forEach(ep => {
+    (ep.medications || []).forEach(m => {
+      const name = String(m.name || '').trim();
+      if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+    });
+  });
+  return [...names.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Local days on which each class of medication was taken between `from`
+ * (inclusive) and `to` (exclusive), with the class's overuse limit.
+ * Classes that weren't taken are left out.
+ * @param {Episode[]} episodes
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{classId: string, label: string, days: number, overuseDays: number|null, overused: boolean}>}
+ */
+export function medicationDaysByClass(episodes, from, to) {
+  const days = {};
+  episodes.forEach(ep => {
+    const when = new Date(ep.datetime);
+    if (when < from || when >= to) return;
+    (ep.medications || []).forEach(m => {
+      const classId = classifyMedication(m.name);
+      days[classId] = days[classId] || new Set();
+      days[classId].add(dayOf(when));
+    });
+  });
+  return MEDICATION_CLASSES.filter(c => days[c.id]).map(c => ({
+    classId: c.id,
+    label: c.label,
+    days: days[c.id].size,
+    overuseDays: c.overuseDays,
+    overused: c.overuseDays !== null && days[c.id].size >= c.overuseDays
+  }));
+}
+
+export const RELIEF_LEVELS = [
+  { id: 'none', label: 'No relief' },
+  { id: 'some', label: 'A little better' },
+  { id: 'good', label: 'Much better' },
+  { id: 'painFree', label: 'Pain free' }
+];
+
+// hours after a dose at which to ask how well it worked
+export const FOLLOW_UP_HOURS = 2;
+
+/** @param {string} level - a RELIEF_LEVELS id */
+export function isResponse(level) {
+  return level === 'good' || level === 'painFree';
+}
+
+/**
+ * When to ask about a dose, or null when it has no time or has already
+ * been rated.
+ * @param {{takenAt?: string, relief2h?: string}} medication
+ * @returns {Date|null}
+ */
+export function followUpDue(medication) {
+  if (!medication.takenAt || medication.relief2h !== undefined) return null;
+  return new Date(new Date(medication.takenAt).getTime() + FOLLOW_UP_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Doses waiting for a 2-hour rating: due by `now` and taken within the
+ * last day, so old unrated doses don't keep asking.
+ * @param {Episode[]} episodes
+ * @param {Date} [now]
+ * @returns {Array<{episode: Episode, index: number, medication: object, due: Date}>}
+ */
+export function pendingFollowUps(episodes, now = new Date()) {
+  const oldest = now.getTime() - 24 * 60 * 60 * 1000;
+  const pending = [];
+  episodes.forEach(episode => {
+    (episode.medications || []).forEach((medication, index) => {
+      const due = followUpDue(medication);
+      if (due && due <= now && new Date(medication.takenAt).getTime() >= oldest) {
+        pending.push({ episode, index, medication, due });
+      }
+    });
+  });
+  return pending.sort((a, b) => a.due - b.due);
+}
+
+/**
+ * How well each medication has worked, from its rated doses. Names are
+ * grouped by catalogue entry, so brand and generic names count together.
+ * Sorted by response rate, then by how quickly relief came.
+ * @param {Episode[]} episodes
+ * @returns {Array<{name: string, classId: string, doses: number, rated: number, responses: number, responseRate: number|null, medianReliefMinutes: number|null}>}
+ */
+export function medicationEffectiveness(episodes) {
+  const byName = new Map();
+  episodes.forEach(ep => {
+    (ep.medications || []).forEach(m => {
+      const entry = findMedication(m.name);
+      const name = entry ? entry.name : String(m.name || '').trim();
+      if (!name) return;
+      const key = name.toLowerCase();
+      if (!byName.has(key)) byName.set(key, { name, classId: classifyMedication(name), doses: 0, ratings: [], minutes: [] });
+      const stats = byName.get(key);
+      stats.doses += 1;
+      if (m.relief2h !== undefined) stats.ratings.push(m.relief2h);
+      if (typeof m.reliefMinutes === 'number') stats.minutes.push(m.reliefMinutes);
+    });
+  });
+  return [...byName.values()]
+    .map(({ ratings, minutes, ...stats }) => {
+      const responses = ratings.filter(isResponse).length;
+      return {
+        ...stats,
+        rated: ratings.length,
+        responses,
+        responseRate: ratings.length ? responses / ratings.length : null,
+        medianReliefMinutes: median(minutes)
+      };
+    })
+    .sort((a, b) =>
+      (b.responseRate ?? -1) - (a.responseRate ?? -1) ||
+      (a.medianReliefMinutes ?? Infinity) - (b.medianReliefMinutes ?? Infinity) ||
+      b.rated - a.rated);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
@@ -0,0 +1,93 @@
+/* merge.js
+ *
+ * Conflict-aware merging of imported episodes into local data. Each
+ * episode carries createdAt/updatedAt timestamps; when both sides have
+ * a record with the same id the more recently updated one wins. Records
+ * that differ but carry the same (or no) updatedAt are true conflicts
+ * and are left for the user to decide. Nothing here touches storage:
+ * planMerge describes what would happen so it can be shown first.
+ */
+
+/**
+ * @typedef {Object} MergePlan
+ * @property {Episode[]} added - incoming episodes with no local counterpart
+ * @property {Array<{local: Episode, incoming: Episode}>} updated - incoming is newer
+ * @property {Array<{local: Episode, incoming: Episode, reason: string}>} skipped
+ * @property {Array<{local: Episode, incoming: Episode}>} conflicts - same updatedAt, different content
+ * @property {Array<{key: string, local: any, incoming: any}>} settingsChanges
+ */
+
+/**
+ * Work out how incoming episodes and settings would merge into local data.
+ * @param {Episode[]} local - every local episode, trashed ones included
+ * @param {Episode[]} incoming
+ * @param {object|null} [localSettings]
+ * @param {object|null} [incomingSettings]
+ * @returns {MergePlan}
+ */
+export function planMerge(local, incoming, localSettings = null, incomingSettings = null) {
+  const plan = { added: [], updated: [], skipped: [], conflicts: [], settingsChanges: [] };
+  const byId = new Map(local.map(e => [e.id, e]));
+  incoming.forEach(inc => {
+    const loc = inc.id ? byId.get(inc.id) : undefined;
+    if (!loc) {
+      plan.added.push(inc);
+    } else if (sameContent(loc, inc)) {
+      plan.skipped.push({ local: loc, incoming: inc, reason: 'identical' });
+    } else {
+      const cmp = compareTimestamps(inc.updatedAt, loc.updatedAt);
+      if (cmp > 0) plan.updated.push({ local: loc, incoming: inc });
+      else if (cmp < 0) plan.skipped.push({ local: loc, incoming: inc, reason: 'local copy is newer' });
+      else plan.conflicts.push({ local: loc, incoming: inc });
+    }
+  });
+  if (localSettings && incomingSettings) {
+    Object.keys(incomingSettings).forEach(key => {
+      if (stableStringify(localSettings[key]) !== stableStringify(incomingSettings[key])) {
+        plan.settingsChanges.push({ key, local: localSettings[key], incoming: incomingSettings[key] });
+      }
+    });
+  }
+  return plan;
+}
+
+/**
+ * The episodes to write for a plan: added and updated ones, plus the
+ * incoming side of each conflict the user resolved that way. Conflicts
+ * without a resolution keep the local copy.
+ * @param {MergePlan} plan
+ * @param {Object<string, 'local'|'incoming'>} [resolutions] - by episode id
+ * @returns {Episode[]}
+ */
+export function episodesToWrite(plan, resolutions = {}) {
+  return [
+    ...plan.added,
+    ...plan.updated.map(u => u.incoming),
+    ...plan.conflicts.filter(c => resolutions[c.incoming.id] === 'incoming').map(c => c.incoming)
+  ];
+}
+
+// Records are the same if everything but their timestamps matches.
+function sameContent(a, b) {
+  const strip = ({ createdAt, updatedAt, ...rest }) => rest;
+  return stableStringify(strip(a)) === stableStringify(strip(b));
+}
+
+// Missing timestamps compare equal to each other and older than any real one.
+function compareTimestamps(a, b) {
+  const ta = a ? new Date(a).getTime() : 0;
+  const tb = b ? new Date(b).getTime() : 0;
+  return Math.sign((ta || 0) - (tb || 0));
+}
+
+// JSON.stringify with object keys sorted, so key order doesn't matter
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,136 @@
+/* ongoing.js
+ *
+ * Episodes that are still in progress. Instead of guessing a duration
+ * up front, an episode can be started now (`ongoing: true`, no
+ * `durationMinutes`), have intensity readings added while it lasts and
+ * be ended later, which fills in the duration. `intensity` always holds
+ * the peak so far and `intensityLog` the individual readings. Pure
+ * functions only; app.js stores the results.
+ */
+
+import { dayOf, parseDay } from './dates.js';
+
+/** @param {Episode} episode */
+export function isOngoing(episode) {
+  return Boolean(episode) && episode.ongoing === true;
+}
+
+/**
+ * The episode currently in progress, if any (the latest to start).
+ * @param {Episode[]} episodes
+ * @returns {Episode|null}
+ */
+export function findOngoing(episodes) {
+  return episodes
+    .filter(isOngoing)
+    .reduce((latest, ep) => (!latest || ep.datetime > latest.datetime ? ep : latest), null);
+}
+
+/**
+ * Turn form data into a started episode. The first intensity reading
+ * is taken at onset.
+ * @param {Partial<Episode>} data - datetime defaults to now
+ * @param {Date} [now]
+ */
+export function startedEpisode(data, now = new Date()) {
+  const { durationMinutes, endedAt, ...rest } = data;
+  const datetime = data.datetime || now.toISOString();
+  return {
+    ...rest,
+    datetime,
+    ongoing: true,
+    intensityLog: [{ at: datetime, intensity: data.intensity }]
+  };
+}
+
+/**
+ * Add an intensity reading; the episode's intensity becomes the peak.
+ * @param {Episode} episode
+ * @param {number} intensity
+ * @param {Date} [now]
+ */
+export function withIntensityReading(episode, intensity, now = new Date()) {
+  const log = [...(episode.intensityLog || []), { at: now.toISOString(), intensity }];
+  return { ...episode, intensity: Math.max(...log.map(r => r.intensity)), intensityLog: log };
+}
+
+/**
+ * End an episode, computing its duration from onset to `at`.
+ * @param {Episode} episode
+ * @param {Date} [at]
+ */
+export function endedEpisode(episode, at = new Date()) {
+  return {
+    ...episode,
+    ongoing: false,
+    endedAt: at.toISOString(),
+    durationMinutes: Math.max(1, elapsedMinutes(episode, at))
+  };
+}
+
+/**
+ * The changes to save when an episode is edited in the log form. Form
+ * data for an ongoing episode has `ongoing: true` and no duration. An
+ * ongoing episode whose "Still going" box was unticked is ended at onset
+ * plus the duration entered; a finished episode that records when it
+ * ended keeps `endedAt` in step with its onset and duration. A finished
+ * episode is never reopened. Changing the intensity of an episode with
+ * readings corrects the peak reading, and caps the others, so the peak
+ * stays the highest reading.
+ * @param {Episode} episode - as stored
+ * @param {Partial<Episode>} data - from the form
+ */
+export function editedEpisode(episode, data) {
+  const log = episode.intensityLog || [];
+  if (log.length && data.intensity !== episode.intensity) {
+    const peakAt = log.reduce((best, r, i) => (r.intensity > log[best].intensity ? i : best), 0);
+    const intensityLog = log.map((r, i) => ({ ...r, intensity: i === peakAt ? data.intensity : Math.min(r.intensity, data.intensity) }));
+    data = { ...data, intensityLog };
+  }
+  if (isOngoing(episode) && data.ongoing) return data;
+  const { ongoing, ...rest } = data;
+  const updates = isOngoing(episode) ? { ...rest, ongoing: false } : rest;
+  if (isOngoing(episode) || episode.endedAt) {
+    const onset = new Date(updates.datetime || episode.datetime);
+    updates.endedAt = new Date(onset.getTime() + updates.durationMinutes * 60000).toISOString();
+  }
+  return updates;
+}
+
+/**
+ * Whole minutes since onset.
+ * @param {Episode} episode
+ * @param {Date} [now]
+ */
+export function elapsedMinutes(episode, now = new Date()) {
+  return Math.max(0, Math.round((now - new Date(episode.datetime)) / 60000));
+}
+
+/**
+ * The days an episode was going, from onset to its end (or `now` while
+ * it is ongoing).
+ * @param {Episode} episode
+ * @param {Date} [now]
+ * @returns {string[]}
+ */
+export function episodeDays(episode, now = new Date()) {
+  const start = new Date(episode.datetime);
+  const end = isOngoing(episode) ? now : new Date(start.getTime() + Number(episode.durationMinutes || 0) * 60 * 1000);
+  const days = [];
+  for (let d = parseDay(dayOf(start)); d <= end; d.setDate(d.getDate() + 1)) {
+    days.push(dayOf(d));
+  }
+  return days;
+}
+
+/**
+ * When an open episode should prompt a reminder, or null when it
+ * shouldn't (not ongoing, or reminders off with `hours` <= 0).
+ * @param {Episode} episode
+ * @param {number} hours
+ * @returns {Date|null}
+ */
+export function reminderDue(episode, hours) {
+  if (!isOngoing(episode) || !(hours > 0)) return null;
+  return new Date(new Date(episode.datetime).getTime() + hours * 60 * 60 * 1000);
+}
@@ -2,75 +2,226 @@
  * Implements simple rule-based heuristics to surface behavioural patterns
  * in the user's migraine episodes. No machine learning is used – instead
  * we compute statistics over recent episodes and return gentle suggestions.
+ * Ongoing episodes count towards frequency and timing, but their peak
+ * intensity isn't known yet, so the intensity rules leave them out.
+ * Preventive treatments and their dose log can be passed in `options`
+ * to compare migraines before and after each one started, daily
+ * check-ins to count migraine and headache-free days, compare the
+ * lifestyle factors logged with them before attacks and other days and
+ * tell triggers that go with attacks from everyday ones, menstrual
+ * periods to look for attacks clustering around them, imported weather
+ * readings to look for attacks after pressure drops, and exposures
+ * logged as they happen to find those that often come in the hours
+ * before an attack.
+ *
+ * The analysis runs as of `now`, ignoring anything recorded after it,
+ * so it can show what the insights were at a past date. Rules about
+ * recent episodes in general look back `windowDays`; those tied to a
+ * set period, like a month's medication days or a week-on-week change,
+ * keep their own.
+ *
+ * Each rule is registered with rules.js, with an id, a description and
+ * its thresholds as parameters, so users can turn rules off or adjust
+ * them and other modules can add their own.
  */
 
-export function analysePatterns(episodes) {
+import { isOngoing } from './ongoing.js';
+import { AURA_TYPES, hasAura, auraToHeadacheMinutes } from './phases.js';
+import { symptomFeatures, hasSymptoms } from './symptoms.js';
+import { MEDICATION_CLASSES, medicationDaysByClass, medicationEffectiveness } from './medications.js';
+import { compareBeforeAfter, adherence } from './preventives.js';
+import { parseDay, dayOf } from './dates.js';
+import { dayStatuses } from './diary.js';
+import { perimenstrualAnalysis } from './cycles.js';
+import { lifestyleAnalysis, MIN_LIFESTYLE_DAYS, MIN_EFFECT_SIZE } from './lifestyle.js';
+import { triggerComparison, MIN_CHECK_IN_DAYS, MIN_EXPOSED_DAYS, MIN_ATTACK_DAYS } from './triggers.js';
+import { lagAnalysis, LAG_WINDOWS } from './exposures.js';
+import { pressureDropAnalysis, PRESSURE_DROP_HPA, PRESSURE_WINDOW_HOURS } from './weather.js';
+import { registerRule, listRules, ruleSettings } from './rules.js';
+
+export { registerRule, unregisterRule, listRules, getRule } from './rules.js';
+
+// how far back rules about recent episodes look by default
+export const DEFAULT_WINDOW_DAYS = 30;
+
+/**
+ * Run every enabled rule over the episodes as of `now`. `rules` is the
+ * user's `insightRules` setting (see rules.js). A rule that throws is
+ * skipped so one broken rule can't hide the rest. Each suggestion notes
+ * the rule it came from as `ruleId`.
+ * @param {Episode[]} episodes
+ * @param {{preventives?: object[], doseLog?: object[], diary?: object[], periods?: object[], weather?: object[], exposures?: object[], rules?: object, now?: Date, windowDays?: number}} [options]
+ * @returns {Array<{title: string, message: string, ruleId: string}>}
+ */
+export function analysePatterns(episodes, {
+  preventives = [], doseLog = [], diary = [], periods = [], weather = [], exposures = [], rules = {}, now = new Date(), windowDays = DEFAULT_WINDOW_DAYS
+} = {}) {
   const suggestions = [];
-  if (!Array.isArray(episodes) || episodes.length === 0) return suggestions;
-  const now = new Date();
+  if (!Array.isArray(episodes)) return suggestions;
+  // leave out everything recorded after `now`
+  const today = dayOf(now);
+  const until = now.toISOString();
+  const known = episodes.filter(ep => new Date(ep.datetime) <= now);
+  const context = buildContext(known, {
+    preventives: preventives.filter(p => p.startDate <= today),
+    doseLog: doseLog.filter(d => d.date <= today),
+    diary: diary.filter(e => e.date <= today),
+    periods: periods.filter(p => p.startDate <= today),
+    weather: weather.filter(r => r.time <= until),
+    exposures: exposures.filter(e => new Date(e.time) <= now),
+    now,
+    windowDays
+  });
+  listRules().forEach(rule => {
+    const { enabled, params } = ruleSettings(rule, rules);
+    if (!enabled) return;
+    let result;
+    try {
+      result = rule.run(context, params);
+    } catch (err) {
+      console.warn(`Insight rule "${rule.id}" failed`, err);
+      return;
+    }
+    [].concat(result || []).forEach(s => suggestions.push({ ...s, ruleId: rule.id }));
+  });
+  return suggestions;
+}
 
-  function inLastDays(days) {
-    const cutoff = new Date(now);
-    cutoff.setDate(cutoff.getDate() - days);
-    return episodes.filter(ep => new Date(ep.datetime) >= cutoff);
-  }
+// What rules get to work with: the records plus shared helpers.
+function buildContext(episodes, { preventives, doseLog, diary, periods, weather, exposures, now, windowDays }) {
+  return {
+    episodes,
+    preventives,
+    doseLog,
+    diary,
+    periods,
+    weather,
+    exposures,
+    now,
+    windowDays,
+    /** Episodes that started in the last `days` days. */
+    inLastDays(days) {
+      const cutoff = new Date(now);
+      cutoff.setDate(cutoff.getDate() - days);
+      return episodes.filter(ep => new Date(ep.datetime) >= cutoff);
+    },
+    /** Leave out ongoing episodes, whose peak intensity isn't known yet. */
+    settled(eps) {
+      return eps.filter(ep => !isOngoing(ep));
+    }
+  };
+}
 
-  function capitalize(s) {
-    return !s ? '' : s.charAt(0).toUpperCase() + s.slice(1);
-  }
+function capitalize(s) {
+  return !s ? '' : s.charAt(0).toUpperCase() + s.slice(1);
+}
 
-  function computeStreak(eps) {
-    if (eps.length === 0) return 0;
-    const dateStrings = [...new Set(eps.map(ep => ep.datetime.slice(0, 10)))]
-      .sort((a, b) => new Date(b) - new Date(a));
-    let streak = 1;
-    for (let i = 0; i < dateStrings.length - 1; i++) {
-      const d1 = new Date(dateStrings[i]);
-      const d2 = new Date(dateStrings[i + 1]);
-      const diff = (d1 - d2) / (1000 * 60 * 60 * 24);
-      if (diff === 1) {
-        streak++;
-      } else {
-        break;
-      }
+function computeStreak(eps) {
+  if (eps.length === 0) return 0;
+  const dateStrings = [...new Set(eps.map(ep => ep.datetime.slice(0, 10)))]
+    .sort((a, b) => new Date(b) - new Date(a));
+  let streak = 1;
+  for (let i = 0; i < dateStrings.length - 1; i++) {
+    const d1 = new Date(dateStrings[i]);
+    const d2 = new Date(dateStrings[i + 1]);
+    const diff = (d1 - d2) / (1000 * 60 * 60 * 24);
+    if (diff === 1) {
+      streak++;
+    } else {
+      break;
     }
-    return streak;
   }
+  return streak;
+}
 
-  function groupBy(array, keyFn) {
-    return array.reduce((acc, item) => {
-      const key = keyFn(item);
-      acc[key] = acc[key] || [];
-      acc[key].push(item);
-      return acc;
-    }, {});
-  }
+function groupBy(array, keyFn) {
+  return array.reduce((acc, item) => {
+    const key = keyFn(item);
+    acc[key] = acc[key] || [];
+    acc[key].push(item);
+    return acc;
+  }, {});
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const pct = rate => Math.round(rate * 100);
 
-  (function topTriggersRule() {
-    const recent = inLastDays(30);
-    if (recent.length === 0) return;
+registerRule({
+  id: 'frequent-triggers',
+  title: 'Triggers',
+  description: 'Triggers reported in a large share of recent episodes and, with daily check-ins, whether migraines start more often on days with them than without.',
+  params: {
+    minShare: { label: 'Share of episodes', unit: '%', default: 25, min: 5, max: 100, step: 5 },
+    minDays: { label: 'Check-ins needed to compare days', unit: 'days', default: MIN_CHECK_IN_DAYS, min: 10, max: 90, step: 1 },
+    minExposedDays: { label: 'Days needed with and without a trigger', unit: 'days', default: MIN_EXPOSED_DAYS, min: 2, max: 30, step: 1 }
+  },
+  run({ episodes, diary, exposures, now, inLastDays, windowDays }, { minShare, minDays, minExposedDays }) {
+    const recent = inLastDays(windowDays);
     const triggerCounts = {};
     recent.forEach(ep => {
       (ep.triggers || []).forEach(t => {
         triggerCounts[t] = (triggerCounts[t] || 0) + 1;
       });
     });
-    const threshold = Math.ceil(recent.length * 0.25);
+    const threshold = Math.ceil(recent.length * minShare / 100);
     const common = Object.entries(triggerCounts)
       .filter(([t, count]) => count >= threshold)
       .map(([t]) => t);
-    if (common.length > 0) {
-      const list = common.map(t => capitalize(t)).join(', ');
-      suggestions.push({
+    const comparison = triggerComparison(episodes, diary, { exposures, now, minDays, minExposedDays });
+    const list = names => names.map(t => capitalize(t)).join(', ');
+    if (!comparison.enough) {
+      if (common.length === 0) return null;
+      const progress = comparison.days === 0
+        ? 'Daily check-ins, on days without a migraine as well, would let the app check whether they really make migraines more likely.'
+        : `To check whether they really make migraines more likely, the app compares days with and without each one. That needs ${minDays} days ` +
+          `with a check-in in the last 3 months, ${MIN_ATTACK_DAYS} of them with a migraine starting; so far there are ${comparison.days} (${comparison.attackDays} with a migraine).`;
+      return {
         title: 'Frequent triggers',
-        message: `You often report triggers like ${list}. Gentle adjustments might help you avoid or mitigate these.`
+        message: `You often report triggers like ${list(common)}. Gentle adjustments might help you avoid or mitigate these. ${progress}`
+      };
+    }
+    // with enough check-ins, only triggers whose whole confidence interval is above 1 count as linked
+    const compared = name => comparison.triggers.find(t => t.name === name.trim().toLowerCase() && t.enough);
+    const linked = comparison.triggers.filter(t => t.enough && t.low > 1);
+    const suggestions = [];
+    if (linked.length) {
+      const ratio = n => (n >= 10 ? String(Math.round(n)) : n.toFixed(1));
+      const lines = linked.slice(0, 3).map(t =>
+        `${capitalize(t.name)}: a migraine started on ${pct(t.exposed.attackDays / t.exposed.days)}% of days with it (${t.exposed.attackDays} of ${t.exposed.days}) ` +
+        `and ${pct(t.unexposed.attackDays / t.unexposed.days)}% of days without (${t.unexposed.attackDays} of ${t.unexposed.days}), ` +
+        `an odds ratio of ${ratio(t.oddsRatio)} (95% confidence interval ${ratio(t.low)} to ${ratio(t.high)}).`);
+      suggestions.push({
+        title: 'Triggers linked to your migraines',
+        message: `From your check-ins over the last 3 months: ${lines.join(' ')} This shows a link rather than a cause, but these may be the most worth avoiding.`
       });
     }
-  })();
+    const others = common.filter(t => !linked.some(l => l.name === t.trim().toLowerCase()));
+    const unlinked = others.filter(compared);
+    const untested = others.filter(t => !compared(t));
+    const parts = [];
+    if (unlinked.length) {
+      parts.push(`You often report ${list(unlinked)}, but migraines weren't clearly more likely on days with ${unlinked.length === 1 ? 'it' : 'them'} than without, ` +
+        'so they may simply be part of everyday life.');
+    }
+    if (untested.length) {
+      parts.push(`You often report ${list(untested)}; there aren't yet ${minExposedDays} days with a check-in both with and without ${untested.length === 1 ? 'it' : 'each'} to tell whether ${untested.length === 1 ? 'it makes' : 'they make'} migraines more likely.`);
+    }
+    if (parts.length) suggestions.push({ title: 'Frequent triggers', message: parts.join(' ') });
+    return suggestions;
+  }
+});
 
-  (function timeOfDayRule() {
-    const recent = inLastDays(30);
-    if (recent.length === 0) return;
+registerRule({
+  id: 'time-of-day',
+  title: 'Time‑of‑day cluster',
+  description: 'A large share of recent episodes starting within a few hours of each other.',
+  params: {
+    minShare: { label: 'Share of episodes', unit: '%', default: 40, min: 10, max: 100, step: 5 },
+    windowMinutes: { label: 'Window', unit: 'minutes', default: 240, min: 30, max: 720, step: 30 }
+  },
+  run({ inLastDays, windowDays }, { minShare, windowMinutes }) {
+    const recent = inLastDays(windowDays);
+    if (recent.length === 0) return null;
     const minutes = recent
       .map(ep => {
         const d = new Date(ep.datetime);
@@ -78,12 +229,12 @@ export function analysePatterns(episodes) {
       })
       .sort((a, b) => a - b);
     const total = minutes.length;
-    const threshold = Math.ceil(total * 0.4);
+    const threshold = Math.ceil(total * minShare / 100);
     let windowStartIdx = 0;
     let maxCount = 0;
     let windowStartTime = 0;
     for (let i = 0; i < minutes.length; i++) {
-      while (minutes[i] - minutes[windowStartIdx] > 240) {
+      while (minutes[i] - minutes[windowStartIdx] > windowMinutes) {
         windowStartIdx++;
       }
       const count = i - windowStartIdx + 1;
@@ -92,46 +243,59 @@ export function analysePatterns(episodes) {
         windowStartTime = minutes[windowStartIdx];
       }
     }
-    if (maxCount >= threshold) {
-      const startHour = Math.floor(windowStartTime / 60);
-      const endHour = Math.floor((windowStartTime + 240) / 60);
-      const pad = n => n.toString().padStart(2, '0');
-      const range = `${pad(startHour)}:00–${pad(endHour)}:00`;
-      suggestions.push({
-        title: 'Time‑of‑day cluster',
-        message: `A significant share of your episodes occur between ${range}. Consider a pre‑emptive routine or relaxation practice then.`
-      });
-    }
-  })();
+    if (maxCount < threshold) return null;
+    const startHour = Math.floor(windowStartTime / 60);
+    const endHour = Math.floor((windowStartTime + windowMinutes) / 60);
+    const pad = n => n.toString().padStart(2, '0');
+    const range = `${pad(startHour)}:00–${pad(endHour)}:00`;
+    return {
+      title: 'Time‑of‑day cluster',
+      message: `A significant share of your episodes occur between ${range}. Consider a pre‑emptive routine or relaxation practice then.`
+    };
+  }
+});
 
-  (function dayOfWeekRule() {
-    const recent = inLastDays(30);
-    if (recent.length === 0) return;
+registerRule({
+  id: 'day-of-week',
+  title: 'Day‑of‑week cluster',
+  description: 'A large share of recent episodes falling on the same weekday.',
+  params: {
+    minShare: { label: 'Share of episodes', unit: '%', default: 40, min: 10, max: 100, step: 5 }
+  },
+  run({ inLastDays, windowDays }, { minShare }) {
+    const recent = inLastDays(windowDays);
+    if (recent.length === 0) return null;
     const weekdayCounts = {};
     recent.forEach(ep => {
       const day = new Date(ep.datetime).getDay();
       weekdayCounts[day] = (weekdayCounts[day] || 0) + 1;
     });
     const total = recent.length;
-    const threshold = Math.ceil(total * 0.4);
+    const threshold = Math.ceil(total * minShare / 100);
     const maxEntry = Object.entries(weekdayCounts).reduce(
       (max, entry) => (entry[1] > max[1] ? entry : max),
       [null, 0]
     );
     const day = maxEntry[0];
     const count = maxEntry[1];
-    if (count >= threshold) {
-      const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      suggestions.push({
-        title: 'Day‑of‑week cluster',
-        message: `About ${Math.round((count / total) * 100)}% of your episodes happen on ${weekdays[day]}. Reflect on factors specific to that day.`
-      });
-    }
-  })();
+    if (count < threshold) return null;
+    return {
+      title: 'Day‑of‑week cluster',
+      message: `About ${Math.round((count / total) * 100)}% of your episodes happen on ${WEEKDAYS[day]}. Reflect on factors specific to that day.`
+    };
+  }
+});
 
-  (function risingIntensityRule() {
-    const sixWeeks = inLastDays(42);
-    if (sixWeeks.length < 3) return;
+registerRule({
+  id: 'rising-intensity',
+  title: 'Rising intensity trend',
+  description: 'Average intensity over the last 3 weeks up on the 3 weeks before.',
+  params: {
+    minRise: { label: 'Rise', unit: '%', default: 20, min: 5, max: 200, step: 5 }
+  },
+  run({ inLastDays, settled }, { minRise }) {
+    const sixWeeks = settled(inLastDays(42));
+    if (sixWeeks.length < 3) return null;
     const weekGroups = groupBy(sixWeeks, ep => {
       const d = new Date(ep.datetime);
       const first = new Date(d.getFullYear(), 0, 1);
@@ -142,7 +306,7 @@ export function analysePatterns(episodes) {
     const weekNumbers = Object.keys(weekGroups)
       .map(Number)
       .sort((a, b) => a - b);
-    if (weekNumbers.length < 6) return;
+    if (weekNumbers.length < 6) return null;
     const weeklyAvg = weekNumbers.map(wn => {
       const eps = weekGroups[wn];
       const totalIntensity = eps.reduce((sum, ep) => sum + Number(ep.intensity || 0), 0);
@@ -151,37 +315,83 @@ export function analysePatterns(episodes) {
     const len = weeklyAvg.length;
     const last3 = weeklyAvg.slice(len - 3).reduce((a, b) => a + b, 0) / 3;
     const prev3 = weeklyAvg.slice(len - 6, len - 3).reduce((a, b) => a + b, 0) / 3;
-    if (prev3 > 0 && last3 >= prev3 * 1.2) {
-      suggestions.push({
-        title: 'Rising intensity trend',
-        message: `Your 3‑week average intensity has risen by over 20%. Consider consulting a healthcare provider or reviewing possible triggers.`
-      });
-    }
-  })();
+    if (!(prev3 > 0 && last3 >= prev3 * (1 + minRise / 100))) return null;
+    return {
+      title: 'Rising intensity trend',
+      message: `Your 3‑week average intensity has risen by over ${minRise}%. Consider consulting a healthcare provider or reviewing possible triggers.`
+    };
+  }
+});
 
-  (function medicationOveruseRule() {
-    const recent = inLastDays(30);
-    const daysWithMed = new Set();
-    recent.forEach(ep => {
-      if ((ep.medications || []).length > 0) {
-        daysWithMed.add(ep.datetime.slice(0, 10));
-      }
+registerRule({
+  id: 'medication-overuse',
+  title: 'Medication use',
+  description: 'Acute medication taken on as many days in the last 30 as can lead to medication overuse headache.',
+  params: {
+    limitDays: { label: 'Limit for triptans, ergots, opioids and combination painkillers', unit: 'days', default: 10, min: 1, max: 30, step: 1 },
+    simpleLimitDays: { label: 'Limit for NSAIDs and paracetamol', unit: 'days', default: 15, min: 1, max: 30, step: 1 }
+  },
+  run({ episodes, now }, { limitDays, simpleLimitDays }) {
+    // each class is held to its own limit over the last 30 days, the
+    // simple painkillers to theirs
+    const from = new Date(now);
+    from.setDate(from.getDate() - 30);
+    const byClass = medicationDaysByClass(episodes, from, now).map(c => {
+      const simple = MEDICATION_CLASSES.find(m => m.id === c.classId).simple;
+      const overuseDays = c.overuseDays === null ? null : simple ? simpleLimitDays : limitDays;
+      return { ...c, overuseDays, overused: overuseDays !== null && c.days >= overuseDays };
     });
-    if (daysWithMed.size >= 10) {
-      suggestions.push({
-        title: 'Medication usage',
-        message: `You've used medication on ${daysWithMed.size} days in the last month. Over‑use can sometimes worsen migraines; speak with your doctor.`
-      });
-    }
-  })();
+    const overused = byClass.filter(c => c.overused);
+    if (overused.length === 0) return null;
+    // lower-case the class names mid-sentence, but not acronyms like NSAIDs
+    const noun = c => (/^[A-Z]{2}/.test(c.label) ? c.label : c.label.toLowerCase());
+    const counts = byClass
+      .map(c => `${noun(c)} on ${c.days} day${c.days === 1 ? '' : 's'}` +
+        (c.overuseDays === null ? '' : ` (limit ${c.overuseDays})`))
+      .join(', ');
+    const names = overused.map(noun).join(' and ');
+    return {
+      title: 'Medication use',
+      message: `In the last 30 days you took ${counts}. Using ${names} this often can sometimes make headaches more frequent; speak with your doctor.`
+    };
+  }
+});
+
+registerRule({
+  id: 'medication-effectiveness',
+  title: 'What works best',
+  description: 'Medications ranked by how often they helped, from ratings two hours after a dose.',
+  params: {
+    minRatings: { label: 'Ratings needed per medication', default: 3, min: 1, max: 20, step: 1 }
+  },
+  run({ inLastDays }, { minRatings }) {
+    const ranked = medicationEffectiveness(inLastDays(365)).filter(m => m.rated >= minRatings);
+    if (ranked.length === 0) return null;
+    const lines = ranked.slice(0, 3).map(m => {
+      const speed = m.medianReliefMinutes === null ? '' : `, usually working within ${m.medianReliefMinutes} minutes`;
+      return `${m.name} helped in ${m.responses} of ${m.rated} rated doses (${pct(m.responseRate)}%)${speed}`;
+    });
+    return {
+      title: 'What works best',
+      message: `From your ratings two hours after a dose: ${lines.join('; ')}. Sharing this with your doctor can help when reviewing your treatment.`
+    };
+  }
+});
 
-  (function averageIntensityByHourRule() {
-    const recent = inLastDays(30);
-    if (recent.length === 0) return;
+registerRule({
+  id: 'peak-intensity-hour',
+  title: 'Peak intensity hour',
+  description: 'The hour of the day when recent episodes were most intense.',
+  params: {
+    minIntensity: { label: 'Average intensity', default: 6, min: 1, max: 10, step: 0.5 },
+    minEpisodes: { label: 'Episodes at that hour', default: 3, min: 1, max: 20, step: 1 }
+  },
+  run({ inLastDays, settled, windowDays }, { minIntensity, minEpisodes }) {
+    const recent = settled(inLastDays(windowDays));
+    if (recent.length === 0) return null;
     const hourBuckets = {};
     recent.forEach(ep => {
-      const d = new Date(ep.datetime);
-      const h = d.getHours();
+      const h = new Date(ep.datetime).getHours();
       if (!hourBuckets[h]) hourBuckets[h] = { sum: 0, count: 0 };
       hourBuckets[h].sum += Number(ep.intensity || 0);
       hourBuckets[h].count += 1;
@@ -191,24 +401,30 @@ export function analysePatterns(episodes) {
       avg: val.sum / val.count,
       count: val.count
     }));
-    if (averages.length === 0) return;
     const maxEntry = averages.reduce((max, entry) => (entry.avg > max.avg ? entry : max), averages[0]);
-    if (maxEntry.avg >= 6 && maxEntry.count >= 3) {
-      const pad = n => String(n).padStart(2, '0');
-      suggestions.push({
-        title: 'Peak intensity hour',
-        message: `Episodes logged around ${pad(maxEntry.hour)}:00 tend to be more intense. Planning rest or adjustments then might help.`
-      });
-    }
-  })();
+    if (maxEntry.avg < minIntensity || maxEntry.count < minEpisodes) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return {
+      title: 'Peak intensity hour',
+      message: `Episodes logged around ${pad(maxEntry.hour)}:00 tend to be more intense. Planning rest or adjustments then might help.`
+    };
+  }
+});
 
-  (function averageIntensityByWeekdayRule() {
-    const recent = inLastDays(30);
-    if (recent.length === 0) return;
+registerRule({
+  id: 'toughest-day',
+  title: 'Toughest day',
+  description: 'The weekday when recent episodes were most intense.',
+  params: {
+    minIntensity: { label: 'Average intensity', default: 6, min: 1, max: 10, step: 0.5 },
+    minEpisodes: { label: 'Episodes on that day', default: 3, min: 1, max: 20, step: 1 }
+  },
+  run({ inLastDays, settled, windowDays }, { minIntensity, minEpisodes }) {
+    const recent = settled(inLastDays(windowDays));
+    if (recent.length === 0) return null;
     const buckets = {};
     recent.forEach(ep => {
-      const d = new Date(ep.datetime);
-      const wd = d.getDay();
+      const wd = new Date(ep.datetime).getDay();
       if (!buckets[wd]) buckets[wd] = { sum: 0, count: 0 };
       buckets[wd].sum += Number(ep.intensity || 0);
       buckets[wd].count += 1;
@@ -218,31 +434,40 @@ export function analysePatterns(episodes) {
       avg: val.sum / val.count,
       count: val.count
     }));
-    if (avgs.length === 0) return;
     const top = avgs.reduce((max, entry) => (entry.avg > max.avg ? entry : max), avgs[0]);
-    if (top.avg >= 6 && top.count >= 3) {
-      const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      suggestions.push({
-        title: 'Toughest day',
-        message: `Your migraines tend to be most intense on ${weekdays[top.wd]}. Consider easing your schedule on those days.`
-      });
-    }
-  })();
+    if (top.avg < minIntensity || top.count < minEpisodes) return null;
+    return {
+      title: 'Toughest day',
+      message: `Your migraines tend to be most intense on ${WEEKDAYS[top.wd]}. Consider easing your schedule on those days.`
+    };
+  }
+});
 
-  (function streakRule() {
+registerRule({
+  id: 'tracking-streak',
+  title: 'Consistent tracking',
+  description: 'Episodes logged on several days in a row.',
+  params: {
+    minDays: { label: 'Days in a row', default: 3, min: 2, max: 30, step: 1 }
+  },
+  run({ episodes }, { minDays }) {
     const sortedEpisodes = episodes
       .slice()
       .sort((a, b) => new Date(b.datetime) - new Date(a.datetime));
     const streak = computeStreak(sortedEpisodes);
-    if (streak >= 3) {
-      suggestions.push({
-        title: 'Consistent tracking',
-        message: `Great job! You've logged episodes for ${streak} consecutive days. Keeping track consistently helps identify patterns.`
-      });
-    }
-  })();
+    if (streak < minDays) return null;
+    return {
+      title: 'Consistent tracking',
+      message: `Great job! You've logged episodes for ${streak} consecutive days. Keeping track consistently helps identify patterns.`
+    };
+  }
+});
 
-  (function weeklyChangeRule() {
+registerRule({
+  id: 'weekly-change',
+  title: 'Weekly change',
+  description: 'More or fewer episodes in the last 7 days than the 7 days before.',
+  run({ episodes, inLastDays, now }) {
     const lastWeek = inLastDays(7);
     const prevCutoff = new Date(now);
     prevCutoff.setDate(prevCutoff.getDate() - 14);
@@ -255,17 +480,289 @@ export function analysePatterns(episodes) {
     const lastCount = lastWeek.length;
     const prevCount = prevWeek.length;
     if (prevCount > 0 && lastCount > prevCount) {
-      suggestions.push({
+      return {
         title: 'Increased frequency',
         message: `You logged ${lastCount} episodes in the last week, up from ${prevCount} the week before. Watch for triggers and consider adjustments.`
-      });
-    } else if (prevCount > 0 && lastCount < prevCount) {
-      suggestions.push({
+      };
+    }
+    if (prevCount > 0 && lastCount < prevCount) {
+      return {
         title: 'Decreased frequency',
         message: `Nice progress! You've logged fewer episodes this week (${lastCount}) than the previous week (${prevCount}). Keep it up!`
-      });
+      };
     }
-  })();
+    return null;
+  }
+});
 
-  return suggestions;
-}
+registerRule({
+  id: 'aura-share',
+  title: 'Attacks with aura',
+  description: 'How many of the last 3 months’ attacks came with an aura, and which kind.',
+  params: {
+    minEpisodes: { label: 'Episodes needed', default: 5, min: 1, max: 50, step: 1 }
+  },
+  run({ inLastDays }, { minEpisodes }) {
+    const recent = inLastDays(90);
+    if (recent.length < minEpisodes) return null;
+    const withAura = recent.filter(hasAura);
+    if (withAura.length === 0) return null;
+    const typeCounts = {};
+    withAura.forEach(ep => ep.aura.types.forEach(t => { typeCounts[t] = (typeCounts[t] || 0) + 1; }));
+    const [topType] = Object.entries(typeCounts).reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+    const label = AURA_TYPES.find(t => t.id === topType).label.toLowerCase();
+    const share = Math.round((withAura.length / recent.length) * 100);
+    return {
+      title: 'Attacks with aura',
+      message: `About ${share}% of your attacks in the last 3 months came with an aura, most often ${label}. This is useful to mention to your doctor.`
+    };
+  }
+});
+
+registerRule({
+  id: 'aura-lag',
+  title: 'Aura to headache',
+  description: 'How long after the aura the headache usually starts.',
+  params: {
+    minEpisodes: { label: 'Episodes needed', default: 3, min: 1, max: 50, step: 1 }
+  },
+  run({ inLastDays }, { minEpisodes }) {
+    const lags = inLastDays(90)
+      .map(auraToHeadacheMinutes)
+      .filter(lag => lag !== null)
+      .sort((a, b) => a - b);
+    if (lags.length < minEpisodes) return null;
+    const mid = Math.floor(lags.length / 2);
+    const median = lags.length % 2 ? lags[mid] : Math.round((lags[mid - 1] + lags[mid]) / 2);
+    return {
+      title: 'Aura to headache',
+      message: `Your headache usually begins about ${median} minutes after the aura starts. Knowing this window can help you follow your treatment plan or get somewhere comfortable in time.`
+    };
+  }
+});
+
+registerRule({
+  id: 'typical-symptoms',
+  title: 'Typical symptoms',
+  description: 'Symptoms that come with a large share of the last 3 months’ attacks.',
+  params: {
+    minEpisodes: { label: 'Episodes needed', default: 5, min: 1, max: 50, step: 1 },
+    minShare: { label: 'Share of episodes', unit: '%', default: 50, min: 10, max: 100, step: 5 }
+  },
+  run({ inLastDays }, { minEpisodes, minShare }) {
+    const recent = inLastDays(90).filter(hasSymptoms);
+    if (recent.length < minEpisodes) return null;
+    const counts = {};
+    recent.forEach(ep => symptomFeatures(ep.symptoms).forEach(f => {
+      counts[f.key] = counts[f.key] || { phrase: f.phrase, count: 0 };
+      counts[f.key].count += 1;
+    }));
+    const common = Object.values(counts)
+      .filter(c => c.count >= recent.length * minShare / 100)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 4)
+      .map(c => c.phrase);
+    if (common.length === 0) return null;
+    const list = common.length === 1 ? common[0] : `${common.slice(0, -1).join(', ')} and ${common[common.length - 1]}`;
+    return {
+      title: 'Typical symptoms',
+      message: `Your attacks most often come with ${list}. A clear picture of your usual symptoms helps when describing them to your doctor.`
+    };
+  }
+});
+
+registerRule({
+  id: 'symptom-intensity',
+  title: 'Symptoms and intensity',
+  description: 'A symptom whose attacks are clearly more (or less) intense than those without it.',
+  params: {
+    minDifference: { label: 'Difference in average intensity', default: 1.5, min: 0.5, max: 10, step: 0.5 }
+  },
+  run({ inLastDays, settled }, { minDifference }) {
+    const recent = settled(inLastDays(90)).filter(hasSymptoms);
+    if (recent.length < 6) return null;
+    const mean = eps => eps.reduce((sum, ep) => sum + Number(ep.intensity || 0), 0) / eps.length;
+    const features = {};
+    recent.forEach(ep => symptomFeatures(ep.symptoms).forEach(f => { features[f.key] = f; }));
+    let strongest = null;
+    Object.values(features).forEach(f => {
+      const withIt = recent.filter(ep => symptomFeatures(ep.symptoms).some(g => g.key === f.key));
+      const without = recent.filter(ep => !withIt.includes(ep));
+      if (withIt.length < 3 || without.length < 3) return;
+      const diff = mean(withIt) - mean(without);
+      if (!strongest || Math.abs(diff) > Math.abs(strongest.diff)) {
+        strongest = { phrase: f.phrase, diff, withAvg: mean(withIt), withoutAvg: mean(without) };
+      }
+    });
+    if (!strongest || Math.abs(strongest.diff) < minDifference) return null;
+    const comparison = strongest.diff > 0 ? 'more intense' : 'milder';
+    return {
+      title: 'Symptoms and intensity',
+      message: `Attacks with ${strongest.phrase} tend to be ${comparison}: an average intensity of ${strongest.withAvg.toFixed(1)}, compared with ${strongest.withoutAvg.toFixed(1)} without.`
+    };
+  }
+});
+
+registerRule({
+  id: 'monthly-days',
+  title: 'Migraine days',
+  description: 'Migraine, headache and headache-free days over the last 30, once daily check-ins are in use.',
+  params: {
+    minCoverage: { label: 'Logged days before warning about gaps', unit: '%', default: 80, min: 0, max: 100, step: 5 },
+    headacheDays: { label: 'Headache days to mention to a doctor', unit: 'days', default: 15, min: 1, max: 30, step: 1 }
+  },
+  run({ episodes, diary, now }, { minCoverage, headacheDays: doctorDays }) {
+    // only once the diary is in use, otherwise unlogged days look headache-free
+    const from = new Date(now);
+    from.setDate(from.getDate() - 29);
+    const days = dayStatuses(episodes, diary, from, now);
+    if (!diary.some(entry => days.has(entry.date))) return null;
+    const statuses = [...days.values()];
+    const count = status => statuses.filter(s => s === status).length;
+    const migraineDays = count('migraine');
+    const headacheDays = migraineDays + count('headache');
+    const tracked = statuses.filter(s => s !== null).length;
+    const plural = n => `${n} day${n === 1 ? '' : 's'}`;
+    let message = `In the last 30 days you had migraine on ${plural(migraineDays)} and a headache of any kind on ${plural(headacheDays)}, ` +
+      `with ${plural(count('free'))} checked in as headache-free.`;
+    if (tracked < statuses.length * minCoverage / 100) {
+      message += ` Only ${tracked} of the 30 days have a check-in or an episode, so the real numbers may be higher; a daily check-in fills the gaps.`;
+    }
+    if (headacheDays >= doctorDays) {
+      message += ` Headaches on ${doctorDays} or more days a month are worth discussing with your doctor.`;
+    }
+    return { title: 'Migraine days', message };
+  }
+});
+
+registerRule({
+  id: 'perimenstrual',
+  title: 'Migraines around your period',
+  description: 'Migraines starting from two days before a period to its third day more often than on other days.',
+  params: {
+    minCycles: { label: 'Cycles needed', default: 3, min: 2, max: 12, step: 1 },
+    minRatio: { label: 'Times as likely as on other days', default: 2, min: 1, max: 10, step: 0.5 }
+  },
+  run({ episodes, periods, now }, { minCycles, minRatio }) {
+    // needs attacks in the window in at least two of every three cycles (as in ICHD-3)
+    const result = perimenstrualAnalysis(episodes, periods, { now });
+    if (!result || result.cycles < minCycles || result.windowAttackDays < 2) return null;
+    if (result.cyclesWithAttack * 3 < result.cycles * 2 || result.windowRate < result.otherRate * minRatio) return null;
+    return {
+      title: 'Migraines around your period',
+      message: `A migraine started on ${pct(result.windowRate)}% of days from two days before your period to its third day, ` +
+        `compared with ${pct(result.otherRate)}% of other days, and came in that window in ${result.cyclesWithAttack} of your last ${result.cycles} cycles. ` +
+        'This pattern is sometimes called menstrually related migraine; your doctor can talk you through options for those days.'
+    };
+  }
+});
+
+registerRule({
+  id: 'lifestyle',
+  title: 'Lifestyle factors before migraines',
+  description: 'Sleep, caffeine, stress and the other daily factors that differ on days before a migraine.',
+  params: {
+    minDays: { label: 'Days needed before and not before attacks', unit: 'days', default: MIN_LIFESTYLE_DAYS, min: 2, max: 60, step: 1 },
+    minEffectSize: { label: 'Effect size (Cohen’s d)', default: MIN_EFFECT_SIZE, min: 0.1, max: 2, step: 0.1 }
+  },
+  run({ episodes, diary, now }, { minDays, minEffectSize }) {
+    // one suggestion per factor that differs meaningfully, largest difference first
+    return lifestyleAnalysis(episodes, diary, { now, minDays, minEffectSize })
+      .filter(f => f.meaningful)
+      .sort((a, b) => Math.abs(b.effectSize) - Math.abs(a.effectSize))
+      .map(f => {
+        const direction = f.before.mean > f.other.mean ? 'higher' : 'lower';
+        return {
+          title: `${f.label} before migraines`,
+          message: `${f.label} was ${direction} on days before a migraine: ${f.before.mean.toFixed(1)} ${f.unit} on average, ` +
+            `compared with ${f.other.mean.toFixed(1)} on days not followed by one (${f.before.days} and ${f.other.days} days logged). ` +
+            'This shows a link rather than a cause, but it may be worth keeping an eye on.'
+        };
+      });
+  }
+});
+
+registerRule({
+  id: 'pressure-drops',
+  title: 'Pressure drops',
+  description: 'Migraines starting after a fall in air pressure more often than chance, from imported weather data.',
+  params: {
+    dropHPa: { label: 'Fall in pressure', unit: 'hPa', default: PRESSURE_DROP_HPA, min: 1, max: 30, step: 1 },
+    hours: { label: 'Within', unit: 'hours', default: PRESSURE_WINDOW_HOURS, min: 3, max: 72, step: 1 },
+    minEpisodes: { label: 'Episodes with weather data needed', default: 5, min: 3, max: 50, step: 1 },
+    minRatio: { label: 'Times as likely as chance', default: 1.5, min: 1, max: 5, step: 0.1 }
+  },
+  run({ episodes, weather, now }, { dropHPa, hours, minEpisodes, minRatio }) {
+    // also needs at least 3 episodes after a drop and a one-sided p below 0.05
+    const result = pressureDropAnalysis(episodes, weather, { threshold: dropHPa, hours, now });
+    if (!result || result.episodes < minEpisodes || result.episodesAfterDrop < 3) return null;
+    if (result.episodeRate < result.baselineRate * minRatio || result.pValue >= 0.05) return null;
+    return {
+      title: 'Pressure drops',
+      message: `${pct(result.episodeRate)}% of your migraines (${result.episodesAfterDrop} of ${result.episodes}) started within ${hours} hours ` +
+        `of the air pressure falling by ${dropHPa} hPa or more, compared with ${pct(result.baselineRate)}% of all hours in your weather data. ` +
+        'Falling pressure may be one of your triggers; a forecast can help you plan for it.'
+    };
+  }
+});
+
+registerRule({
+  id: 'exposure-lags',
+  title: 'Exposures before migraines',
+  description: 'Logged exposures that often come in the hours before a migraine starts, more than the time they cover would suggest.',
+  params: {
+    maxHours: { label: 'Longest time before onset', unit: 'hours', default: 72, min: 6, max: 72, step: 6 },
+    minPreceded: { label: 'Migraines it came before', default: 3, min: 2, max: 20, step: 1 },
+    minRatio: { label: 'Times as often as chance', default: 2, min: 1, max: 10, step: 0.5 }
+  },
+  run({ episodes, exposures, now }, { maxHours, minPreceded, minRatio }) {
+    // each exposure is reported for the window it stands out in most,
+    // the shortest one on a tie as that is the more specific claim
+    const windows = LAG_WINDOWS.filter(h => h <= maxHours);
+    const result = lagAnalysis(episodes, exposures, { now, windows: windows.length ? windows : [maxHours] });
+    if (!result) return null;
+    const found = result.exposures.map(e => {
+      const best = e.windows
+        .filter(w => w.preceded >= minPreceded && w.ratio >= minRatio)
+        .reduce((top, w) => (!top || w.ratio > top.ratio ? w : top), null);
+      return best && { ...e, best };
+    }).filter(Boolean).sort((a, b) => b.best.ratio - a.best.ratio);
+    const share = rate => (rate < 0.005 ? 'less than 1%' : `${pct(rate)}%`);
+    return found.slice(0, 3).map(e => ({
+      title: `${capitalize(e.label)} in the hours before migraines`,
+      message: `${capitalize(e.label)} came in the ${e.best.hours} hours before ${e.best.preceded} of your ${result.episodes} migraines since you started logging exposures ` +
+        `(${pct(e.best.share)}%), though those hours make up only ${share(e.best.coverage)} of that time. ` +
+        'This shows a link rather than a cause; the lag chart shows how long before onset it usually comes.'
+    }));
+  }
+});
+
+registerRule({
+  id: 'preventive-comparison',
+  title: 'Before and after a preventive',
+  description: 'Migraines a month before and after starting each preventive treatment.',
+  run({ episodes, preventives, doseLog, now }) {
+    return preventives.map(p => {
+      const comparison = compareBeforeAfter(episodes, p, { now });
+      if (!comparison) return null;
+      const { before, after } = comparison;
+      if (before.count + after.count === 0) return null;
+      const started = parseDay(p.startDate).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+      const change = before.perMonth > 0 ? Math.round(((after.perMonth - before.perMonth) / before.perMonth) * 100) : null;
+      const trend = change === null || change === 0 ? '' : ` (${Math.abs(change)}% ${change < 0 ? 'fewer' : 'more'})`;
+      let message = `Since starting ${p.name} on ${started} you've averaged ${after.perMonth.toFixed(1)} migraines a month, ` +
+        `compared with ${before.perMonth.toFixed(1)} in the ${Math.round(before.days)} days before${trend}.`;
+      if (before.avgIntensity !== null && after.avgIntensity !== null) {
+        message += ` Average intensity was ${after.avgIntensity.toFixed(1)}, compared with ${before.avgIntensity.toFixed(1)}.`;
+      }
+      const taken = adherence(p, doseLog, parseDay(p.startDate), after.to);
+      if (taken.taken + taken.missed > 0) {
+        message += ` You logged ${taken.taken} of ${taken.scheduled} scheduled doses as taken.`;
+      }
+      return {
+        title: `Before and after ${p.name}`,
+        message: `${message} Your doctor can help you judge whether it is working.`
+      };
+    }).filter(Boolean);
+  }
+});
@@ -0,0 +1,61 @@
+/* phases.js
+ *
+ * Migraine phases and aura details. Besides its onset `datetime`, an
+ * episode can record when each phase started and ended:
+ *
+ *   phases: { prodrome: {start, end}, aura: {...}, headache: {...}, postdrome: {...} }
+ *
+ * every part optional, plus the kind of aura and how long it lasted:
+ *
+ *   aura: { types: ['visual', 'sensory', 'speech'], durationMinutes }
+ */
+
+export const PHASES = [
+  { id: 'prodrome', label: 'Prodrome' },
+  { id: 'aura', label: 'Aura' },
+  { id: 'headache', label: 'Headache' },
+  { id: 'postdrome', label: 'Postdrome' }
+];
+
+export const AURA_TYPES = [
+  { id: 'visual', label: 'Visual' },
+  { id: 'sensory', label: 'Sensory' },
+  { id: 'speech', label: 'Speech/language' }
+];
+
+/** @param {Episode} episode */
+export function hasAura(episode) {
+  return Boolean(episode.aura && (episode.aura.types || []).length > 0);
+}
+
+/**
+ * How long the aura lasted: the recorded duration, or else the length
+ * of the aura phase when both its ends are known.
+ * @param {Episode} episode
+ * @returns {number|null} minutes
+ */
+export function auraMinutes(episode) {
+  if (episode.aura && episode.aura.durationMinutes > 0) return episode.aura.durationMinutes;
+  const phase = episode.phases && episode.phases.aura;
+  if (phase && phase.start && phase.end) return minutesBetween(phase.start, phase.end);
+  return null;
+}
+
+/**
+ * Minutes from the start of the aura to the start of the headache. The
+ * headache is taken to start at the episode's onset unless its phase
+ * says otherwise.
+ * @param {Episode} episode
+ * @returns {number|null} null when the aura start is unknown or the order is off
+ */
+export function auraToHeadacheMinutes(episode) {
+  const phases = episode.phases || {};
+  if (!phases.aura || !phases.aura.start) return null;
+  const headacheStart = (phases.headache && phases.headache.start) || episode.datetime;
+  const lag = minutesBetween(phases.aura.start, headacheStart);
+  return lag >= 0 ? lag : null;
+}
+
+function minutesBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / 60000);
+}
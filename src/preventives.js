@@ -0,0 +1,241 @@
+/* preventives.js
+ *
+ * Preventive treatments taken on a schedule rather than for an attack,
+ * e.g. a daily tablet or a monthly injection:
+ *
+ *   { id, name, doseMg, schedule: { every: 1, unit: 'day', time: '08:00' },
+ *     startDate: '2024-03-01', endDate, remind }
+ *
+ * Dates are local calendar days ('YYYY-MM-DD'). Each scheduled dose can
+ * be logged as taken or missed in the dose log, one entry per
+ * preventive and day:
+ *
+ *   { id: '<preventiveId>:<date>', preventiveId, date, status, at }
+ *
+ * Pure functions only; storage.js stores the records and app.js keeps
+ * them in state.
+ */
+
+import { isOngoing } from './ongoing.js';
+import { dayOf, parseDay, isDay } from './dates.js';
+
+export const SCHEDULE_UNITS = [
+  { id: 'day', label: 'day' },
+  { id: 'week', label: 'week' },
+  { id: 'month', label: 'month' }
+];
+
+export const DOSE_STATUSES = ['taken', 'missed'];
+
+// the before/after comparison waits until there are this many days after the start
+const MIN_COMPARISON_DAYS = 28;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Problems with a preventive, in the same shape as validateEpisode's.
+ * @param {object} preventive
+ * @returns {Array<{field: string, message: string}>}
+ */
+export function preventiveErrors(preventive) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  if (!preventive || typeof preventive !== 'object') return [{ field: 'preventive', message: 'Treatment must be an object' }];
+  const { name, doseMg, schedule, startDate, endDate, remind } = preventive;
+  if (typeof name !== 'string' || !name.trim()) add('name', 'Name is required');
+  if (doseMg !== undefined && !(typeof doseMg === 'number' && Number.isFinite(doseMg) && doseMg > 0)) {
+    add('doseMg', 'Dose must be a number of mg greater than 0');
+  }
+  if (!schedule || typeof schedule !== 'object') {
+    add('schedule', 'Schedule is required');
+  } else {
+    if (!(Number.isInteger(schedule.every) && schedule.every >= 1 && schedule.every <= 365)) {
+      add('schedule', 'Doses must repeat every 1 to 365 days, weeks or months');
+    } else if (!SCHEDULE_UNITS.some(u => u.id === schedule.unit)) {
+      add('schedule', `Unknown schedule unit "${schedule.unit}"`);
+    } else if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+      add('schedule', 'Dose time must be HH:mm');
+    }
+  }
+  if (!isDay(startDate)) add('startDate', 'Start date is required');
+  if (endDate !== undefined && (!isDay(endDate) || (isDay(startDate) && endDate < startDate))) {
+    add('endDate', 'End date must be on or after the start date');
+  }
+  if (remind !== undefined && typeof remind !== 'boolean') add('remind', 'Reminder must be on or off');
+  return errors;
+}
+
+/** @param {object} entry - a dose log entry */
+export function doseEntryErrors(entry) {
+  const errors = [];
+  if (!entry || typeof entry.preventiveId !== 'string' || !entry.preventiveId) {
+    errors.push({ field: 'preventiveId', message: 'Dose must belong to a treatment' });
+  }
+  if (!entry || !isDay(entry.date)) errors.push({ field: 'date', message: 'Dose date must be a day' });
+  if (!entry || !DOSE_STATUSES.includes(entry.status)) {
+    errors.push({ field: 'status', message: 'Dose must be taken or missed' });
+  }
+  return errors;
+}
+
+/** The dose log id for a preventive's dose on a given day. */
+export function doseId(preventiveId, date) {
+  return `${preventiveId}:${date}`;
+}
+
+/**
+ * The days doses are due between `from` and `to` (both inclusive),
+ * within the treatment's start and end dates.
+ * @param {object} preventive
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {string[]} days in order
+ */
+export function scheduledDays(preventive, from, to) {
+  const { every, unit } = preventive.schedule;
+  const start = parseDay(preventive.startDate);
+  const first = dayOf(from);
+  const last = preventive.endDate && preventive.endDate < dayOf(to) ? preventive.endDate : dayOf(to);
+  const days = [];
+  for (let k = 0; ; k++) {
+    const day = dayOf(nthDose(start, k * every, unit));
+    if (day > last) break;
+    if (day >= first) days.push(day);
+  }
+  return days;
+}
+
+// the date `steps` units after `start`; monthly doses stay on the same
+// day of the month, or its last day when the month is shorter
+function nthDose(start, steps, unit) {
+  if (unit === 'month') {
+    const lastDay = new Date(start.getFullYear(), start.getMonth() + steps + 1, 0).getDate();
+    return new Date(start.getFullYear(), start.getMonth() + steps, Math.min(start.getDate(), lastDay));
+  }
+  const days = unit === 'week' ? steps * 7 : steps;
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+}
+
+/** When the dose on `day` is due, at the schedule's time of day. */
+export function doseTime(preventive, day) {
+  const [hh, mm] = preventive.schedule.time.split(':').map(Number);
+  const when = parseDay(day);
+  when.setHours(hh, mm, 0, 0);
+  return when;
+}
+
+/** Whether the treatment has started and not ended by `now`. */
+export function isActive(preventive, now = new Date()) {
+  const today = dayOf(now);
+  return preventive.startDate <= today && (!preventive.endDate || preventive.endDate >= today);
+}
+
+/**
+ * The next dose due after `now` that hasn't been logged yet, or null
+ * when the treatment has ended.
+ * @param {object} preventive
+ * @param {object[]} doseLog
+ * @param {Date} [now]
+ * @returns {{day: string, at: Date}|null}
+ */
+export function nextDose(preventive, doseLog, now = new Date()) {
+  const logged = new Set(doseLog.filter(e => e.preventiveId === preventive.id).map(e => e.date));
+  const horizon = new Date(now);
+  // far enough ahead to include the next dose of any schedule
+  horizon.setDate(horizon.getDate() + 366 * preventive.schedule.every);
+  const day = scheduledDays(preventive, now, horizon)
+    .find(d => !logged.has(d) && doseTime(preventive, d) > now);
+  return day ? { day, at: doseTime(preventive, day) } : null;
+}
+
+/**
+ * Doses from the last `days` days that are due but not logged yet,
+ * most recent first.
+ * @returns {string[]} days
+ */
+export function unloggedDoses(preventive, doseLog, now = new Date(), days = 7) {
+  const from = new Date(now);
+  from.setDate(from.getDate() - days);
+  const logged = new Set(doseLog.filter(e => e.preventiveId === preventive.id).map(e => e.date));
+  return scheduledDays(preventive, from, now)
+    .filter(d => !logged.has(d) && doseTime(preventive, d) <= now)
+    .reverse();
+}
+
+/**
+ * How many doses due between `from` and `now` were logged as taken or
+ * missed, or not logged at all.
+ * @returns {{scheduled: number, taken: number, missed: number, unlogged: number, rate: number|null}}
+ */
+export function adherence(preventive, doseLog, from, now = new Date()) {
+  const due = scheduledDays(preventive, from, now).filter(d => doseTime(preventive, d) <= now);
+  const status = new Map(doseLog.filter(e => e.preventiveId === preventive.id).map(e => [e.date, e.status]));
+  const taken = due.filter(d => status.get(d) === 'taken').length;
+  const missed = due.filter(d => status.get(d) === 'missed').length;
+  return {
+    scheduled: due.length,
+    taken,
+    missed,
+    unlogged: due.length - taken - missed,
+    rate: due.length ? taken / due.length : null
+  };
+}
+
+/**
+ * Migraine frequency and intensity in the `days` before a treatment
+ * started and in up to as many days since (stopping at its end date).
+ * The period before starts no earlier than the first logged episode,
+ * so weeks before tracking began don't count as migraine-free. Null
+ * unless both periods cover at least four weeks.
+ * @param {Episode[]} episodes
+ * @param {object} preventive
+ * @param {{now?: Date, days?: number}} [options]
+ */
+export function compareBeforeAfter(episodes, preventive, { now = new Date(), days = 90 } = {}) {
+  const start = parseDay(preventive.startDate);
+  let beforeFrom = new Date(start);
+  beforeFrom.setDate(beforeFrom.getDate() - days);
+  const first = episodes.reduce((min, ep) => (!min || ep.datetime < min ? ep.datetime : min), null);
+  if (!first) return null;
+  const tracked = parseDay(dayOf(new Date(first)));
+  if (tracked > beforeFrom) beforeFrom = tracked;
+  let afterTo = new Date(start);
+  afterTo.setDate(afterTo.getDate() + days);
+  if (preventive.endDate) {
+    const end = parseDay(preventive.endDate);
+    end.setDate(end.getDate() + 1);
+    if (end < afterTo) afterTo = end;
+  }
+  if (now < afterTo) afterTo = now;
+  if ((start - beforeFrom) / DAY_MS < MIN_COMPARISON_DAYS || (afterTo - start) / DAY_MS < MIN_COMPARISON_DAYS) return null;
+  return {
+    before: periodStats(episodes, beforeFrom, start),
+    after: periodStats(episodes, start, afterTo)
+  };
+}
+
+function periodStats(episodes, from, to) {
+  const inPeriod = episodes.filter(ep => {
+    const d = new Date(ep.datetime);
+    return d >= from && d < to;
+  });
+  const rated = inPeriod.filter(ep => !isOngoing(ep));
+  const days = (to - from) / DAY_MS;
+  return {
+    from,
+    to,
+    days,
+    count: inPeriod.length,
+    perMonth: (inPeriod.length / days) * 30,
+    avgIntensity: rated.length ? rated.reduce((sum, ep) => sum + Number(ep.intensity || 0), 0) / rated.length : null
+  };
+}
+
+/**
+ * e.g. "Every day at 08:00" or "Every 4 weeks at 09:00".
+ * @param {{every: number, unit: string, time: string}} schedule
+ */
+export function describeSchedule(schedule) {
+  const unit = SCHEDULE_UNITS.find(u => u.id === schedule.unit).label;
+  const every = schedule.every === 1 ? `Every ${unit}` : `Every ${schedule.every} ${unit}s`;
+  return `${every} at ${schedule.time}`;
+}
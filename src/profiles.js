@@ -0,0 +1,88 @@
+/* profiles.js
+ *
+ * Registry of named profiles so several people can track on one
+ * device. Each profile keeps its episodes and settings in its own
+ * IndexedDB database; this module only records which profiles exist
+ * and which one is active. The registry is tiny and has to be read
+ * before any database is opened, so it lives in localStorage.
+ */
+
+const PROFILES_KEY = 'aiMigraineProfiles';
+export const DEFAULT_PROFILE_ID = 'default';
+// the default profile keeps the original database name so existing data stays put
+const DB_PREFIX = 'aiMigraineTracker';
+
+function defaultRegistry() {
+  return { activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me' }] };
+}
+
+function readRegistry() {
+  try {
+    const reg = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (reg && Array.isArray(reg.profiles) && reg.profiles.length > 0) return reg;
+  } catch { /* fall through to the default registry */ }
+  return defaultRegistry();
+}
+
+function writeRegistry(reg) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(reg));
+}
+
+/** @returns {Array<{id: string, name: string}>} */
+export function listProfiles() {
+  return readRegistry().profiles;
+}
+
+/** @returns {{id: string, name: string}} */
+export function getActiveProfile() {
+  const reg = readRegistry();
+  return reg.profiles.find(p => p.id === reg.activeId) || reg.profiles[0];
+}
+
+export function setActiveProfile(id) {
+  const reg = readRegistry();
+  if (!reg.profiles.some(p => p.id === id)) throw new Error('Unknown profile.');
+  writeRegistry({ ...reg, activeId: id });
+}
+
+/**
+ * Register a new profile. Names must be non-empty and unique.
+ * @param {string} name
+ * @param {string} id
+ */
+export function addProfile(name, id) {
+  const reg = readRegistry();
+  const clean = checkName(reg, name);
+  const profile = { id, name: clean };
+  writeRegistry({ ...reg, profiles: [...reg.profiles, profile] });
+  return profile;
+}
+
+export function renameProfile(id, name) {
+  const reg = readRegistry();
+  const clean = checkName(reg, name, id);
+  writeRegistry({ ...reg, profiles: reg.profiles.map(p => (p.id === id ? { ...p, name: clean } : p)) });
+}
+
+/** Unregister a profile. The active profile cannot be removed. */
+export function removeProfile(id) {
+  const reg = readRegistry();
+  if (id === reg.activeId) throw new Error('Switch to another profile before deleting this one.');
+  writeRegistry({ ...reg, profiles: reg.profiles.filter(p => p.id !== id) });
+}
+
+/**
+ * IndexedDB database holding a profile's data.
+ * @param {string} profileId
+ */
+export function databaseName(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? DB_PREFIX : `${DB_PREFIX}-${profileId}`;
+}
+
+function checkName(reg, name, exceptId) {
+  const clean = String(name || '').trim();
+  if (!clean) throw new Error('Please enter a profile name.');
+  const taken = reg.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === clean.toLowerCase());
+  if (taken) throw new Error(`A profile called "${clean}" already exists.`);
+  return clean;
+}
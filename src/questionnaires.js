@@ -0,0 +1,151 @@
+/* questionnaires.js
+ *
+ * The MIDAS (Migraine Disability Assessment) and HIT-6 (Headache
+ * Impact Test) questionnaires doctors use to measure how much
+ * headaches affect daily life. A completed questionnaire is stored as
+ *
+ *   { id, type: 'midas' | 'hit6', date: '2024-03-01', answers: { <question id>: value } }
+ *
+ * and scored on the fly, so a correction to the scoring never leaves
+ * stale scores behind.
+ *
+ * MIDAS asks for days in the last 3 months; the score is the sum of
+ * questions 1–5, graded I (0–5) to IV (21+). Questions A and B
+ * (headache days and average pain) are recorded but not scored.
+ * HIT-6 has six questions answered from "never" (6 points) to
+ * "always" (13), for a score from 36 to 78.
+ */
+
+import { dayOf, parseDay, isDay } from './dates.js';
+
+// MIDAS covers the last three months; after this many days a new one is due
+export const MIDAS_RECALL_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HIT6_CHOICES = [
+  { id: 'never', label: 'Never', points: 6 },
+  { id: 'rarely', label: 'Rarely', points: 8 },
+  { id: 'sometimes', label: 'Sometimes', points: 10 },
+  { id: 'veryOften', label: 'Very often', points: 11 },
+  { id: 'always', label: 'Always', points: 13 }
+];
+
+export const QUESTIONNAIRES = {
+  midas: {
+    id: 'midas',
+    name: 'MIDAS',
+    title: 'Migraine Disability Assessment (MIDAS)',
+    intro: 'Answer about all the headaches you had over the last 3 months. Write 0 if you did not do the activity in the last 3 months.',
+    questions: [
+      { id: 'missedWork', scored: true, text: 'On how many days in the last 3 months did you miss work or school because of your headaches?' },
+      { id: 'reducedWork', scored: true, text: 'How many days in the last 3 months was your productivity at work or school reduced by half or more because of your headaches? (Do not include days you counted in question 1.)' },
+      { id: 'missedHousework', scored: true, text: 'On how many days in the last 3 months did you not do household work because of your headaches?' },
+      { id: 'reducedHousework', scored: true, text: 'How many days in the last 3 months was your productivity in household work reduced by half or more because of your headaches? (Do not include days you counted in question 3.)' },
+      { id: 'missedSocial', scored: true, text: 'On how many days in the last 3 months did you miss family, social or leisure activities because of your headaches?' },
+      { id: 'headacheDays', scored: false, text: 'On how many days in the last 3 months did you have a headache? (If a headache lasted more than 1 day, count each day.)' },
+      { id: 'painLevel', scored: false, max: 10, text: 'On a scale of 0–10, on average how painful were these headaches? (0 = no pain at all, 10 = pain as bad as it can be.)' }
+    ],
+    // days answers; the pain question has its own max
+    max: 90,
+    grades: [
+      { id: 'I', min: 0, label: 'Grade I: little or no disability' },
+      { id: 'II', min: 6, label: 'Grade II: mild disability' },
+      { id: 'III', min: 11, label: 'Grade III: moderate disability' },
+      { id: 'IV', min: 21, label: 'Grade IV: severe disability' }
+    ],
+    // chart range; taller when a score goes beyond it
+    range: [0, 40]
+  },
+  hit6: {
+    id: 'hit6',
+    name: 'HIT-6',
+    title: 'Headache Impact Test (HIT-6)',
+    intro: 'Choose one answer for each question.',
+    questions: [
+      { id: 'severe', text: 'When you have headaches, how often is the pain severe?' },
+      { id: 'limitsActivities', text: 'How often do headaches limit your ability to do usual daily activities including household work, work, school, or social activities?' },
+      { id: 'lieDown', text: 'When you have a headache, how often do you wish you could lie down?' },
+      { id: 'tired', text: 'In the past 4 weeks, how often have you felt too tired to do work or daily activities because of your headaches?' },
+      { id: 'fedUp', text: 'In the past 4 weeks, how often have you felt fed up or irritated because of your headaches?' },
+      { id: 'concentration', text: 'In the past 4 weeks, how often did headaches limit your ability to concentrate on work or daily activities?' }
+    ],
+    choices: HIT6_CHOICES,
+    grades: [
+      { id: 'little', min: 36, label: 'Little or no impact' },
+      { id: 'some', min: 50, label: 'Some impact' },
+      { id: 'substantial', min: 56, label: 'Substantial impact' },
+      { id: 'severe', min: 60, label: 'Severe impact' }
+    ],
+    range: [36, 78]
+  }
+};
+
+/**
+ * Problems with a completed questionnaire, in the same shape as
+ * validateEpisode's. Every question must be answered.
+ * @param {object} record
+ */
+export function questionnaireErrors(record) {
+  if (!record || typeof record !== 'object') return [{ field: 'questionnaire', message: 'Questionnaire must be an object' }];
+  const def = QUESTIONNAIRES[record.type];
+  if (!def) return [{ field: 'type', message: `Unknown questionnaire "${record.type}"` }];
+  const errors = [];
+  if (!isDay(record.date)) errors.push({ field: 'date', message: 'Date is required' });
+  const answers = record.answers && typeof record.answers === 'object' ? record.answers : {};
+  def.questions.forEach((q, i) => {
+    const value = answers[q.id];
+    const ok = def.choices
+      ? def.choices.some(c => c.id === value)
+      : Number.isInteger(value) && value >= 0 && value <= (q.max ?? def.max);
+    if (!ok) {
+      const expected = def.choices ? 'an answer' : `a whole number from 0 to ${q.max ?? def.max}`;
+      errors.push({ field: q.id, message: `Question ${questionLabel(def, i)} needs ${expected}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * The score and grade band of a completed questionnaire.
+ * @param {{type: string, answers: object}} record
+ * @returns {{score: number, grade: {id: string, min: number, label: string}}}
+ */
+export function scoreQuestionnaire(record) {
+  const def = QUESTIONNAIRES[record.type];
+  const score = def.choices
+    ? def.questions.reduce((sum, q) => sum + def.choices.find(c => c.id === record.answers[q.id]).points, 0)
+    : def.questions.filter(q => q.scored).reduce((sum, q) => sum + record.answers[q.id], 0);
+  return { score, grade: gradeFor(def, score) };
+}
+
+/** The grade band a score falls in. */
+export function gradeFor(def, score) {
+  return [...def.grades].reverse().find(g => score >= g.min);
+}
+
+/**
+ * How MIDAS questions are numbered on the paper form: 1–5, then A and B.
+ * @param {object} def
+ * @param {number} index
+ */
+export function questionLabel(def, index) {
+  if (def.id !== 'midas' || def.questions[index].scored) return String(index + 1);
+  return String.fromCharCode(65 + index - def.questions.filter(q => q.scored).length);
+}
+
+/**
+ * Whether it's time for a new MIDAS: the last one was more than
+ * MIDAS_RECALL_DAYS ago, or there is none yet and episodes go back
+ * that far (so the 3 months it asks about are in the app too).
+ * @param {object[]} records - completed questionnaires
+ * @param {Episode[]} episodes
+ * @param {Date} [now]
+ * @returns {{due: boolean, last: object|null}}
+ */
+export function midasDue(records, episodes, now = new Date()) {
+  const last = records.filter(r => r.type === 'midas').sort((a, b) => (a.date < b.date ? 1 : -1))[0] || null;
+  const today = parseDay(dayOf(now));
+  if (last) return { due: (today - parseDay(last.date)) / DAY_MS > MIDAS_RECALL_DAYS, last };
+  const first = episodes.reduce((min, ep) => (!min || ep.datetime < min ? ep.datetime : min), null);
+  return { due: !!first && (now - new Date(first)) / DAY_MS >= MIDAS_RECALL_DAYS, last: null };
+}
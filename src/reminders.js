@@ -1,10 +1,28 @@
 /* reminders.js
  *
  * Handles scheduling and displaying local notifications to remind
- * the user to log their migraine episodes each day at a chosen time.
+ * the user to do the daily check-in at a chosen time,
+ * to end an ongoing episode that has been left open too long, to
+ * rate how well a dose of medication worked two hours after taking it,
+ * and to take scheduled doses of preventive treatments.
  */
 
+import { reminderDue } from './ongoing.js';
+import { followUpDue, pendingFollowUps } from './medications.js';
+import { nextDose } from './preventives.js';
+
 let reminderTimeoutId = null;
+let ongoingTimeoutId = null;
+// id of the open episode already reminded about, so it only happens once per page load
+let remindedEpisodeId = null;
+let followUpTimeoutId = null;
+// doses already asked about ("<episode id>:<index>"), once per page load
+const followedUpDoses = new Set();
+let preventiveTimeoutId = null;
+// setTimeout can't wait longer than this; longer waits are done in steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+// URL hash that opens the daily check-in (see ui.js)
+export const CHECK_IN_HASH = '#check-in';
 
 /**
  * Initialise reminders based on user settings. Should be called
@@ -60,14 +78,19 @@ function scheduleNextReminder(timeStr) {
 }
 
 /**
- * Display a notification to the user reminding them to log
- * their migraine episode. Uses Notification API.
+ * Display a notification reminding the user to do the daily check-in.
+ * Clicking it brings the app forward at the check-in (CHECK_IN_HASH).
  */
 function showReminderNotification() {
-  const title = 'Migraine log reminder';
-  const body = 'Don\'t forget to record today\'s migraine episode if you have one.';
+  const title = 'Daily check-in';
+  const body = 'How was today? Tap to check in, even if you had no headache.';
   try {
-    new Notification(title, { body });
+    const notification = new Notification(title, { body, tag: 'daily-check-in' });
+    notification.onclick = () => {
+      window.focus();
+      location.hash = CHECK_IN_HASH;
+      notification.close();
+    };
   } catch (err) {
     console.warn('Failed to show notification', err);
   }
@@ -82,3 +105,133 @@ export function cancelReminders() {
     reminderTimeoutId = null;
   }
 }
+
+/**
+ * Remind the user about an ongoing episode once it has been open for
+ * settings.ongoingReminderHours. Call whenever episodes or settings
+ * change; pass null when nothing is ongoing. Permission is only asked
+ * for when a reminder is actually due, and the in-app banner covers
+ * the case where notifications are unavailable.
+ *
+ * @param {Episode|null} episode
+ * @param {Settings} settings
+ */
+export function watchOngoingEpisode(episode, settings) {
+  clearTimeout(ongoingTimeoutId);
+  ongoingTimeoutId = null;
+  const due = episode ? reminderDue(episode, settings.ongoingReminderHours) : null;
+  if (!due || episode.id === remindedEpisodeId || typeof Notification === 'undefined') return;
+  const remind = () => {
+    remindedEpisodeId = episode.id;
+    whenPermitted(() => showOngoingNotification(episode));
+  };
+  const wait = due.getTime() - Date.now();
+  if (wait <= 0) remind();
+  else ongoingTimeoutId = setTimeout(remind, wait);
+}
+
+function showOngoingNotification(episode) {
+  const started = new Date(episode.datetime).toLocaleString(undefined, {
+    weekday: 'short', hour: '2-digit', minute: '2-digit'
+  });
+  try {
+    new Notification('Is your migraine still going?', {
+      body: `The episode you started ${started} is still open. End it in the app to record its duration.`,
+      tag: `ongoing-${episode.id}`
+    });
+  } catch (err) {
+    console.warn('Failed to show notification', err);
+  }
+}
+
+/**
+ * Ask how well a dose worked once FOLLOW_UP_HOURS have passed since it
+ * was taken. Call whenever episodes change. Doses that are already due
+ * are asked about straight away (one notification for all of them);
+ * otherwise a timer waits for the next one. The in-app prompt lists
+ * the same doses in case notifications are unavailable.
+ *
+ * @param {Episode[]} episodes
+ */
+export function watchDoseFollowUps(episodes) {
+  clearTimeout(followUpTimeoutId);
+  followUpTimeoutId = null;
+  if (typeof Notification === 'undefined') return;
+  const now = new Date();
+  const due = pendingFollowUps(episodes, now).filter(f => !followedUpDoses.has(`${f.episode.id}:${f.index}`));
+  if (due.length > 0) {
+    due.forEach(f => followedUpDoses.add(`${f.episode.id}:${f.index}`));
+    whenPermitted(() => showFollowUpNotification(due.map(f => f.medication)));
+  }
+  const upcoming = episodes
+    .flatMap(ep => (ep.medications || []).map(followUpDue))
+    .filter(when => when && when > now)
+    .sort((a, b) => a - b);
+  if (upcoming.length > 0) {
+    followUpTimeoutId = setTimeout(() => watchDoseFollowUps(episodes), upcoming[0].getTime() - now.getTime());
+  }
+}
+
+// Show a notification now if allowed, asking for permission first if
+// the user hasn't decided yet.
+function whenPermitted(show) {
+  if (Notification.permission === 'granted') {
+    show();
+  } else if (Notification.permission === 'default') {
+    Notification.requestPermission().then(perm => {
+      if (perm === 'granted') show();
+    });
+  }
+}
+
+function showFollowUpNotification(medications) {
+  const names = [...new Set(medications.map(m => m.name))].join(', ');
+  try {
+    new Notification('How well did it work?', {
+      body: `Rate the relief from ${names} in the app. It helps show which medication works best for you.`,
+      tag: 'dose-follow-up'
+    });
+  } catch (err) {
+    console.warn('Failed to show notification', err);
+  }
+}
+
+/**
+ * Remind the user when the next scheduled dose of a preventive
+ * treatment with `remind` set is due, then wait for the one after.
+ * Doses already logged as taken or missed are skipped. Call whenever
+ * treatments or the dose log change.
+ *
+ * @param {object[]} preventives
+ * @param {object[]} doseLog
+ */
+export function schedulePreventiveReminders(preventives, doseLog) {
+  clearTimeout(preventiveTimeoutId);
+  preventiveTimeoutId = null;
+  if (typeof Notification === 'undefined') return;
+  const upcoming = preventives
+    .filter(p => p.remind)
+    .map(p => ({ preventive: p, dose: nextDose(p, doseLog) }))
+    .filter(u => u.dose)
+    .sort((a, b) => a.dose.at - b.dose.at);
+  if (upcoming.length === 0) return;
+  const { at } = upcoming[0].dose;
+  const due = upcoming.filter(u => u.dose.at.getTime() === at.getTime()).map(u => u.preventive);
+  const wait = at.getTime() - Date.now();
+  preventiveTimeoutId = setTimeout(() => {
+    if (Date.now() >= at.getTime()) whenPermitted(() => showPreventiveNotification(due));
+    schedulePreventiveReminders(preventives, doseLog);
+  }, Math.min(wait, MAX_TIMEOUT_MS));
+}
+
+function showPreventiveNotification(preventives) {
+  const names = preventives.map(p => (p.doseMg ? `${p.name} ${p.doseMg} mg` : p.name)).join(', ');
+  try {
+    new Notification('Time for your preventive treatment', {
+      body: `${names} is due now. Mark it as taken in the app.`,
+      tag: 'preventive-dose'
+    });
+  } catch (err) {
+    console.warn('Failed to show notification', err);
+  }
+}
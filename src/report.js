@@ -0,0 +1,243 @@
+/* report.js
+ *
+ * The doctor report: a summary of a date range laid out for printing
+ * (or saving as PDF from the print dialog). reportData works out the
+ * figures and reportHTML turns them, the insights as of the end of
+ * the range and chart images into a standalone HTML page. No DOM
+ * access here; ui.js opens the page and supplies the chart images.
+ */
+
+import { dayStatuses } from './diary.js';
+import { isOngoing } from './ongoing.js';
+import { findMedication, classifyMedication, medicationClass } from './medications.js';
+import { QUESTIONNAIRES, scoreQuestionnaire } from './questionnaires.js';
+import { describeSchedule } from './preventives.js';
+import { dayOf, parseDay } from './dates.js';
+
+export const INTENSITY_BANDS = [
+  { id: 'mild', label: 'Mild (0–3)', min: 0, max: 3 },
+  { id: 'moderate', label: 'Moderate (4–6)', min: 4, max: 6 },
+  { id: 'severe', label: 'Severe (7–10)', min: 7, max: 10 }
+];
+// how many triggers the report lists
+const TOP_TRIGGERS = 10;
+
+/**
+ * Figures for the report between `from` and `to` (both inclusive).
+ * Episodes count by the day they started.
+ * @param {{episodes: Episode[], diary?: object[], preventives?: object[], questionnaires?: object[]}} data
+ * @param {{from: string, to: string}} range - 'YYYY-MM-DD' days
+ */
+export function reportData({ episodes, diary = [], preventives = [], questionnaires = [] }, { from, to }) {
+  if (!from || !to || from > to) throw new Error('Choose a start date on or before the end date.');
+  const inRange = episodes
+    .filter(ep => {
+      const day = dayOf(new Date(ep.datetime));
+      return day >= from && day <= to;
+    })
+    .sort((a, b) => new Date(a.datetime) - new Date(b.datetime));
+  const end = parseDay(to);
+  end.setHours(23, 59, 59, 999);
+  const statuses = dayStatuses(episodes, diary, parseDay(from), end);
+  const settled = inRange.filter(ep => !isOngoing(ep));
+  const migraineDays = [...statuses.values()].filter(s => s === 'migraine').length;
+  return {
+    from,
+    to,
+    summary: {
+      days: statuses.size,
+      episodes: inRange.length,
+      migraineDays,
+      migraineDaysPerMonth: (migraineDays / statuses.size) * 30,
+      averageIntensity: settled.length ? settled.reduce((sum, ep) => sum + Number(ep.intensity || 0), 0) / settled.length : null,
+      medianDurationMinutes: median(settled.map(ep => Number(ep.durationMinutes || 0))),
+      loggedDays: [...statuses.values()].filter(s => s !== null).length
+    },
+    months: monthRows(statuses),
+    intensity: intensityDistribution(settled),
+    medications: medicationDays(inRange),
+    triggers: topTriggers(inRange),
+    preventives: preventives
+      .filter(p => p.startDate <= to && (!p.endDate || p.endDate >= from))
+      .map(p => ({ name: p.name, doseMg: p.doseMg, schedule: describeSchedule(p.schedule), startDate: p.startDate, endDate: p.endDate })),
+    questionnaires: questionnaires
+      .filter(r => r.date >= from && r.date <= to)
+      .sort((a, b) => (a.date < b.date ? -1 : 1))
+      .map(r => ({ date: r.date, name: QUESTIONNAIRES[r.type].name, ...scoreQuestionnaire(r) }))
+  };
+}
+
+// migraine, headache and headache-free days per calendar month in the range
+function monthRows(statuses) {
+  const months = new Map();
+  statuses.forEach((status, day) => {
+    const month = day.slice(0, 7);
+    if (!months.has(month)) months.set(month, { month, days: 0, migraineDays: 0, headacheDays: 0, headacheFreeDays: 0, loggedDays: 0 });
+    const row = months.get(month);
+    row.days += 1;
+    if (status !== null) row.loggedDays += 1;
+    if (status === 'migraine' || status === 'headache') row.headacheDays += 1;
+    if (status === 'migraine') row.migraineDays += 1;
+    if (status === 'free') row.headacheFreeDays += 1;
+  });
+  return [...months.values()];
+}
+
+function intensityDistribution(episodes) {
+  const counts = Array.from({ length: 11 }, () => 0);
+  episodes.forEach(ep => { counts[Math.round(Number(ep.intensity || 0))] += 1; });
+  return {
+    counts,
+    bands: INTENSITY_BANDS.map(b => ({
+      ...b,
+      count: counts.slice(b.min, b.max + 1).reduce((sum, n) => sum + n, 0)
+    }))
+  };
+}
+
+// days each medication was taken, grouping brand and generic names
+function medicationDays(episodes) {
+  const byName = new Map();
+  episodes.forEach(ep => {
+    const day = dayOf(new Date(ep.datetime));
+    (ep.medications || []).forEach(m => {
+      const entry = findMedication(m.name);
+      const name = entry ? entry.name : String(m.name || '').trim();
+      if (!name) return;
+      const key = name.toLowerCase();
+      if (!byName.has(key)) {
+        const cls = medicationClass(classifyMedication(name));
+        byName.set(key, { name, classLabel: cls.label, overuseDays: cls.overuseDays, days: new Set(), doses: 0 });
+      }
+      const row = byName.get(key);
+      row.days.add(day);
+      row.doses += 1;
+    });
+  });
+  return [...byName.values()]
+    .map(row => ({ ...row, days: row.days.size }))
+    .sort((a, b) => b.days - a.days || a.name.localeCompare(b.name));
+}
+
+function topTriggers(episodes) {
+  const counts = new Map();
+  episodes.forEach(ep => {
+    new Set((ep.triggers || []).map(t => t.trim().toLowerCase())).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_TRIGGERS)
+    .map(([name, count]) => ({ name, count, share: count / episodes.length }));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * The report as a standalone, print-ready HTML page. The page has a
+ * button with id "print-report" for ui.js to wire up; it is hidden when
+ * printing. Chart images come with their title as alt text; the charts
+ * draw their own headings.
+ * @param {ReturnType<typeof reportData>} data
+ * @param {{profile?: string, insights?: Array<{title: string, message: string}>, charts?: Array<{title: string, src: string}>, generatedAt?: Date}} [extras]
+ * @returns {string}
+ */
+export function reportHTML(data, { profile = '', insights = [], charts = [], generatedAt = new Date() } = {}) {
+  const date = day => parseDay(day).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  const monthName = month => parseDay(`${month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  const { summary } = data;
+  const table = (headers, rows) => rows.length === 0
+    ? '<p class="empty">None recorded in this period.</p>'
+    : `<table><thead><tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHTML(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  const section = (title, body) => `<section><h2>${escapeHTML(title)}</h2>${body}</section>`;
+  const pct = n => `${Math.round(n * 100)}%`;
+  const summaryRows = [
+    ['Days in period', summary.days],
+    ['Episodes', summary.episodes],
+    ['Migraine days', `${summary.migraineDays} (${summary.migraineDaysPerMonth.toFixed(1)} per 30 days)`],
+    ['Average peak intensity (0–10)', summary.averageIntensity === null ? '–' : summary.averageIntensity.toFixed(1)],
+    ['Median duration', summary.medianDurationMinutes === null ? '–' : formatDuration(summary.medianDurationMinutes)],
+    ['Days with an episode or check-in', `${summary.loggedDays} of ${summary.days} (${pct(summary.loggedDays / summary.days)})`]
+  ];
+  const body = [
+    `<header><h1>Migraine report</h1><p>${profile ? `${escapeHTML(profile)} · ` : ''}${escapeHTML(date(data.from))} to ${escapeHTML(date(data.to))}</p>` +
+      `<p class="meta">Generated ${escapeHTML(generatedAt.toLocaleString())} from the patient’s own records. Days without a check-in or episode are unknown, not headache-free.</p>` +
+      '<button type="button" id="print-report" class="no-print">Print or save as PDF</button></header>',
+    section('Summary', table(['', ''], summaryRows)),
+    section('Headache days by month', table(
+      ['Month', 'Migraine days', 'Headache days', 'Headache-free days', 'Days logged'],
+      data.months.map(m => [monthName(m.month), m.migraineDays, m.headacheDays, m.headacheFreeDays, `${m.loggedDays} of ${m.days}`])
+    )),
+    section('Intensity', table(
+      ['Peak intensity', ...data.intensity.bands.map(b => b.label)],
+      summary.episodes ? [['Episodes', ...data.intensity.bands.map(b => b.count)]] : []
+    )),
+    section('Acute medication', table(
+      ['Medication', 'Class', 'Days taken', 'Doses', 'Overuse threshold (days/month)'],
+      data.medications.map(m => [m.name, m.classLabel, m.days, m.doses, m.overuseDays ?? '–'])
+    )),
+    section('Most reported triggers', table(
+      ['Trigger', 'Episodes', 'Share of episodes'],
+      data.triggers.map(t => [capitalize(t.name), t.count, pct(t.share)])
+    )),
+    data.preventives.length ? section('Preventive treatments', table(
+      ['Treatment', 'Schedule', 'Started', 'Stopped'],
+      data.preventives.map(p => [p.doseMg ? `${p.name} ${p.doseMg} mg` : p.name, p.schedule, date(p.startDate), p.endDate ? date(p.endDate) : '–'])
+    )) : '',
+    data.questionnaires.length ? section('Questionnaires', table(
+      ['Date', 'Questionnaire', 'Score', 'Grade'],
+      data.questionnaires.map(q => [date(q.date), q.name, q.score, q.grade.label])
+    )) : '',
+    section('Patterns noticed by the app', insights.length
+      ? `<ul>${insights.map(s => `<li><strong>${escapeHTML(s.title)}.</strong> ${escapeHTML(s.message)}</li>`).join('')}</ul>`
+      : '<p class="empty">No patterns detected.</p>'),
+    charts.length ? section('Charts', charts.map(c => `<figure><img src="${escapeHTML(c.src)}" alt="${escapeHTML(c.title)}"></figure>`).join('')) : ''
+  ];
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Migraine report ${escapeHTML(data.from)} to ${escapeHTML(data.to)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${body.filter(Boolean).join('\n')}
+</body>
+</html>`;
+}
+
+const REPORT_CSS = `
+@page { size: A4; margin: 15mm; }
+body { font: 11pt/1.4 system-ui, sans-serif; color: #000; background: #fff; max-width: 180mm; margin: 0 auto; padding: 12px; }
+h1 { margin: 0 0 4px; font-size: 18pt; }
+h2 { font-size: 13pt; margin: 18px 0 6px; border-bottom: 1px solid #999; }
+.meta, .empty { color: #444; font-size: 9pt; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #bbb; padding: 3px 6px; text-align: left; }
+th { background: #eee; }
+section, figure, tr { break-inside: avoid; }
+figure { margin: 8px 0; }
+img { max-width: 100%; border: 1px solid #ddd; }
+button { font-size: 11pt; padding: 6px 12px; margin-top: 8px; }
+@media print { .no-print { display: none; } }
+`;
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,110 @@
+/* rules.js
+ *
+ * Registry of the insight rules analysePatterns runs (see patterns.js,
+ * which registers the built-in ones). A rule is a plain object:
+ *
+ *   {
+ *     id: 'frequent-triggers',           // unique, kebab-case
+ *     title: 'Frequent triggers',         // shown in Settings
+ *     description: 'Triggers reported in at least a quarter of recent episodes.',
+ *     params: {                            // optional, numbers only
+ *       minShare: { label: 'Share of episodes', unit: '%', default: 25, min: 5, max: 100, step: 5 }
+ *     },
+ *     run(context, params) { ... }         // a suggestion, a list of them or null
+ *   }
+ *
+ * `context` holds the episodes and other records analysePatterns was
+ * given up to `now`, the `windowDays` rules about recent episodes look
+ * back and a few helpers (see buildContext in patterns.js); `params`
+ * has every parameter, with the user's values where set. Suggestions
+ * are `{ title, message }`. Another module can add a rule by calling
+ * registerRule before the UI starts, e.g. from main.js; it then shows
+ * up in Settings with the built-in ones.
+ *
+ * Users' choices are kept in settings as `insightRules`, holding only
+ * what differs from the defaults:
+ *
+ *   { 'frequent-triggers': { enabled: false, params: { minShare: 40 } } }
+ */
+
+const rules = new Map();
+
+/**
+ * Add a rule. Throws when it is malformed or its id is taken.
+ * @param {object} rule
+ * @returns {object} the rule
+ */
+export function registerRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('A rule must be an object.');
+  if (typeof rule.id !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(rule.id)) {
+    throw new Error(`Rule id "${rule.id}" must be lower-case words joined by hyphens.`);
+  }
+  if (rules.has(rule.id)) throw new Error(`A rule with id "${rule.id}" is already registered.`);
+  if (typeof rule.title !== 'string' || !rule.title.trim()) throw new Error(`Rule "${rule.id}" needs a title.`);
+  if (typeof rule.run !== 'function') throw new Error(`Rule "${rule.id}" needs a run function.`);
+  Object.entries(rule.params || {}).forEach(([name, p]) => {
+    const valid = p && typeof p.label === 'string' &&
+      [p.default, p.min, p.max].every(Number.isFinite) && p.min <= p.default && p.default <= p.max;
+    if (!valid) throw new Error(`Parameter "${name}" of rule "${rule.id}" needs a label and a default between its min and max.`);
+  });
+  rules.set(rule.id, rule);
+  return rule;
+}
+
+/** Remove a rule; does nothing for an unknown id. */
+export function unregisterRule(id) {
+  rules.delete(id);
+}
+
+/** Registered rules in the order they were added. */
+export function listRules() {
+  return [...rules.values()];
+}
+
+/** @param {string} id */
+export function getRule(id) {
+  return rules.get(id) || null;
+}
+
+/**
+ * Whether a rule is on and the parameters to run it with, from the
+ * user's `insightRules` settings. Values that are missing, outside a
+ * parameter's range or not numbers fall back to the default.
+ * @param {object} rule
+ * @param {object} [config] - settings.insightRules
+ * @returns {{enabled: boolean, params: Object<string, number>}}
+ */
+export function ruleSettings(rule, config = {}) {
+  const own = (config && config[rule.id]) || {};
+  const values = own.params || {};
+  const params = {};
+  Object.entries(rule.params || {}).forEach(([name, p]) => {
+    const value = values[name];
+    params[name] = typeof value === 'number' && value >= p.min && value <= p.max ? value : p.default;
+  });
+  return { enabled: own.enabled !== false, params };
+}
+
+/**
+ * `config` with one rule's choices changed, dropping anything back at
+ * its default so settings only hold real changes.
+ * @param {object} config - settings.insightRules
+ * @param {string} id
+ * @param {{enabled?: boolean, params?: Object<string, number>}} changes
+ * @returns {object}
+ */
+export function withRuleSettings(config = {}, id, changes) {
+  const rule = getRule(id);
+  const current = (config && config[id]) || {};
+  const next = { ...current, ...changes, params: { ...(current.params || {}), ...(changes.params || {}) } };
+  const defaults = rule ? ruleSettings(rule).params : {};
+  Object.keys(next.params).forEach(name => {
+    if (next.params[name] === defaults[name]) delete next.params[name];
+  });
+  if (Object.keys(next.params).length === 0) delete next.params;
+  if (next.enabled !== false) delete next.enabled;
+  const result = { ...config };
+  if (Object.keys(next).length) result[id] = next;
+  else delete result[id];
+  return result;
+}
@@ -0,0 +1,86 @@
+/* schema.js
+ *
+ * Versioning for persisted data. Stored data and backup files carry a
+ * schemaVersion; anything older is upgraded by running the ordered
+ * chain of migrations below. Data without a version predates
+ * versioning and is treated as version 0.
+ *
+ * To change the data model: append a migration to MIGRATIONS and bump
+ * SCHEMA_VERSION. Never edit a migration that has shipped.
+ */
+
+export const SCHEMA_VERSION = 2;
+
+/**
+ * MIGRATIONS[n] upgrades a dataset from version n to n + 1. Each
+ * migration receives and returns `{ episodes, settings }`, where
+ * settings may be null (e.g. a backup without settings).
+ */
+const MIGRATIONS = [
+  // 0 -> 1: make list and text fields reliably present
+  function normaliseEpisodeFields({ episodes, settings }) {
+    return {
+      episodes: episodes.map(ep => ({
+        ...ep,
+        triggers: Array.isArray(ep.triggers) ? ep.triggers : [],
+        medications: Array.isArray(ep.medications) ? ep.medications : [],
+        notes: typeof ep.notes === 'string' ? ep.notes : ''
+      })),
+      settings
+    };
+  },
+  // 1 -> 2: createdAt/updatedAt for conflict-aware merging. The real
+  // times are unknown, so the onset time is the best available guess.
+  function addEpisodeTimestamps({ episodes, settings }) {
+    return {
+      episodes: episodes.map(ep => {
+        const createdAt = ep.createdAt || ep.datetime;
+        return { ...ep, createdAt, updatedAt: ep.updatedAt || createdAt };
+      }),
+      settings
+    };
+  }
+];
+
+if (MIGRATIONS.length !== SCHEMA_VERSION) {
+  throw new Error('schema.js: SCHEMA_VERSION must equal the number of migrations');
+}
+
+/**
+ * Read the schema version of a stored dataset or backup payload.
+ * @param {{schemaVersion?: number}} data
+ * @returns {number}
+ */
+export function readSchemaVersion(data) {
+  const v = data && data.schemaVersion;
+  if (v === undefined || v === null) return 0;
+  if (!Number.isInteger(v) || v < 0) {
+    throw new Error(`Unrecognised schemaVersion "${v}".`);
+  }
+  return v;
+}
+
+/**
+ * Upgrade a dataset to SCHEMA_VERSION. Throws when the data comes from
+ * a newer version of the app than this one understands.
+ *
+ * @param {{episodes?: any[], settings?: object|null}} data
+ * @param {number} fromVersion
+ * @returns {{episodes: any[], settings: object|null}}
+ */
+export function migrateData(data, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `This data was saved by a newer version of the app (schema ${fromVersion}); ` +
+      `this version only understands up to schema ${SCHEMA_VERSION}. Please update the app and try again.`
+    );
+  }
+  let out = {
+    episodes: Array.isArray(data.episodes) ? data.episodes : [],
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : null
+  };
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    out = MIGRATIONS[v](out);
+  }
+  return out;
+}
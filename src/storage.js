@@ -1,49 +1,669 @@
 // src/storage.js
-// Local-first data layer using localStorage (no external services).
+// Local-first data layer backed by IndexedDB (no external services).
+// Data written by older versions to localStorage is migrated on startup.
+// When a passphrase is set, episodes and settings are stored encrypted
+// (see encryption.js) and every read/write below goes through
+// sealRecord/unsealRecord. Everything here works on the active profile
+// (see profiles.js), each of which has its own database. Besides
+// episodes and settings, a profile holds other kinds of records (such
+// as preventive treatments, daily check-ins, periods, questionnaires,
+// weather readings, exposures and the insight history),
+// one store each, listed in RECORD_STORES.
 
-const EPISODES_KEY = 'aiMigraineEpisodes';
-const SETTINGS_KEY = 'aiMigraineSettings';
+import { useDatabase, openDB, deleteDatabase, transaction, getAll, get, put, remove } from './db.js';
+import {
+  DEFAULT_PROFILE_ID,
+  getActiveProfile,
+  setActiveProfile,
+  addProfile,
+  removeProfile,
+  databaseName
+} from './profiles.js';
+import { SCHEMA_VERSION, migrateData, readSchemaVersion } from './schema.js';
+import { episodesToCSV, questionnairesToCSV } from './csv.js';
+import { planMerge, episodesToWrite } from './merge.js';
+import { ValidationError, assertValidEpisode, screenEpisodes } from './validation.js';
+import { preventiveErrors, doseEntryErrors } from './preventives.js';
+import { diaryEntryErrors } from './diary.js';
+import { periodErrors } from './cycles.js';
+import { questionnaireErrors } from './questionnaires.js';
+import { parseWeather, weatherReadingErrors } from './weather.js';
+import { exposureErrors } from './exposures.js';
+import { insightErrors } from './insights.js';
+import {
+  deriveKey,
+  randomSalt,
+  encryptJSON,
+  decryptJSON,
+  createKeyCheck,
+  unlockKey,
+  sealBackup,
+  isSealedBackup,
+  openBackup,
+  KDF_ITERATIONS
+} from './encryption.js';
+
+// legacy localStorage keys, only read by the one-time migration
+const LEGACY_EPISODES_KEY = 'aiMigraineEpisodes';
+const LEGACY_SETTINGS_KEY = 'aiMigraineSettings';
+const SETTINGS_KEY = 'settings'; // record key in the meta store
+const SCHEMA_VERSION_KEY = 'schemaVersion'; // record key in the meta store
+const ENCRYPTION_KEY = 'encryption'; // record key in the meta store, never encrypted
+// stores of id-keyed records other than episodes; they are encrypted,
+// backed up and restored along with episodes
+const RECORD_STORES = ['preventives', 'doseLog', 'diary', 'periods', 'questionnaires', 'weather', 'exposures', 'insights'];
 let onChange = () => {}; // notify app when data changes
+let encryption = null; // { key, record } while unlocked, null when data is plain
 
 export function setOnChange(cb) { onChange = typeof cb === 'function' ? cb : () => {}; }
 
-// ---------- Episodes ----------
-export function loadEpisodes() {
+/**
+ * Open the database, migrate any data left in localStorage by earlier
+ * versions and bring stored data up to the current schema. Must
+ * resolve before any other storage call. Rejects if the stored data
+ * was written by a newer version of the app.
+ *
+ * When the data is encrypted nothing can be read yet: the result has
+ * `locked: true` and unlockStorage must be called with the passphrase.
+ * @returns {Promise<{locked: boolean}>}
+ */
+export async function initStorage() {
+  const profile = getActiveProfile();
+  useDatabase(databaseName(profile.id));
+  await openDB();
+  // legacy data predates profiles, so it belongs to the default one
+  if (profile.id === DEFAULT_PROFILE_ID) await migrateFromLocalStorage();
+  if (await get('meta', ENCRYPTION_KEY) && !encryption) return { locked: true };
+  await migrateStoredSchema();
+  return { locked: false };
+}
+
+/**
+ * Unlock encrypted data with the passphrase. Rejects on a wrong one.
+ * @param {string} passphrase
+ */
+export async function unlockStorage(passphrase) {
+  const record = await get('meta', ENCRYPTION_KEY);
+  if (!record) return;
+  encryption = { key: await unlockKey(passphrase, record), record };
+  await migrateStoredSchema();
+}
+
+export function isEncryptionEnabled() {
+  return encryption !== null;
+}
+
+/**
+ * Start encrypting stored data with a passphrase.
+ * @param {string} passphrase
+ */
+export async function enableEncryption(passphrase) {
+  if (encryption) throw new Error('Encryption is already enabled.');
+  await rekey(await newEncryption(passphrase));
+}
+
+/**
+ * Re-encrypt all data under a new passphrase. The current passphrase
+ * is checked first.
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ */
+export async function changePassphrase(currentPassphrase, newPassphrase) {
+  if (!encryption) throw new Error('Encryption is not enabled.');
+  await unlockKey(currentPassphrase, encryption.record);
+  await rekey(await newEncryption(newPassphrase));
+}
+
+/**
+ * Decrypt all data and store it in plain form again.
+ * @param {string} currentPassphrase
+ */
+export async function disableEncryption(currentPassphrase) {
+  if (!encryption) return;
+  await unlockKey(currentPassphrase, encryption.record);
+  await rekey(null);
+}
+
+async function newEncryption(passphrase) {
+  const salt = randomSalt();
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  return { key, record: await createKeyCheck(key, salt, KDF_ITERATIONS) };
+}
+
+// Decrypt everything with the current key and rewrite it under `next`
+// (or in plain form when null). All records and the key check are
+// written in one transaction, so an interruption leaves the old
+// passphrase working rather than a half re-encrypted store.
+async function rekey(next) {
+  const episodes = await readAllEpisodes();
+  const records = {};
+  for (const store of RECORD_STORES) records[store] = await readAllRecords(store);
+  const settingsRecord = await get('meta', SETTINGS_KEY);
+  const settings = settingsRecord ? await unsealRecord(settingsRecord) : null;
+  const previous = encryption;
+  encryption = next;
   try {
-    const raw = localStorage.getItem(EPISODES_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    return Array.isArray(arr) ? arr : [];
-  } catch { return []; }
+    const rows = await Promise.all(episodes.map(e => sealRecord(e)));
+    const recordRows = {};
+    for (const store of RECORD_STORES) recordRows[store] = await Promise.all(records[store].map(r => sealRecord(r)));
+    const settingsRow = settings ? await sealRecord({ key: SETTINGS_KEY, value: settings.value }, 'key') : null;
+    await transaction(['episodes', 'meta', ...RECORD_STORES], 'readwrite', stores => {
+      stores.episodes.clear();
+      rows.forEach(r => stores.episodes.put(r));
+      RECORD_STORES.forEach(store => {
+        stores[store].clear();
+        recordRows[store].forEach(r => stores[store].put(r));
+      });
+      if (settingsRow) stores.meta.put(settingsRow);
+      if (next) stores.meta.put({ key: ENCRYPTION_KEY, ...next.record });
+      else stores.meta.delete(ENCRYPTION_KEY);
+    });
+  } catch (err) {
+    encryption = previous;
+    throw err;
+  }
 }
 
-function saveEpisodes(arr) {
-  localStorage.setItem(EPISODES_KEY, JSON.stringify(arr));
-  onChange();
+// Encrypted rows keep only their key in the clear: { id, sealed } or { key, sealed }.
+// `enc` defaults to the active profile's key; moving episodes passes another's.
+async function sealRecord(record, keyPath = 'id', enc = encryption) {
+  if (!enc) return record;
+  return { [keyPath]: record[keyPath], sealed: await encryptJSON(enc.key, record) };
+}
+
+async function unsealRecord(row) {
+  if (!row || !row.sealed) return row;
+  if (!encryption) throw new Error('Storage is locked.');
+  return decryptJSON(encryption.key, row.sealed);
+}
+
+async function readEpisode(id) {
+  return unsealRecord(await get('episodes', id));
+}
+
+// All episodes, trashed ones included, in datetime order. Encrypted rows
+// have no datetime to index, so they are sorted after decryption.
+async function readAllEpisodes() {
+  if (!encryption) return getAll('episodes', 'datetime');
+  const episodes = await Promise.all((await getAll('episodes')).map(unsealRecord));
+  return episodes.sort((a, b) => (a.datetime < b.datetime ? -1 : a.datetime > b.datetime ? 1 : 0));
 }
 
-export function addEpisode(ep) {
-  const eps = loadEpisodes();
+async function writeEpisodes(episodes, { replace = false } = {}) {
+  // seal before opening the transaction: awaiting WebCrypto inside it would commit it early
+  const rows = await Promise.all(episodes.map(e => sealRecord(e)));
+  await transaction(['episodes'], 'readwrite', stores => {
+    if (replace) stores.episodes.clear();
+    rows.forEach(r => stores.episodes.put(r));
+  });
+}
+
+async function migrateStoredSchema() {
+  const record = await get('meta', SCHEMA_VERSION_KEY);
+  const fromVersion = record ? record.value : 0;
+  if (fromVersion === SCHEMA_VERSION) return;
+  const settingsRecord = await unsealRecord(await get('meta', SETTINGS_KEY));
+  const { episodes, settings } = migrateData({
+    episodes: await readAllEpisodes(),
+    settings: settingsRecord ? settingsRecord.value : null
+  }, fromVersion);
+  const rows = await Promise.all(episodes.map(e => sealRecord(e)));
+  const settingsRow = settings ? await sealRecord({ key: SETTINGS_KEY, value: settings }, 'key') : null;
+  // rewrite everything and stamp the new version atomically
+  await transaction(['episodes', 'meta'], 'readwrite', stores => {
+    stores.episodes.clear();
+    rows.forEach(r => stores.episodes.put(r));
+    if (settingsRow) stores.meta.put(settingsRow);
+    stores.meta.put({ key: SCHEMA_VERSION_KEY, value: SCHEMA_VERSION });
+  });
+}
+
+async function migrateFromLocalStorage() {
+  if (typeof localStorage === 'undefined') return;
+  const rawEpisodes = localStorage.getItem(LEGACY_EPISODES_KEY);
+  const rawSettings = localStorage.getItem(LEGACY_SETTINGS_KEY);
+  if (rawEpisodes === null && rawSettings === null) return;
+
+  const episodes = parseLegacy(LEGACY_EPISODES_KEY, rawEpisodes);
+  const settings = parseLegacy(LEGACY_SETTINGS_KEY, rawSettings);
+  await transaction(['episodes', 'meta'], 'readwrite', stores => {
+    if (Array.isArray(episodes)) {
+      episodes.forEach(e => stores.episodes.put({ ...e, id: e.id || newId() }));
+    }
+    if (settings && typeof settings === 'object') {
+      stores.meta.put({ key: SETTINGS_KEY, value: { ...DEFAULT_SETTINGS, ...settings } });
+    }
+  });
+  // only drop the legacy copies once the transaction has committed;
+  // unreadable values are left in place rather than thrown away
+  if (episodes !== undefined) localStorage.removeItem(LEGACY_EPISODES_KEY);
+  if (settings !== undefined) localStorage.removeItem(LEGACY_SETTINGS_KEY);
+}
+
+// Returns the parsed value, null when absent, or undefined when unreadable.
+function parseLegacy(key, raw) {
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Could not migrate ${key} from localStorage`, err);
+    return undefined;
+  }
+}
+
+// ---------- Episodes ----------
+// Deleting an episode only stamps `deletedAt`; such episodes live in the
+// trash until restored or purged and are hidden from loadEpisodes.
+// Every write stamps `updatedAt`, which merge.js uses to resolve imports.
+// New and changed episodes are checked with validation.js and rejected
+// with a ValidationError. Trashing, restoring and undo only move records
+// that were already stored, so they skip the check.
+
+export async function loadEpisodes() {
+  return (await readAllEpisodes()).filter(e => !e.deletedAt);
+}
+
+export async function loadTrash() {
+  return (await readAllEpisodes())
+    .filter(e => e.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+export async function addEpisode(ep) {
   // generate id if missing
-  ep.id = ep.id || crypto.randomUUID?.() || String(Date.now());
-  eps.push(ep);
-  saveEpisodes(eps);
-  return ep;
-}
-
-export function updateEpisode(id, patch) {
-  const eps = loadEpisodes();
-  const i = eps.findIndex(e => e.id === id);
-  if (i !== -1) {
-    eps[i] = { ...eps[i], ...patch, id };
-    saveEpisodes(eps);
-    return eps[i];
+  const now = new Date().toISOString();
+  const episode = { ...ep, id: ep.id || newId(), createdAt: now, updatedAt: now };
+  assertValidEpisode(episode);
+  await writeEpisodes([episode]);
+  onChange();
+  return episode;
+}
+
+export async function updateEpisode(id, patch) {
+  return patchEpisode(id, patch, { validate: true });
+}
+
+/** Move an episode to the trash. */
+export async function deleteEpisode(id) {
+  return patchEpisode(id, { deletedAt: new Date().toISOString() });
+}
+
+async function patchEpisode(id, patch, { validate = false } = {}) {
+  const existing = await readEpisode(id);
+  if (!existing) return null;
+  const updated = { ...existing, ...patch, id, updatedAt: new Date().toISOString() };
+  if (validate) assertValidEpisode(updated);
+  await writeEpisodes([updated]);
+  onChange();
+  return updated;
+}
+
+/** Take an episode back out of the trash. */
+export async function restoreEpisode(id) {
+  const existing = await readEpisode(id);
+  if (!existing) return null;
+  const { deletedAt, ...rest } = existing;
+  const restored = { ...rest, updatedAt: new Date().toISOString() };
+  await writeEpisodes([restored]);
+  onChange();
+  return restored;
+}
+
+/** Permanently remove an episode. */
+export async function purgeEpisode(id) {
+  await remove('episodes', id);
+  onChange();
+}
+
+/**
+ * Permanently remove every trashed episode.
+ * @returns {Promise<string[]>} ids of the removed episodes
+ */
+export async function emptyTrash() {
+  const trash = await loadTrash();
+  await transaction(['episodes'], 'readwrite', stores => {
+    trash.forEach(e => stores.episodes.delete(e.id));
+  });
+  onChange();
+  return trash.map(e => e.id);
+}
+
+/**
+ * Capture the stored records (trashed or not) for the given ids, or for
+ * every episode when `ids` is omitted. Missing ids map to null. Used by
+ * the undo history in app.js together with applyEpisodeSnapshot.
+ * @param {string[]} [ids]
+ * @returns {Promise<Object<string, Episode|null>>}
+ */
+export async function getEpisodeSnapshot(ids) {
+  const snapshot = {};
+  if (ids) {
+    for (const id of ids) snapshot[id] = await readEpisode(id);
+  } else {
+    (await readAllEpisodes()).forEach(e => { snapshot[e.id] = e; });
   }
-  return null;
+  return snapshot;
+}
+
+/**
+ * Write a snapshot back in one transaction: records are put as-is and
+ * ids mapped to null are deleted.
+ * @param {Object<string, Episode|null>} snapshot
+ */
+export async function applyEpisodeSnapshot(snapshot) {
+  const entries = Object.entries(snapshot);
+  const rows = await Promise.all(entries.filter(([, r]) => r).map(([, r]) => sealRecord(r)));
+  await transaction(['episodes'], 'readwrite', stores => {
+    entries.filter(([, r]) => !r).forEach(([id]) => stores.episodes.delete(id));
+    rows.forEach(r => stores.episodes.put(r));
+  });
+  onChange();
+}
+
+// ---------- Other records ----------
+// Records in RECORD_STORES are keyed by `id` and stamped with
+// `createdAt`/`updatedAt` like episodes, but deletes are final.
+
+/**
+ * Capture every record in RECORD_STORES, for undoing imports that
+ * rewrite them (see recordAction in app.js).
+ * @returns {Promise<Object<string, object[]>>}
+ */
+export async function getRecordSnapshot() {
+  const snapshot = {};
+  for (const store of RECORD_STORES) snapshot[store] = await readAllRecords(store);
+  return snapshot;
+}
+
+/**
+ * Put every store in a snapshot from getRecordSnapshot back as it was,
+ * in one transaction.
+ * @param {Object<string, object[]>} snapshot
+ */
+export async function applyRecordSnapshot(snapshot) {
+  const stores = Object.keys(snapshot);
+  const rows = {};
+  for (const store of stores) rows[store] = await Promise.all(snapshot[store].map(r => sealRecord(r)));
+  await transaction(stores, 'readwrite', tx => {
+    stores.forEach(store => {
+      tx[store].clear();
+      rows[store].forEach(r => tx[store].put(r));
+    });
+  });
+  onChange();
 }
 
-export function deleteEpisode(id) {
-  const eps = loadEpisodes().filter(e => e.id !== id);
-  saveEpisodes(eps);
+async function readAllRecords(store) {
+  return Promise.all((await getAll(store)).map(unsealRecord));
+}
+
+async function writeRecords(store, records, { replace = false } = {}) {
+  const rows = await Promise.all(records.map(r => sealRecord(r)));
+  await transaction([store], 'readwrite', stores => {
+    if (replace) stores[store].clear();
+    rows.forEach(r => stores[store].put(r));
+  });
+}
+
+// Stamp and store one record after checking it with `errorsOf`.
+async function saveRecord(store, record, errorsOf, label) {
+  const now = new Date().toISOString();
+  const existing = record.id ? await unsealRecord(await get(store, record.id)) : null;
+  const saved = {
+    ...record,
+    id: record.id || newId(),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+  const errors = errorsOf(saved);
+  if (errors.length) throw new ValidationError(`Invalid ${label}: ${errors.map(e => e.message).join('; ')}.`, errors);
+  await writeRecords(store, [saved]);
+  onChange();
+  return saved;
+}
+
+// ---------- Preventive treatments ----------
+
+export function loadPreventives() {
+  return readAllRecords('preventives');
+}
+
+/**
+ * Add or update a preventive treatment (see preventives.js). Rejects
+ * with a ValidationError when it is invalid.
+ * @param {object} preventive - without an id to add one
+ */
+export function savePreventive(preventive) {
+  return saveRecord('preventives', preventive, preventiveErrors, 'treatment');
+}
+
+/** Delete a preventive treatment and its dose log. */
+export async function deletePreventive(id) {
+  const doses = (await readAllRecords('doseLog')).filter(e => e.preventiveId === id);
+  await transaction(['preventives', 'doseLog'], 'readwrite', stores => {
+    stores.preventives.delete(id);
+    doses.forEach(e => stores.doseLog.delete(e.id));
+  });
+  onChange();
+}
+
+export function loadDoseLog() {
+  return readAllRecords('doseLog');
+}
+
+/**
+ * Record a scheduled dose as taken or missed, replacing any earlier
+ * entry for the same day.
+ * @param {{id: string, preventiveId: string, date: string, status: 'taken'|'missed', at?: string}} entry
+ */
+export function saveDoseEntry(entry) {
+  return saveRecord('doseLog', entry, doseEntryErrors, 'dose');
+}
+
+/** Forget a logged dose, e.g. one marked by mistake. */
+export async function deleteDoseEntry(id) {
+  await remove('doseLog', id);
+  onChange();
+}
+
+// ---------- Daily diary ----------
+
+export function loadDiary() {
+  return readAllRecords('diary');
+}
+
+/**
+ * Save the check-in for a day, replacing any earlier one for the same
+ * day (see diary.js).
+ * @param {{date: string, headache: boolean, factors?: string[], note?: string}} entry
+ */
+export function saveDiaryEntry(entry) {
+  return saveRecord('diary', { ...entry, id: entry.date }, diaryEntryErrors, 'check-in');
+}
+
+/** @param {string} date - the day of the check-in, 'YYYY-MM-DD' */
+export async function deleteDiaryEntry(date) {
+  await remove('diary', date);
+  onChange();
+}
+
+// ---------- Menstrual cycle ----------
+
+export function loadPeriods() {
+  return readAllRecords('periods');
+}
+
+/**
+ * Add or update a period (see cycles.js).
+ * @param {{id?: string, startDate: string, endDate?: string}} period
+ */
+export function savePeriod(period) {
+  return saveRecord('periods', period, periodErrors, 'period');
+}
+
+export async function deletePeriod(id) {
+  await remove('periods', id);
+  onChange();
+}
+
+// ---------- Questionnaires ----------
+
+export function loadQuestionnaires() {
+  return readAllRecords('questionnaires');
+}
+
+/**
+ * Save a completed MIDAS or HIT-6 (see questionnaires.js). Rejects with
+ * a ValidationError when a question is unanswered.
+ * @param {{id?: string, type: 'midas'|'hit6', date: string, answers: object}} record
+ */
+export function saveQuestionnaire(record) {
+  return saveRecord('questionnaires', record, questionnaireErrors, 'questionnaire');
+}
+
+export async function deleteQuestionnaire(id) {
+  await remove('questionnaires', id);
+  onChange();
+}
+
+// ---------- Weather ----------
+
+export function loadWeather() {
+  return readAllRecords('weather');
+}
+
+/**
+ * Import readings from a weather CSV or JSON file (see weather.js for
+ * the format). Readings replace any stored for the same time. Rejects
+ * when the file can't be read as weather data.
+ * @param {File} file
+ * @returns {Promise<{imported: number, from: string, to: string}>}
+ */
+export async function importWeather(file) {
+  const readings = parseWeather(await file.text());
+  await writeRecords('weather', readings);
+  onChange();
+  return { imported: readings.length, from: readings[0].time, to: readings[readings.length - 1].time };
+}
+
+/** Remove all weather readings. */
+export async function clearWeather() {
+  await writeRecords('weather', [], { replace: true });
+  onChange();
+}
+
+// ---------- Exposures ----------
+
+export function loadExposures() {
+  return readAllRecords('exposures');
+}
+
+/**
+ * Add or update an exposure to a possible trigger (see exposures.js).
+ * @param {{id?: string, name: string, time: string, note?: string}} exposure
+ */
+export function saveExposure(exposure) {
+  return saveRecord('exposures', exposure, exposureErrors, 'exposure');
+}
+
+export async function deleteExposure(id) {
+  await remove('exposures', id);
+  onChange();
+}
+
+// ---------- Insight history ----------
+
+export function loadInsightHistory() {
+  return readAllRecords('insights');
+}
+
+/**
+ * Add or update insight history records (see insights.js) in one go.
+ * Rejects with a ValidationError, writing nothing, if any is invalid.
+ * @param {object[]} records
+ */
+export async function saveInsights(records) {
+  const now = new Date().toISOString();
+  const stamped = records.map(r => ({ ...r, createdAt: r.createdAt || now, updatedAt: now }));
+  const errors = stamped.flatMap(insightErrors);
+  if (errors.length) throw new ValidationError(`Invalid insight: ${errors.map(e => e.message).join('; ')}.`, errors);
+  await writeRecords('insights', stamped);
+  onChange();
+  return stamped;
+}
+
+/** Forget every insight shown so far, along with dismissals and snoozes. */
+export async function clearInsightHistory() {
+  await writeRecords('insights', [], { replace: true });
+  onChange();
+}
+
+// ---------- Profiles ----------
+
+/**
+ * Make another profile active. Any unlocked key is forgotten, so
+ * initStorage must run again (and may report the profile as locked).
+ * @param {string} id
+ */
+export function switchProfile(id) {
+  setActiveProfile(id);
+  encryption = null;
+}
+
+/**
+ * Create a profile and its database.
+ * @param {string} name
+ */
+export async function createProfile(name) {
+  const profile = addProfile(name, newId());
+  // a new profile starts out on the current schema
+  await transaction(['meta'], 'readwrite', stores => {
+    stores.meta.put({ key: SCHEMA_VERSION_KEY, value: SCHEMA_VERSION });
+  }, databaseName(profile.id));
+  return profile;
+}
+
+/** Delete a profile together with all of its data. */
+export async function deleteProfile(id) {
+  removeProfile(id);
+  await deleteDatabase(databaseName(id));
+}
+
+/**
+ * Whether moving episodes into a profile needs its passphrase.
+ * @param {string} profileId
+ */
+export async function profileIsEncrypted(profileId) {
+  return Boolean(await get('meta', ENCRYPTION_KEY, databaseName(profileId)));
+}
+
+/**
+ * Move episodes from the active profile to another one. They keep their
+ * ids and timestamps and are removed here once written there. When the
+ * target profile is encrypted its passphrase is required.
+ * @param {string[]} ids
+ * @param {string} targetId
+ * @param {{passphrase?: string}} [options]
+ */
+export async function moveEpisodesToProfile(ids, targetId, { passphrase } = {}) {
+  if (targetId === getActiveProfile().id) throw new Error('The episodes are already in this profile.');
+  const targetDb = databaseName(targetId);
+  const record = await get('meta', ENCRYPTION_KEY, targetDb);
+  let targetEncryption = null;
+  if (record) {
+    if (!passphrase) throw new Error('That profile is protected. Its passphrase is required.');
+    targetEncryption = { key: await unlockKey(passphrase, record), record };
+  }
+  const episodes = (await Promise.all(ids.map(readEpisode))).filter(Boolean);
+  const rows = await Promise.all(episodes.map(e => sealRecord(e, 'id', targetEncryption)));
+  await transaction(['episodes'], 'readwrite', stores => {
+    rows.forEach(r => stores.episodes.put(r));
+  }, targetDb);
+  await transaction(['episodes'], 'readwrite', stores => {
+    episodes.forEach(e => stores.episodes.delete(e.id));
+  });
+  onChange();
+  return episodes.length;
 }
 
 // ---------- Settings ----------
@@ -51,81 +671,244 @@ const DEFAULT_SETTINGS = {
   reminderEnabled: false,
   reminderTime: '20:30',
   theme: 'system',
-  reducedMotion: false
+  reducedMotion: false,
+  // remind about an episode left ongoing this long; 0 turns it off
+  ongoingReminderHours: 12,
+  // show period logging and the menstrual insight and chart overlay
+  cycleTracking: false,
+  // per-rule choices for the insights, only where they differ from the defaults (see rules.js)
+  insightRules: {},
+  // when the Insights tab was last opened, for the badge on its button
+  insightsSeenAt: null,
+  triggersList: ['stress', 'lack of sleep', 'skipped meal', 'bright light', 'caffeine', 'alcohol', 'weather', 'screen time']
 };
 
-export function loadSettings() {
-  try {
-    const raw = localStorage.getItem(SETTINGS_KEY);
-    return raw ? { ...DEFAULT_SETTINGS, ...JSON.parse(raw) } : { ...DEFAULT_SETTINGS };
-  } catch { return { ...DEFAULT_SETTINGS }; }
+export async function loadSettings() {
+  const record = await unsealRecord(await get('meta', SETTINGS_KEY));
+  return { ...DEFAULT_SETTINGS, ...(record ? record.value : {}) };
 }
 
-export function saveSettings(s) {
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify(s));
+export async function saveSettings(s) {
+  await put('meta', await sealRecord({ key: SETTINGS_KEY, value: s }, 'key'));
   onChange();
 }
 
 // ---------- Export / Import ----------
-export function exportEpisodesToCSV() {
-  const eps = loadEpisodes().sort((a,b)=>new Date(b.datetime)-new Date(a.datetime));
-  const header = [
-    'id','datetime','intensity','durationMinutes','triggers','medications','notes'
-  ];
-  const rows = eps.map(e => [
-    e.id,
-    e.datetime,
-    e.intensity,
-    e.durationMinutes,
-    (e.triggers||[]).join(';'),
-    (e.medications||[]).map(m => m.doseMg ? `${m.name}(${m.doseMg}mg)` : m.name).join(';'),
-    (e.notes||'').replace(/\r?\n/g,' ')
-  ]);
-  const csv = [header, ...rows]
-    .map(r => r.map(cell => {
-      const s = String(cell ?? '');
-      return /[",\n]/.test(s) ? `"${s.replace(/"/g,'""')}"` : s;
-    }).join(','))
-    .join('\n');
+export async function exportEpisodesToCSV() {
+  const csv = episodesToCSV(await loadEpisodes());
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  download(url, `migraine_episodes_${fileLabel()}.csv`);
+  return csv;
+}
 
+/** Download completed questionnaires with their scores as CSV. */
+export async function exportQuestionnairesToCSV() {
+  const csv = questionnairesToCSV(await loadQuestionnaires());
   const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
   const url = URL.createObjectURL(blob);
-  download(url, `migraine_episodes_${new Date().toISOString().slice(0,10)}.csv`);
+  download(url, `migraine_questionnaires_${fileLabel()}.csv`);
+  return csv;
 }
 
-export function exportBackupJSON() {
-  const data = {
-    episodes: loadEpisodes(),
-    settings: loadSettings(),
+/**
+ * Download a JSON backup. While encryption is on, the backup is
+ * encrypted with the same passphrase.
+ */
+export async function exportBackupJSON() {
+  let data = {
+    schemaVersion: SCHEMA_VERSION,
+    episodes: await loadEpisodes(),
+    settings: await loadSettings(),
+    ...(await readRecordsForBackup()),
+    profile: getActiveProfile().name,
     exportedAt: new Date().toISOString()
   };
+  if (encryption) data = await sealBackup(encryption.key, encryption.record, data);
   const blob = new Blob([JSON.stringify(data,null,2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
-  download(url, `migraine_backup_${new Date().toISOString().slice(0,10)}.json`);
+  download(url, `migraine_backup_${fileLabel()}.json`);
 }
 
-export async function importBackupJSON(file, { mode = 'merge' } = {}) {
+/**
+ * Whether a backup file is encrypted and needs a passphrase to import.
+ * @param {File} file
+ */
+export async function backupNeedsPassphrase(file) {
+  try {
+    return isSealedBackup(JSON.parse(await file.text()));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read and decrypt a JSON backup without importing it, upgraded to the
+ * current schema and checked with validation.js. Throws for backups
+ * from a newer app version, and for encrypted backups when `passphrase`
+ * is missing or wrong.
+ *
+ * `invalid` picks what happens to invalid episodes: `reject` (the
+ * default) throws a ValidationError, `skip` leaves them out and `fix`
+ * repairs what it can and leaves out the rest. Either way `rejected`
+ * lists what was left out and `fixed` counts the repaired episodes.
+ * Treatments and other records are passed through as they are.
+ * @param {File} file
+ * @param {{passphrase?: string, invalid?: 'reject'|'skip'|'fix'}} [options]
+ * @returns {Promise<{episodes: Episode[], settings: object|null, rejected: object[], fixed: number}>}
+ */
+export async function readBackupJSON(file, { passphrase, invalid = 'reject' } = {}) {
   const text = await file.text();
-  const data = JSON.parse(text || '{}');
-  const incoming = Array.isArray(data.episodes) ? data.episodes : [];
-  const current = loadEpisodes();
+  let raw = JSON.parse(text || '{}');
+  if (isSealedBackup(raw)) {
+    if (!passphrase) throw new Error('This backup is encrypted. A passphrase is required.');
+    raw = await openBackup(passphrase, raw);
+  }
+  const data = migrateData(raw, readSchemaVersion(raw));
+  const { episodes, rejected, fixed } = screenIncoming(data.episodes, invalid, 'this backup');
+  // other records aren't versioned by the schema; importRecords checks each one
+  const records = Object.fromEntries(RECORD_STORES.filter(store => Array.isArray(raw[store])).map(store => [store, raw[store]]));
+  return { ...data, ...records, episodes, rejected, fixed };
+}
 
-  let merged;
+/**
+ * Import a JSON backup. `replace` swaps all episodes for the backup's
+ * and applies its settings. `merge` follows planMerge in merge.js: newer records win,
+ * true conflicts keep the local copy, and settings are only taken from
+ * the backup with `importSettings`. Use planBackupMerge first to let
+ * the user review and resolve conflicts. `invalid` is as for readBackupJSON.
+ * @param {File} file
+ * @param {{mode?: 'merge'|'replace', passphrase?: string, importSettings?: boolean, invalid?: 'reject'|'skip'|'fix'}} [options]
+ */
+export async function importBackupJSON(file, { mode = 'merge', passphrase, importSettings = false, invalid } = {}) {
+  const data = await readBackupJSON(file, { passphrase, invalid });
   if (mode === 'replace') {
-    merged = incoming;
-  } else {
-    const map = new Map(current.map(e => [e.id, e]));
-    for (const e of incoming) map.set(e.id || (crypto.randomUUID?.() || String(Date.now()+Math.random())), e);
-    merged = Array.from(map.values());
+    await importEpisodes(data.episodes, { mode });
+    await importRecords(data, { mode });
+    if (data.settings) await saveSettings({ ...(await loadSettings()), ...data.settings });
+    return;
+  }
+  const plan = await planBackupMerge(data);
+  await applyBackupMerge(plan, data.settings, { importSettings, records: data });
+}
+
+/**
+ * Compare backup data from readBackupJSON with local data.
+ * @param {{episodes: Episode[], settings: object|null}} data
+ * @returns {Promise<import('./merge.js').MergePlan>}
+ */
+export async function planBackupMerge(data) {
+  return planMerge(await readAllEpisodes(), data.episodes, await loadSettings(), data.settings);
+}
+
+/**
+ * Write a reviewed merge plan. `records` is the backup data, whose
+ * other records (treatments and so on) are merged by keeping the more
+ * recently updated copy of each.
+ * @param {import('./merge.js').MergePlan} plan
+ * @param {object|null} incomingSettings
+ * @param {{resolutions?: Object<string, 'local'|'incoming'>, importSettings?: boolean, records?: object}} [options]
+ */
+export async function applyBackupMerge(plan, incomingSettings, { resolutions = {}, importSettings = false, records } = {}) {
+  await importEpisodes(episodesToWrite(plan, resolutions), { mode: 'merge' });
+  if (records) await importRecords(records, { mode: 'merge' });
+  if (importSettings && incomingSettings) {
+    await saveSettings({ ...(await loadSettings()), ...incomingSettings });
   }
-  saveEpisodes(merged);
+}
+
+/**
+ * Store episodes parsed from a CSV file (see csv.js). Like
+ * importBackupJSON, `merge` keeps existing episodes and `replace`
+ * discards them, and `invalid` says whether invalid rows fail the
+ * import, are skipped or are repaired where possible.
+ * @param {Episode[]} episodes
+ * @param {{mode?: 'merge'|'replace', invalid?: 'reject'|'skip'|'fix'}} [options]
+ * @returns {Promise<{imported: number, rejected: object[], fixed: number}>}
+ */
+export async function importEpisodesCSV(episodes, { mode = 'merge', invalid = 'reject' } = {}) {
+  const screened = screenIncoming(episodes, invalid, 'this file');
+  await importEpisodes(screened.episodes, { mode });
+  return { imported: screened.episodes.length, rejected: screened.rejected, fixed: screened.fixed };
+}
 
-  if (data.settings && typeof data.settings === 'object') {
-    saveSettings({ ...loadSettings(), ...data.settings });
+// Screen incoming episodes, failing on invalid ones in `reject` mode.
+function screenIncoming(episodes, invalid, source) {
+  const screened = screenEpisodes(episodes, { invalid });
+  const count = screened.rejected.length;
+  if (invalid === 'reject' && count > 0) {
+    const errors = screened.rejected.flatMap(r => r.errors.map(e => ({ ...e, index: r.index })));
+    throw new ValidationError(
+      `${count} ${count === 1 ? 'episode' : 'episodes'} in ${source} ${count === 1 ? 'is' : 'are'} invalid, ` +
+      `e.g. ${screened.rejected[0].errors[0].message}.`,
+      errors
+    );
   }
+  return screened;
+}
+
+/**
+ * Write imported episodes. With `merge`, incoming episodes overwrite
+ * local ones with the same id; `replace` discards all local episodes.
+ * Episodes without timestamps are stamped with the import time. Every
+ * episode must be valid; callers screen them first.
+ */
+async function importEpisodes(episodes, { mode = 'merge' } = {}) {
+  screenIncoming(episodes, 'reject', 'the import');
+  const now = new Date().toISOString();
+  const incoming = episodes.map(e => ({
+    ...e,
+    id: e.id || newId(),
+    createdAt: e.createdAt || now,
+    updatedAt: e.updatedAt || now
+  }));
+  await writeEpisodes(incoming, { replace: mode === 'replace' });
+  onChange();
+}
+
+// Other records for a backup, keyed by store name.
+async function readRecordsForBackup() {
+  const data = {};
+  for (const store of RECORD_STORES) data[store] = await readAllRecords(store);
+  return data;
+}
+
+// Write the other records from a backup. Backups from before a store
+// existed simply don't have it; `replace` leaves such stores alone.
+// Invalid records are skipped rather than failing the whole import.
+async function importRecords(data, { mode = 'merge' } = {}) {
+  const checks = {
+    preventives: preventiveErrors,
+    doseLog: doseEntryErrors,
+    diary: diaryEntryErrors,
+    periods: periodErrors,
+    questionnaires: questionnaireErrors,
+    weather: weatherReadingErrors,
+    exposures: exposureErrors,
+    insights: insightErrors
+  };
+  for (const store of RECORD_STORES) {
+    if (!Array.isArray(data[store])) continue;
+    const incoming = data[store].filter(r => r && r.id && checks[store](r).length === 0);
+    if (mode === 'replace') {
+      await writeRecords(store, incoming, { replace: true });
+      continue;
+    }
+    const local = new Map((await readAllRecords(store)).map(r => [r.id, r]));
+    const newer = incoming.filter(r => !local.has(r.id) || (r.updatedAt || '') > (local.get(r.id).updatedAt || ''));
+    await writeRecords(store, newer);
+  }
+  onChange();
 }
 
 // ---------- Helpers ----------
+// profile name and date for export file names, e.g. `sam_2024-05-01`
+function fileLabel() {
+  const name = getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const date = new Date().toISOString().slice(0, 10);
+  return name ? `${name}_${date}` : date;
+}
+
 function download(url, filename) {
   const a = document.createElement('a');
   a.href = url; a.download = filename; a.rel = 'noopener';
@@ -133,14 +916,19 @@ function download(url, filename) {
   setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
+export function newId() {
+  return crypto.randomUUID?.() || String(Date.now() + Math.random());
+}
+
 
 export function getSettings() {
   return loadSettings();
 }
 
-export function updateSettings(s) {
-  saveSettings(s);
-  
+export async function updateSettings(patch) {
+  const next = { ...(await loadSettings()), ...patch };
+  await saveSettings(next);
+  return next;
 }
 
 // Alias functions for UI expectations
@@ -0,0 +1,105 @@
+/* symptoms.js
+ *
+ * Structured symptoms recorded with an episode, kept in
+ * `episode.symptoms` keyed by the ids below. Each symptom is a yes/no
+ * flag (`boolean`), one of a few options (`choice`) or several of them
+ * (`multi`). The form, timeline, CSV columns, validation and insights
+ * are all driven by this list, so adding a symptom only takes an entry.
+ */
+
+export const SYMPTOMS = [
+  {
+    id: 'nausea',
+    label: 'Nausea/vomiting',
+    type: 'choice',
+    options: [
+      { id: 'nausea', label: 'Nausea', phrase: 'nausea' },
+      { id: 'vomiting', label: 'Vomiting', phrase: 'vomiting' }
+    ]
+  },
+  { id: 'photophobia', label: 'Light sensitivity', type: 'boolean', phrase: 'sensitivity to light' },
+  { id: 'phonophobia', label: 'Sound sensitivity', type: 'boolean', phrase: 'sensitivity to sound' },
+  { id: 'osmophobia', label: 'Smell sensitivity', type: 'boolean', phrase: 'sensitivity to smells' },
+  {
+    id: 'painSide',
+    label: 'Pain side',
+    type: 'choice',
+    options: [
+      { id: 'left', label: 'Left', phrase: 'pain on the left' },
+      { id: 'right', label: 'Right', phrase: 'pain on the right' },
+      { id: 'both', label: 'Both sides', phrase: 'pain on both sides' },
+      { id: 'alternating', label: 'Switches sides', phrase: 'pain that switches sides' }
+    ]
+  },
+  {
+    id: 'painLocation',
+    label: 'Pain location',
+    type: 'multi',
+    options: [
+      { id: 'forehead', label: 'Forehead', phrase: 'pain in the forehead' },
+      { id: 'temples', label: 'Temples', phrase: 'pain at the temples' },
+      { id: 'eyes', label: 'Behind the eyes', phrase: 'pain behind the eyes' },
+      { id: 'top', label: 'Top of head', phrase: 'pain at the top of the head' },
+      { id: 'back', label: 'Back of head', phrase: 'pain at the back of the head' },
+      { id: 'neck', label: 'Neck', phrase: 'neck pain' }
+    ]
+  },
+  {
+    id: 'painQuality',
+    label: 'Pain quality',
+    type: 'choice',
+    options: [
+      { id: 'throbbing', label: 'Throbbing', phrase: 'throbbing pain' },
+      { id: 'pressing', label: 'Pressing', phrase: 'pressing pain' },
+      { id: 'stabbing', label: 'Stabbing', phrase: 'stabbing pain' },
+      { id: 'dull', label: 'Dull', phrase: 'dull pain' }
+    ]
+  },
+  { id: 'worseWithActivity', label: 'Worse with activity', type: 'boolean', phrase: 'pain worse with activity' }
+];
+
+/**
+ * The individual things present in a symptoms record, one per flag or
+ * selected option, e.g. `{ key: 'painSide:left', label: 'Left', phrase: 'pain on the left' }`.
+ * @param {object} [symptoms]
+ * @returns {Array<{key: string, label: string, phrase: string}>}
+ */
+export function symptomFeatures(symptoms) {
+  if (!symptoms) return [];
+  const features = [];
+  SYMPTOMS.forEach(def => {
+    const value = symptoms[def.id];
+    if (def.type === 'boolean') {
+      if (value === true) features.push({ key: def.id, label: def.label, phrase: def.phrase });
+      return;
+    }
+    const selected = def.type === 'multi' ? value || [] : value ? [value] : [];
+    def.options
+      .filter(opt => selected.includes(opt.id))
+      .forEach(opt => features.push({ key: `${def.id}:${opt.id}`, label: opt.label, phrase: opt.phrase }));
+  });
+  return features;
+}
+
+/** @param {Episode} episode */
+export function hasSymptoms(episode) {
+  return symptomFeatures(episode.symptoms).length > 0;
+}
+
+/**
+ * One-line summary for the timeline, e.g.
+ * "Nausea · Light sensitivity · Pain side: Left · Pain quality: Throbbing".
+ * @param {object} [symptoms]
+ */
+export function describeSymptoms(symptoms) {
+  if (!symptoms) return '';
+  return SYMPTOMS.map(def => {
+    const value = symptoms[def.id];
+    if (def.type === 'boolean') return value === true ? def.label : null;
+    const selected = def.type === 'multi' ? value || [] : value ? [value] : [];
+    const labels = def.options.filter(opt => selected.includes(opt.id)).map(opt => opt.label);
+    if (labels.length === 0) return null;
+    // nausea's options already name the symptom
+    return def.id === 'nausea' ? labels[0] : `${def.label}: ${labels.join(', ')}`;
+  }).filter(Boolean).join(' · ');
+}
@@ -0,0 +1,99 @@
+/* triggers.js
+ *
+ * Whether a trigger actually goes with migraines, rather than just
+ * being common. Episodes only record triggers on days with an attack,
+ * so on their own every everyday trigger looks suspicious. Daily
+ * check-ins record the same factors on days without one (see diary.js),
+ * as do exposures logged as they happen (see exposures.js). That gives
+ * a 2×2 table per trigger over the days with a check-in:
+ *
+ *                  migraine started   no migraine
+ *   exposed                a               b
+ *   not exposed            c               d
+ *
+ * triggerComparison reports the odds ratio (a·d)/(b·c) with its 95%
+ * confidence interval for each trigger. Pure functions only.
+ */
+
+import { episodeDays } from './ongoing.js';
+import { dayOf, parseDay } from './dates.js';
+
+// the comparison needs this many days with a check-in, this many of them
+// with a migraine starting, and this many days with and without a trigger
+export const MIN_CHECK_IN_DAYS = 30;
+export const MIN_ATTACK_DAYS = 3;
+export const MIN_EXPOSED_DAYS = 5;
+// 95% confidence
+const Z = 1.96;
+
+/**
+ * Odds ratio of a 2×2 table with its 95% confidence interval (Woolf's
+ * method). When a cell is zero, 0.5 is added to every cell so the
+ * ratio and interval stay finite (Haldane–Anscombe correction).
+ * @param {number} a - exposed, migraine
+ * @param {number} b - exposed, no migraine
+ * @param {number} c - not exposed, migraine
+ * @param {number} d - not exposed, no migraine
+ * @returns {{oddsRatio: number, low: number, high: number}}
+ */
+export function oddsRatio(a, b, c, d) {
+  const cells = [a, b, c, d].some(n => n === 0) ? [a, b, c, d].map(n => n + 0.5) : [a, b, c, d];
+  const [w, x, y, z] = cells;
+  const log = Math.log((w * z) / (x * y));
+  const se = Math.sqrt(1 / w + 1 / x + 1 / y + 1 / z);
+  return { oddsRatio: Math.exp(log), low: Math.exp(log - Z * se), high: Math.exp(log + Z * se) };
+}
+
+/**
+ * Compare migraine onsets on days with and without each trigger, over
+ * the days with a check-in in the `days` days before `now`. A day is
+ * exposed to a trigger when the check-in lists it as a factor or an
+ * exposure of that name was logged that day (see exposures.js); names
+ * are compared ignoring case. Triggers tagged on episodes don't count,
+ * as days without a migraine have no episode to tag them on. Today is
+ * left out, as a migraine may still start, and so are days an attack
+ * that began earlier was still going. `enough` says whether there are
+ * `minDays` check-in days with `MIN_ATTACK_DAYS` onsets among them; each
+ * trigger's `enough` also needs `minExposedDays` days with and without
+ * it.
+ * @param {Episode[]} episodes
+ * @param {object[]} diary
+ * @param {{exposures?: object[], now?: Date, days?: number, minDays?: number, minExposedDays?: number}} [options]
+ * @returns {{days: number, attackDays: number, enough: boolean, triggers: Array<{name: string, exposed: {days: number, attackDays: number}, unexposed: {days: number, attackDays: number}, oddsRatio: number, low: number, high: number, enough: boolean}>}}
+ */
+export function triggerComparison(episodes, diary, { exposures = [], now = new Date(), days = 90, minDays = MIN_CHECK_IN_DAYS, minExposedDays = MIN_EXPOSED_DAYS } = {}) {
+  const today = dayOf(now);
+  const since = parseDay(today);
+  since.setDate(since.getDate() - days);
+  const onsets = new Set(episodes.map(ep => dayOf(new Date(ep.datetime))));
+  const going = new Set(episodes.flatMap(ep => episodeDays(ep, now).slice(1)));
+  const checkIns = diary.filter(e => e.date >= dayOf(since) && e.date < today && (onsets.has(e.date) || !going.has(e.date)));
+  const logged = new Map();
+  exposures.forEach(e => {
+    const day = dayOf(new Date(e.time));
+    logged.set(day, [...(logged.get(day) || []), e.name]);
+  });
+  const rows = checkIns.map(e => ({
+    attack: onsets.has(e.date),
+    names: new Set([...(e.factors || []), ...(logged.get(e.date) || [])].map(name => name.trim().toLowerCase()))
+  }));
+  const attackDays = rows.filter(e => e.attack).length;
+  const names = [...new Set(rows.flatMap(e => [...e.names]))];
+  const triggers = names.map(name => {
+    const count = (exposed, attack) => rows.filter(e => e.names.has(name) === exposed && e.attack === attack).length;
+    const [a, b, c, d] = [count(true, true), count(true, false), count(false, true), count(false, false)];
+    return {
+      name,
+      exposed: { days: a + b, attackDays: a },
+      unexposed: { days: c + d, attackDays: c },
+      ...oddsRatio(a, b, c, d),
+      enough: a + b >= minExposedDays && c + d >= minExposedDays
+    };
+  }).sort((x, y) => y.oddsRatio - x.oddsRatio);
+  return {
+    days: rows.length,
+    attackDays,
+    enough: rows.length >= minDays && attackDays >= MIN_ATTACK_DAYS,
+    triggers
+  };
+}
@@ -7,28 +7,128 @@
 import {
   subscribe,
   addEpisode,
+  startEpisode,
+  logIntensity,
+  endEpisode,
+  rateMedication,
   updateEpisode,
   deleteEpisode as deleteEp,
+  restoreEpisode,
+  purgeEpisode,
+  emptyTrash,
+  importBackup,
+  planBackupImport,
+  commitBackupMerge,
+  importCsv,
+  undo,
+  redo,
+  unlock,
+  setPassphrase,
+  changePassphrase,
+  removePassphrase,
+  switchProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile,
+  moveEpisodes,
+  savePreventive,
+  deletePreventive,
+  logDose,
+  checkIn,
+  savePeriod,
+  deletePeriod,
+  saveExposure,
+  deleteExposure,
+  saveQuestionnaire,
+  deleteQuestionnaire,
   updateSettings as appUpdateSettings,
-  getSuggestions,
+  importWeather,
+  clearWeather,
+  getInsights,
+  markInsightsSeen,
+  dismissInsight,
+  snoozeInsight,
+  restoreInsight,
+  clearInsightHistory,
   updateCharts,
-  getState,
-  initApp
+  reportPage,
+  getState
 } from './app.js';
 import {
   exportEpisodesToCSV,
   exportEpisodesToJSON,
-  importEpisodesFromJSON
+  exportQuestionnairesToCSV,
+  backupNeedsPassphrase,
+  profileIsEncrypted
 } from './storage.js';
+import { IMPORT_FIELDS, parseCSV, guessColumnMapping, episodesFromRows } from './csv.js';
+import { ValidationError, validateEpisode, repairEpisode } from './validation.js';
+import { isOngoing, findOngoing, elapsedMinutes, reminderDue, editedEpisode } from './ongoing.js';
+import { PHASES, AURA_TYPES, hasAura, auraMinutes } from './phases.js';
+import { SYMPTOMS, describeSymptoms } from './symptoms.js';
+import {
+  findMedication,
+  medicationClass,
+  medicationSuggestions,
+  RELIEF_LEVELS,
+  pendingFollowUps
+} from './medications.js';
+import {
+  SCHEDULE_UNITS,
+  describeSchedule,
+  isActive,
+  nextDose,
+  unloggedDoses,
+  adherence,
+  compareBeforeAfter
+} from './preventives.js';
+import { dayOf, parseDay } from './dates.js';
+import { dayStatuses, recentMonths } from './diary.js';
+import { LIFESTYLE_FACTORS } from './lifestyle.js';
+import { listRules, ruleSettings, withRuleSettings } from './rules.js';
+import { DEFAULT_WINDOW_DAYS } from './patterns.js';
+import { SNOOZE_DAYS, isHidden } from './insights.js';
+import { periodOn, cycleDay } from './cycles.js';
+import { QUESTIONNAIRES, scoreQuestionnaire, questionLabel, midasDue } from './questionnaires.js';
+import { CHECK_IN_HASH } from './reminders.js';
 
 // keep track of current tab and editing state
 let currentTab = 'log';
 let editingId = null;
 let timelineFilterDays = 30;
 let timelineSearchQuery = '';
+// the Insights tab can show the analysis as of a past day ('YYYY-MM-DD'; null for now)
+let insightsAsOf = null;
+let insightsWindowDays = DEFAULT_WINDOW_DAYS;
+// when the Insights tab had last been opened before this visit, so
+// insights new since then stay marked while it is open
+let insightsVisitSeenAt = null;
+// exposure shown in the lag chart; null for the most logged one
+let lagExposure = null;
+// how far back the exposure list on the Log tab goes
+const RECENT_EXPOSURE_DAYS = 3;
+let showingTrash = false;
+let toastTimer = null;
+// how long the undo toast stays up
+const TOAST_MS = 6000;
+const MIN_PASSPHRASE_LENGTH = 8;
+// number of parsed rows shown in the CSV import preview
+const CSV_PREVIEW_ROWS = 20;
+// log form input for each episode field, to flag validation errors
+const LOG_FIELD_INPUTS = {
+  datetime: '#log-datetime',
+  intensity: '#log-intensity',
+  durationMinutes: '#log-duration',
+  notes: '#log-notes',
+  phases: '#log-phases input',
+  aura: '#log-aura-duration',
+  symptoms: '#log-symptoms select'
+};
 
 // caches for view containers
 const views = {};
+// refreshes the ongoing and follow-up banners; initUI runs again after unlocking
+let bannerTimer = null;
 
 export function initUI() {
   const root = document.getElementById('app');
@@ -36,11 +136,22 @@ export function initUI() {
     console.error('No #app element found');
     return;
   }
+  // encrypted data: ask for the passphrase before building anything else
+  if (getState().locked) {
+    buildUnlockScreen(root);
+    return;
+  }
   // Header
   const header = document.createElement('header');
   const title = document.createElement('h1');
   title.textContent = 'AI Migraine Tracker';
   header.appendChild(title);
+  // profile switcher, only shown once there is more than one profile
+  const profileSelect = document.createElement('select');
+  profileSelect.id = 'profile-switcher';
+  profileSelect.setAttribute('aria-label', 'Profile');
+  profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+  header.appendChild(profileSelect);
   // theme toggle button
   const themeToggle = document.createElement('div');
   themeToggle.className = 'theme-toggle';
@@ -51,6 +162,25 @@ export function initUI() {
   header.appendChild(themeToggle);
   root.appendChild(header);
 
+  // Ongoing episode bar, filled in by renderOngoingBanner
+  const ongoingBanner = document.createElement('div');
+  ongoingBanner.id = 'ongoing-banner';
+  ongoingBanner.className = 'ongoing-banner';
+  ongoingBanner.setAttribute('role', 'status');
+  root.appendChild(ongoingBanner);
+  // "How well did it work?" prompts, filled in by renderFollowUpBanner
+  const followUpBanner = document.createElement('div');
+  followUpBanner.id = 'followup-banner';
+  followUpBanner.className = 'ongoing-banner';
+  followUpBanner.setAttribute('role', 'status');
+  root.appendChild(followUpBanner);
+  // keep the elapsed time current and show follow-ups as they fall due
+  clearInterval(bannerTimer);
+  bannerTimer = setInterval(() => {
+    renderOngoingBanner(getState());
+    renderFollowUpBanner(getState());
+  }, 60 * 1000);
+
   // Notification banner (hidden by default)
   const notifBanner = document.createElement('div');
   notifBanner.id = 'notif-banner';
@@ -64,6 +194,14 @@ export function initUI() {
     }, 8000);
   });
 
+  // Toast for undo/redo after each action
+  const toast = document.createElement('div');
+  toast.id = 'toast';
+  toast.className = 'toast';
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+  document.body.appendChild(toast);
+
   // Nav
   const nav = document.createElement('nav');
   const tabs = [
@@ -71,12 +209,20 @@ export function initUI() {
     { id: 'timeline', label: 'Timeline' },
     { id: 'charts', label: 'Charts' },
     { id: 'insights', label: 'Insights' },
+    { id: 'treatments', label: 'Treatments' },
     { id: 'settings', label: 'Settings' }
   ];
   tabs.forEach(tab => {
     const btn = document.createElement('button');
     btn.textContent = tab.label;
     btn.dataset.tab = tab.id;
+    if (tab.id === 'insights') {
+      const badge = document.createElement('span');
+      badge.id = 'insights-badge';
+      badge.className = 'nav-badge';
+      badge.hidden = true;
+      btn.appendChild(badge);
+    }
     if (tab.id === currentTab) btn.classList.add('active');
     btn.addEventListener('click', () => {
       showTab(tab.id);
@@ -102,7 +248,11 @@ export function initUI() {
   buildTimelineView();
   buildChartsView();
   buildInsightsView();
+  buildTreatmentsView();
   buildSettingsView();
+  // the daily reminder links to the check-in
+  openCheckIn();
+  window.addEventListener('hashchange', openCheckIn);
 
   // Theme toggle behaviour
   themeBtn.addEventListener('click', () => {
@@ -115,15 +265,25 @@ export function initUI() {
   subscribe(state => {
     applyTheme(state.settings);
     applyReducedMotion(state.settings);
+    renderProfileSwitcher(state);
+    renderOngoingBanner(state);
+    renderFollowUpBanner(state);
     // update timeline
     renderTimeline(state);
     // update charts
+    renderLagExposureChoice(state);
     const chartsContainer = views.charts.querySelector('.charts-container');
     if (chartsContainer) {
-      updateCharts(chartsContainer);
+      updateCharts(chartsContainer, { lagExposure });
     }
     // update insights
     renderInsights(state);
+    renderInsightsBadge();
+    renderInsightHistory(state);
+    renderQuestionnaires(state);
+    renderTreatments(state);
+    renderCheckInSummary(state);
+    renderExposures(state);
     // update settings form values
     syncSettingsUI(state);
     // update log triggers list
@@ -131,6 +291,218 @@ export function initUI() {
   });
 }
 
+function buildUnlockScreen(root) {
+  root.innerHTML = '';
+  const form = document.createElement('form');
+  form.className = 'card unlock-screen';
+  const title = document.createElement('h1');
+  title.textContent = 'AI Migraine Tracker';
+  const { profiles, activeProfile } = getState();
+  const label = document.createElement('label');
+  label.textContent = profiles.length > 1 ? `Passphrase for ${activeProfile.name}` : 'Passphrase';
+  label.htmlFor = 'unlock-passphrase';
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.id = 'unlock-passphrase';
+  input.autocomplete = 'current-password';
+  input.required = true;
+  const error = document.createElement('p');
+  error.className = 'form-error';
+  error.setAttribute('role', 'alert');
+  const btn = document.createElement('button');
+  btn.type = 'submit';
+  btn.className = 'primary';
+  btn.textContent = 'Unlock';
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    btn.disabled = true;
+    error.textContent = '';
+    try {
+      await unlock(input.value);
+      root.innerHTML = '';
+      initUI();
+    } catch (err) {
+      error.textContent = err.message;
+      btn.disabled = false;
+      input.select();
+    }
+  });
+  form.appendChild(title);
+  form.appendChild(label);
+  form.appendChild(input);
+  form.appendChild(error);
+  form.appendChild(btn);
+  // other profiles may not be locked, so allow switching away
+  if (profiles.length > 1) {
+    const others = document.createElement('p');
+    others.textContent = 'Or switch to ';
+    profiles.filter(p => p.id !== activeProfile.id).forEach((p, i) => {
+      if (i > 0) others.appendChild(document.createTextNode(', '));
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'secondary';
+      link.textContent = p.name;
+      link.addEventListener('click', () => selectProfile(p.id));
+      others.appendChild(link);
+    });
+    form.appendChild(others);
+  }
+  root.appendChild(form);
+  input.focus();
+}
+
+// Switching reloads the page so every view, reminder and the undo
+// history start over with the new profile's data.
+function selectProfile(id) {
+  switchProfile(id);
+  location.reload();
+}
+
+// Bar under the header while an episode is ongoing: elapsed time,
+// peak intensity, and controls to log the current intensity or end it.
+function renderOngoingBanner(state) {
+  const banner = document.getElementById('ongoing-banner');
+  if (!banner) return;
+  const ep = findOngoing(state.episodes);
+  banner.innerHTML = '';
+  banner.hidden = !ep;
+  if (!ep) return;
+  const due = reminderDue(ep, state.settings.ongoingReminderHours);
+  const overdue = due !== null && due <= new Date();
+  banner.classList.toggle('overdue', overdue);
+  const text = document.createElement('span');
+  const started = new Date(ep.datetime).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  text.textContent = `Migraine ongoing since ${started} (${formatMinutes(elapsedMinutes(ep))}), peak intensity ${ep.intensity}.` +
+    (overdue ? ' Still going? End it once it is over.' : '');
+  banner.appendChild(text);
+  const intensitySelect = document.createElement('select');
+  intensitySelect.setAttribute('aria-label', 'Current intensity');
+  for (let i = 0; i <= 10; i++) {
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = i;
+    intensitySelect.appendChild(opt);
+  }
+  const log = ep.intensityLog || [];
+  intensitySelect.value = log.length ? log[log.length - 1].intensity : ep.intensity;
+  const logBtn = document.createElement('button');
+  logBtn.type = 'button';
+  logBtn.className = 'secondary';
+  logBtn.textContent = 'Log intensity';
+  logBtn.addEventListener('click', () => runAction(async () => {
+    await logIntensity(ep.id, parseInt(intensitySelect.value, 10));
+    showUndoToast('Intensity logged');
+  }));
+  const endBtn = document.createElement('button');
+  endBtn.type = 'button';
+  endBtn.className = 'primary';
+  endBtn.textContent = 'End now';
+  endBtn.addEventListener('click', () => runAction(async () => {
+    await endEpisode(ep.id);
+    showUndoToast('Episode ended');
+  }));
+  banner.appendChild(intensitySelect);
+  banner.appendChild(logBtn);
+  banner.appendChild(endBtn);
+}
+
+// doses the user chose not to rate from the prompt, for this page load
+const skippedFollowUps = new Set();
+
+// Prompt under the header asking how well each recent dose worked,
+// two hours after it was taken.
+function renderFollowUpBanner(state) {
+  const banner = document.getElementById('followup-banner');
+  if (!banner) return;
+  const pending = pendingFollowUps(state.episodes)
+    .filter(f => !skippedFollowUps.has(`${f.episode.id}:${f.index}`));
+  // don't rebuild while the user is choosing a rating
+  if (banner.contains(document.activeElement) && pending.length > 0) return;
+  banner.innerHTML = '';
+  banner.hidden = pending.length === 0;
+  if (pending.length === 0) return;
+  const { episode, index, medication } = pending[0];
+  const text = document.createElement('span');
+  const taken = new Date(medication.takenAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  text.textContent = `How much did ${medication.name} (taken ${taken}) help?`;
+  banner.appendChild(text);
+  const reliefSelect = buildReliefSelect('followup-relief', 'Relief at 2 h', '');
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.min = 0;
+  minutesInput.placeholder = 'Worked after (min)';
+  minutesInput.setAttribute('aria-label', 'Minutes until it worked');
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'primary';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', async () => {
+    if (!reliefSelect.value) {
+      alert('Choose how much it helped first.');
+      return;
+    }
+    const rating = { relief2h: reliefSelect.value };
+    const minutes = parseFloat(minutesInput.value);
+    if (!isNaN(minutes) && minutes >= 0) rating.reliefMinutes = minutes;
+    try {
+      await rateMedication(episode.id, index, rating);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    showUndoToast('Relief recorded');
+  });
+  const skipBtn = document.createElement('button');
+  skipBtn.type = 'button';
+  skipBtn.className = 'secondary';
+  skipBtn.textContent = 'Not now';
+  skipBtn.addEventListener('click', () => {
+    skippedFollowUps.add(`${episode.id}:${index}`);
+    renderFollowUpBanner(getState());
+  });
+  banner.appendChild(reliefSelect);
+  banner.appendChild(minutesInput);
+  banner.appendChild(saveBtn);
+  banner.appendChild(skipBtn);
+}
+
+// e.g. "Sumatriptan (50mg, taken 14:05, 2 h: Much better after 40 min)"
+function describeMedication(m) {
+  const parts = [];
+  if (m.doseMg) parts.push(`${m.doseMg}mg`);
+  if (m.takenAt) {
+    parts.push(`taken ${new Date(m.takenAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`);
+  }
+  const relief = level => RELIEF_LEVELS.find(l => l.id === level).label;
+  if (m.relief2h) {
+    parts.push(`2 h: ${relief(m.relief2h)}` + (m.reliefMinutes !== undefined ? ` after ${formatMinutes(m.reliefMinutes)}` : ''));
+  }
+  if (m.relief24h) parts.push(`24 h: ${relief(m.relief24h)}`);
+  return parts.length ? `${m.name} (${parts.join(', ')})` : m.name;
+}
+
+// e.g. "45 min" or "2 h 5 min"
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h} h ${m} min` : `${h} h`;
+}
+
+function renderProfileSwitcher(state) {
+  const select = document.getElementById('profile-switcher');
+  if (!select) return;
+  select.hidden = state.profiles.length < 2;
+  select.innerHTML = '';
+  state.profiles.forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  select.value = state.activeProfile.id;
+}
+
 // Determine next theme cycle: system -> dark -> light -> system
 function nextTheme(current) {
   if (current === 'system') return 'dark';
@@ -155,6 +527,15 @@ function applyReducedMotion(settings) {
 }
 
 function showTab(tabId) {
+  // opening the Insights tab, or leaving it, counts as seeing what's there;
+  // if that can't be saved the badge just stays, so it isn't worth an alert
+  const markSeen = () => markInsightsSeen().catch(err => console.warn('Could not save when insights were seen', err));
+  if (tabId === 'insights' && currentTab !== 'insights') {
+    insightsVisitSeenAt = getState().settings.insightsSeenAt;
+    markSeen();
+  } else if (currentTab === 'insights' && tabId !== 'insights') {
+    markSeen();
+  }
   currentTab = tabId;
   for (const [id, section] of Object.entries(views)) {
     section.style.display = id === tabId ? 'block' : 'none';
@@ -168,7 +549,7 @@ function showTab(tabId) {
   if (tabId === 'charts') {
     const chartsContainer = views.charts.querySelector('.charts-container');
     if (chartsContainer) {
-      updateCharts(chartsContainer);
+      updateCharts(chartsContainer, { lagExposure });
     }
   }
   // if switching to log and editing, re-render form with editing data
@@ -181,6 +562,8 @@ function showTab(tabId) {
 function buildLogView() {
   const container = views.log;
   container.innerHTML = '';
+  container.appendChild(buildCheckInCard());
+  container.appendChild(buildExposureCard());
   const form = document.createElement('form');
   form.addEventListener('submit', e => {
     e.preventDefault();
@@ -216,6 +599,29 @@ function buildLogView() {
   durationInput.id = 'log-duration';
   form.appendChild(durationLabel);
   form.appendChild(durationInput);
+  // ongoing episodes get their duration when they are ended
+  const editingEpisode = editingId ? getState().episodes.find(e => e.id === editingId) : null;
+  const ongoingCheckbox = document.createElement('input');
+  ongoingCheckbox.type = 'checkbox';
+  ongoingCheckbox.id = 'log-ongoing';
+  ongoingCheckbox.addEventListener('change', () => {
+    durationInput.disabled = ongoingCheckbox.checked;
+    durationInput.required = !ongoingCheckbox.checked;
+  });
+  // a finished episode can't be reopened from the form
+  if (!editingEpisode || isOngoing(editingEpisode)) {
+    const ongoingRow = document.createElement('div');
+    ongoingRow.style.display = 'flex';
+    ongoingRow.style.alignItems = 'center';
+    ongoingRow.style.gap = '8px';
+    ongoingRow.style.marginTop = '8px';
+    ongoingRow.appendChild(ongoingCheckbox);
+    ongoingRow.appendChild(document.createTextNode('Still going (end it later to record the duration)'));
+    form.appendChild(ongoingRow);
+  }
+  // phases and aura, collapsed as most entries won't need them
+  form.appendChild(buildSymptomInputs(editingEpisode));
+  form.appendChild(buildPhaseInputs(editingEpisode));
   // triggers list container
   const triggersLabel = document.createElement('label');
   triggersLabel.textContent = 'Triggers';
@@ -260,7 +666,16 @@ function buildLogView() {
   medsLabel.textContent = 'Medications';
   const medsList = document.createElement('div');
   medsList.className = 'meds-list';
+  // autocomplete for the name inputs of every row
+  const medOptions = document.createElement('datalist');
+  medOptions.id = 'medication-options';
+  medicationSuggestions(getState().episodes).forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    medOptions.appendChild(option);
+  });
   form.appendChild(medsLabel);
+  form.appendChild(medOptions);
   form.appendChild(medsList);
   const addMedBtn = document.createElement('button');
   addMedBtn.type = 'button';
@@ -311,7 +726,13 @@ function buildLogView() {
       const localISO = dt.getFullYear() + '-' + pad(dt.getMonth()+1) + '-' + pad(dt.getDate()) + 'T' + pad(dt.getHours()) + ':' + pad(dt.getMinutes());
       dateInput.value = localISO;
       intensityInput.value = ep.intensity;
-      durationInput.value = ep.durationMinutes;
+      if (isOngoing(ep)) {
+        ongoingCheckbox.checked = true;
+        durationInput.disabled = true;
+        durationInput.required = false;
+      } else {
+        durationInput.value = ep.durationMinutes;
+      }
       // triggers
       setTimeout(() => {
         ep.triggers.forEach(t => {
@@ -337,6 +758,524 @@ function buildLogView() {
   }
 }
 
+/**
+ * The daily check-in: whether there was a headache on a day, anything
+ * of note, lifestyle factors such as sleep and stress, and a short note. Days already checked in are shown filled
+ * in; the summary below is kept current by renderCheckInSummary.
+ */
+function buildCheckInCard() {
+  const card = document.createElement('form');
+  card.id = 'check-in';
+  card.className = 'card check-in';
+  const title = document.createElement('h2');
+  title.textContent = 'Daily check-in';
+  card.appendChild(title);
+  const dateLabel = document.createElement('label');
+  dateLabel.textContent = 'Day';
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  dateInput.id = 'check-in-date';
+  dateInput.required = true;
+  dateInput.value = dayOf(new Date());
+  dateInput.max = dateInput.value;
+  card.appendChild(dateLabel);
+  card.appendChild(dateInput);
+  const headacheLabel = document.createElement('label');
+  headacheLabel.textContent = 'Did you have a headache?';
+  card.appendChild(headacheLabel);
+  const choices = document.createElement('div');
+  choices.className = 'check-in-choices';
+  const radios = [['no', 'No headache'], ['yes', 'Headache']].map(([value, text]) => {
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'check-in-headache';
+    radio.value = value;
+    radio.required = true;
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(text));
+    choices.appendChild(label);
+    return radio;
+  });
+  card.appendChild(choices);
+  const factorsLabel = document.createElement('label');
+  factorsLabel.textContent = 'Anything of note today? (optional)';
+  const factors = document.createElement('div');
+  factors.id = 'check-in-factors';
+  card.appendChild(factorsLabel);
+  card.appendChild(factors);
+  // measured factors, left blank when not logged
+  const lifestyle = document.createElement('details');
+  lifestyle.id = 'check-in-lifestyle';
+  const lifestyleSummary = document.createElement('summary');
+  lifestyleSummary.textContent = 'Sleep, caffeine, stress and more (optional)';
+  lifestyle.appendChild(lifestyleSummary);
+  const lifestyleGrid = document.createElement('div');
+  lifestyleGrid.className = 'lifestyle-grid';
+  const lifestyleInputs = LIFESTYLE_FACTORS.map(factor => {
+    const label = document.createElement('label');
+    label.textContent = `${factor.label} (${factor.unit})`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = factor.min;
+    input.max = factor.max;
+    input.step = factor.step;
+    input.dataset.factor = factor.id;
+    label.appendChild(input);
+    lifestyleGrid.appendChild(label);
+    return input;
+  });
+  lifestyle.appendChild(lifestyleGrid);
+  card.appendChild(lifestyle);
+  const noteLabel = document.createElement('label');
+  noteLabel.textContent = 'Note (optional)';
+  const noteInput = document.createElement('input');
+  noteInput.type = 'text';
+  noteInput.id = 'check-in-note';
+  card.appendChild(noteLabel);
+  card.appendChild(noteInput);
+  // fill in the form from the chosen day's check-in, if any
+  const fill = () => {
+    const entry = getState().diary.find(e => e.date === dateInput.value);
+    radios.forEach(r => { r.checked = !!entry && r.value === (entry.headache ? 'yes' : 'no'); });
+    factors.innerHTML = '';
+    const names = getState().settings.triggersList || [];
+    [...names, ...((entry && entry.factors) || []).filter(f => !names.includes(f))].forEach(name => {
+      const label = document.createElement('label');
+      label.style.display = 'block';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.dataset.factor = name;
+      box.checked = !!entry && (entry.factors || []).includes(name);
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(name));
+      factors.appendChild(label);
+    });
+    const values = (entry && entry.lifestyle) || {};
+    lifestyleInputs.forEach(input => { input.value = values[input.dataset.factor] ?? ''; });
+    lifestyle.open = Object.keys(values).length > 0;
+    noteInput.value = (entry && entry.note) || '';
+    saveBtn.textContent = entry ? 'Update check-in' : 'Check in';
+  };
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'primary';
+  saveBtn.style.marginTop = '12px';
+  card.appendChild(saveBtn);
+  // period start/end buttons, only with cycle tracking on
+  const period = document.createElement('div');
+  period.id = 'check-in-period';
+  card.appendChild(period);
+  const summary = document.createElement('div');
+  summary.id = 'check-in-summary';
+  card.appendChild(summary);
+  dateInput.addEventListener('change', () => {
+    fill();
+    renderCheckInSummary(getState());
+  });
+  card.addEventListener('submit', async e => {
+    e.preventDefault();
+    const entry = {
+      date: dateInput.value,
+      headache: radios.find(r => r.checked).value === 'yes',
+      factors: [...factors.querySelectorAll('input:checked')].map(box => box.dataset.factor)
+    };
+    const values = Object.fromEntries(
+      lifestyleInputs.filter(input => input.value !== '').map(input => [input.dataset.factor, Number(input.value)])
+    );
+    if (Object.keys(values).length) entry.lifestyle = values;
+    const note = noteInput.value.trim();
+    if (note) entry.note = note;
+    try {
+      await checkIn(entry);
+    } catch (err) {
+      alert(err instanceof ValidationError ? err.errors.map(e => e.message).join('\n') : err.message);
+      return;
+    }
+    fill();
+    showToast(`Checked in for ${dateInput.value === dayOf(new Date()) ? 'today' : formatCheckInDay(dateInput.value)}`);
+  });
+  fill();
+  renderCheckInSummary(getState(), card);
+  return card;
+}
+
+/**
+ * Log an exposure to a possible trigger when it happens, such as red
+ * wine at 21:00, apart from any episode; recent ones are listed below
+ * by renderExposures.
+ */
+function buildExposureCard() {
+  const card = document.createElement('form');
+  card.id = 'exposure';
+  card.className = 'card';
+  const title = document.createElement('h2');
+  title.textContent = 'Exposures';
+  card.appendChild(title);
+  const help = document.createElement('p');
+  help.textContent = 'Log possible triggers when they happen, even without a headache, so insights can tell how long before a migraine they come.';
+  card.appendChild(help);
+  const nameLabel = document.createElement('label');
+  nameLabel.textContent = 'What';
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.id = 'exposure-name';
+  nameInput.required = true;
+  nameInput.placeholder = 'e.g. red wine, skipped lunch';
+  nameInput.setAttribute('list', 'exposure-options');
+  const options = document.createElement('datalist');
+  options.id = 'exposure-options';
+  const state = getState();
+  [...new Set([...(state.settings.triggersList || []), ...state.exposures.map(e => e.name)])].forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    options.appendChild(option);
+  });
+  nameLabel.appendChild(nameInput);
+  card.appendChild(nameLabel);
+  card.appendChild(options);
+  const timeLabel = document.createElement('label');
+  timeLabel.textContent = 'When';
+  const timeInput = document.createElement('input');
+  timeInput.type = 'datetime-local';
+  timeInput.id = 'exposure-time';
+  timeInput.required = true;
+  timeInput.value = localDateTimeValue(new Date());
+  timeLabel.appendChild(timeInput);
+  card.appendChild(timeLabel);
+  const noteLabel = document.createElement('label');
+  noteLabel.textContent = 'Note (optional)';
+  const noteInput = document.createElement('input');
+  noteInput.type = 'text';
+  noteInput.id = 'exposure-note';
+  noteLabel.appendChild(noteInput);
+  card.appendChild(noteLabel);
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'submit';
+  saveBtn.className = 'primary';
+  saveBtn.textContent = 'Log exposure';
+  card.appendChild(saveBtn);
+  const list = document.createElement('ul');
+  list.id = 'exposure-list';
+  list.className = 'exposure-list';
+  card.appendChild(list);
+  card.addEventListener('submit', async e => {
+    e.preventDefault();
+    const time = new Date(timeInput.value);
+    if (time > new Date()) {
+      alert('The time of an exposure can’t be in the future.');
+      return;
+    }
+    const exposure = { name: nameInput.value.trim(), time: time.toISOString() };
+    const note = noteInput.value.trim();
+    if (note) exposure.note = note;
+    try {
+      await saveExposure(exposure);
+    } catch (err) {
+      alert(err instanceof ValidationError ? err.errors.map(e => e.message).join('\n') : err.message);
+      return;
+    }
+    nameInput.value = '';
+    noteInput.value = '';
+    timeInput.value = localDateTimeValue(new Date());
+    showToast(`Logged ${exposure.name}`);
+  });
+  renderExposures(state, list);
+  return card;
+}
+
+// Exposures from the last few days, latest first, each with a delete button.
+function renderExposures(state, list = document.getElementById('exposure-list')) {
+  if (!list) return;
+  list.innerHTML = '';
+  const since = Date.now() - RECENT_EXPOSURE_DAYS * 24 * 60 * 60 * 1000;
+  state.exposures
+    .filter(e => new Date(e.time).getTime() >= since)
+    .sort((a, b) => (a.time < b.time ? 1 : -1))
+    .forEach(e => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      const when = new Date(e.time).toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+      text.textContent = `${when} · ${e.name}${e.note ? ` (${e.note})` : ''}`;
+      item.appendChild(text);
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'danger';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => runAction(() => deleteExposure(e.id), `Delete ${e.name} at ${when}?`));
+      item.appendChild(del);
+      list.appendChild(item);
+    });
+}
+
+function formatCheckInDay(day) {
+  return parseDay(day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// Status of the chosen day and migraine days for the last three months.
+function renderCheckInSummary(state, card = document.getElementById('check-in')) {
+  if (!card) return;
+  const summary = card.querySelector('#check-in-summary');
+  const day = card.querySelector('#check-in-date').value;
+  renderPeriodControls(state, card.querySelector('#check-in-period'), day);
+  summary.innerHTML = '';
+  const status = dayStatuses(state.episodes, state.diary, parseDay(day), parseDay(day)).get(day);
+  const when = day === dayOf(new Date()) ? 'today' : formatCheckInDay(day);
+  const statusLine = document.createElement('p');
+  statusLine.textContent = status === 'migraine'
+    ? `An episode is logged for ${when}, so it counts as a migraine day.`
+    : status === null ? `Not checked in for ${when} yet.` : `Checked in for ${when}.`;
+  summary.appendChild(statusLine);
+  if (state.diary.length === 0) return;
+  const list = document.createElement('ul');
+  list.className = 'check-in-months';
+  recentMonths(state.episodes, state.diary).forEach(m => {
+    const item = document.createElement('li');
+    const name = parseDay(`${m.month}-01`).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    item.textContent = `${name}: ${m.migraineDays} migraine days, ${m.headacheDays} headache days, ` +
+      `${m.headacheFreeDays} headache-free. Logged ${m.trackedDays} of ${m.days} days (${Math.round(m.coverage * 100)}%).`;
+    list.appendChild(item);
+  });
+  summary.appendChild(list);
+}
+
+// Log the start or end of a period on the check-in's day.
+function renderPeriodControls(state, container, day) {
+  container.innerHTML = '';
+  container.hidden = !state.settings.cycleTracking;
+  if (container.hidden) return;
+  const label = document.createElement('label');
+  label.textContent = 'Period';
+  container.appendChild(label);
+  const current = periodOn(state.periods, day);
+  const cycle = cycleDay(state.periods, day);
+  const status = document.createElement('p');
+  status.textContent = current
+    ? `Period day ${cycle}` + (current.endDate ? `, ended ${formatCheckInDay(current.endDate)}.` : '.')
+    : cycle ? `Day ${cycle} of your cycle.` : 'No recent period logged.';
+  container.appendChild(status);
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  const button = (text, className, onClick) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = text;
+    btn.addEventListener('click', async () => {
+      try {
+        await onClick();
+      } catch (err) {
+        alert(err instanceof ValidationError ? err.errors.map(e => e.message).join('\n') : err.message);
+      }
+    });
+    actions.appendChild(btn);
+  };
+  if (!current) {
+    button('Period started this day', 'secondary', () => savePeriod({ startDate: day }));
+  } else {
+    if (current.endDate !== day) button('Period ended this day', 'secondary', () => savePeriod({ ...current, endDate: day }));
+    if (current.startDate === day) {
+      button('Remove this period', 'danger', () => confirm('Remove the period starting this day?') && deletePeriod(current.id));
+    }
+  }
+  container.appendChild(actions);
+}
+
+// Opened from the daily reminder: show the check-in for today.
+function openCheckIn() {
+  if (location.hash !== CHECK_IN_HASH) return;
+  history.replaceState(null, '', location.pathname + location.search);
+  showTab('log');
+  const card = document.getElementById('check-in');
+  card.scrollIntoView({ block: 'start' });
+  card.querySelector('input[name="check-in-headache"]').focus();
+}
+
+/**
+ * Symptom inputs for the log form, one per entry in SYMPTOMS: a
+ * checkbox for flags, a select for choices, checkboxes for multi.
+ * @param {Episode|null} ep - episode being edited
+ */
+function buildSymptomInputs(ep) {
+  const details = document.createElement('details');
+  details.id = 'log-symptoms';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Symptoms (optional)';
+  details.appendChild(summary);
+  const current = (ep && ep.symptoms) || {};
+  const checkbox = (text, checked, data) => {
+    const wrapper = document.createElement('label');
+    wrapper.style.display = 'flex';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.margin = '0';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = checked;
+    Object.assign(cb.dataset, data);
+    wrapper.appendChild(cb);
+    wrapper.appendChild(document.createTextNode(text));
+    return wrapper;
+  };
+  const flags = document.createElement('div');
+  flags.style.display = 'flex';
+  flags.style.flexWrap = 'wrap';
+  flags.style.gap = '8px 16px';
+  flags.style.marginTop = '8px';
+  details.appendChild(flags);
+  SYMPTOMS.forEach(def => {
+    if (def.type === 'boolean') {
+      flags.appendChild(checkbox(def.label, current[def.id] === true, { symptom: def.id }));
+      return;
+    }
+    const label = document.createElement('label');
+    label.textContent = def.label;
+    details.appendChild(label);
+    if (def.type === 'choice') {
+      const select = document.createElement('select');
+      select.dataset.symptom = def.id;
+      [{ id: '', label: '—' }, ...def.options].forEach(opt => {
+        const option = document.createElement('option');
+        option.value = opt.id;
+        option.textContent = opt.label;
+        select.appendChild(option);
+      });
+      select.value = current[def.id] || '';
+      details.appendChild(select);
+    } else {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.flexWrap = 'wrap';
+      row.style.gap = '8px 16px';
+      const selected = current[def.id] || [];
+      def.options.forEach(opt => {
+        row.appendChild(checkbox(opt.label, selected.includes(opt.id), { symptom: def.id, option: opt.id }));
+      });
+      details.appendChild(row);
+    }
+  });
+  details.open = Object.keys(current).length > 0;
+  return details;
+}
+
+/**
+ * Read the symptom inputs back; undefined when none were given, so
+ * saving an edit clears symptoms that were removed.
+ * @param {HTMLFormElement} form
+ * @returns {object|undefined}
+ */
+function readSymptomInputs(form) {
+  const symptoms = {};
+  SYMPTOMS.forEach(def => {
+    if (def.type === 'boolean') {
+      if (form.querySelector(`#log-symptoms input[data-symptom="${def.id}"]`).checked) symptoms[def.id] = true;
+    } else if (def.type === 'choice') {
+      const value = form.querySelector(`#log-symptoms select[data-symptom="${def.id}"]`).value;
+      if (value) symptoms[def.id] = value;
+    } else {
+      const values = [...form.querySelectorAll(`#log-symptoms input[data-symptom="${def.id}"]`)]
+        .filter(cb => cb.checked)
+        .map(cb => cb.dataset.option);
+      if (values.length) symptoms[def.id] = values;
+    }
+  });
+  return Object.keys(symptoms).length ? symptoms : undefined;
+}
+
+/**
+ * Optional phase start/end times and aura details for the log form.
+ * @param {Episode|null} ep - episode being edited
+ */
+function buildPhaseInputs(ep) {
+  const details = document.createElement('details');
+  details.id = 'log-phases';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Phases & aura (optional)';
+  details.appendChild(summary);
+  const phases = (ep && ep.phases) || {};
+  PHASES.forEach(({ id, label }) => {
+    const phaseLabel = document.createElement('label');
+    phaseLabel.textContent = `${label} start / end`;
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.gap = '8px';
+    ['start', 'end'].forEach(edge => {
+      const input = document.createElement('input');
+      input.type = 'datetime-local';
+      input.dataset.phase = id;
+      input.dataset.edge = edge;
+      input.setAttribute('aria-label', `${label} ${edge}`);
+      if (phases[id] && phases[id][edge]) input.value = localDateTimeValue(new Date(phases[id][edge]));
+      row.appendChild(input);
+    });
+    details.appendChild(phaseLabel);
+    details.appendChild(row);
+  });
+  const auraLabel = document.createElement('label');
+  auraLabel.textContent = 'Aura';
+  const auraRow = document.createElement('div');
+  auraRow.style.display = 'flex';
+  auraRow.style.flexWrap = 'wrap';
+  auraRow.style.alignItems = 'center';
+  auraRow.style.gap = '8px';
+  const auraTypes = (ep && ep.aura && ep.aura.types) || [];
+  AURA_TYPES.forEach(({ id, label }) => {
+    const wrapper = document.createElement('label');
+    wrapper.style.display = 'flex';
+    wrapper.style.alignItems = 'center';
+    wrapper.style.margin = '0';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.dataset.auraType = id;
+    cb.checked = auraTypes.includes(id);
+    wrapper.appendChild(cb);
+    wrapper.appendChild(document.createTextNode(label));
+    auraRow.appendChild(wrapper);
+  });
+  const auraDuration = document.createElement('input');
+  auraDuration.type = 'number';
+  auraDuration.min = 1;
+  auraDuration.id = 'log-aura-duration';
+  auraDuration.placeholder = 'Aura duration (minutes)';
+  if (ep && ep.aura && ep.aura.durationMinutes) auraDuration.value = ep.aura.durationMinutes;
+  details.appendChild(auraLabel);
+  details.appendChild(auraRow);
+  details.appendChild(auraDuration);
+  details.open = Boolean(ep && (hasAura(ep) || Object.keys(phases).length));
+  return details;
+}
+
+/**
+ * Read the phase and aura inputs back. Both keys are always present and
+ * undefined when left empty, so saving an edit clears removed details.
+ * @param {HTMLFormElement} form
+ * @returns {{phases: object|undefined, aura: object|undefined}}
+ */
+function readPhaseInputs(form) {
+  const result = { phases: undefined, aura: undefined };
+  const phases = {};
+  form.querySelectorAll('#log-phases input[data-phase]').forEach(input => {
+    if (!input.value) return;
+    const d = new Date(input.value);
+    phases[input.dataset.phase] = phases[input.dataset.phase] || {};
+    phases[input.dataset.phase][input.dataset.edge] = isNaN(d.getTime()) ? input.value : d.toISOString();
+  });
+  if (Object.keys(phases).length) result.phases = phases;
+  const types = [...form.querySelectorAll('#log-phases input[data-aura-type]')]
+    .filter(cb => cb.checked)
+    .map(cb => cb.dataset.auraType);
+  const minutes = parseFloat(form.querySelector('#log-aura-duration').value);
+  if (types.length || Number.isFinite(minutes)) {
+    result.aura = { types };
+    if (Number.isFinite(minutes)) result.aura.durationMinutes = minutes;
+  }
+  return result;
+}
+
+// value for a datetime-local input, in local time
+function localDateTimeValue(d) {
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + 'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+}
+
 function pad(n) {
   return n.toString().padStart(2, '0');
 }
@@ -347,10 +1286,23 @@ function addMedicationRow(container, med = { name: '', doseMg: '' }) {
   const nameInput = document.createElement('input');
   nameInput.type = 'text';
   nameInput.placeholder = 'Name';
+  nameInput.className = 'med-name';
   nameInput.value = med.name || '';
+  nameInput.setAttribute('list', 'medication-options');
+  nameInput.autocomplete = 'off';
+  // shows the class of a recognised medication, e.g. "Triptans"
+  const classHint = document.createElement('span');
+  classHint.className = 'med-class';
+  const showClass = () => {
+    const entry = findMedication(nameInput.value);
+    classHint.textContent = entry ? medicationClass(entry.classId).label : '';
+  };
+  nameInput.addEventListener('input', showClass);
+  showClass();
   const doseInput = document.createElement('input');
   doseInput.type = 'number';
   doseInput.placeholder = 'Dose (mg)';
+  doseInput.className = 'med-dose';
   doseInput.min = 0;
   doseInput.step = 0.1;
   doseInput.value = med.doseMg || '';
@@ -362,12 +1314,73 @@ function addMedicationRow(container, med = { name: '', doseMg: '' }) {
     row.remove();
   });
   row.appendChild(nameInput);
+  row.appendChild(classHint);
   row.appendChild(doseInput);
   row.appendChild(removeBtn);
+  // when it was taken and how well it worked
+  const details = document.createElement('div');
+  details.className = 'med-details';
+  const takenInput = document.createElement('input');
+  takenInput.type = 'datetime-local';
+  takenInput.className = 'med-taken';
+  takenInput.setAttribute('aria-label', 'Taken at');
+  takenInput.value = med.takenAt ? localDateTimeValue(new Date(med.takenAt)) : '';
+  const nowBtn = document.createElement('button');
+  nowBtn.type = 'button';
+  nowBtn.className = 'secondary';
+  nowBtn.textContent = 'Taken now';
+  nowBtn.addEventListener('click', () => {
+    takenInput.value = localDateTimeValue(new Date());
+  });
+  details.appendChild(takenInput);
+  details.appendChild(nowBtn);
+  details.appendChild(buildReliefSelect('med-relief2h', 'Relief at 2 h', med.relief2h));
+  details.appendChild(buildReliefSelect('med-relief24h', 'Relief at 24 h', med.relief24h));
+  const minutesInput = document.createElement('input');
+  minutesInput.type = 'number';
+  minutesInput.className = 'med-relief-minutes';
+  minutesInput.placeholder = 'Worked after (min)';
+  minutesInput.setAttribute('aria-label', 'Minutes until it worked');
+  minutesInput.min = 0;
+  minutesInput.value = med.reliefMinutes ?? '';
+  details.appendChild(minutesInput);
+  row.appendChild(details);
   container.appendChild(row);
 }
 
-function saveLogForm(form) {
+function buildReliefSelect(className, label, value) {
+  const select = document.createElement('select');
+  select.className = className;
+  select.setAttribute('aria-label', label);
+  [{ id: '', label: `${label}: not rated` }, ...RELIEF_LEVELS].forEach(level => {
+    const option = document.createElement('option');
+    option.value = level.id;
+    option.textContent = level.id ? `${label}: ${level.label}` : level.label;
+    select.appendChild(option);
+  });
+  select.value = value || '';
+  return select;
+}
+
+// Read one medication row; null when it has no name.
+function readMedicationRow(row) {
+  const name = row.querySelector('.med-name').value.trim();
+  if (!name) return null;
+  const med = { name };
+  const dose = parseFloat(row.querySelector('.med-dose').value);
+  if (!isNaN(dose)) med.doseMg = dose;
+  const taken = new Date(row.querySelector('.med-taken').value);
+  if (!isNaN(taken.getTime())) med.takenAt = taken.toISOString();
+  const relief2h = row.querySelector('.med-relief2h').value;
+  if (relief2h) med.relief2h = relief2h;
+  const relief24h = row.querySelector('.med-relief24h').value;
+  if (relief24h) med.relief24h = relief24h;
+  const minutes = parseFloat(row.querySelector('.med-relief-minutes').value);
+  if (!isNaN(minutes)) med.reliefMinutes = minutes;
+  return med;
+}
+
+async function saveLogForm(form) {
   // gather values
   const datetime = form.querySelector('#log-datetime').value;
   const intensity = parseInt(form.querySelector('#log-intensity').value, 10);
@@ -380,47 +1393,51 @@ function saveLogForm(form) {
     if (cb.checked) triggers.push(cb.dataset.trigger);
   });
   // medications
-  const meds = [];
-  form.querySelectorAll('.med-row').forEach(row => {
-    const name = row.querySelector('input[type="text"]').value.trim();
-    const doseVal = row.querySelector('input[type="number"]').value;
-    if (name) {
-      const dose = doseVal ? parseFloat(doseVal) : undefined;
-      meds.push({ name, doseMg: isNaN(dose) ? undefined : dose });
-    }
-  });
+  const meds = [...form.querySelectorAll('.med-row')].map(readMedicationRow).filter(Boolean);
+  // the box isn't shown when editing a finished episode
+  const ongoing = form.querySelector('#log-ongoing')?.checked ?? false;
+  const when = new Date(datetime);
+  const data = {
+    datetime: isNaN(when.getTime()) ? datetime : when.toISOString(),
+    intensity,
+    triggers,
+    medications: meds,
+    notes: note,
+    symptoms: readSymptomInputs(form),
+    ...readPhaseInputs(form)
+  };
+  if (ongoing) data.ongoing = true;
+  else data.durationMinutes = durationMinutes;
   // validation
-  if (intensity < 0 || intensity > 10) {
-    alert('Intensity must be between 0 and 10.');
-    return;
-  }
-  if (!durationMinutes || durationMinutes <= 0) {
-    alert('Duration must be a positive number.');
-    return;
-  }
-  const iso = new Date(datetime);
-  if (isNaN(iso.getTime())) {
-    alert('Please enter a valid date/time.');
+  form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+  const errors = validateEpisode(data);
+  if (errors.length) {
+    const fields = errors.map(e => form.querySelector(LOG_FIELD_INPUTS[e.field])).filter(Boolean);
+    fields.forEach(el => el.setAttribute('aria-invalid', 'true'));
+    alert(errors.map(e => e.message).join('\n'));
+    if (fields.length) fields[0].focus();
     return;
   }
-  const now = new Date();
-  if (iso > now) {
+  if (when > new Date()) {
     const proceed = confirm('The selected date/time is in the future. Continue?');
     if (!proceed) return;
   }
-  const data = {
-    datetime: iso.toISOString(),
-    intensity,
-    durationMinutes,
-    triggers,
-    medications: meds,
-    notes: note
-  };
-  if (editingId) {
-    updateEpisode(editingId, data);
-    editingId = null;
-  } else {
-    addEpisode(data);
+  try {
+    if (editingId) {
+      // unticking "Still going" ends the episode with the duration entered
+      await updateEpisode(editingId, editedEpisode(getState().episodes.find(e => e.id === editingId), data));
+      editingId = null;
+      showUndoToast('Episode updated');
+    } else if (ongoing) {
+      await startEpisode(data);
+      showUndoToast('Episode started');
+    } else {
+      await addEpisode(data);
+      showUndoToast('Episode saved');
+    }
+  } catch (err) {
+    alert(err.message);
+    return;
   }
   // clear form
   buildLogView();
@@ -487,6 +1504,16 @@ function buildTimelineView() {
     renderTimeline(getState());
   });
   controls.appendChild(search);
+  // toggle between episodes and the trash
+  const trashBtn = document.createElement('button');
+  trashBtn.type = 'button';
+  trashBtn.className = 'secondary';
+  trashBtn.id = 'timeline-trash-toggle';
+  trashBtn.addEventListener('click', () => {
+    showingTrash = !showingTrash;
+    renderTimeline(getState());
+  });
+  controls.appendChild(trashBtn);
   container.appendChild(controls);
   // entries list container
   const list = document.createElement('div');
@@ -498,6 +1525,14 @@ function renderTimeline(state) {
   const list = document.getElementById('timeline-list');
   if (!list) return;
   list.innerHTML = '';
+  const trashBtn = document.getElementById('timeline-trash-toggle');
+  if (trashBtn) {
+    trashBtn.textContent = showingTrash ? 'Back to episodes' : `Trash (${state.trash.length})`;
+  }
+  if (showingTrash) {
+    renderTrash(list, state);
+    return;
+  }
   let episodes = [...state.episodes];
   // sort descending by datetime
   episodes.sort((a, b) => new Date(b.datetime) - new Date(a.datetime));
@@ -529,14 +1564,48 @@ function renderTimeline(state) {
     const heading = document.createElement('strong');
     heading.textContent = `${dateStr} ${timeStr}`;
     entry.appendChild(heading);
+    const ongoing = isOngoing(ep);
+    if (ongoing) card.classList.add('ongoing');
     // intensity
     const intensity = document.createElement('span');
-    intensity.textContent = `Intensity: ${ep.intensity}`;
+    intensity.textContent = ongoing ? `Peak intensity so far: ${ep.intensity}` : `Intensity: ${ep.intensity}`;
     entry.appendChild(intensity);
     // duration
     const duration = document.createElement('span');
-    duration.textContent = `Duration: ${ep.durationMinutes} min`;
+    duration.textContent = ongoing
+      ? `Ongoing for ${formatMinutes(elapsedMinutes(ep))}`
+      : `Duration: ${ep.durationMinutes} min`;
     entry.appendChild(duration);
+    // intensity readings taken while it lasted
+    if ((ep.intensityLog || []).length > 1) {
+      const readings = document.createElement('span');
+      readings.textContent = 'Readings: ' + ep.intensityLog
+        .map(r => `${r.intensity} at ${new Date(r.at).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`)
+        .join(', ');
+      entry.appendChild(readings);
+    }
+    // symptoms
+    const symptomText = describeSymptoms(ep.symptoms);
+    if (symptomText) {
+      const symptoms = document.createElement('span');
+      symptoms.textContent = `Symptoms: ${symptomText}`;
+      entry.appendChild(symptoms);
+    }
+    // aura and phases
+    if (hasAura(ep)) {
+      const aura = document.createElement('span');
+      const minutes = auraMinutes(ep);
+      aura.textContent = 'Aura: ' + ep.aura.types
+        .map(t => AURA_TYPES.find(a => a.id === t).label.toLowerCase())
+        .join(', ') + (minutes ? ` (${minutes} min)` : '');
+      entry.appendChild(aura);
+    }
+    const phaseText = describePhases(ep);
+    if (phaseText) {
+      const phases = document.createElement('span');
+      phases.textContent = `Phases: ${phaseText}`;
+      entry.appendChild(phases);
+    }
     // triggers
     if (ep.triggers && ep.triggers.length > 0) {
       const trig = document.createElement('span');
@@ -546,9 +1615,7 @@ function renderTimeline(state) {
     // medications
     if (ep.medications && ep.medications.length > 0) {
       const meds = document.createElement('span');
-      const medsStr = ep.medications
-        .map(m => m.name + (m.doseMg ? ` (${m.doseMg}mg)` : ''))
-        .join(', ');
+      const medsStr = ep.medications.map(describeMedication).join(', ');
       meds.textContent = `Meds: ${medsStr}`;
       entry.appendChild(meds);
     }
@@ -573,64 +1640,885 @@ function renderTimeline(state) {
     delBtn.type = 'button';
     delBtn.className = 'danger';
     delBtn.textContent = 'Delete';
-    delBtn.addEventListener('click', () => {
-      if (confirm('Delete this episode?')) {
-        deleteEp(ep.id);
-      }
-    });
+    // recoverable via undo or the trash, so no confirmation needed
+    delBtn.addEventListener('click', () => runAction(async () => {
+      await deleteEp(ep.id);
+      showUndoToast('Episode moved to trash');
+    }));
+    if (ongoing) {
+      const endBtn = document.createElement('button');
+      endBtn.type = 'button';
+      endBtn.className = 'primary';
+      endBtn.textContent = 'End now';
+      endBtn.addEventListener('click', () => runAction(async () => {
+        await endEpisode(ep.id);
+        showUndoToast('Episode ended');
+      }));
+      actions.appendChild(endBtn);
+    }
     actions.appendChild(editBtn);
     actions.appendChild(delBtn);
+    if (state.profiles.length > 1) actions.appendChild(buildMoveSelect(ep, state));
     entry.appendChild(actions);
     card.appendChild(entry);
     list.appendChild(card);
   });
 }
 
+// e.g. "prodrome 07:10–08:00, aura from 08:00"
+function describePhases(ep) {
+  const time = iso => new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return PHASES
+    .filter(({ id }) => ep.phases && ep.phases[id])
+    .map(({ id, label }) => {
+      const { start, end } = ep.phases[id];
+      const name = label.toLowerCase();
+      if (start && end) return `${name} ${time(start)}–${time(end)}`;
+      return start ? `${name} from ${time(start)}` : `${name} until ${time(end)}`;
+    })
+    .join(', ');
+}
+
+// "Move to…" select for an episode, listing the other profiles
+function buildMoveSelect(ep, state) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Move to profile');
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move to…';
+  select.appendChild(placeholder);
+  state.profiles.filter(p => p.id !== state.activeProfile.id).forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  select.addEventListener('change', async () => {
+    const target = state.profiles.find(p => p.id === select.value);
+    select.value = '';
+    if (!target) return;
+    // leaving this profile also leaves its undo history, so ask first
+    if (!confirm(`Move this episode to ${target.name}? This cannot be undone.`)) return;
+    let passphrase;
+    if (await profileIsEncrypted(target.id)) {
+      passphrase = prompt(`${target.name}'s data is encrypted. Enter its passphrase:`);
+      if (passphrase === null) return;
+    }
+    try {
+      await moveEpisodes([ep.id], target.id, { passphrase });
+      showToast(`Episode moved to ${target.name}`);
+    } catch (err) {
+      alert('Failed to move episode: ' + err.message);
+    }
+  });
+  return select;
+}
+
+function renderTrash(list, state) {
+  if (state.trash.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'Trash is empty.';
+    list.appendChild(empty);
+    return;
+  }
+  const emptyBtn = document.createElement('button');
+  emptyBtn.type = 'button';
+  emptyBtn.className = 'danger';
+  emptyBtn.textContent = 'Empty trash';
+  emptyBtn.addEventListener('click', () =>
+    runAction(() => emptyTrash(), 'Permanently delete all episodes in the trash? This cannot be undone.'));
+  list.appendChild(emptyBtn);
+  state.trash.forEach(ep => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const entry = document.createElement('div');
+    entry.className = 'timeline-entry';
+    const heading = document.createElement('strong');
+    heading.textContent = new Date(ep.datetime).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    entry.appendChild(heading);
+    const summary = document.createElement('span');
+    summary.textContent = `Intensity: ${ep.intensity} · Duration: ${ep.durationMinutes} min`;
+    entry.appendChild(summary);
+    const deleted = document.createElement('span');
+    deleted.textContent = `Deleted ${new Date(ep.deletedAt).toLocaleDateString()}`;
+    entry.appendChild(deleted);
+    const actions = document.createElement('div');
+    actions.className = 'timeline-actions';
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'secondary';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => runAction(async () => {
+      await restoreEpisode(ep.id);
+      showUndoToast('Episode restored');
+    }));
+    const purgeBtn = document.createElement('button');
+    purgeBtn.type = 'button';
+    purgeBtn.className = 'danger';
+    purgeBtn.textContent = 'Delete forever';
+    purgeBtn.addEventListener('click', () =>
+      runAction(() => purgeEpisode(ep.id), 'Permanently delete this episode? This cannot be undone.'));
+    actions.appendChild(restoreBtn);
+    actions.appendChild(purgeBtn);
+    entry.appendChild(actions);
+    card.appendChild(entry);
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Run a button's storage action, after `confirmMessage` is confirmed if
+ * given, and alert the user if it fails rather than leaving the promise
+ * rejected. Resolves to whether the action ran and succeeded.
+ * @param {() => Promise<any>} action
+ * @param {string} [confirmMessage]
+ * @returns {Promise<boolean>}
+ */
+async function runAction(action, confirmMessage) {
+  if (confirmMessage && !confirm(confirmMessage)) return false;
+  try {
+    await action();
+    return true;
+  } catch (err) {
+    alert(err.message);
+    return false;
+  }
+}
+
+/* --------- Toast ----------- */
+function showToast(message, actionLabel, onAction) {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+  toast.innerHTML = '';
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+  if (actionLabel) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'secondary';
+    btn.textContent = actionLabel;
+    btn.addEventListener('click', () => {
+      hideToast();
+      onAction();
+    });
+    toast.appendChild(btn);
+  }
+  toast.classList.add('visible');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, TOAST_MS);
+}
+
+function hideToast() {
+  const toast = document.getElementById('toast');
+  if (toast) toast.classList.remove('visible');
+}
+
+// Toast with an Undo button; after undoing, offers Redo.
+function showUndoToast(message) {
+  showToast(message, 'Undo', async () => {
+    const label = await undo();
+    if (!label) return;
+    showToast(`Undone: ${label}`, 'Redo', async () => {
+      const redone = await redo();
+      if (redone) showUndoToast(`Redone: ${redone}`);
+    });
+  });
+}
+
 /* --------- Charts view ----------- */
 function buildChartsView() {
   const container = views.charts;
   container.innerHTML = '';
+  // which exposure the lag chart shows, once any are logged
+  const lagLabel = document.createElement('label');
+  lagLabel.id = 'lag-exposure';
+  lagLabel.className = 'lag-exposure';
+  lagLabel.hidden = true;
+  lagLabel.textContent = 'Lag chart for ';
+  const lagSelect = document.createElement('select');
+  lagSelect.addEventListener('change', () => {
+    lagExposure = lagSelect.value;
+    const chartsContainer = container.querySelector('.charts-container');
+    if (chartsContainer) updateCharts(chartsContainer, { lagExposure });
+  });
+  lagLabel.appendChild(lagSelect);
+  container.appendChild(lagLabel);
   const chartsContainer = document.createElement('div');
   chartsContainer.className = 'charts-container';
   container.appendChild(chartsContainer);
   // Charts will be drawn via subscribe
 }
 
+// Options for the lag chart: every exposure logged, most logged first.
+function renderLagExposureChoice(state) {
+  const label = document.getElementById('lag-exposure');
+  if (!label) return;
+  const counts = new Map();
+  state.exposures.forEach(e => {
+    const key = e.name.trim().toLowerCase();
+    counts.set(key, { name: e.name.trim(), count: ((counts.get(key) || {}).count || 0) + 1 });
+  });
+  const names = [...counts.entries()].sort((a, b) => b[1].count - a[1].count);
+  label.hidden = names.length === 0;
+  if (lagExposure && !counts.has(lagExposure)) lagExposure = null;
+  const select = label.querySelector('select');
+  select.innerHTML = '';
+  names.forEach(([key, { name }]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = name;
+    option.selected = key === lagExposure;
+    select.appendChild(option);
+  });
+}
+
 /* --------- Insights view ----------- */
 function buildInsightsView() {
   const container = views.insights;
   container.innerHTML = '';
+  // the period the analysis covers
+  const controls = document.createElement('div');
+  controls.className = 'timeline-actions insights-period';
+  const asOfLabel = document.createElement('label');
+  asOfLabel.textContent = 'As of ';
+  const asOf = document.createElement('input');
+  asOf.type = 'date';
+  asOf.id = 'insights-as-of';
+  asOf.max = dayOf(new Date());
+  asOf.value = insightsAsOf || asOf.max;
+  asOf.addEventListener('change', () => {
+    const today = dayOf(new Date());
+    if (asOf.value > today) {
+      alert('Choose today or a day in the past.');
+      asOf.value = insightsAsOf || today;
+      return;
+    }
+    insightsAsOf = asOf.value && asOf.value < today ? asOf.value : null;
+    if (!asOf.value) asOf.value = today;
+    renderInsights(getState());
+  });
+  asOfLabel.appendChild(asOf);
+  controls.appendChild(asOfLabel);
+  const windowLabel = document.createElement('label');
+  windowLabel.textContent = 'looking back ';
+  const windowSelect = document.createElement('select');
+  windowSelect.id = 'insights-window';
+  [30, 60, 90, 180, 365].forEach(days => {
+    const o = document.createElement('option');
+    o.value = days;
+    o.textContent = `${days} days`;
+    if (days === insightsWindowDays) o.selected = true;
+    windowSelect.appendChild(o);
+  });
+  windowSelect.addEventListener('change', () => {
+    insightsWindowDays = parseInt(windowSelect.value, 10);
+    renderInsights(getState());
+  });
+  windowLabel.appendChild(windowSelect);
+  controls.appendChild(windowLabel);
+  const todayBtn = document.createElement('button');
+  todayBtn.type = 'button';
+  todayBtn.id = 'insights-today';
+  todayBtn.className = 'secondary';
+  todayBtn.textContent = 'Back to today';
+  todayBtn.addEventListener('click', () => {
+    insightsAsOf = null;
+    asOf.value = dayOf(new Date());
+    renderInsights(getState());
+  });
+  controls.appendChild(todayBtn);
+  container.appendChild(controls);
   const insightsList = document.createElement('div');
   insightsList.id = 'insights-list';
   container.appendChild(insightsList);
   // initial message
   insightsList.textContent = 'No insights yet.';
+  // every insight shown so far, and a way back for dismissed ones
+  const historyCard = document.createElement('div');
+  historyCard.className = 'card';
+  const historyTitle = document.createElement('h2');
+  historyTitle.textContent = 'Insight history';
+  historyCard.appendChild(historyTitle);
+  const historyNote = document.createElement('p');
+  historyNote.textContent = 'Insights that have come up before, when they were first and last seen, and any you dismissed or snoozed.';
+  historyCard.appendChild(historyNote);
+  const historyActions = document.createElement('div');
+  historyActions.className = 'timeline-actions';
+  const historyToggle = document.createElement('button');
+  historyToggle.type = 'button';
+  historyToggle.id = 'insight-history-toggle';
+  historyToggle.className = 'secondary';
+  historyToggle.textContent = 'Show history';
+  historyToggle.setAttribute('aria-expanded', 'false');
+  historyActions.appendChild(historyToggle);
+  const clearHistoryBtn = document.createElement('button');
+  clearHistoryBtn.type = 'button';
+  clearHistoryBtn.className = 'danger';
+  clearHistoryBtn.textContent = 'Clear history';
+  clearHistoryBtn.addEventListener('click', () => runAction(() => clearInsightHistory(),
+    'Forget every insight shown so far, including the ones you dismissed or snoozed? Current insights will show again as new.'));
+  historyActions.appendChild(clearHistoryBtn);
+  historyCard.appendChild(historyActions);
+  const historyList = document.createElement('ul');
+  historyList.id = 'insight-history';
+  historyList.className = 'insight-history';
+  historyList.hidden = true;
+  historyCard.appendChild(historyList);
+  historyToggle.addEventListener('click', () => {
+    historyList.hidden = !historyList.hidden;
+    historyToggle.textContent = historyList.hidden ? 'Show history' : 'Hide history';
+    historyToggle.setAttribute('aria-expanded', String(!historyList.hidden));
+  });
+  container.appendChild(historyCard);
+  // MIDAS and HIT-6: a reminder when MIDAS is due, past scores and the form
+  const prompt = document.createElement('div');
+  prompt.id = 'midas-prompt';
+  container.appendChild(prompt);
+  const card = document.createElement('div');
+  card.className = 'card';
+  const title = document.createElement('h2');
+  title.textContent = 'Questionnaires';
+  card.appendChild(title);
+  const note = document.createElement('p');
+  note.textContent = 'MIDAS and HIT-6 are short questionnaires doctors use to measure how much headaches affect your life. ' +
+    'Scores are saved here so you can bring them to appointments.';
+  card.appendChild(note);
+  const list = document.createElement('ul');
+  list.id = 'questionnaire-list';
+  list.className = 'questionnaire-list';
+  card.appendChild(list);
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  Object.values(QUESTIONNAIRES).forEach(def => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'primary';
+    btn.textContent = `Take ${def.name}`;
+    btn.addEventListener('click', () => showQuestionnaireForm(def.id));
+    actions.appendChild(btn);
+  });
+  card.appendChild(actions);
+  container.appendChild(card);
+  const formCard = document.createElement('div');
+  formCard.id = 'questionnaire-form';
+  formCard.className = 'card';
+  formCard.hidden = true;
+  container.appendChild(formCard);
+}
+
+// set when "Not now" is chosen on the MIDAS reminder, for this page load
+let midasPromptSkipped = false;
+
+function renderQuestionnaires(state) {
+  const list = document.getElementById('questionnaire-list');
+  if (!list) return;
+  const formatDay = day => parseDay(day).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  // reminder when the last MIDAS no longer covers the last 3 months
+  const prompt = document.getElementById('midas-prompt');
+  prompt.innerHTML = '';
+  const { due, last } = midasDue(state.questionnaires, state.episodes);
+  if (due && !midasPromptSkipped) {
+    const card = document.createElement('div');
+    card.className = 'card ongoing';
+    const text = document.createElement('p');
+    text.textContent = last
+      ? `Your last MIDAS was on ${formatDay(last.date)}, more than 3 months ago. Taking it again keeps your score current for your next appointment.`
+      : 'You have been tracking for over 3 months. The MIDAS questionnaire turns that time into a disability score your doctor can use.';
+    card.appendChild(text);
+    const actions = document.createElement('div');
+    actions.className = 'timeline-actions';
+    const takeBtn = document.createElement('button');
+    takeBtn.type = 'button';
+    takeBtn.className = 'primary';
+    takeBtn.textContent = 'Take MIDAS now';
+    takeBtn.addEventListener('click', () => showQuestionnaireForm('midas'));
+    const skipBtn = document.createElement('button');
+    skipBtn.type = 'button';
+    skipBtn.className = 'secondary';
+    skipBtn.textContent = 'Not now';
+    skipBtn.addEventListener('click', () => {
+      midasPromptSkipped = true;
+      prompt.innerHTML = '';
+    });
+    actions.appendChild(takeBtn);
+    actions.appendChild(skipBtn);
+    card.appendChild(actions);
+    prompt.appendChild(card);
+  }
+  // past scores, newest first, with the change since the one before
+  list.innerHTML = '';
+  const sorted = [...state.questionnaires].sort((a, b) => (a.date < b.date ? 1 : -1));
+  if (sorted.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No questionnaires yet.';
+    list.appendChild(empty);
+    return;
+  }
+  sorted.forEach((r, i) => {
+    const def = QUESTIONNAIRES[r.type];
+    const { score, grade } = scoreQuestionnaire(r);
+    const previous = sorted.slice(i + 1).find(p => p.type === r.type);
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    let line = `${formatDay(r.date)}: ${def.name} ${score} (${grade.label})`;
+    if (previous) {
+      const change = score - scoreQuestionnaire(previous).score;
+      line += change === 0 ? ', no change' : `, ${change < 0 ? 'down' : 'up'} ${Math.abs(change)}`;
+    }
+    text.textContent = line;
+    item.appendChild(text);
+    const delBtn = document.createElement('button');
+    delBtn.type = 'button';
+    delBtn.className = 'danger';
+    delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', () =>
+      runAction(() => deleteQuestionnaire(r.id), `Delete the ${def.name} from ${formatDay(r.date)}?`));
+    item.appendChild(delBtn);
+    list.appendChild(item);
+  });
+}
+
+// Show the MIDAS or HIT-6 form.
+function showQuestionnaireForm(type) {
+  const def = QUESTIONNAIRES[type];
+  const card = document.getElementById('questionnaire-form');
+  card.innerHTML = '';
+  card.hidden = false;
+  const title = document.createElement('h2');
+  title.textContent = def.title;
+  card.appendChild(title);
+  const intro = document.createElement('p');
+  intro.textContent = def.intro;
+  card.appendChild(intro);
+  const dateLabel = document.createElement('label');
+  dateLabel.textContent = 'Date';
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  dateInput.value = dayOf(new Date());
+  dateInput.max = dateInput.value;
+  card.appendChild(dateLabel);
+  card.appendChild(dateInput);
+  const inputs = def.questions.map((q, i) => {
+    const label = document.createElement('label');
+    label.textContent = `${questionLabel(def, i)}. ${q.text}`;
+    let input;
+    if (def.choices) {
+      input = document.createElement('select');
+      [{ id: '', label: 'Choose…' }, ...def.choices].forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = c.label;
+        input.appendChild(opt);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.max = q.max ?? def.max;
+      input.step = 1;
+    }
+    input.dataset.question = q.id;
+    label.appendChild(input);
+    card.appendChild(label);
+    return input;
+  });
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  actions.style.marginTop = '12px';
+  const close = () => {
+    card.hidden = true;
+    card.innerHTML = '';
+  };
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'primary';
+  saveBtn.textContent = 'Save';
+  saveBtn.addEventListener('click', async () => {
+    const answers = {};
+    inputs.forEach(input => {
+      if (input.value === '') return;
+      answers[input.dataset.question] = def.choices ? input.value : Number(input.value);
+    });
+    let saved;
+    try {
+      saved = await saveQuestionnaire({ type, date: dateInput.value, answers });
+    } catch (err) {
+      alert(err instanceof ValidationError ? err.errors.map(e => e.message).join('\n') : err.message);
+      return;
+    }
+    close();
+    const { score, grade } = scoreQuestionnaire(saved);
+    showToast(`${def.name} score ${score}: ${grade.label}`);
+  });
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', close);
+  actions.appendChild(saveBtn);
+  actions.appendChild(cancelBtn);
+  card.appendChild(actions);
+  card.scrollIntoView({ block: 'start' });
+  inputs[0].focus();
 }
 
 function renderInsights(state) {
   const list = document.getElementById('insights-list');
   if (!list) return;
-  const suggestions = getSuggestions();
+  // a past day is analysed as of its end, like the doctor report
+  let now;
+  if (insightsAsOf) {
+    now = parseDay(insightsAsOf);
+    now.setHours(23, 59, 59, 999);
+  }
+  const todayBtn = document.getElementById('insights-today');
+  if (todayBtn) todayBtn.hidden = !insightsAsOf;
+  // while the tab is open, mark what was new when it was opened
+  const seenAt = currentTab === 'insights' ? insightsVisitSeenAt : state.settings.insightsSeenAt;
+  const { insights: suggestions, hidden } = getInsights({ now, windowDays: insightsWindowDays, seenAt });
   list.innerHTML = '';
+  if (insightsAsOf) {
+    const note = document.createElement('p');
+    const day = now.toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' });
+    note.textContent = `Insights as of the end of ${day}, from what was logged up to then.`;
+    list.appendChild(note);
+  }
+  if (hidden > 0) {
+    const note = document.createElement('p');
+    note.className = 'insights-hidden';
+    note.textContent = `${hidden} dismissed or snoozed ${hidden === 1 ? 'insight is' : 'insights are'} hidden; the insight history below can bring them back.`;
+    list.appendChild(note);
+  }
   if (suggestions.length === 0) {
     const p = document.createElement('p');
-    p.textContent = 'No significant patterns detected in the last month.';
+    p.textContent = insightsAsOf
+      ? `No significant patterns detected in the ${insightsWindowDays} days up to then.`
+      : `No significant patterns detected in the last ${insightsWindowDays} days.`;
     list.appendChild(p);
     return;
   }
+  const formatDay = time => new Date(time).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
   suggestions.forEach(s => {
     const div = document.createElement('div');
-    div.className = 'insight';
+    div.className = s.isNew && !insightsAsOf ? 'insight new' : 'insight';
     const h3 = document.createElement('h3');
     h3.textContent = s.title;
+    if (s.isNew && !insightsAsOf) {
+      const tag = document.createElement('span');
+      tag.className = 'insight-new';
+      tag.textContent = 'New';
+      h3.appendChild(tag);
+    }
     const p = document.createElement('p');
     p.textContent = s.message;
     div.appendChild(h3);
     div.appendChild(p);
+    const actions = document.createElement('div');
+    actions.className = 'insight-actions';
+    if (s.firstSeen) {
+      const since = document.createElement('small');
+      since.textContent = `First seen ${formatDay(s.firstSeen)}`;
+      actions.appendChild(since);
+    }
+    const snoozeBtn = document.createElement('button');
+    snoozeBtn.type = 'button';
+    snoozeBtn.className = 'secondary';
+    snoozeBtn.textContent = `Snooze ${SNOOZE_DAYS} days`;
+    snoozeBtn.addEventListener('click', () => runAction(() => snoozeInsight(s)));
+    actions.appendChild(snoozeBtn);
+    const dismissBtn = document.createElement('button');
+    dismissBtn.type = 'button';
+    dismissBtn.className = 'secondary';
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.addEventListener('click', () => runAction(() => dismissInsight(s)));
+    actions.appendChild(dismissBtn);
+    div.appendChild(actions);
     list.appendChild(div);
   });
 }
 
+// Count of today's insights new since the tab was last opened.
+function renderInsightsBadge() {
+  const badge = document.getElementById('insights-badge');
+  if (!badge) return;
+  const count = currentTab === 'insights' ? 0 : getInsights().insights.filter(s => s.isNew).length;
+  badge.hidden = count === 0;
+  badge.textContent = count > 0 ? String(count) : '';
+  const btn = badge.parentElement;
+  btn.setAttribute('aria-label', count > 0 ? `Insights, ${count} new` : 'Insights');
+}
+
+// Every recorded insight, most recently seen first.
+function renderInsightHistory(state) {
+  const list = document.getElementById('insight-history');
+  if (!list) return;
+  list.innerHTML = '';
+  if (state.insightHistory.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No insights have come up yet.';
+    list.appendChild(empty);
+    return;
+  }
+  const formatDay = time => new Date(time).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  const now = new Date();
+  [...state.insightHistory]
+    .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1))
+    .forEach(record => {
+      const item = document.createElement('li');
+      const text = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = record.title;
+      text.appendChild(title);
+      const message = document.createElement('p');
+      message.textContent = record.message;
+      text.appendChild(message);
+      const seen = document.createElement('small');
+      let status = '';
+      if (record.dismissedAt) status = ` · dismissed ${formatDay(record.dismissedAt)}`;
+      else if (record.snoozedUntil && new Date(record.snoozedUntil) > now) status = ` · snoozed until ${formatDay(record.snoozedUntil)}`;
+      seen.textContent = `First seen ${formatDay(record.firstSeen)} · last seen ${formatDay(record.lastSeen)}${status}`;
+      text.appendChild(seen);
+      item.appendChild(text);
+      if (isHidden(record, now)) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.className = 'secondary';
+        restoreBtn.textContent = 'Show again';
+        restoreBtn.addEventListener('click', () => runAction(() => restoreInsight(record.id)));
+        item.appendChild(restoreBtn);
+      }
+      list.appendChild(item);
+    });
+}
+
+/* --------- Treatments view ----------- */
+function buildTreatmentsView() {
+  const container = views.treatments;
+  container.innerHTML = '';
+  const card = document.createElement('div');
+  card.className = 'card';
+  const title = document.createElement('h2');
+  title.textContent = 'Preventive treatments';
+  card.appendChild(title);
+  const note = document.createElement('p');
+  note.textContent = 'Treatments you take on a schedule to prevent migraines, such as a daily tablet or a monthly injection. ' +
+    'Log each dose to keep track, and compare how often migraines came before and after you started.';
+  card.appendChild(note);
+  const list = document.createElement('div');
+  list.id = 'preventive-list';
+  card.appendChild(list);
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'primary';
+  addBtn.textContent = 'Add treatment';
+  addBtn.addEventListener('click', () => showPreventiveForm(null));
+  card.appendChild(addBtn);
+  container.appendChild(card);
+  // add/edit form, shown on demand
+  const formCard = document.createElement('div');
+  formCard.id = 'preventive-form';
+  formCard.className = 'card';
+  formCard.hidden = true;
+  container.appendChild(formCard);
+}
+
+function renderTreatments(state) {
+  const list = document.getElementById('preventive-list');
+  if (!list) return;
+  list.innerHTML = '';
+  if (state.preventives.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No treatments yet.';
+    list.appendChild(empty);
+    return;
+  }
+  const now = new Date();
+  const monthAgo = new Date(now);
+  monthAgo.setDate(monthAgo.getDate() - 30);
+  const formatDay = day => parseDay(day).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  [...state.preventives]
+    .sort((a, b) => (a.startDate < b.startDate ? 1 : -1))
+    .forEach(p => {
+      const entry = document.createElement('div');
+      entry.className = 'preventive';
+      const name = document.createElement('h3');
+      name.textContent = p.doseMg ? `${p.name} ${p.doseMg} mg` : p.name;
+      entry.appendChild(name);
+      const lines = [
+        `${describeSchedule(p.schedule)}, from ${formatDay(p.startDate)}` + (p.endDate ? ` to ${formatDay(p.endDate)}` : '')
+      ];
+      const next = isActive(p, now) || p.startDate > dayOf(now) ? nextDose(p, state.doseLog, now) : null;
+      if (next) {
+        lines.push(`Next dose ${next.at.toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}` +
+          (p.remind ? ' (reminder on)' : ''));
+      }
+      const taken = adherence(p, state.doseLog, monthAgo, now);
+      if (taken.scheduled > 0) {
+        lines.push(`Last 30 days: ${taken.taken} of ${taken.scheduled} doses taken, ${taken.missed} missed, ${taken.unlogged} not logged`);
+      }
+      const comparison = compareBeforeAfter(state.episodes, p, { now });
+      if (comparison) {
+        lines.push(`Migraines per month: ${comparison.before.perMonth.toFixed(1)} before, ${comparison.after.perMonth.toFixed(1)} since starting`);
+      }
+      lines.forEach(text => {
+        const line = document.createElement('span');
+        line.textContent = text;
+        entry.appendChild(line);
+      });
+      // doses waiting to be logged
+      unloggedDoses(p, state.doseLog, now).slice(0, 3).forEach(day => {
+        const row = document.createElement('div');
+        row.className = 'timeline-actions';
+        const label = document.createElement('span');
+        label.textContent = day === dayOf(now) ? 'Today’s dose:' : `Dose on ${formatDay(day)}:`;
+        row.appendChild(label);
+        [['taken', 'Taken', 'primary'], ['missed', 'Missed', 'secondary']].forEach(([status, text, className]) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = className;
+          btn.textContent = text;
+          btn.addEventListener('click', () => logDose(p.id, day, status));
+          row.appendChild(btn);
+        });
+        entry.appendChild(row);
+      });
+      const actions = document.createElement('div');
+      actions.className = 'timeline-actions';
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'secondary';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => showPreventiveForm(p));
+      actions.appendChild(editBtn);
+      if (!p.endDate && p.startDate <= dayOf(now)) {
+        const stopBtn = document.createElement('button');
+        stopBtn.type = 'button';
+        stopBtn.className = 'secondary';
+        stopBtn.textContent = 'Stopped today';
+        stopBtn.addEventListener('click', () =>
+          runAction(() => savePreventive({ ...p, endDate: dayOf(new Date()) }), `Mark ${p.name} as stopped today?`));
+        actions.appendChild(stopBtn);
+      }
+      const delBtn = document.createElement('button');
+      delBtn.type = 'button';
+      delBtn.className = 'danger';
+      delBtn.textContent = 'Delete';
+      delBtn.addEventListener('click', () =>
+        runAction(() => deletePreventive(p.id), `Delete ${p.name} and its dose log? This cannot be undone.`));
+      actions.appendChild(delBtn);
+      entry.appendChild(actions);
+      list.appendChild(entry);
+    });
+}
+
+// Show the add/edit form for a treatment (null to add a new one).
+function showPreventiveForm(preventive) {
+  const card = document.getElementById('preventive-form');
+  card.innerHTML = '';
+  card.hidden = false;
+  const p = preventive || { schedule: { every: 1, unit: 'day', time: '08:00' }, startDate: dayOf(new Date()), remind: false };
+  const title = document.createElement('h2');
+  title.textContent = preventive ? `Edit ${preventive.name}` : 'Add treatment';
+  card.appendChild(title);
+  const field = (labelText, input) => {
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    card.appendChild(label);
+    card.appendChild(input);
+    return input;
+  };
+  const input = (type, value) => {
+    const el = document.createElement('input');
+    el.type = type;
+    el.value = value ?? '';
+    return el;
+  };
+  const nameInput = field('Name', input('text', p.name));
+  const doseInput = field('Dose (mg, optional)', input('number', p.doseMg));
+  doseInput.min = 0;
+  doseInput.step = 0.1;
+  // "every [n] [unit] at [time]"
+  const scheduleLabel = document.createElement('label');
+  scheduleLabel.textContent = 'Take every';
+  card.appendChild(scheduleLabel);
+  const scheduleRow = document.createElement('div');
+  scheduleRow.className = 'timeline-actions';
+  const everyInput = input('number', p.schedule.every);
+  everyInput.min = 1;
+  everyInput.max = 365;
+  everyInput.setAttribute('aria-label', 'Every');
+  const unitSelect = document.createElement('select');
+  unitSelect.setAttribute('aria-label', 'Unit');
+  SCHEDULE_UNITS.forEach(u => {
+    const opt = document.createElement('option');
+    opt.value = u.id;
+    opt.textContent = `${u.label}(s)`;
+    unitSelect.appendChild(opt);
+  });
+  unitSelect.value = p.schedule.unit;
+  const timeInput = input('time', p.schedule.time);
+  timeInput.setAttribute('aria-label', 'At');
+  scheduleRow.appendChild(everyInput);
+  scheduleRow.appendChild(unitSelect);
+  scheduleRow.appendChild(document.createTextNode('at'));
+  scheduleRow.appendChild(timeInput);
+  card.appendChild(scheduleRow);
+  const startInput = field('Start date', input('date', p.startDate));
+  const endInput = field('End date (optional)', input('date', p.endDate));
+  const remindRow = document.createElement('div');
+  remindRow.style.display = 'flex';
+  remindRow.style.alignItems = 'center';
+  remindRow.style.gap = '8px';
+  remindRow.style.marginTop = '8px';
+  const remindBox = input('checkbox');
+  remindBox.checked = p.remind === true;
+  remindRow.appendChild(remindBox);
+  remindRow.appendChild(document.createTextNode('Remind me when a dose is due'));
+  card.appendChild(remindRow);
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  actions.style.marginTop = '12px';
+  const saveBtn = document.createElement('button');
+  saveBtn.type = 'button';
+  saveBtn.className = 'primary';
+  saveBtn.textContent = preventive ? 'Update' : 'Save';
+  saveBtn.addEventListener('click', async () => {
+    const dose = parseFloat(doseInput.value);
+    const data = {
+      ...(preventive || {}),
+      name: nameInput.value.trim(),
+      doseMg: isNaN(dose) ? undefined : dose,
+      schedule: { every: parseInt(everyInput.value, 10), unit: unitSelect.value, time: timeInput.value },
+      startDate: startInput.value,
+      endDate: endInput.value || undefined,
+      remind: remindBox.checked
+    };
+    try {
+      await savePreventive(data);
+    } catch (err) {
+      alert(err instanceof ValidationError ? err.errors.map(e => e.message).join('\n') : err.message);
+      return;
+    }
+    card.hidden = true;
+    card.innerHTML = '';
+  });
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => {
+    card.hidden = true;
+    card.innerHTML = '';
+  });
+  actions.appendChild(saveBtn);
+  actions.appendChild(cancelBtn);
+  card.appendChild(actions);
+  nameInput.focus();
+}
+
 /* --------- Settings view ----------- */
 function buildSettingsView() {
   const container = views.settings;
@@ -672,7 +2560,7 @@ function buildSettingsView() {
   form.appendChild(rmWrapper);
   // Reminder toggle and time
   const remLabel = document.createElement('label');
-  remLabel.textContent = 'Daily reminder';
+  remLabel.textContent = 'Daily check-in reminder';
   const remCheckbox = document.createElement('input');
   remCheckbox.type = 'checkbox';
   remCheckbox.id = 'settings-reminder-enabled';
@@ -695,6 +2583,63 @@ function buildSettingsView() {
   remRow.appendChild(remTime);
   form.appendChild(remLabel);
   form.appendChild(remRow);
+  // Reminder for an episode left ongoing
+  const ongoingLabel = document.createElement('label');
+  ongoingLabel.textContent = 'Remind me about an ongoing episode after (hours, 0 for never)';
+  ongoingLabel.htmlFor = 'settings-ongoing-hours';
+  const ongoingHours = document.createElement('input');
+  ongoingHours.type = 'number';
+  ongoingHours.id = 'settings-ongoing-hours';
+  ongoingHours.min = 0;
+  ongoingHours.max = 168;
+  ongoingHours.addEventListener('change', () => {
+    const hours = parseFloat(ongoingHours.value);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 168) {
+      alert('Enter a number of hours between 0 and 168.');
+      return;
+    }
+    appUpdateSettings({ ongoingReminderHours: hours });
+  });
+  form.appendChild(ongoingLabel);
+  form.appendChild(ongoingHours);
+  // Menstrual cycle tracking, off unless wanted
+  const cycleLabel = document.createElement('label');
+  cycleLabel.textContent = 'Menstrual cycle';
+  const cycleCheckbox = document.createElement('input');
+  cycleCheckbox.type = 'checkbox';
+  cycleCheckbox.id = 'settings-cycle-tracking';
+  cycleCheckbox.addEventListener('change', () => {
+    appUpdateSettings({ cycleTracking: cycleCheckbox.checked });
+  });
+  const cycleRow = document.createElement('div');
+  cycleRow.style.display = 'flex';
+  cycleRow.style.alignItems = 'center';
+  cycleRow.style.gap = '8px';
+  cycleRow.appendChild(cycleCheckbox);
+  cycleRow.appendChild(document.createTextNode('Log periods in the daily check-in and look for migraines around them'));
+  form.appendChild(cycleLabel);
+  form.appendChild(cycleRow);
+  // Which insight rules run and their thresholds
+  const rulesLabel = document.createElement('label');
+  rulesLabel.textContent = 'Insights';
+  const rulesPanel = document.createElement('div');
+  rulesPanel.id = 'settings-insight-rules';
+  form.appendChild(rulesLabel);
+  form.appendChild(rulesPanel);
+  // Profiles on this device
+  const profilesLabel = document.createElement('label');
+  profilesLabel.textContent = 'Profiles';
+  const profilesPanel = document.createElement('div');
+  profilesPanel.id = 'settings-profiles';
+  form.appendChild(profilesLabel);
+  form.appendChild(profilesPanel);
+  // Passphrase protection; contents depend on whether it is enabled
+  const encLabel = document.createElement('label');
+  encLabel.textContent = 'Passphrase protection';
+  const encPanel = document.createElement('div');
+  encPanel.id = 'settings-encryption';
+  form.appendChild(encLabel);
+  form.appendChild(encPanel);
   // Export section
   const exportDiv = document.createElement('div');
   exportDiv.style.marginTop = '16px';
@@ -706,17 +2651,8 @@ function buildSettingsView() {
   exportCsvBtn.className = 'primary';
   exportCsvBtn.textContent = 'Export CSV';
   exportCsvBtn.addEventListener('click', () => {
-    const csv = exportEpisodesToCSV();
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'migraine_episodes.csv';
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    // storage builds the file and triggers the download
+    exportEpisodesToCSV();
   });
   const exportJsonBtn = document.createElement('button');
   exportJsonBtn.type = 'button';
@@ -724,20 +2660,55 @@ function buildSettingsView() {
   exportJsonBtn.style.marginLeft = '8px';
   exportJsonBtn.textContent = 'Backup JSON';
   exportJsonBtn.addEventListener('click', () => {
-    const json = exportEpisodesToJSON();
-    const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'migraine_backup.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    exportEpisodesToJSON();
+  });
+  const exportQuestionnairesBtn = document.createElement('button');
+  exportQuestionnairesBtn.type = 'button';
+  exportQuestionnairesBtn.className = 'secondary';
+  exportQuestionnairesBtn.style.marginLeft = '8px';
+  exportQuestionnairesBtn.textContent = 'Questionnaires CSV';
+  exportQuestionnairesBtn.addEventListener('click', () => {
+    exportQuestionnairesToCSV();
   });
   exportDiv.appendChild(exportCsvBtn);
   exportDiv.appendChild(exportJsonBtn);
+  exportDiv.appendChild(exportQuestionnairesBtn);
   form.appendChild(exportDiv);
+  // Doctor report for a date range, last 3 months by default
+  const reportDiv = document.createElement('div');
+  reportDiv.className = 'doctor-report';
+  reportDiv.style.marginTop = '16px';
+  const reportLabel = document.createElement('strong');
+  reportLabel.textContent = 'Doctor report';
+  reportDiv.appendChild(reportLabel);
+  const today = new Date();
+  const reportFrom = document.createElement('input');
+  reportFrom.type = 'date';
+  reportFrom.id = 'report-from';
+  reportFrom.value = dayOf(new Date(today.getFullYear(), today.getMonth() - 3, today.getDate() + 1));
+  const reportTo = document.createElement('input');
+  reportTo.type = 'date';
+  reportTo.id = 'report-to';
+  reportTo.value = dayOf(today);
+  const reportRange = document.createElement('div');
+  reportRange.className = 'report-range';
+  [['From', reportFrom], ['To', reportTo]].forEach(([text, input]) => {
+    const label = document.createElement('label');
+    label.textContent = text;
+    label.appendChild(input);
+    reportRange.appendChild(label);
+  });
+  reportDiv.appendChild(reportRange);
+  const reportBtn = document.createElement('button');
+  reportBtn.type = 'button';
+  reportBtn.className = 'primary';
+  reportBtn.textContent = 'Open report';
+  reportBtn.addEventListener('click', () => openReport(reportFrom.value, reportTo.value));
+  reportDiv.appendChild(reportBtn);
+  const reportNote = document.createElement('p');
+  reportNote.textContent = 'Opens a page to print or save as PDF for your doctor.';
+  reportDiv.appendChild(reportNote);
+  form.appendChild(reportDiv);
   // Import section
   const importDiv = document.createElement('div');
   importDiv.style.marginTop = '16px';
@@ -746,32 +2717,409 @@ function buildSettingsView() {
   importDiv.appendChild(importLabel);
   const importInput = document.createElement('input');
   importInput.type = 'file';
-  importInput.accept = '.json';
-  importInput.addEventListener('change', () => {
+  importInput.accept = '.json,.csv';
+  importInput.addEventListener('change', async () => {
     const file = importInput.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      const content = reader.result;
-      const merge = confirm('Merge imported episodes with existing ones? Click Cancel to replace existing episodes.');
-      try {
-        importEpisodesFromJSON(content, merge);
-        // refresh state after import
-        initApp();
-        alert('Import successful');
-      } catch (err) {
-        alert('Failed to import: ' + err.message);
-      }
-    };
-    reader.readAsText(file);
     // reset input so change event triggers again if same file selected
     importInput.value = '';
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+      showCsvImport(csvPanel, await file.text());
+      return;
+    }
+    let passphrase;
+    if (await backupNeedsPassphrase(file)) {
+      passphrase = prompt('This backup is encrypted. Enter its passphrase:');
+      if (passphrase === null) return;
+    }
+    const merge = confirm('Merge imported episodes with existing ones? Click Cancel to replace existing episodes.');
+    try {
+      if (merge) {
+        // review what would change before writing anything
+        const preview = await withInvalidEpisodes(invalid => planBackupImport(file, { passphrase, invalid }));
+        if (preview) showMergeReport(preview);
+      } else {
+        const done = await withInvalidEpisodes(async invalid => {
+          await importBackup(file, { mode: 'replace', passphrase, invalid });
+          return true;
+        });
+        if (done) showUndoToast('Import successful');
+      }
+    } catch (err) {
+      alert('Failed to import: ' + err.message);
+    }
   });
   importDiv.appendChild(importInput);
+  // column mapping and preview for CSV files
+  const csvPanel = document.createElement('div');
+  csvPanel.className = 'csv-import';
+  importDiv.appendChild(csvPanel);
   form.appendChild(importDiv);
+  // Weather readings from a file, for the pressure insight and chart
+  const weatherDiv = document.createElement('div');
+  weatherDiv.style.marginTop = '16px';
+  const weatherLabel = document.createElement('strong');
+  weatherLabel.textContent = 'Weather data';
+  weatherDiv.appendChild(weatherLabel);
+  const weatherHelp = document.createElement('p');
+  weatherHelp.textContent = 'Import hourly readings for where you live as CSV or JSON, with a time column and pressure in hPa, ' +
+    'and optionally temperature (°C) and humidity (%). For example: time,pressure,temperature,humidity then 2024-03-01T09:00,1012.5,8.2,81. ' +
+    'Exports from Open-Meteo work as they are. The data stays on this device.';
+  weatherDiv.appendChild(weatherHelp);
+  const weatherInput = document.createElement('input');
+  weatherInput.type = 'file';
+  weatherInput.accept = '.csv,.json';
+  weatherInput.addEventListener('change', async () => {
+    const file = weatherInput.files[0];
+    if (!file) return;
+    weatherInput.value = '';
+    try {
+      const { imported } = await importWeather(file);
+      showToast(`Imported ${imported} weather ${imported === 1 ? 'reading' : 'readings'}`);
+    } catch (err) {
+      alert('Failed to import weather data: ' + err.message);
+    }
+  });
+  weatherDiv.appendChild(weatherInput);
+  const weatherStatus = document.createElement('div');
+  weatherStatus.id = 'settings-weather';
+  weatherDiv.appendChild(weatherStatus);
+  form.appendChild(weatherDiv);
   container.appendChild(form);
 }
 
+// Open the doctor report in a new window. The charts are drawn off
+// screen at a fixed width, so they print the same from a phone.
+function openReport(from, to) {
+  const charts = document.createElement('div');
+  charts.style.position = 'absolute';
+  charts.style.left = '-10000px';
+  charts.style.width = '700px';
+  document.body.appendChild(charts);
+  let html;
+  try {
+    html = reportPage({ from, to }, charts);
+  } catch (err) {
+    alert('Could not create the report: ' + err.message);
+    return;
+  } finally {
+    charts.remove();
+  }
+  const win = window.open('', '_blank');
+  if (!win) {
+    alert('The report was blocked. Allow pop-ups for this site and try again.');
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.document.getElementById('print-report').addEventListener('click', () => win.print());
+}
+
+/**
+ * Run a backup import that rejects invalid episodes; if it does, offer
+ * to repair what can be repaired and skip the rest, and run it again.
+ * Resolves with null when the user declines.
+ * @param {(invalid: 'reject'|'fix') => Promise<any>} run
+ */
+async function withInvalidEpisodes(run) {
+  try {
+    return await run('reject');
+  } catch (err) {
+    if (!(err instanceof ValidationError)) throw err;
+    if (!confirm(`${err.message}\n\nImport anyway, fixing what can be fixed and skipping the rest?`)) return null;
+    return run('fix');
+  }
+}
+
+/**
+ * Show the CSV import step: map file columns onto episode fields,
+ * preview the parsed rows with their validation errors, then merge
+ * or replace. Rows with errors are skipped.
+ * @param {HTMLElement} panel
+ * @param {string} text - CSV file contents
+ */
+function showCsvImport(panel, text) {
+  panel.innerHTML = '';
+  const rows = parseCSV(text);
+  if (rows.length < 2) {
+    const p = document.createElement('p');
+    p.textContent = 'No rows found in this CSV file.';
+    panel.appendChild(p);
+    return;
+  }
+  const [headers, ...dataRows] = rows;
+  const mapping = guessColumnMapping(headers);
+  let results = [];
+  // what to do with rows that fail validation: 'skip' or 'fix'
+  let invalidMode = 'skip';
+
+  const mapHeading = document.createElement('h3');
+  mapHeading.textContent = 'Match columns';
+  panel.appendChild(mapHeading);
+  IMPORT_FIELDS.forEach(({ field, label, required }) => {
+    const fieldLabel = document.createElement('label');
+    fieldLabel.textContent = required ? `${label} *` : label;
+    const select = document.createElement('select');
+    select.dataset.field = field;
+    const none = document.createElement('option');
+    none.value = -1;
+    none.textContent = '— not in file —';
+    select.appendChild(none);
+    headers.forEach((h, idx) => {
+      const opt = document.createElement('option');
+      opt.value = idx;
+      opt.textContent = h || `Column ${idx + 1}`;
+      select.appendChild(opt);
+    });
+    select.value = mapping[field];
+    select.addEventListener('change', () => {
+      mapping[field] = parseInt(select.value, 10);
+      renderPreview();
+    });
+    panel.appendChild(fieldLabel);
+    panel.appendChild(select);
+  });
+
+  const invalidLabel = document.createElement('label');
+  invalidLabel.textContent = 'Rows with errors';
+  const invalidSelect = document.createElement('select');
+  [['skip', 'Skip them'], ['fix', 'Fix where possible, skip the rest']].forEach(([value, text]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = text;
+    invalidSelect.appendChild(opt);
+  });
+  invalidSelect.addEventListener('change', () => {
+    invalidMode = invalidSelect.value;
+    renderPreview();
+  });
+  panel.appendChild(invalidLabel);
+  panel.appendChild(invalidSelect);
+
+  const preview = document.createElement('div');
+  preview.className = 'csv-preview';
+  panel.appendChild(preview);
+
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  const mergeBtn = document.createElement('button');
+  mergeBtn.type = 'button';
+  mergeBtn.className = 'primary';
+  mergeBtn.textContent = 'Merge';
+  const replaceBtn = document.createElement('button');
+  replaceBtn.type = 'button';
+  replaceBtn.className = 'danger';
+  replaceBtn.textContent = 'Replace all';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => {
+    panel.innerHTML = '';
+  });
+  actions.appendChild(mergeBtn);
+  actions.appendChild(replaceBtn);
+  actions.appendChild(cancelBtn);
+  panel.appendChild(actions);
+
+  async function runImport(mode) {
+    if (mode === 'replace' && !confirm('Replace all existing episodes with the imported ones?')) return;
+    try {
+      // storage screens the rows again and applies the same skip/fix choice
+      const { imported } = await importCsv(results.map(r => r.episode), { mode, invalid: invalidMode });
+      panel.innerHTML = '';
+      showUndoToast(`Imported ${imported} episode${imported === 1 ? '' : 's'}`);
+    } catch (err) {
+      alert('Failed to import: ' + err.message);
+    }
+  }
+  mergeBtn.addEventListener('click', () => runImport('merge'));
+  replaceBtn.addEventListener('click', () => runImport('replace'));
+
+  function renderPreview() {
+    results = episodesFromRows(dataRows, mapping);
+    // show rows as they would be imported once repaired
+    const shown = results.map(r => {
+      if (invalidMode !== 'fix' || r.errors.length === 0) return { ...r, fixed: false };
+      const episode = repairEpisode(r.episode);
+      const errors = validateEpisode(episode).map(e => e.message);
+      return { line: r.line, episode: errors.length ? r.episode : episode, errors, fixed: errors.length === 0 };
+    });
+    const validCount = shown.filter(r => r.errors.length === 0).length;
+    const fixedCount = shown.filter(r => r.fixed).length;
+    preview.innerHTML = '';
+    const summary = document.createElement('p');
+    summary.textContent = `${validCount} of ${results.length} rows ready to import.` +
+      (fixedCount ? ` ${fixedCount} of them fixed.` : '') +
+      (validCount < results.length ? ' Rows with errors will be skipped.' : '');
+    preview.appendChild(summary);
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    ['Row', 'Date & time', 'Intensity', 'Duration', 'Triggers', 'Medications', 'Status'].forEach(h => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      headRow.appendChild(th);
+    });
+    table.appendChild(headRow);
+    // keep the preview short; errors further down are still counted above
+    shown.slice(0, CSV_PREVIEW_ROWS).forEach(({ line, episode, errors, fixed }) => {
+      const tr = document.createElement('tr');
+      if (errors.length) tr.className = 'row-error';
+      [
+        line,
+        isNaN(new Date(episode.datetime)) ? episode.datetime : new Date(episode.datetime).toLocaleString(),
+        episode.intensity ?? '',
+        episode.durationMinutes ?? '',
+        episode.triggers.join(', '),
+        episode.medications.map(m => m.name + (m.doseMg ? ` (${m.doseMg}mg)` : '')).join(', '),
+        errors.length ? errors.join('; ') : fixed ? 'Fixed' : 'OK'
+      ].forEach(val => {
+        const td = document.createElement('td');
+        td.textContent = val;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    preview.appendChild(table);
+    mergeBtn.disabled = validCount === 0;
+    replaceBtn.disabled = validCount === 0;
+  }
+  renderPreview();
+}
+
+/**
+ * Show a dialog summarising a backup merge (added, updated, skipped and
+ * conflicting episodes, changed settings) and commit it on confirmation.
+ * Conflicts default to keeping the local copy.
+ * @param {{data: object, plan: MergePlan}} preview - from planBackupImport
+ */
+function showMergeReport(preview) {
+  const { plan, data } = preview;
+  const resolutions = {};
+  const dialog = document.createElement('dialog');
+  dialog.className = 'card merge-report';
+  const title = document.createElement('h2');
+  title.textContent = 'Review import';
+  dialog.appendChild(title);
+
+  const summary = document.createElement('p');
+  summary.textContent = `${plan.added.length} new, ${plan.updated.length} updated, ` +
+    `${plan.skipped.length} skipped, ${plan.conflicts.length} in conflict.`;
+  dialog.appendChild(summary);
+  if (data.fixed || data.rejected.length) {
+    const invalidNote = document.createElement('p');
+    invalidNote.textContent = `${data.fixed} invalid episode${data.fixed === 1 ? ' was' : 's were'} fixed; ` +
+      `${data.rejected.length} could not be fixed and will be left out.`;
+    dialog.appendChild(invalidNote);
+  }
+
+  const section = (label, items, render) => {
+    if (items.length === 0) return;
+    const details = document.createElement('details');
+    const sum = document.createElement('summary');
+    sum.textContent = `${label} (${items.length})`;
+    details.appendChild(sum);
+    const ul = document.createElement('ul');
+    items.forEach(item => {
+      const li = document.createElement('li');
+      render(li, item);
+      ul.appendChild(li);
+    });
+    details.appendChild(ul);
+    dialog.appendChild(details);
+  };
+  section('New episodes', plan.added, (li, ep) => {
+    li.textContent = describeEpisode(ep);
+  });
+  section('Updated (imported copy is newer)', plan.updated, (li, { local, incoming }) => {
+    li.textContent = `${describeEpisode(local)} → ${describeEpisode(incoming)}`;
+  });
+  section('Skipped', plan.skipped, (li, { local, reason }) => {
+    li.textContent = `${describeEpisode(local)} (${reason})`;
+  });
+
+  if (plan.conflicts.length > 0) {
+    const heading = document.createElement('h3');
+    heading.textContent = 'Conflicts';
+    const hint = document.createElement('p');
+    hint.textContent = 'These episodes were changed in both places. Choose which copy to keep.';
+    dialog.appendChild(heading);
+    dialog.appendChild(hint);
+    plan.conflicts.forEach(({ local, incoming }) => {
+      const fieldset = document.createElement('fieldset');
+      [['local', 'Keep mine', local], ['incoming', 'Use imported', incoming]].forEach(([value, label, ep]) => {
+        const row = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `conflict-${incoming.id}`;
+        radio.value = value;
+        radio.checked = value === 'local';
+        radio.addEventListener('change', () => { resolutions[incoming.id] = value; });
+        row.appendChild(radio);
+        row.appendChild(document.createTextNode(`${label}: ${describeEpisode(ep)}` +
+          (ep.notes ? ` — ${ep.notes}` : '')));
+        fieldset.appendChild(row);
+      });
+      dialog.appendChild(fieldset);
+    });
+  }
+
+  let settingsBox = null;
+  if (plan.settingsChanges.length > 0) {
+    const row = document.createElement('label');
+    settingsBox = document.createElement('input');
+    settingsBox.type = 'checkbox';
+    row.appendChild(settingsBox);
+    row.appendChild(document.createTextNode(
+      `Also import settings (${plan.settingsChanges.map(c => c.key).join(', ')})`
+    ));
+    dialog.appendChild(row);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'timeline-actions';
+  const importBtn = document.createElement('button');
+  importBtn.type = 'button';
+  importBtn.className = 'primary';
+  importBtn.textContent = 'Import';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'secondary';
+  cancelBtn.textContent = 'Cancel';
+  const close = () => {
+    dialog.close();
+    dialog.remove();
+  };
+  cancelBtn.addEventListener('click', close);
+  importBtn.addEventListener('click', async () => {
+    importBtn.disabled = true;
+    try {
+      await commitBackupMerge(preview, {
+        resolutions,
+        importSettings: Boolean(settingsBox && settingsBox.checked)
+      });
+      close();
+      showUndoToast('Import successful');
+    } catch (err) {
+      importBtn.disabled = false;
+      alert('Failed to import: ' + err.message);
+    }
+  });
+  actions.appendChild(importBtn);
+  actions.appendChild(cancelBtn);
+  dialog.appendChild(actions);
+  document.body.appendChild(dialog);
+  dialog.showModal();
+}
+
+function describeEpisode(ep) {
+  const when = new Date(ep.datetime).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+  return `${when} · intensity ${ep.intensity} · ${ep.durationMinutes} min`;
+}
+
 function syncSettingsUI(state) {
   // set theme select
   const themeSelect = document.getElementById('settings-theme');
@@ -789,4 +3137,281 @@ function syncSettingsUI(state) {
     remTime.value = state.settings.reminderTime;
     remTime.disabled = !state.settings.reminderEnabled;
   }
+  const ongoingHours = document.getElementById('settings-ongoing-hours');
+  if (ongoingHours && document.activeElement !== ongoingHours) {
+    ongoingHours.value = state.settings.ongoingReminderHours;
+  }
+  const cycleCheckbox = document.getElementById('settings-cycle-tracking');
+  if (cycleCheckbox) cycleCheckbox.checked = state.settings.cycleTracking;
+  renderProfileSettings(state);
+  renderEncryptionSettings(state);
+  renderWeatherSettings(state);
+  renderInsightRuleSettings(state);
+}
+
+// One row per registered insight rule: a switch, what it looks for and its thresholds.
+function renderInsightRuleSettings(state) {
+  const panel = document.getElementById('settings-insight-rules');
+  if (!panel) return;
+  const config = state.settings.insightRules || {};
+  // only rebuild when the choices change, so a number being typed survives re-renders
+  const key = JSON.stringify(config);
+  if (panel.dataset.rules === key) return;
+  panel.dataset.rules = key;
+  panel.innerHTML = '';
+  const note = document.createElement('p');
+  note.textContent = 'Choose which patterns the Insights tab looks for, and how strong a pattern needs to be before it is shown.';
+  panel.appendChild(note);
+  const list = document.createElement('ul');
+  list.className = 'insight-rules';
+  listRules().forEach(rule => {
+    const { enabled, params } = ruleSettings(rule, config);
+    const update = changes => appUpdateSettings({ insightRules: withRuleSettings(state.settings.insightRules, rule.id, changes) });
+    const item = document.createElement('li');
+    const toggle = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabled;
+    checkbox.addEventListener('change', () => update({ enabled: checkbox.checked }));
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode(rule.title));
+    item.appendChild(toggle);
+    if (rule.description) {
+      const description = document.createElement('p');
+      description.textContent = rule.description;
+      item.appendChild(description);
+    }
+    const fields = document.createElement('div');
+    fields.className = 'insight-rule-params';
+    Object.entries(rule.params || {}).forEach(([name, p]) => {
+      const field = document.createElement('label');
+      field.textContent = p.unit ? `${p.label} (${p.unit})` : p.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = p.min;
+      input.max = p.max;
+      input.step = p.step || 'any';
+      input.value = params[name];
+      input.disabled = !enabled;
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (!Number.isFinite(value) || value < p.min || value > p.max) {
+          alert(`Enter a number between ${p.min} and ${p.max}.`);
+          input.value = params[name];
+          return;
+        }
+        update({ params: { [name]: value } });
+      });
+      field.appendChild(input);
+      fields.appendChild(field);
+    });
+    if (fields.childElementCount) item.appendChild(fields);
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+  if (Object.keys(config).length) {
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'secondary';
+    resetBtn.textContent = 'Reset insights to defaults';
+    resetBtn.addEventListener('click', () => {
+      if (!confirm('Turn all insights back on with their default thresholds?')) return;
+      appUpdateSettings({ insightRules: {} });
+    });
+    panel.appendChild(resetBtn);
+  }
+}
+
+// How many weather readings there are and over what dates, with a way to remove them.
+function renderWeatherSettings(state) {
+  const panel = document.getElementById('settings-weather');
+  if (!panel) return;
+  const { weather } = state;
+  const key = weather.length ? `${weather.length}:${weather[0].time}:${weather[weather.length - 1].time}` : '';
+  if (panel.dataset.weather === key) return;
+  panel.dataset.weather = key;
+  panel.innerHTML = '';
+  if (!weather.length) return;
+  const day = r => new Date(r.time).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  const summary = document.createElement('p');
+  summary.textContent = `${weather.length} readings from ${day(weather[0])} to ${day(weather[weather.length - 1])}.`;
+  panel.appendChild(summary);
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'secondary';
+  clearBtn.textContent = 'Remove weather data';
+  clearBtn.addEventListener('click', () => runAction(() => clearWeather(), 'Remove all imported weather readings?'));
+  panel.appendChild(clearBtn);
+}
+
+function renderProfileSettings(state) {
+  const panel = document.getElementById('settings-profiles');
+  if (!panel) return;
+  // only rebuild when the profiles change, so a typed name survives re-renders
+  const key = JSON.stringify(state.profiles);
+  if (panel.dataset.profiles === key) return;
+  panel.dataset.profiles = key;
+  panel.innerHTML = '';
+  const note = document.createElement('p');
+  note.textContent = 'Each profile has its own episodes, triggers, reminders and theme. Exports and imports apply to the profile in use.';
+  panel.appendChild(note);
+  const list = document.createElement('ul');
+  list.className = 'profile-list';
+  state.profiles.forEach(p => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    const active = p.id === state.activeProfile.id;
+    name.textContent = active ? `${p.name} (in use)` : p.name;
+    item.appendChild(name);
+    if (!active) {
+      const useBtn = document.createElement('button');
+      useBtn.type = 'button';
+      useBtn.className = 'secondary';
+      useBtn.textContent = 'Switch';
+      useBtn.addEventListener('click', () => selectProfile(p.id));
+      item.appendChild(useBtn);
+    }
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.className = 'secondary';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', () => {
+      const next = prompt('New name for this profile:', p.name);
+      if (next === null) return;
+      try {
+        renameProfile(p.id, next);
+      } catch (err) {
+        alert(err.message);
+      }
+    });
+    item.appendChild(renameBtn);
+    if (!active) {
+      const delBtn = document.createElement('button');
+      delBtn.type = 'button';
+      delBtn.className = 'danger';
+      delBtn.textContent = 'Delete';
+      delBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete the profile ${p.name} and all of its data? This cannot be undone.`)) return;
+        try {
+          await deleteProfile(p.id);
+        } catch (err) {
+          alert('Failed to delete profile: ' + err.message);
+        }
+      });
+      item.appendChild(delBtn);
+    }
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'New profile name';
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'primary';
+  addBtn.textContent = 'Add profile';
+  addBtn.style.marginTop = '8px';
+  addBtn.addEventListener('click', async () => {
+    try {
+      const profile = await createProfile(nameInput.value);
+      showToast(`Profile ${profile.name} added`, 'Switch', () => selectProfile(profile.id));
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+  panel.appendChild(nameInput);
+  panel.appendChild(addBtn);
+}
+
+function renderEncryptionSettings(state) {
+  const panel = document.getElementById('settings-encryption');
+  if (!panel) return;
+  // only rebuild when the mode flips, so typed passphrases survive re-renders
+  const mode = state.encryptionEnabled ? 'on' : 'off';
+  if (panel.dataset.mode === mode) return;
+  panel.dataset.mode = mode;
+  panel.innerHTML = '';
+  const note = document.createElement('p');
+  const error = document.createElement('p');
+  error.className = 'form-error';
+  error.setAttribute('role', 'alert');
+  const passwordInput = (placeholder, autocomplete) => {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.placeholder = placeholder;
+    input.autocomplete = autocomplete;
+    panel.appendChild(input);
+    return input;
+  };
+  const button = (text, className) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = text;
+    btn.style.marginTop = '8px';
+    btn.style.marginRight = '8px';
+    return btn;
+  };
+  // validates a new passphrase pair, showing the problem in `error`
+  const checkNew = (a, b) => {
+    if (a.value.length < MIN_PASSPHRASE_LENGTH) {
+      error.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+      return false;
+    }
+    if (a.value !== b.value) {
+      error.textContent = 'The passphrases do not match.';
+      return false;
+    }
+    return true;
+  };
+  const run = async (btn, action, done) => {
+    error.textContent = '';
+    btn.disabled = true;
+    try {
+      await action();
+      showToast(done);
+    } catch (err) {
+      error.textContent = err.message;
+    } finally {
+      btn.disabled = false;
+    }
+  };
+
+  panel.appendChild(note);
+  if (!state.encryptionEnabled) {
+    note.textContent = 'Encrypt your episodes, settings and backups with a passphrase. If you forget it, your data cannot be recovered.';
+    const pass = passwordInput('New passphrase', 'new-password');
+    const confirmPass = passwordInput('Repeat passphrase', 'new-password');
+    const enableBtn = button('Enable encryption', 'primary');
+    enableBtn.addEventListener('click', () => {
+      if (!checkNew(pass, confirmPass)) return;
+      run(enableBtn, () => setPassphrase(pass.value), 'Encryption enabled');
+    });
+    panel.appendChild(enableBtn);
+  } else {
+    note.textContent = 'Your data is encrypted. You will be asked for the passphrase each time the app starts.';
+    const current = passwordInput('Current passphrase', 'current-password');
+    const pass = passwordInput('New passphrase', 'new-password');
+    const confirmPass = passwordInput('Repeat new passphrase', 'new-password');
+    const changeBtn = button('Change passphrase', 'primary');
+    changeBtn.addEventListener('click', () => {
+      if (!checkNew(pass, confirmPass)) return;
+      run(changeBtn, async () => {
+        await changePassphrase(current.value, pass.value);
+        [current, pass, confirmPass].forEach(i => { i.value = ''; });
+      }, 'Passphrase changed');
+    });
+    const disableBtn = button('Turn off encryption', 'danger');
+    disableBtn.addEventListener('click', () => {
+      if (!confirm('Store your data without encryption?')) return;
+      run(disableBtn, () => removePassphrase(current.value), 'Encryption turned off');
+    });
+    const lockBtn = button('Lock now', 'secondary');
+    // the key only lives in memory, so reloading locks the app
+    lockBtn.addEventListener('click', () => location.reload());
+    panel.appendChild(changeBtn);
+    panel.appendChild(disableBtn);
+    panel.appendChild(lockBtn);
+  }
+  panel.appendChild(error);
 }
@@ -0,0 +1,380 @@
+/* validation.js
+ *
+ * The one place that decides what a valid episode looks like. The log
+ * form, the storage layer and both importers check episodes here, so a
+ * malformed backup or spreadsheet can't put values into storage that
+ * would break the insights or charts. Errors are returned per field so
+ * callers can point at what is wrong; importers can also repair what is
+ * repairable and skip the rest.
+ */
+
+import { PHASES, AURA_TYPES } from './phases.js';
+import { SYMPTOMS } from './symptoms.js';
+import { RELIEF_LEVELS } from './medications.js';
+
+/**
+ * @typedef {Object} Episode
+ * @property {string} id
+ * @property {string} datetime - onset, ISO 8601
+ * @property {number} intensity - 0 to 10; the peak for episodes with an intensityLog
+ * @property {number} [durationMinutes] - greater than 0; absent while ongoing
+ * @property {boolean} [ongoing] - still in progress (see ongoing.js)
+ * @property {string} [endedAt] - set when an ongoing episode is ended
+ * @property {Array<{at: string, intensity: number}>} [intensityLog] - readings over time
+ * @property {Object<string, {start?: string, end?: string}>} [phases] - by phase id (see phases.js)
+ * @property {{types: string[], durationMinutes?: number}} [aura]
+ * @property {Object<string, boolean|string|string[]>} [symptoms] - by symptom id (see symptoms.js)
+ * @property {string[]} triggers
+ * @property {Array<{name: string, doseMg?: number, takenAt?: string, relief2h?: string, relief24h?: string, reliefMinutes?: number}>} medications - timing and relief fields as in medications.js
+ * @property {string} notes
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ * @property {string} [deletedAt] - set while the episode is in the trash
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field - episode field the error refers to
+ * @property {string} message - readable explanation
+ * @property {number} [index] - position in the batch, for batch checks
+ */
+
+export const MIN_INTENSITY = 0;
+export const MAX_INTENSITY = 10;
+
+// optional fields that must hold a date when present
+const TIMESTAMP_FIELDS = ['endedAt', 'createdAt', 'updatedAt', 'deletedAt'];
+
+/** Thrown by storage writes that are given an invalid episode. */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {FieldError[]} errors
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check an episode against the data model.
+ * @param {object} episode
+ * @returns {FieldError[]} empty when the episode is valid
+ */
+export function validateEpisode(episode) {
+  if (!episode || typeof episode !== 'object') {
+    return [{ field: 'episode', message: 'Episode must be an object' }];
+  }
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  const { id, datetime, intensity, durationMinutes, ongoing, intensityLog, triggers, medications, notes } = episode;
+
+  if (id !== undefined && (typeof id !== 'string' || id === '')) {
+    add('id', 'ID must be a non-empty string');
+  }
+  if (!isDateString(datetime)) {
+    add('datetime', datetime ? `Invalid date/time "${datetime}"` : 'Date/time is required');
+  }
+  if (!isIntensity(intensity)) {
+    add('intensity', `Intensity must be between ${MIN_INTENSITY} and ${MAX_INTENSITY} (got "${show(intensity)}")`);
+  }
+  if (ongoing !== undefined && typeof ongoing !== 'boolean') {
+    add('ongoing', 'Ongoing must be true or false');
+  }
+  if (ongoing === true) {
+    // the duration is only known once the episode ends
+    if (durationMinutes !== undefined) add('durationMinutes', 'An ongoing episode has no duration yet');
+  } else if (typeof durationMinutes !== 'number' || !Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    add('durationMinutes', `Duration must be a positive number of minutes (got "${show(durationMinutes)}")`);
+  }
+  if (intensityLog !== undefined &&
+      !(Array.isArray(intensityLog) && intensityLog.every(r => r && isDateString(r.at) && isIntensity(r.intensity)))) {
+    add('intensityLog', `Each intensity reading needs a time and an intensity between ${MIN_INTENSITY} and ${MAX_INTENSITY}`);
+  }
+  if (episode.phases !== undefined) {
+    const bad = phaseErrors(episode.phases);
+    if (bad) add('phases', bad);
+  }
+  if (episode.aura !== undefined && !isAura(episode.aura)) {
+    add('aura', `Aura needs types from ${AURA_TYPES.map(t => t.id).join(', ')} and, optionally, a duration in minutes greater than 0`);
+  }
+  if (episode.symptoms !== undefined) {
+    const bad = symptomErrors(episode.symptoms);
+    if (bad) add('symptoms', bad);
+  }
+  if (triggers !== undefined && !(Array.isArray(triggers) && triggers.every(t => typeof t === 'string'))) {
+    add('triggers', 'Triggers must be a list of names');
+  }
+  if (medications !== undefined) {
+    if (!Array.isArray(medications)) {
+      add('medications', 'Medications must be a list');
+    } else if (!medications.every(isMedication)) {
+      add('medications', 'Each medication needs a name and, optionally, a dose in mg greater than 0');
+    } else {
+      const bad = medications.map(doseDetailError).find(Boolean);
+      if (bad) add('medications', bad);
+    }
+  }
+  if (notes !== undefined && typeof notes !== 'string') {
+    add('notes', 'Notes must be text');
+  }
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (episode[field] !== undefined && !isDateString(episode[field])) {
+      add(field, `${field} must be a date`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Best-effort repair of an invalid episode: numbers written as text are
+ * read ("7/10" gives 7), intensity is clamped to the scale, dates are
+ * normalised to ISO, list fields are rebuilt from what is usable and bad
+ * timestamps dropped. A missing date or duration can't be invented, so
+ * the result may still be invalid; check it with validateEpisode.
+ * @param {object} episode
+ * @returns {object} a repaired copy
+ */
+export function repairEpisode(episode) {
+  const ep = { ...episode };
+  if (ep.id !== undefined && ep.id !== null && ep.id !== '') ep.id = String(ep.id);
+  else delete ep.id;
+
+  const when = toDate(ep.datetime);
+  if (when) ep.datetime = when.toISOString();
+
+  const intensity = toNumber(ep.intensity);
+  if (intensity !== null) ep.intensity = Math.min(MAX_INTENSITY, Math.max(MIN_INTENSITY, intensity));
+  const duration = toNumber(ep.durationMinutes);
+  if (duration !== null) ep.durationMinutes = duration;
+  if (ep.ongoing !== undefined) ep.ongoing = ep.ongoing === true || ep.ongoing === 'true';
+  if (ep.intensityLog !== undefined) {
+    ep.intensityLog = Array.isArray(ep.intensityLog)
+      ? ep.intensityLog.filter(r => r && isDateString(r.at) && isIntensity(r.intensity))
+      : [];
+  }
+
+  if (ep.phases !== undefined) ep.phases = repairPhases(ep.phases);
+  if (ep.aura !== undefined) {
+    const aura = ep.aura && typeof ep.aura === 'object' ? ep.aura : {};
+    const types = Array.isArray(aura.types) ? aura.types.filter(t => AURA_TYPES.some(a => a.id === t)) : [];
+    const minutes = toNumber(aura.durationMinutes);
+    ep.aura = { types: [...new Set(types)] };
+    if (minutes !== null && minutes > 0) ep.aura.durationMinutes = minutes;
+  }
+  if (ep.symptoms !== undefined) ep.symptoms = repairSymptoms(ep.symptoms);
+
+  const triggerList = typeof ep.triggers === 'string' ? ep.triggers.split(/[;,]/) : ep.triggers;
+  ep.triggers = Array.isArray(triggerList)
+    ? [...new Set(triggerList.filter(t => typeof t === 'string').map(t => t.trim()).filter(Boolean))]
+    : [];
+  ep.medications = Array.isArray(ep.medications) ? ep.medications.map(repairMedication).filter(Boolean) : [];
+  ep.notes = ep.notes === undefined || ep.notes === null ? '' : String(ep.notes);
+
+  TIMESTAMP_FIELDS.forEach(field => {
+    if (ep[field] === undefined) return;
+    const d = toDate(ep[field]);
+    if (d) ep[field] = d.toISOString();
+    else delete ep[field];
+  });
+  return ep;
+}
+
+/**
+ * Sort a batch of incoming episodes into valid and rejected ones.
+ * `invalid` says what to do with invalid episodes: `reject` and `skip`
+ * both leave them out of `episodes` (the caller decides whether to fail
+ * on them), `fix` first tries repairEpisode and only rejects what is
+ * still invalid afterwards.
+ *
+ * @param {object[]} episodes
+ * @param {{invalid?: 'reject'|'skip'|'fix'}} [options]
+ * @returns {{episodes: Episode[], rejected: Array<{index: number, episode: object, errors: FieldError[]}>, fixed: number}}
+ */
+export function screenEpisodes(episodes, { invalid = 'reject' } = {}) {
+  const result = { episodes: [], rejected: [], fixed: 0 };
+  (episodes || []).forEach((episode, index) => {
+    let errors = validateEpisode(episode);
+    if (errors.length === 0) {
+      result.episodes.push(episode);
+      return;
+    }
+    if (invalid === 'fix' && episode && typeof episode === 'object') {
+      const repaired = repairEpisode(episode);
+      errors = validateEpisode(repaired);
+      if (errors.length === 0) {
+        result.episodes.push(repaired);
+        result.fixed++;
+        return;
+      }
+    }
+    result.rejected.push({ index, episode, errors });
+  });
+  return result;
+}
+
+/**
+ * Throw a ValidationError unless the episode is valid.
+ * @param {object} episode
+ */
+export function assertValidEpisode(episode) {
+  const errors = validateEpisode(episode);
+  if (errors.length) {
+    throw new ValidationError(`Invalid episode: ${errors.map(e => e.message).join('; ')}.`, errors);
+  }
+}
+
+// ---------- Helpers ----------
+
+function isDateString(value) {
+  return typeof value === 'string' && value !== '' && !isNaN(new Date(value).getTime());
+}
+
+// A message describing what is wrong with `phases`, or null when it is fine.
+function phaseErrors(phases) {
+  if (!phases || typeof phases !== 'object' || Array.isArray(phases)) return 'Phases must be an object';
+  for (const [id, phase] of Object.entries(phases)) {
+    const known = PHASES.find(p => p.id === id);
+    if (!known) return `Unknown phase "${id}"`;
+    if (!phase || typeof phase !== 'object') return `${known.label} phase must have a start and/or end`;
+    if ((phase.start !== undefined && !isDateString(phase.start)) ||
+        (phase.end !== undefined && !isDateString(phase.end))) {
+      return `${known.label} phase times must be dates`;
+    }
+    if (phase.start && phase.end && new Date(phase.end) < new Date(phase.start)) {
+      return `${known.label} phase ends before it starts`;
+    }
+  }
+  return null;
+}
+
+// keeps known phases with usable times; a reversed start/end is dropped
+function repairPhases(phases) {
+  const fixed = {};
+  if (!phases || typeof phases !== 'object') return fixed;
+  PHASES.forEach(({ id }) => {
+    const phase = phases[id];
+    if (!phase || typeof phase !== 'object') return;
+    const start = toDate(phase.start);
+    const end = toDate(phase.end);
+    const kept = {};
+    if (start) kept.start = start.toISOString();
+    if (end && (!start || end >= start)) kept.end = end.toISOString();
+    if (kept.start || kept.end) fixed[id] = kept;
+  });
+  return fixed;
+}
+
+// A message describing what is wrong with `symptoms`, or null when it is fine.
+function symptomErrors(symptoms) {
+  if (!symptoms || typeof symptoms !== 'object' || Array.isArray(symptoms)) return 'Symptoms must be an object';
+  for (const [id, value] of Object.entries(symptoms)) {
+    const def = SYMPTOMS.find(d => d.id === id);
+    if (!def) return `Unknown symptom "${id}"`;
+    if (value === undefined || isSymptomValue(def, value)) continue;
+    if (def.type === 'boolean') return `${def.label} must be yes or no`;
+    return `${def.label} must be ${def.type === 'multi' ? 'a list of' : 'one of'} ${def.options.map(o => o.id).join(', ')}`;
+  }
+  return null;
+}
+
+function isSymptomValue(def, value) {
+  const isOption = v => def.options.some(o => o.id === v);
+  if (def.type === 'boolean') return typeof value === 'boolean';
+  if (def.type === 'multi') return Array.isArray(value) && value.every(isOption);
+  return isOption(value);
+}
+
+// keeps known symptoms with usable values; "yes"/"no" text becomes a flag
+function repairSymptoms(symptoms) {
+  const fixed = {};
+  if (!symptoms || typeof symptoms !== 'object') return fixed;
+  SYMPTOMS.forEach(def => {
+    let value = symptoms[def.id];
+    if (def.type === 'boolean' && typeof value === 'string') value = /^(y|yes|true|1|x)$/i.test(value.trim());
+    if (def.type === 'multi' && typeof value === 'string') value = value.split(/[;,]/).map(v => v.trim());
+    if (def.type === 'multi' && Array.isArray(value)) value = value.filter(v => def.options.some(o => o.id === v));
+    if (typeof value === 'string') value = value.trim().toLowerCase();
+    if (value !== undefined && isSymptomValue(def, value)) fixed[def.id] = value;
+  });
+  return fixed;
+}
+
+function isAura(aura) {
+  return Boolean(aura) && typeof aura === 'object' &&
+    Array.isArray(aura.types) && aura.types.every(t => AURA_TYPES.some(a => a.id === t)) &&
+    (aura.durationMinutes === undefined ||
+      (typeof aura.durationMinutes === 'number' && Number.isFinite(aura.durationMinutes) && aura.durationMinutes > 0));
+}
+
+function isIntensity(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= MIN_INTENSITY && value <= MAX_INTENSITY;
+}
+
+function isMedication(med) {
+  return Boolean(med) && typeof med === 'object' &&
+    typeof med.name === 'string' && med.name.trim() !== '' &&
+    (med.doseMg === undefined || (typeof med.doseMg === 'number' && Number.isFinite(med.doseMg) && med.doseMg > 0));
+}
+
+// what is wrong with a dose's timing or relief ratings (see medications.js), if anything
+function doseDetailError(med) {
+  if (med.takenAt !== undefined && !isDateString(med.takenAt)) {
+    return `The time ${med.name} was taken must be a date`;
+  }
+  if (['relief2h', 'relief24h'].some(key => med[key] !== undefined && !isReliefLevel(med[key]))) {
+    return `Unknown relief rating for ${med.name}`;
+  }
+  if (med.reliefMinutes !== undefined &&
+      !(typeof med.reliefMinutes === 'number' && Number.isFinite(med.reliefMinutes) && med.reliefMinutes >= 0)) {
+    return `The time until ${med.name} worked must be 0 minutes or more`;
+  }
+  return null;
+}
+
+function isReliefLevel(value) {
+  return RELIEF_LEVELS.some(level => level.id === value);
+}
+
+function repairMedication(med) {
+  const m = typeof med === 'string' ? { name: med } : med;
+  if (!m || typeof m !== 'object' || typeof m.name !== 'string' || !m.name.trim()) return null;
+  const fixed = { ...m, name: m.name.trim() };
+  const dose = toNumber(m.doseMg);
+  if (dose !== null && dose > 0) fixed.doseMg = dose;
+  else delete fixed.doseMg;
+  if (fixed.takenAt !== undefined) {
+    const taken = toDate(fixed.takenAt);
+    if (taken) fixed.takenAt = taken.toISOString();
+    else delete fixed.takenAt;
+  }
+  ['relief2h', 'relief24h'].forEach(key => {
+    if (fixed[key] !== undefined && !isReliefLevel(fixed[key])) delete fixed[key];
+  });
+  if (fixed.reliefMinutes !== undefined) {
+    const minutes = toNumber(fixed.reliefMinutes);
+    if (minutes !== null && minutes >= 0) fixed.reliefMinutes = minutes;
+    else delete fixed.reliefMinutes;
+  }
+  return fixed;
+}
+
+// numbers, or text starting with one ("45 min"); null when there is none
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const n = parseFloat(value.trim());
+  return Number.isFinite(n) ? n : null;
+}
+
+function toDate(value) {
+  if (!(typeof value === 'string' || typeof value === 'number' || value instanceof Date) || value === '') return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function show(value) {
+  return value === undefined || value === null || Number.isNaN(value) ? '' : String(value);
+}
@@ -0,0 +1,251 @@
+/* weather.js
+ *
+ * Local weather readings imported from a file, so pressure changes can
+ * be compared with episodes without the app going online. Each reading
+ * is stored as
+ *
+ *   { id: '2024-03-01T09:00:00.000Z', time: '2024-03-01T09:00:00.000Z',
+ *     pressure: 1012.5, temperature: 8.2, humidity: 81 }
+ *
+ * keyed by its time, so importing overlapping files doesn't duplicate
+ * readings. Pressure is in hPa (the same as mbar), temperature in °C and
+ * humidity in %; temperature and humidity are optional.
+ *
+ * Import format. Readings should be hourly (gaps are fine). A CSV file
+ * has a header row naming its columns:
+ *
+ *   time,pressure,temperature,humidity
+ *   2024-03-01T09:00,1012.5,8.2,81
+ *
+ * Column names are matched case-insensitively, ignoring units in
+ * brackets ("pressure (hPa)"), and a few common alternatives are
+ * understood (see COLUMN_NAMES), including those of Open-Meteo exports.
+ * Lines before the header, such as a location, are skipped. A JSON file
+ * holds either an array of readings with the same keys, `{ readings: [...] }`,
+ * or columns of values (`{ hourly: { time: [...], pressure_msl: [...] } }`).
+ * Times are ISO 8601 and read as local time unless they carry an offset;
+ * Unix timestamps in seconds are accepted too.
+ */
+
+import { parseCSV } from './csv.js';
+
+// falls of at least this many hPa within PRESSURE_WINDOW_HOURS count as a drop
+export const PRESSURE_DROP_HPA = 5;
+export const PRESSURE_WINDOW_HOURS = 24;
+// a window needs this many readings before its drop is known
+const MIN_WINDOW_READINGS = 12;
+const HOUR_MS = 60 * 60 * 1000;
+
+// accepted names for each field, after lower-casing and dropping units
+export const COLUMN_NAMES = {
+  time: ['time', 'datetime', 'date_time', 'timestamp'],
+  pressure: ['pressure', 'pressure_hpa', 'pressure_msl', 'surface_pressure', 'msl', 'sea_level_pressure', 'barometer'],
+  temperature: ['temperature', 'temp', 'temperature_2m', 'air_temperature'],
+  humidity: ['humidity', 'relative_humidity', 'relativehumidity_2m', 'relative_humidity_2m', 'rh']
+};
+
+// plausible ranges, to catch files in other units
+const RANGES = {
+  pressure: [850, 1100],
+  temperature: [-60, 60],
+  humidity: [0, 100]
+};
+
+/** @param {object} reading */
+export function weatherReadingErrors(reading) {
+  if (!reading || typeof reading !== 'object') return [{ field: 'reading', message: 'Reading must be an object' }];
+  const errors = [];
+  if (typeof reading.time !== 'string' || isNaN(new Date(reading.time).getTime())) {
+    errors.push({ field: 'time', message: 'Time is required' });
+  } else if (reading.id !== reading.time) {
+    errors.push({ field: 'id', message: 'Reading id must be its time' });
+  }
+  Object.entries(RANGES).forEach(([field, [min, max]]) => {
+    const value = reading[field];
+    if (value === undefined && field !== 'pressure') return;
+    if (typeof value !== 'number' || !(value >= min && value <= max)) {
+      errors.push({ field, message: `${field.charAt(0).toUpperCase() + field.slice(1)} must be between ${min} and ${max}` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Readings from the text of a weather CSV or JSON file in the format
+ * described above, sorted by time. Rows without a time or pressure are
+ * skipped; throws when the file has no usable readings or values look
+ * like they are in other units.
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseWeather(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  const rows = trimmed.startsWith('{') || trimmed.startsWith('[') ? jsonRows(JSON.parse(trimmed)) : csvRows(trimmed);
+  const readings = new Map();
+  rows.forEach(row => {
+    const time = parseTime(row.time);
+    const pressure = parseValue(row.pressure);
+    if (!time || pressure === undefined) return;
+    const reading = { id: time, time, pressure };
+    ['temperature', 'humidity'].forEach(field => {
+      const value = parseValue(row[field]);
+      if (value !== undefined) reading[field] = value;
+    });
+    readings.set(time, reading);
+  });
+  if (readings.size === 0) throw new Error('No readings found. The file needs a time and a pressure column.');
+  const sorted = [...readings.values()].sort((a, b) => (a.time < b.time ? -1 : 1));
+  const bad = sorted.find(r => weatherReadingErrors(r).length);
+  if (bad) throw new Error(`${weatherReadingErrors(bad)[0].message} (reading at ${bad.time}). Pressure should be in hPa, temperature in °C and humidity in %.`);
+  return sorted;
+}
+
+// rows from CSV text, found by the first line naming a time and a pressure column
+function csvRows(text) {
+  const lines = parseCSV(text);
+  const headerIndex = lines.findIndex(cells => {
+    const fields = cells.map(fieldFor);
+    return fields.includes('time') && fields.includes('pressure');
+  });
+  if (headerIndex < 0) return [];
+  const fields = lines[headerIndex].map(fieldFor);
+  return lines.slice(headerIndex + 1).map(cells => {
+    const row = {};
+    fields.forEach((field, i) => {
+      if (field && row[field] === undefined) row[field] = cells[i];
+    });
+    return row;
+  });
+}
+
+// rows from parsed JSON: a list of objects, `readings`, or columns of values
+function jsonRows(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data.readings) ? data.readings : null;
+  if (list) {
+    return list.filter(item => item && typeof item === 'object').map(item => {
+      const row = {};
+      Object.entries(item).forEach(([key, value]) => {
+        const field = fieldFor(key);
+        if (field && row[field] === undefined) row[field] = value;
+      });
+      return row;
+    });
+  }
+  const columns = Object.values(data).find(v => v && typeof v === 'object' && !Array.isArray(v)) || data;
+  const byField = {};
+  Object.entries(columns).forEach(([key, values]) => {
+    const field = fieldFor(key);
+    if (field && Array.isArray(values) && !byField[field]) byField[field] = values;
+  });
+  if (!byField.time) return [];
+  return byField.time.map((time, i) => ({
+    time,
+    pressure: byField.pressure && byField.pressure[i],
+    temperature: byField.temperature && byField.temperature[i],
+    humidity: byField.humidity && byField.humidity[i]
+  }));
+}
+
+function fieldFor(name) {
+  const key = String(name).toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').trim().replace(/[\s-]+/g, '_');
+  return Object.keys(COLUMN_NAMES).find(field => COLUMN_NAMES[field].includes(key)) || null;
+}
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const date = /^\d{9,10}$/.test(text) ? new Date(Number(text) * 1000) : new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T'));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseValue(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const number = Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * The largest fall in pressure from one reading to a later one in the
+ * `hours` up to `time`, or null when there are too few readings in that
+ * window to tell.
+ * @param {object[]} readings - sorted by time
+ * @param {Date|number} time
+ * @param {number} [hours]
+ * @returns {number|null}
+ */
+export function pressureDrop(readings, time, hours = PRESSURE_WINDOW_HOURS) {
+  const end = new Date(time).getTime();
+  const start = end - hours * HOUR_MS;
+  let i = firstAtOrAfter(readings, start);
+  let count = 0;
+  let highest = -Infinity;
+  let drop = 0;
+  for (; i < readings.length && Date.parse(readings[i].time) <= end; i++) {
+    const p = readings[i].pressure;
+    highest = Math.max(highest, p);
+    drop = Math.max(drop, highest - p);
+    count += 1;
+  }
+  return count >= Math.min(MIN_WINDOW_READINGS, hours / 2) ? drop : null;
+}
+
+// index of the first reading at or after `ms` (binary search)
+function firstAtOrAfter(readings, ms) {
+  let lo = 0;
+  let hi = readings.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (Date.parse(readings[mid].time) < ms) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * How often episodes in the last `days` days started within `hours` of
+ * a pressure drop of at least `threshold` hPa, against chance: the share
+ * of all reading times with such a drop before them. Only episodes and
+ * times with enough readings before them count. `pValue` is the
+ * one-sided binomial probability of that many episodes after a drop if
+ * episodes were unrelated to pressure. Null without any readings.
+ * @param {Episode[]} episodes
+ * @param {object[]} readings
+ * @param {{threshold?: number, hours?: number, now?: Date, days?: number}} [options]
+ * @returns {{episodes: number, episodesAfterDrop: number, episodeRate: number, hours: number, hoursAfterDrop: number, baselineRate: number, pValue: number}|null}
+ */
+export function pressureDropAnalysis(episodes, readings, { threshold = PRESSURE_DROP_HPA, hours = PRESSURE_WINDOW_HOURS, now = new Date(), days = 365 } = {}) {
+  if (readings.length === 0) return null;
+  const sorted = [...readings].sort((a, b) => (a.time < b.time ? -1 : 1));
+  const since = now.getTime() - days * 24 * HOUR_MS;
+  const inRange = t => t >= since && t <= now.getTime();
+  const dropped = times => {
+    const known = times.map(t => pressureDrop(sorted, t, hours)).filter(d => d !== null);
+    return { count: known.length, drops: known.filter(d => d >= threshold).length };
+  };
+  const onsets = dropped(episodes.map(ep => new Date(ep.datetime).getTime()).filter(inRange));
+  const baseline = dropped(sorted.map(r => Date.parse(r.time)).filter(inRange));
+  const baselineRate = baseline.count ? baseline.drops / baseline.count : 0;
+  return {
+    episodes: onsets.count,
+    episodesAfterDrop: onsets.drops,
+    episodeRate: onsets.count ? onsets.drops / onsets.count : 0,
+    hours: baseline.count,
+    hoursAfterDrop: baseline.drops,
+    baselineRate,
+    pValue: binomialTail(onsets.drops, onsets.count, baselineRate)
+  };
+}
+
+// P(X >= k) for X ~ Binomial(n, p)
+function binomialTail(k, n, p) {
+  if (k <= 0) return 1;
+  if (p <= 0) return 0;
+  if (p >= 1) return 1;
+  let pmf = Math.pow(1 - p, n);
+  let below = 0;
+  for (let i = 0; i < k; i++) {
+    below += pmf;
+    pmf *= ((n - i) / (i + 1)) * (p / (1 - p));
+  }
+  return Math.max(0, 1 - below);
+}
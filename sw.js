@@ -1,12 +1,12 @@
 /* sw.js
  *
  * Service worker for AI Migraine Tracker. It caches the application shell
- * to enable offline use. Dynamic data is stored in localStorage so
+ * to enable offline use. Dynamic data is stored in IndexedDB so
  * there's no need to cache API calls. The cache is limited in size
  * implicitly by listing only necessary resources.
  */
 
-const CACHE_NAME = 'migraine-cache-v1';
+const CACHE_NAME = 'migraine-cache-v26';
 const PRECACHE_URLS = [
   './index.html',
   './manifest.json',
@@ -17,6 +17,29 @@ const PRECACHE_URLS = [
   './src/app.js',
   './src/ui.js',
   './src/storage.js',
+  './src/db.js',
+  './src/schema.js',
+  './src/csv.js',
+  './src/encryption.js',
+  './src/merge.js',
+  './src/profiles.js',
+  './src/validation.js',
+  './src/ongoing.js',
+  './src/phases.js',
+  './src/symptoms.js',
+  './src/medications.js',
+  './src/dates.js',
+  './src/preventives.js',
+  './src/diary.js',
+  './src/lifestyle.js',
+  './src/cycles.js',
+  './src/questionnaires.js',
+  './src/report.js',
+  './src/weather.js',
+  './src/triggers.js',
+  './src/exposures.js',
+  './src/rules.js',
+  './src/insights.js',
   './src/patterns.js',
   './src/charts.js',
   './src/reminders.js'
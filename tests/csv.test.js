@@ -1,22 +1,7 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { exportEpisodesToCSV } from '../src/storage.js';
-
-// stub localStorage for export function
-const EPISODES_KEY = 'aiMigraineEpisodes';
-
-describe('exportEpisodesToCSV', () => {
-  beforeEach(() => {
-    global.localStorage = {
-      storage: {},
-      getItem(key) {
-        return this.storage[key] || null;
-      },
-      setItem(key, value) {
-        this.storage[key] = value;
-      }
-    };
-  });
+import { describe, it, expect } from 'vitest';
+import { episodesToCSV, parseCSV, guessColumnMapping, episodesFromRows, questionnairesToCSV, CSV_FIELDS } from '../src/csv.js';
 
+describe('episodesToCSV', () => {
   it('exports header and rows correctly', () => {
     const episodes = [
       {
@@ -38,14 +23,86 @@ describe('exportEpisodesToCSV', () => {
         notes: 'Short note'
       }
     ];
-    global.localStorage.setItem(EPISODES_KEY, JSON.stringify(episodes));
-    const csv = exportEpisodesToCSV();
-    const lines = csv.trim().split(/\r?\n/);
-    expect(lines[0]).toBe('id,datetime,intensity,durationMinutes,triggers,medications,notes');
+    const lines = episodesToCSV(episodes).trim().split(/\r?\n/);
+    expect(lines[0]).toBe(CSV_FIELDS.join(','));
+    expect(lines[0].startsWith('id,datetime,intensity,durationMinutes,triggers,medications,notes')).toBe(true);
     expect(lines.length).toBe(3);
-    // second line should contain both triggers separated by |
-    expect(lines[1]).toContain('stress|coffee');
-    // medications field should include name and dose
-    expect(lines[1]).toContain('DrugA:50');
+    // newest first
+    expect(lines[1].startsWith('2,')).toBe(true);
+    // triggers are separated by ; and medications include the dose
+    expect(lines[2]).toContain('stress;coffee');
+    expect(lines[2]).toContain('DrugA(50mg)');
+  });
+});
+
+describe('CSV import', () => {
+  it('round-trips episodes written by episodesToCSV', () => {
+    const episodes = [
+      {
+        id: '1',
+        datetime: '2023-01-01T10:00:00.000Z',
+        intensity: 5,
+        durationMinutes: 60,
+        triggers: ['stress', 'coffee'],
+        medications: [{ name: 'Ibuprofen', doseMg: 400 }, { name: 'Sumatriptan' }],
+        notes: 'Said "ouch", then slept'
+      }
+    ];
+    const [headers, ...rows] = parseCSV(episodesToCSV(episodes));
+    const results = episodesFromRows(rows, guessColumnMapping(headers));
+    expect(results).toHaveLength(1);
+    expect(results[0].errors).toEqual([]);
+    expect(results[0].episode).toEqual(episodes[0]);
+  });
+
+  it('round-trips symptom columns', () => {
+    const episode = {
+      id: '2',
+      datetime: '2023-01-02T10:00:00.000Z',
+      intensity: 7,
+      durationMinutes: 120,
+      triggers: [],
+      medications: [],
+      notes: '',
+      symptoms: { nausea: 'nausea', phonophobia: true, painSide: 'left', painLocation: ['temples', 'neck'] }
+    };
+    const [headers, ...rows] = parseCSV(episodesToCSV([episode]));
+    expect(headers).toContain('painLocation');
+    const [result] = episodesFromRows(rows, guessColumnMapping(headers));
+    expect(result.errors).toEqual([]);
+    expect(result.episode).toEqual(episode);
+  });
+
+  it('parses quoted cells containing commas, quotes and line breaks', () => {
+    const rows = parseCSV('a,b\r\n"x, y","multi\nline ""quoted"""\r\n');
+    expect(rows).toEqual([['a', 'b'], ['x, y', 'multi\nline "quoted"']]);
+  });
+
+  it('maps differently named columns and reports row errors', () => {
+    const text = 'Date,Time,Severity,Minutes,Meds\n2023-03-01,9:30,7,120,Paracetamol(500mg)\n2023-03-02,,high,0,\n';
+    const [headers, ...rows] = parseCSV(text);
+    const mapping = guessColumnMapping(headers);
+    expect(mapping).toMatchObject({ datetime: 0, time: 1, intensity: 2, durationMinutes: 3, medications: 4, triggers: -1 });
+    const [ok, bad] = episodesFromRows(rows, mapping);
+    expect(ok.errors).toEqual([]);
+    expect(ok.episode.medications).toEqual([{ name: 'Paracetamol', doseMg: 500 }]);
+    expect(new Date(ok.episode.datetime).getHours()).toBe(9);
+    expect(bad.line).toBe(3);
+    expect(bad.errors).toHaveLength(2);
+  });
+});
+
+describe('questionnairesToCSV', () => {
+  it('writes scores, grades and answers, newest first', () => {
+    const records = [
+      { type: 'midas', date: '2024-01-05', answers: { missedWork: 2, reducedWork: 3, missedHousework: 1, reducedHousework: 0, missedSocial: 1, headacheDays: 12, painLevel: 6 } },
+      { type: 'hit6', date: '2024-02-01', answers: { severe: 'always', limitsActivities: 'always', lieDown: 'always', tired: 'always', fedUp: 'always', concentration: 'never' } }
+    ];
+    const [header, hit6, midas] = parseCSV(questionnairesToCSV(records));
+    expect(header.slice(0, 6)).toEqual(['date', 'questionnaire', 'score', 'grade', 'missedWork', 'reducedWork']);
+    expect(hit6.slice(0, 4)).toEqual(['2024-02-01', 'HIT-6', '71', 'Severe impact']);
+    expect(hit6[header.indexOf('concentration')]).toBe('never');
+    expect(midas.slice(0, 5)).toEqual(['2024-01-05', 'MIDAS', '7', 'Grade II: mild disability', '2']);
+    expect(midas[header.indexOf('severe')]).toBe('');
   });
 });
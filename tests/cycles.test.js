@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { periodErrors, periodEnd, perimenstrualDays, cycleDay, cycleLengths, perimenstrualAnalysis } from '../src/cycles.js';
+
+const periods = [
+  { id: 'a', startDate: '2024-01-05', endDate: '2024-01-09' },
+  { id: 'b', startDate: '2024-02-02', endDate: '2024-02-06' },
+  { id: 'c', startDate: '2024-03-01' }
+];
+
+describe('menstrual cycles', () => {
+  it('validates periods', () => {
+    expect(periodErrors(periods[0])).toEqual([]);
+    expect(periodErrors({ startDate: '2024-03-05', endDate: '2024-03-01' }).map(e => e.field)).toEqual(['endDate']);
+  });
+
+  it('uses day -2 to day 3 with no day 0', () => {
+    expect(perimenstrualDays('2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02', '2024-03-03']);
+    expect(cycleDay(periods, '2024-03-01')).toBe(1);
+    expect(cycleDay(periods, '2024-02-29')).toBe(28);
+    expect(cycleDay(periods, '2024-01-01')).toBe(null);
+    expect(cycleLengths(periods)).toEqual([28, 28]);
+  });
+
+  it('assumes an open period ends after a week', () => {
+    expect(periodEnd(periods[2], new Date(2024, 2, 3, 12))).toBe('2024-03-03');
+    expect(periodEnd(periods[2], new Date(2024, 2, 20, 12))).toBe('2024-03-07');
+  });
+
+  it('compares attack days in the perimenstrual window with other days', () => {
+    const episodes = ['2024-01-05', '2024-02-03', '2024-02-15', '2024-03-10'].map((day, i) => ({ id: String(i), datetime: new Date(`${day}T09:00`).toISOString() }));
+    const result = perimenstrualAnalysis(episodes, periods, { now: new Date(2024, 2, 20, 12), days: 365 });
+    expect(result).toMatchObject({ cycles: 3, cyclesWithAttack: 2, windowDays: 15, windowAttackDays: 2, otherDays: 63, otherAttackDays: 2 });
+    expect(result.windowRate).toBeCloseTo(2 / 15);
+    expect(perimenstrualAnalysis(episodes, [], { now: new Date(2024, 2, 20, 12) })).toBe(null);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { diaryEntryErrors, dayStatuses, monthlySummary, recentMonths } from '../src/diary.js';
+import { episodeDays } from '../src/ongoing.js';
+
+const episode = (day, time, durationMinutes) => ({ id: day, datetime: new Date(`${day}T${time}`).toISOString(), intensity: 6, durationMinutes, triggers: [], medications: [] });
+
+describe('daily diary', () => {
+  it('validates check-ins', () => {
+    expect(diaryEntryErrors({ id: '2024-03-01', date: '2024-03-01', headache: false, factors: ['Stress'] })).toEqual([]);
+    const bad = { id: '2024-03-02', date: '2024-03-01', headache: 'no', factors: [''] };
+    expect(diaryEntryErrors(bad).map(e => e.field)).toEqual(['id', 'headache', 'factors']);
+  });
+
+  it('counts every day an episode was going', () => {
+    expect(episodeDays(episode('2024-03-01', '22:00', 180))).toEqual(['2024-03-01', '2024-03-02']);
+    const ongoing = { ...episode('2024-03-01', '22:00'), ongoing: true };
+    expect(episodeDays(ongoing, new Date(2024, 2, 3, 8))).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+  });
+
+  it('lets episodes override check-ins and leaves unlogged days unknown', () => {
+    const diary = [
+      { date: '2024-03-01', headache: false },
+      { date: '2024-03-02', headache: false },
+      { date: '2024-03-03', headache: true }
+    ];
+    const statuses = dayStatuses([episode('2024-03-02', '09:00', 60)], diary, new Date(2024, 2, 1, 12), new Date(2024, 2, 4, 12));
+    expect([...statuses]).toEqual([
+      ['2024-03-01', 'free'],
+      ['2024-03-02', 'migraine'],
+      ['2024-03-03', 'headache'],
+      ['2024-03-04', null]
+    ]);
+  });
+
+  it('summarises a month up to today with diary coverage', () => {
+    const diary = ['2024-03-01', '2024-03-02', '2024-03-03', '2024-03-04'].map(date => ({ date, headache: date === '2024-03-04' }));
+    const episodes = [episode('2024-03-02', '20:00', 360), episode('2024-03-08', '09:00', 60), episode('2024-02-28', '09:00', 60)];
+    expect(monthlySummary(episodes, diary, '2024-03', new Date(2024, 2, 10, 12))).toEqual({
+      month: '2024-03',
+      days: 10,
+      trackedDays: 5,
+      migraineDays: 3,
+      headacheDays: 4,
+      headacheFreeDays: 1,
+      coverage: 0.5
+    });
+    const months = recentMonths(episodes, diary, { now: new Date(2024, 2, 10, 12), months: 2 });
+    expect(months.map(m => [m.month, m.days, m.migraineDays])).toEqual([['2024-03', 10, 3], ['2024-02', 29, 1]]);
+  });
+});
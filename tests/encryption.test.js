@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import {
+  deriveKey,
+  randomSalt,
+  encryptJSON,
+  decryptJSON,
+  createKeyCheck,
+  unlockKey,
+  sealBackup,
+  isSealedBackup,
+  openBackup
+} from '../src/encryption.js';
+
+// keep key derivation cheap in tests
+const ITERATIONS = 1000;
+
+describe('encryption', () => {
+  it('round-trips values and rejects the wrong key', async () => {
+    const salt = randomSalt();
+    const key = await deriveKey('correct horse', salt, ITERATIONS);
+    const sealed = await encryptJSON(key, { intensity: 7, notes: 'aura' });
+    expect(sealed.data).not.toContain('aura');
+    expect(await decryptJSON(key, sealed)).toEqual({ intensity: 7, notes: 'aura' });
+    const wrong = await deriveKey('battery staple', salt, ITERATIONS);
+    await expect(decryptJSON(wrong, sealed)).rejects.toThrow(/Incorrect passphrase/);
+  });
+
+  it('checks passphrases against a stored key check', async () => {
+    const salt = randomSalt();
+    const key = await deriveKey('correct horse', salt, ITERATIONS);
+    const record = await createKeyCheck(key, salt, ITERATIONS);
+    await expect(unlockKey('correct horse', record)).resolves.toBeTruthy();
+    await expect(unlockKey('nope', record)).rejects.toThrow(/Incorrect passphrase/);
+  });
+
+  it('opens encrypted backups with just the passphrase', async () => {
+    const salt = randomSalt();
+    const key = await deriveKey('correct horse', salt, ITERATIONS);
+    const record = await createKeyCheck(key, salt, ITERATIONS);
+    const payload = { schemaVersion: 1, episodes: [{ id: '1' }], settings: null };
+    const envelope = await sealBackup(key, record, payload);
+    expect(isSealedBackup(envelope)).toBe(true);
+    expect(isSealedBackup(payload)).toBe(false);
+    expect(envelope.schemaVersion).toBe(1);
+    expect(await openBackup('correct horse', envelope)).toEqual(payload);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { exposureErrors, lagAnalysis } from '../src/exposures.js';
+import { analysePatterns } from '../src/patterns.js';
+
+const now = new Date(2024, 5, 30, 20);
+const at = (n, hour) => new Date(2024, 5, 30 - n, hour).toISOString();
+
+// Coffee every evening for 60 days; red wine every sixth evening, with a
+// migraine starting at 9:00 the next morning.
+function logged() {
+  const exposures = [];
+  const episodes = [];
+  for (let n = 1; n <= 60; n++) {
+    exposures.push({ id: `c${n}`, name: 'Coffee', time: at(n, 20) });
+    if (n % 6 === 0) {
+      exposures.push({ id: `w${n}`, name: n === 6 ? 'red wine' : 'Red wine', time: at(n, 21) });
+      episodes.push({ id: String(n), datetime: at(n - 1, 9), intensity: 6, durationMinutes: 120, triggers: [], medications: [], notes: '' });
+    }
+  }
+  return { exposures, episodes };
+}
+
+describe('exposures', () => {
+  it('validates exposures', () => {
+    expect(exposureErrors({ name: 'Red wine', time: at(1, 21) })).toEqual([]);
+    expect(exposureErrors({ name: ' ', time: 'yesterday', note: 3 }).map(e => e.field)).toEqual(['name', 'time', 'note']);
+    expect(exposureErrors(null)).toHaveLength(1);
+  });
+
+  it('compares how often an exposure precedes onset with the time it covers', () => {
+    const { exposures, episodes } = logged();
+    const result = lagAnalysis(episodes, exposures, { now });
+    expect(result.episodes).toBe(10);
+    const [coffee, wine] = result.exposures;
+    expect(coffee).toMatchObject({ name: 'coffee', count: 60 });
+    expect(wine).toMatchObject({ name: 'red wine', label: 'red wine', count: 10 });
+    expect(wine.lags).toEqual(Array(10).fill(12));
+    const [six, day] = wine.windows;
+    expect(six).toMatchObject({ hours: 6, preceded: 0, share: 0 });
+    expect(day).toMatchObject({ hours: 24, preceded: 10, share: 1 });
+    expect(day.coverage).toBeCloseTo(1 / 6, 2);
+    expect(day.ratio).toBeCloseTo(6, 0);
+    // coffee covers every hour after the first evening, so it explains nothing
+    expect(coffee.windows[1].ratio).toBeCloseTo(1, 1);
+  });
+
+  it('only looks at the time since exposures were first logged', () => {
+    const { exposures, episodes } = logged();
+    const earlier = [...episodes, { id: 'old', datetime: at(90, 9), intensity: 5, durationMinutes: 60, triggers: [], medications: [], notes: '' }];
+    expect(lagAnalysis(earlier, exposures, { now }).episodes).toBe(10);
+    expect(lagAnalysis(episodes, [], { now })).toBeNull();
+  });
+
+  it('reports exposures that come before migraines more than by chance', () => {
+    const { exposures, episodes } = logged();
+    const suggestions = analysePatterns(episodes, { exposures, now });
+    const found = suggestions.filter(s => s.ruleId === 'exposure-lags');
+    expect(found.map(s => s.title)).toEqual(['Red wine in the hours before migraines']);
+    expect(found[0].message).toContain('Red wine came in the 24 hours before 10 of your 10 migraines since you started logging exposures (100%), though those hours make up only 17% of that time.');
+    const strict = { 'exposure-lags': { params: { minRatio: 8 } } };
+    expect(analysePatterns(episodes, { exposures, now, rules: strict }).some(s => s.ruleId === 'exposure-lags')).toBe(false);
+  });
+});
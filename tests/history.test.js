@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+// a fresh database and app state for each test
+let app;
+
+beforeEach(async () => {
+  global.indexedDB = new IDBFactory();
+  global.localStorage = {
+    storage: {},
+    getItem(key) {
+      return key in this.storage ? this.storage[key] : null;
+    },
+    setItem(key, value) {
+      this.storage[key] = String(value);
+    },
+    removeItem(key) {
+      delete this.storage[key];
+    }
+  };
+  vi.resetModules();
+  app = await import('../src/app.js');
+  await app.initApp();
+});
+
+function episode(id) {
+  return { id, datetime: '2024-03-01T10:00:00.000Z', intensity: 5, durationMinutes: 60, triggers: [], medications: [], notes: '' };
+}
+
+const ids = list => list.map(e => e.id).sort();
+
+describe('trash and undo history', () => {
+  it('undoes and redoes a delete', async () => {
+    await app.addEpisode(episode('a'));
+    await app.deleteEpisode('a');
+    expect(ids(app.getState().episodes)).toEqual([]);
+    expect(ids(app.getState().trash)).toEqual(['a']);
+    expect(await app.undo()).toBe('Delete episode');
+    expect(ids(app.getState().episodes)).toEqual(['a']);
+    expect(app.getState().trash).toEqual([]);
+    expect(await app.redo()).toBe('Delete episode');
+    expect(ids(app.getState().trash)).toEqual(['a']);
+    expect(await app.redo()).toBeNull();
+  });
+
+  it('restores from the trash as an undoable action', async () => {
+    await app.addEpisode(episode('a'));
+    await app.deleteEpisode('a');
+    await app.undo();
+    await app.redo();
+    await app.restoreEpisode('a');
+    expect(ids(app.getState().episodes)).toEqual(['a']);
+    // restoring is a new action, so nothing is left to redo
+    expect(await app.redo()).toBeNull();
+    expect(await app.undo()).toBe('Restore episode');
+    expect(ids(app.getState().trash)).toEqual(['a']);
+    expect(await app.redo()).toBe('Restore episode');
+    expect(ids(app.getState().episodes)).toEqual(['a']);
+  });
+
+  it('never brings back an episode deleted forever', async () => {
+    await app.addEpisode(episode('a'));
+    await app.addEpisode(episode('b'));
+    await app.deleteEpisode('b');
+    await app.purgeEpisode('b');
+    // the delete and add of b are gone from the history; adding a is left
+    expect(await app.undo()).toBe('Add episode');
+    expect(ids(app.getState().episodes)).toEqual([]);
+    expect(app.getState().trash).toEqual([]);
+    expect(await app.undo()).toBeNull();
+    expect(await app.redo()).toBe('Add episode');
+    expect(ids(app.getState().episodes)).toEqual(['a']);
+  });
+
+  it('forgets everything removed by emptying the trash', async () => {
+    await app.addEpisode(episode('a'));
+    await app.addEpisode(episode('b'));
+    await app.deleteEpisode('a');
+    await app.deleteEpisode('b');
+    await app.undo();
+    await app.emptyTrash();
+    expect(ids(app.getState().episodes)).toEqual(['b']);
+    // emptying the trash clears the redo stack too
+    expect(await app.redo()).toBeNull();
+    expect(await app.undo()).toBe('Add episode');
+    expect(await app.undo()).toBeNull();
+    expect(app.getState().episodes).toEqual([]);
+    expect(app.getState().trash).toEqual([]);
+  });
+
+  it('undoes a backup import together with treatments and check-ins', async () => {
+    await app.addEpisode(episode('a'));
+    await app.savePreventive({ name: 'Propranolol', schedule: { every: 1, unit: 'day', time: '08:00' }, startDate: '2024-01-01' });
+    await app.checkIn({ date: '2024-03-01', headache: false, factors: ['stress'] });
+    const backup = { schemaVersion: 2, episodes: [episode('b')], preventives: [], diary: [] };
+    await app.importBackup(new File([JSON.stringify(backup)], 'backup.json'), { mode: 'replace' });
+    expect(ids(app.getState().episodes)).toEqual(['b']);
+    expect(app.getState().preventives).toEqual([]);
+    expect(app.getState().diary).toEqual([]);
+    expect(await app.undo()).toBe('Import backup');
+    expect(ids(app.getState().episodes)).toEqual(['a']);
+    expect(app.getState().preventives.map(p => p.name)).toEqual(['Propranolol']);
+    expect(app.getState().diary.map(e => e.date)).toEqual(['2024-03-01']);
+    expect(await app.redo()).toBe('Import backup');
+    expect(app.getState().preventives).toEqual([]);
+  });
+});
+
+describe('suggestions', () => {
+  it('works them out once per change to the records', async () => {
+    await app.addEpisode(episode('a'));
+    const first = app.getSuggestions();
+    expect(app.getSuggestions({ windowDays: 30 })).toBe(first);
+    expect(app.getSuggestions({ windowDays: 90 })).not.toBe(first);
+    // the insight history and seen time don't change the suggestions
+    await app.markInsightsSeen();
+    expect(app.getSuggestions()).toBe(first);
+    await app.addEpisode(episode('b'));
+    expect(app.getSuggestions()).not.toBe(first);
+  });
+});
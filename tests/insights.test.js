@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { insightId, insightErrors, updateHistory, isHidden, isNew, hideInsight } from '../src/insights.js';
+
+const monday = new Date(2024, 5, 3, 9);
+const later = new Date(2024, 5, 3, 18);
+const tuesday = new Date(2024, 5, 4, 9);
+const overuse = { ruleId: 'medication-overuse', title: 'Possible medication overuse', message: 'Acute medication on 11 days.' };
+const streak = { ruleId: 'tracking-streak', title: 'Consistent tracking', message: 'Logged 5 days in a row.' };
+
+describe('insight history', () => {
+  it('records new insights and only rewrites changed ones', () => {
+    const first = updateHistory([], [overuse, streak], monday);
+    expect(first).toHaveLength(2);
+    expect(first[0]).toMatchObject({ id: 'medication-overuse:Possible medication overuse', firstSeen: monday.toISOString(), lastSeen: monday.toISOString(), dismissedAt: null });
+    expect(insightErrors(first[0])).toEqual([]);
+    // the same insights again that day write nothing
+    expect(updateHistory(first, [overuse, streak], later)).toEqual([]);
+    // new wording, or a new day, updates the record but keeps when it was first seen
+    const reworded = updateHistory(first, [{ ...overuse, message: 'Acute medication on 12 days.' }, streak], later);
+    expect(reworded).toHaveLength(1);
+    expect(reworded[0]).toMatchObject({ message: 'Acute medication on 12 days.', firstSeen: monday.toISOString(), lastSeen: later.toISOString() });
+    expect(updateHistory(first, [streak], tuesday).map(r => r.id)).toEqual([insightId(streak)]);
+  });
+
+  it('hides dismissed and snoozed insights', () => {
+    const [record] = updateHistory([], [overuse], monday);
+    const dismissed = hideInsight(record, overuse, { now: monday });
+    expect(isHidden(dismissed, tuesday)).toBe(true);
+    const snoozed = hideInsight(dismissed, overuse, { now: monday, days: 7 });
+    expect(snoozed.dismissedAt).toBeNull();
+    expect(isHidden(snoozed, tuesday)).toBe(true);
+    expect(isHidden(snoozed, new Date(2024, 5, 10, 10))).toBe(false);
+    // an insight not in the history yet can be dismissed straight away
+    expect(hideInsight(undefined, streak, { now: monday })).toMatchObject({ id: insightId(streak), firstSeen: monday.toISOString() });
+  });
+
+  it('tells which insights are new since the last visit', () => {
+    const [record] = updateHistory([], [overuse], later);
+    expect(isNew(record, null, later)).toBe(true);
+    expect(isNew(record, monday.toISOString(), later)).toBe(true);
+    expect(isNew(record, tuesday.toISOString(), tuesday)).toBe(false);
+    // a snooze that ran out since the last visit brings it back as new
+    const snoozed = hideInsight(record, overuse, { now: monday, days: 1 });
+    const visited = new Date(2024, 5, 3, 20).toISOString();
+    expect(isNew(snoozed, visited, new Date(2024, 5, 4, 8))).toBe(false);
+    expect(isNew(snoozed, visited, tuesday)).toBe(true);
+  });
+
+  it('validates records', () => {
+    expect(insightErrors({ title: '', message: 3, firstSeen: 'x', lastSeen: monday.toISOString(), snoozedUntil: 'soon' }).map(e => e.field))
+      .toEqual(['title', 'message', 'firstSeen', 'snoozedUntil']);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { lifestyleErrors, lifestyleAnalysis } from '../src/lifestyle.js';
+import { diaryEntryErrors } from '../src/diary.js';
+import { dayOf } from '../src/dates.js';
+
+const day = n => dayOf(new Date(2024, 1, 1 + n));
+
+// an attack every 6th day; less sleep the day before, and (excluded)
+// very little on the attack days themselves
+function history(days = 60) {
+  const attack = n => n % 6 === 0;
+  const episodes = [];
+  const diary = [];
+  for (let n = 0; n < days; n++) {
+    if (attack(n)) episodes.push({ id: day(n), datetime: new Date(2024, 1, 1 + n, 9).toISOString(), intensity: 6, durationMinutes: 120 });
+    const sleepHours = attack(n) ? 2 : attack(n + 1) ? 5 + (n % 4 === 1 ? 0.5 : 0) : 7 + (n % 2);
+    diary.push({ id: day(n), date: day(n), headache: attack(n), lifestyle: { sleepHours, caffeine: 2 } });
+  }
+  return { episodes, diary, now: new Date(2024, 1, 1 + days, 12) };
+}
+
+describe('lifestyle factors', () => {
+  it('validates logged values against each factor', () => {
+    expect(lifestyleErrors({ sleepHours: 7.5, stress: 4, exercise: 45 })).toEqual([]);
+    expect(lifestyleErrors({ sleepHours: 7.3, stress: 11, caffeine: '2', mood: 3 }).map(e => e.field))
+      .toEqual(['sleepHours', 'stress', 'caffeine', 'lifestyle']);
+    const entry = { id: '2024-03-01', date: '2024-03-01', headache: false, lifestyle: { water: -1 } };
+    expect(diaryEntryErrors(entry).map(e => e.field)).toEqual(['water']);
+  });
+
+  it('compares the day before an attack with other days', () => {
+    const { episodes, diary, now } = history();
+    const results = lifestyleAnalysis(episodes, diary, { now });
+    const sleep = results.find(f => f.id === 'sleepHours');
+    // the days before the 2nd to 10th attacks
+    expect(sleep.before.days).toBe(9);
+    expect(sleep.before.mean).toBeCloseTo(47.5 / 9);
+    // the other 41 days without an attack
+    expect(sleep.other.days).toBe(41);
+    expect(sleep.other.mean).toBeGreaterThan(7);
+    expect(sleep.meaningful).toBe(true);
+    const caffeine = results.find(f => f.id === 'caffeine');
+    expect(caffeine).toMatchObject({ effectSize: 0, meaningful: false });
+    expect(results.map(f => f.id)).toEqual(['sleepHours', 'caffeine']);
+  });
+
+  it('needs enough days in both groups', () => {
+    const { episodes, diary, now } = history(14);
+    const sleep = lifestyleAnalysis(episodes, diary, { now }).find(f => f.id === 'sleepHours');
+    expect(sleep.before.days).toBeLessThan(5);
+    expect(sleep.meaningful).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyMedication,
+  medicationDaysByClass,
+  medicationSuggestions,
+  medicationEffectiveness,
+  pendingFollowUps
+} from '../src/medications.js';
+
+function day(n) {
+  return new Date(Date.UTC(2024, 0, n, 9)).toISOString();
+}
+
+describe('medication catalogue', () => {
+  it('classifies by name, brand and suffix', () => {
+    expect(classifyMedication('Sumatriptan')).toBe('triptan');
+    expect(classifyMedication(' nurofen ')).toBe('nsaid');
+    expect(classifyMedication('Acetaminophen')).toBe('paracetamol');
+    expect(classifyMedication('Atogepant')).toBe('gepant');
+    expect(classifyMedication('Magic pill')).toBe('other');
+  });
+
+  it('counts distinct days per class against each class limit', () => {
+    const episodes = [];
+    for (let i = 1; i <= 12; i++) {
+      episodes.push({ datetime: day(i), medications: [{ name: 'Ibuprofen' }, { name: 'Advil' }] });
+    }
+    for (let i = 1; i <= 10; i++) {
+      episodes.push({ datetime: day(i), medications: [{ name: 'Rizatriptan' }] });
+    }
+    episodes.push({ datetime: day(20), medications: [{ name: 'Sumatriptan' }] });
+    const counts = medicationDaysByClass(episodes, new Date(day(1)), new Date(day(15)));
+    expect(counts).toEqual([
+      { classId: 'triptan', label: 'Triptans', days: 10, overuseDays: 10, overused: true },
+      { classId: 'nsaid', label: 'NSAIDs', days: 12, overuseDays: 15, overused: false }
+    ]);
+  });
+
+  it('counts the local day each dose was taken on', () => {
+    const at = (d, hour, minute) => ({ datetime: new Date(2024, 0, d, hour, minute).toISOString(), medications: [{ name: 'Sumatriptan' }] });
+    const from = new Date(2024, 0, 1);
+    const to = new Date(2024, 0, 15);
+    expect(medicationDaysByClass([at(3, 0, 30), at(3, 23, 30)], from, to)[0].days).toBe(1);
+    expect(medicationDaysByClass([at(3, 23, 30), at(4, 0, 30)], from, to)[0].days).toBe(2);
+  });
+
+  it('suggests catalogue names and previously logged ones', () => {
+    const names = medicationSuggestions([{ medications: [{ name: 'Feverfew' }, { name: 'ibuprofen' }] }]);
+    expect(names).toContain('Feverfew');
+    expect(names).toContain('Ibuprofen');
+    expect(names).not.toContain('ibuprofen');
+  });
+});
+
+describe('medication effectiveness', () => {
+  it('ranks medications by response rate, then by time to relief', () => {
+    const dose = (name, relief2h, reliefMinutes) => ({ datetime: day(1), medications: [{ name, relief2h, reliefMinutes }] });
+    const episodes = [
+      dose('Sumatriptan', 'painFree', 60),
+      dose('Imitrex', 'good', 40),
+      dose('Ibuprofen', 'good', 30),
+      dose('Ibuprofen', 'none'),
+      dose('Rizatriptan', 'good', 20),
+      dose('Rizatriptan', 'painFree', 30),
+      { datetime: day(2), medications: [{ name: 'Paracetamol' }] }
+    ];
+    const ranked = medicationEffectiveness(episodes);
+    expect(ranked.map(m => m.name)).toEqual(['Rizatriptan', 'Sumatriptan', 'Ibuprofen', 'Paracetamol']);
+    expect(ranked[1]).toMatchObject({ doses: 2, rated: 2, responses: 2, responseRate: 1, medianReliefMinutes: 50 });
+    expect(ranked[3]).toMatchObject({ rated: 0, responseRate: null });
+  });
+
+  it('asks about recent doses two hours after they were taken, until rated', () => {
+    const now = new Date(Date.UTC(2024, 0, 2, 12));
+    const hoursAgo = h => new Date(now.getTime() - h * 3600000).toISOString();
+    const episodes = [
+      {
+        id: 'a',
+        datetime: hoursAgo(3),
+        medications: [
+          { name: 'Sumatriptan', takenAt: hoursAgo(3) },
+          { name: 'Ibuprofen', takenAt: hoursAgo(1) },
+          { name: 'Naproxen', takenAt: hoursAgo(2.5), relief2h: 'some' },
+          { name: 'Paracetamol' }
+        ]
+      },
+      { id: 'b', datetime: hoursAgo(30), medications: [{ name: 'Aspirin', takenAt: hoursAgo(30) }] }
+    ];
+    const pending = pendingFollowUps(episodes, now);
+    expect(pending.map(f => [f.episode.id, f.index])).toEqual([['a', 0]]);
+  });
+});
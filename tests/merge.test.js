@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { planMerge, episodesToWrite } from '../src/merge.js';
+
+function episode(id, updatedAt, overrides = {}) {
+  return {
+    id,
+    datetime: '2023-01-01T10:00:00.000Z',
+    intensity: 5,
+    durationMinutes: 60,
+    triggers: [],
+    medications: [],
+    notes: '',
+    createdAt: '2023-01-01T10:00:00.000Z',
+    updatedAt,
+    ...overrides
+  };
+}
+
+describe('planMerge', () => {
+  it('sorts incoming episodes into added, updated, skipped and conflicts', () => {
+    const local = [
+      episode('same', '2023-01-02T00:00:00.000Z'),
+      episode('older-local', '2023-01-02T00:00:00.000Z'),
+      episode('newer-local', '2023-01-05T00:00:00.000Z', { intensity: 8 }),
+      episode('conflict', '2023-01-02T00:00:00.000Z', { notes: 'mine' })
+    ];
+    const incoming = [
+      episode('new', '2023-01-03T00:00:00.000Z'),
+      episode('same', '2023-01-09T00:00:00.000Z'),
+      episode('older-local', '2023-01-04T00:00:00.000Z', { intensity: 3 }),
+      episode('newer-local', '2023-01-03T00:00:00.000Z'),
+      episode('conflict', '2023-01-02T00:00:00.000Z', { notes: 'theirs' })
+    ];
+    const plan = planMerge(local, incoming);
+    expect(plan.added.map(e => e.id)).toEqual(['new']);
+    expect(plan.updated.map(u => u.incoming.id)).toEqual(['older-local']);
+    expect(plan.skipped.map(s => [s.incoming.id, s.reason])).toEqual([
+      ['same', 'identical'],
+      ['newer-local', 'local copy is newer']
+    ]);
+    expect(plan.conflicts.map(c => c.incoming.id)).toEqual(['conflict']);
+  });
+
+  it('only writes conflicts resolved in favour of the import', () => {
+    const local = [episode('a', undefined, { notes: 'mine' }), episode('b', undefined, { notes: 'mine' })];
+    const incoming = [episode('a', undefined, { notes: 'theirs' }), episode('b', undefined, { notes: 'theirs' })];
+    const plan = planMerge(local, incoming);
+    expect(plan.conflicts).toHaveLength(2);
+    const written = episodesToWrite(plan, { b: 'incoming' });
+    expect(written.map(e => e.id)).toEqual(['b']);
+  });
+
+  it('lists settings that differ', () => {
+    const plan = planMerge([], [], { theme: 'dark', reminderTime: '20:30' }, { theme: 'light', reminderTime: '20:30' });
+    expect(plan.settingsChanges).toEqual([{ key: 'theme', local: 'dark', incoming: 'light' }]);
+  });
+});
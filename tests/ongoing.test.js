@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { findOngoing, startedEpisode, withIntensityReading, endedEpisode, editedEpisode, reminderDue } from '../src/ongoing.js';
+import { validateEpisode } from '../src/validation.js';
+import { analysePatterns } from '../src/patterns.js';
+
+const start = new Date('2024-05-01T08:00:00.000Z');
+
+describe('ongoing episodes', () => {
+  it('starts without a duration and ends with a computed one', () => {
+    const started = startedEpisode({ id: 'a', intensity: 4, triggers: [], medications: [], notes: '' }, start);
+    expect(started).toMatchObject({ datetime: start.toISOString(), ongoing: true });
+    expect(started).not.toHaveProperty('durationMinutes');
+    expect(validateEpisode(started)).toEqual([]);
+
+    const worse = withIntensityReading(started, 8, new Date('2024-05-01T09:00:00.000Z'));
+    const better = withIntensityReading(worse, 3, new Date('2024-05-01T10:00:00.000Z'));
+    expect(better.intensity).toBe(8);
+    expect(better.intensityLog.map(r => r.intensity)).toEqual([4, 8, 3]);
+
+    const ended = endedEpisode(better, new Date('2024-05-01T10:30:00.000Z'));
+    expect(ended).toMatchObject({ ongoing: false, durationMinutes: 150, endedAt: '2024-05-01T10:30:00.000Z' });
+    expect(validateEpisode(ended)).toEqual([]);
+    expect(validateEpisode({ ...started, durationMinutes: 30 }).map(e => e.field)).toEqual(['durationMinutes']);
+  });
+
+  it('finds the open episode and when to remind about it', () => {
+    const open = startedEpisode({ id: 'b', intensity: 5 }, start);
+    expect(findOngoing([{ id: 'c', datetime: start.toISOString(), durationMinutes: 30 }, open])).toBe(open);
+    expect(reminderDue(open, 12).toISOString()).toBe('2024-05-01T20:00:00.000Z');
+    expect(reminderDue(open, 0)).toBeNull();
+  });
+
+  it('saves edits from the log form', () => {
+    const form = { datetime: start.toISOString(), intensity: 6, triggers: [], medications: [], notes: 'edited' };
+    // a finished episode keeps its duration and isn't reopened
+    const finished = { id: 'd', ...form, intensity: 5, durationMinutes: 60 };
+    expect(editedEpisode(finished, { ...form, durationMinutes: 90 })).toEqual({ ...form, durationMinutes: 90 });
+    const ended = endedEpisode(startedEpisode({ id: 'e', intensity: 4 }, start), new Date('2024-05-01T09:00:00.000Z'));
+    expect(editedEpisode(ended, { ...form, durationMinutes: 90 }).endedAt).toBe('2024-05-01T09:30:00.000Z');
+    // an open one stays open while ticked and ends when unticked
+    const open = startedEpisode({ id: 'f', intensity: 4 }, start);
+    expect(editedEpisode(open, { ...form, intensity: 4, ongoing: true })).toEqual({ ...form, intensity: 4, ongoing: true });
+    const closed = editedEpisode(open, { ...form, durationMinutes: 45 });
+    expect(closed).toMatchObject({ ongoing: false, durationMinutes: 45, endedAt: '2024-05-01T08:45:00.000Z' });
+    expect(validateEpisode({ ...open, ...closed })).toEqual([]);
+  });
+
+  it('keeps the readings in step with an edited peak', () => {
+    const form = { datetime: start.toISOString(), triggers: [], medications: [], notes: '', ongoing: true };
+    const worse = withIntensityReading(startedEpisode({ id: 'g', intensity: 4 }, start), 8, new Date('2024-05-01T09:00:00.000Z'));
+    const open = withIntensityReading(worse, 6, new Date('2024-05-01T10:00:00.000Z'));
+    const lower = editedEpisode(open, { ...form, intensity: 5 });
+    expect(lower.intensityLog.map(r => r.intensity)).toEqual([4, 5, 5]);
+    const higher = editedEpisode(open, { ...form, intensity: 9 });
+    expect(higher.intensityLog.map(r => r.intensity)).toEqual([4, 9, 6]);
+    // the next reading keeps the edited peak
+    expect(withIntensityReading({ ...open, ...higher }, 3).intensity).toBe(9);
+    expect(editedEpisode(open, { ...form, intensity: 8 })).not.toHaveProperty('intensityLog');
+  });
+
+  it('leaves ongoing episodes out of intensity patterns', () => {
+    const now = new Date(2024, 4, 10, 20);
+    const episodes = [1, 2, 3].map(d => {
+      const dt = new Date(2024, 4, 10 - d, 14);
+      return d === 1
+        ? { id: `p${d}`, datetime: dt.toISOString(), intensity: 8, ongoing: true }
+        : { id: `p${d}`, datetime: dt.toISOString(), intensity: 8, durationMinutes: 60 };
+    });
+    const titles = analysePatterns(episodes, { now }).map(s => s.title);
+    expect(titles).not.toContain('Peak intensity hour');
+    const finished = episodes.map(e => ({ ...e, ongoing: false, durationMinutes: 60 }));
+    expect(analysePatterns(finished, { now }).map(s => s.title)).toContain('Peak intensity hour');
+  });
+});
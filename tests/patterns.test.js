@@ -1,9 +1,12 @@
 import { describe, it, expect } from 'vitest';
 import { analysePatterns } from '../src/patterns.js';
 
-// Helper to build ISO date strings relative to now
+// a fixed "now" so the tests don't depend on when they run (a Sunday)
+const NOW = new Date(2024, 5, 30, 20);
+
+// Helper to build ISO date strings relative to NOW
 function daysAgo(days, hour = 12, minute = 0) {
-  const d = new Date();
+  const d = new Date(NOW);
   d.setDate(d.getDate() - days);
   d.setHours(hour, minute, 0, 0);
   return d.toISOString();
@@ -23,7 +26,7 @@ describe('analysePatterns', () => {
         notes: ''
       });
     }
-    const suggestions = analysePatterns(episodes);
+    const suggestions = analysePatterns(episodes, { now: NOW });
     expect(suggestions.some(s => /Frequent triggers/.test(s.title))).toBe(true);
   });
 
@@ -42,30 +45,27 @@ describe('analysePatterns', () => {
         notes: ''
       });
     }
-    const suggestions = analysePatterns(episodes);
-    expect(suggestions.some(s => /Time‑of‑day pattern/.test(s.title))).toBe(true);
+    const suggestions = analysePatterns(episodes, { now: NOW });
+    expect(suggestions.some(s => /Time‑of‑day cluster/.test(s.title))).toBe(true);
   });
 
   it('detects day‑of‑week trend', () => {
     const episodes = [];
-    // 4 episodes on Monday out of 6
-    for (let i = 0; i < 6; i++) {
-      const date = new Date();
-      date.setDate(date.getDate() - (i * 2)); // every 2 days
-      // force Monday by adjusting day
-      date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    // 4 episodes on Monday out of 6: the last four Mondays, a Wednesday and a Friday
+    [6, 13, 20, 27, 4, 2].forEach((days, i) => {
       episodes.push({
         id: String(i),
-        datetime: date.toISOString(),
+        datetime: daysAgo(days),
         intensity: 3,
         durationMinutes: 20,
         triggers: [],
         medications: [],
         notes: ''
       });
-    }
-    const suggestions = analysePatterns(episodes);
-    expect(suggestions.some(s => /Day‑of‑week trend/.test(s.title))).toBe(true);
+    });
+    const suggestions = analysePatterns(episodes, { now: NOW });
+    const trend = suggestions.find(s => /Day‑of‑week cluster/.test(s.title));
+    expect(trend.message).toContain('67% of your episodes happen on Monday');
   });
 
   it('detects rising intensity', () => {
@@ -93,7 +93,7 @@ describe('analysePatterns', () => {
         notes: ''
       });
     }
-    const suggestions = analysePatterns(episodes);
+    const suggestions = analysePatterns(episodes, { now: NOW });
     expect(suggestions.some(s => /Rising intensity/.test(s.title))).toBe(true);
   });
 
@@ -111,7 +111,183 @@ describe('analysePatterns', () => {
         notes: ''
       });
     }
-    const suggestions = analysePatterns(episodes);
+    const suggestions = analysePatterns(episodes, { now: NOW });
     expect(suggestions.some(s => /Medication use/.test(s.title))).toBe(true);
   });
+
+  it('holds each medication class to its own overuse limit', () => {
+    const episodes = [];
+    for (let i = 0; i < 12; i++) {
+      episodes.push({
+        id: String(i),
+        datetime: daysAgo(i),
+        intensity: 4,
+        durationMinutes: 30,
+        triggers: [],
+        medications: [{ name: 'Ibuprofen', doseMg: 400 }],
+        notes: ''
+      });
+    }
+    expect(analysePatterns(episodes, { now: NOW }).some(s => s.title === 'Medication use')).toBe(false);
+    for (let i = 0; i < 10; i++) episodes[i].medications.push({ name: 'Sumatriptan' });
+    const overuse = analysePatterns(episodes, { now: NOW }).find(s => s.title === 'Medication use');
+    expect(overuse.message).toContain('triptans on 10 days (limit 10)');
+    expect(overuse.message).toContain('NSAIDs on 12 days (limit 15)');
+    expect(overuse.message).toContain('Using triptans this often');
+  });
+
+  it('ranks medications by how often they helped', () => {
+    const episodes = [];
+    const ratings = [['Rizatriptan', 'good'], ['Rizatriptan', 'painFree'], ['Rizatriptan', 'some'],
+      ['Ibuprofen', 'none'], ['Ibuprofen', 'some'], ['Ibuprofen', 'good'], ['Naproxen', 'good']];
+    ratings.forEach(([name, relief2h], i) => {
+      episodes.push({
+        id: String(i),
+        datetime: daysAgo(i * 4),
+        intensity: 6,
+        durationMinutes: 120,
+        triggers: [],
+        medications: [{ name, relief2h, reliefMinutes: 30 + i * 10 }],
+        notes: ''
+      });
+    });
+    const best = analysePatterns(episodes, { now: NOW }).find(s => s.title === 'What works best');
+    expect(best.message).toContain('Rizatriptan helped in 2 of 3 rated doses (67%), usually working within 40 minutes; Ibuprofen helped in 1 of 3');
+    expect(best.message).not.toContain('Naproxen');
+  });
+
+  it('compares migraines before and after a preventive started', () => {
+    const episodes = [];
+    for (let i = 0; i < 12; i++) {
+      episodes.push({ id: `b${i}`, datetime: daysAgo(50 + i * 5), intensity: 7, durationMinutes: 60, triggers: [], medications: [], notes: '' });
+    }
+    for (let i = 0; i < 3; i++) {
+      episodes.push({ id: `a${i}`, datetime: daysAgo(5 + i * 10), intensity: 5, durationMinutes: 60, triggers: [], medications: [], notes: '' });
+    }
+    const start = new Date(daysAgo(40));
+    const pad = n => String(n).padStart(2, '0');
+    const startDate = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    const preventives = [{ id: 'p', name: 'Topiramate', schedule: { every: 1, unit: 'day', time: '08:00' }, startDate }];
+    const doseLog = [{ preventiveId: 'p', date: startDate, status: 'taken' }];
+    const rule = analysePatterns(episodes, { now: NOW, preventives, doseLog }).find(s => s.title === 'Before and after Topiramate');
+    expect(rule.message).toMatch(/averaged 2\.\d migraines a month, compared with 5\.5 in the 65 days before \(\d+% fewer\)/);
+    expect(rule.message).toContain('Average intensity was 5.0, compared with 7.0');
+    expect(rule.message).toContain('You logged 1 of');
+    expect(analysePatterns(episodes, { now: NOW }).some(s => s.title.startsWith('Before and after'))).toBe(false);
+  });
+
+  it('reports the share of attacks with aura and the aura-to-headache lag', () => {
+    const episodes = [];
+    for (let i = 0; i < 6; i++) {
+      const datetime = daysAgo(i * 3, 10, 0);
+      const ep = { id: String(i), datetime, intensity: 5, durationMinutes: 60, triggers: [], medications: [], notes: '' };
+      if (i < 3) {
+        const auraStart = new Date(new Date(datetime).getTime() - (20 + i * 10) * 60000).toISOString();
+        ep.aura = { types: ['visual'] };
+        ep.phases = { aura: { start: auraStart } };
+      }
+      episodes.push(ep);
+    }
+    const suggestions = analysePatterns(episodes, { now: NOW });
+    const share = suggestions.find(s => s.title === 'Attacks with aura');
+    expect(share.message).toContain('50%');
+    expect(share.message).toContain('visual');
+    const lag = suggestions.find(s => s.title === 'Aura to headache');
+    expect(lag.message).toContain('30 minutes');
+  });
+
+  it('reports the usual symptoms and how they relate to intensity', () => {
+    const episodes = [];
+    for (let i = 0; i < 8; i++) {
+      const nausea = i < 4;
+      episodes.push({
+        id: String(i),
+        datetime: daysAgo(i * 5, 10, 0),
+        intensity: nausea ? 8 : 4,
+        durationMinutes: 60,
+        triggers: [],
+        medications: [],
+        notes: '',
+        symptoms: nausea ? { nausea: 'nausea', photophobia: true } : { photophobia: true }
+      });
+    }
+    const suggestions = analysePatterns(episodes, { now: NOW });
+    const profile = suggestions.find(s => s.title === 'Typical symptoms');
+    expect(profile.message).toContain('sensitivity to light and nausea');
+    const intensity = suggestions.find(s => s.title === 'Symptoms and intensity');
+    expect(intensity.message).toContain('Attacks with nausea tend to be more intense');
+    expect(intensity.message).toContain('8.0, compared with 4.0');
+  });
+
+  it('counts migraine and headache days once the diary is in use', () => {
+    const day = n => daysAgo(n).slice(0, 10);
+    const episodes = [0, 3, 6].map(n => ({ id: String(n), datetime: daysAgo(n, 9), intensity: 6, durationMinutes: 60, triggers: [], medications: [], notes: '' }));
+    expect(analysePatterns(episodes, { now: NOW }).some(s => s.title === 'Migraine days')).toBe(false);
+    const diary = [1, 2, 4, 5].map(n => ({ date: day(n), headache: n === 4 }));
+    const rule = analysePatterns(episodes, { now: NOW, diary }).find(s => s.title === 'Migraine days');
+    expect(rule.message).toContain('migraine on 3 days and a headache of any kind on 4 days, with 3 days checked in as headache-free');
+    expect(rule.message).toContain('Only 7 of the 30 days');
+    // check-ins alone are enough
+    const alone = analysePatterns([], { now: NOW, diary }).find(s => s.title === 'Migraine days');
+    expect(alone.message).toContain('migraine on 0 days and a headache of any kind on 1 day, with 3 days checked in as headache-free');
+  });
+
+  it('points out lifestyle factors that differ before attacks', () => {
+    const attack = n => n > 0 && n % 6 === 0;
+    const episodes = [];
+    const diary = [];
+    for (let n = 1; n <= 60; n++) {
+      if (attack(n)) episodes.push({ id: String(n), datetime: daysAgo(n, 9), intensity: 6, durationMinutes: 60, triggers: [], medications: [], notes: '' });
+      // the day before an attack is the one after it in days ago
+      const stress = attack(n - 1) ? 8 + (n % 2) : 2 + (n % 2);
+      diary.push({ date: daysAgo(n).slice(0, 10), headache: attack(n), lifestyle: { stress, water: 6 } });
+    }
+    const suggestions = analysePatterns(episodes, { now: NOW, diary });
+    const rule = suggestions.find(s => s.title === 'Stress before migraines');
+    expect(rule.message).toContain('Stress was higher on days before a migraine');
+    expect(rule.message).toContain('out of 10 on average');
+    expect(suggestions.some(s => s.title === 'Water before migraines')).toBe(false);
+  });
+
+  it('points out migraines that follow pressure drops', () => {
+    const HOUR = 60 * 60 * 1000;
+    const first = NOW.getTime() - 60 * 24 * HOUR;
+    // 1015 hPa with a fall of 8 hPa over 12 hours every 5 days
+    const drops = Array.from({ length: 11 }, (_, i) => 60 + i * 120);
+    const weather = [];
+    for (let h = 0; h < 60 * 24; h++) {
+      const distance = Math.min(...drops.map(d => Math.abs(h - d)));
+      const time = new Date(first + h * HOUR).toISOString();
+      weather.push({ id: time, time, pressure: distance < 12 ? 1007 + (8 * distance) / 12 : 1015 });
+    }
+    const episodes = drops.slice(0, 6).map(h => ({ id: String(h), datetime: new Date(first + (h + 4) * HOUR).toISOString(), intensity: 6, durationMinutes: 60, triggers: [], medications: [], notes: '' }));
+    const rule = analysePatterns(episodes, { now: NOW, weather }).find(s => s.title === 'Pressure drops');
+    expect(rule.message).toContain('100% of your migraines (6 of 6) started within 24 hours of the air pressure falling by 5 hPa or more');
+    expect(analysePatterns(episodes, { now: NOW }).some(s => s.title === 'Pressure drops')).toBe(false);
+  });
+
+  it('detects migraines clustering around periods', () => {
+    const episodes = [70, 42, 14, 30].map(n => ({ id: String(n), datetime: daysAgo(n, 9), intensity: 6, durationMinutes: 60, triggers: [], medications: [], notes: '' }));
+    const periods = [70, 42, 14].map(n => ({ id: `p${n}`, startDate: daysAgo(n).slice(0, 10), endDate: daysAgo(n - 4).slice(0, 10) }));
+    const rule = analysePatterns(episodes, { now: NOW, periods }).find(s => s.title === 'Migraines around your period');
+    expect(rule.message).toContain('on 20% of days from two days before your period to its third day, compared with 2% of other days');
+    expect(rule.message).toContain('in 3 of your last 3 cycles');
+    expect(analysePatterns(episodes, { now: NOW, periods: periods.slice(1) }).some(s => s.title === 'Migraines around your period')).toBe(false);
+  });
+
+  it('runs as of a past date over a chosen window', () => {
+    const now = new Date(2024, 4, 31, 23, 59);
+    const on = (month, day) => new Date(2024, month, day, 12).toISOString();
+    // coffee in April, nothing in May, and an episode after `now`
+    const episodes = [3, 8, 13, 18].map((day, i) => ({ id: `a${i}`, datetime: on(3, day), intensity: 5, durationMinutes: 60, triggers: ['coffee'], medications: [], notes: '' }))
+      .concat([{ id: 'b', datetime: on(4, 20), intensity: 5, durationMinutes: 60, triggers: [], medications: [], notes: '' }])
+      .concat([{ id: 'later', datetime: on(5, 2), intensity: 5, durationMinutes: 60, triggers: ['coffee'], medications: [], notes: '' }]);
+    const titles = options => analysePatterns(episodes, { now, ...options }).map(s => s.title);
+    expect(titles()).not.toContain('Frequent triggers');
+    expect(titles({ windowDays: 60 })).toContain('Frequent triggers');
+    // a month earlier the April episodes were recent
+    expect(titles({ now: new Date(2024, 3, 30, 23, 59) })).toContain('Frequent triggers');
+    // nothing had been logged before the first episode
+    expect(analysePatterns(episodes, { now: new Date(2024, 3, 1) })).toEqual([]);
+  });
 });
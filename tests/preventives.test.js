@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  preventiveErrors,
+  scheduledDays,
+  nextDose,
+  unloggedDoses,
+  adherence,
+  compareBeforeAfter
+} from '../src/preventives.js';
+import { parseDay } from '../src/dates.js';
+
+const daily = { id: 'p1', name: 'Topiramate', doseMg: 50, schedule: { every: 1, unit: 'day', time: '08:00' }, startDate: '2024-03-01' };
+
+describe('preventive schedules', () => {
+  it('validates treatments', () => {
+    expect(preventiveErrors(daily)).toEqual([]);
+    const bad = { ...daily, name: ' ', schedule: { every: 0, unit: 'day', time: '08:00' }, endDate: '2024-02-01' };
+    expect(preventiveErrors(bad).map(e => e.field)).toEqual(['name', 'schedule', 'endDate']);
+  });
+
+  it('lists scheduled days, keeping monthly doses on the same day or the month end', () => {
+    const monthly = { ...daily, schedule: { every: 1, unit: 'month', time: '09:00' }, startDate: '2024-01-31' };
+    expect(scheduledDays(monthly, new Date(2024, 0, 1, 12), new Date(2024, 4, 1, 12))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    const fortnightly = { ...daily, schedule: { every: 2, unit: 'week', time: '09:00' }, endDate: '2024-04-01' };
+    expect(scheduledDays(fortnightly, new Date(2024, 2, 10, 12), new Date(2024, 5, 1, 12))).toEqual(['2024-03-15', '2024-03-29']);
+  });
+
+  it('finds the next unlogged dose and the ones waiting to be logged', () => {
+    const log = [{ preventiveId: 'p1', date: '2024-03-05', status: 'taken' }];
+    expect(nextDose(daily, log, new Date(2024, 2, 4, 9)).day).toBe('2024-03-06');
+    expect(nextDose({ ...daily, endDate: '2024-03-04' }, log, new Date(2024, 2, 4, 9))).toBe(null);
+    expect(unloggedDoses(daily, log, new Date(2024, 2, 6, 9), 3)).toEqual(['2024-03-06', '2024-03-04', '2024-03-03']);
+  });
+
+  it('counts taken, missed and unlogged doses', () => {
+    const log = [
+      { preventiveId: 'p1', date: '2024-03-01', status: 'taken' },
+      { preventiveId: 'p1', date: '2024-03-02', status: 'missed' },
+      { preventiveId: 'p1', date: '2024-03-03', status: 'taken' },
+      { preventiveId: 'other', date: '2024-03-04', status: 'taken' }
+    ];
+    expect(adherence(daily, log, new Date(2024, 2, 1, 0), new Date(2024, 2, 4, 9))).toEqual({
+      scheduled: 4, taken: 2, missed: 1, unlogged: 1, rate: 0.5
+    });
+  });
+
+  it('compares migraine frequency before and after starting', () => {
+    const episodes = [];
+    // two a week for eight weeks before, one a week for six weeks after
+    for (let i = 1; i <= 16; i++) {
+      const d = parseDay('2024-03-01');
+      d.setDate(d.getDate() - i * 3.5);
+      episodes.push({ datetime: d.toISOString(), intensity: 7 });
+    }
+    for (let i = 0; i < 6; i++) {
+      const d = parseDay('2024-03-03');
+      d.setDate(d.getDate() + i * 7);
+      episodes.push({ datetime: d.toISOString(), intensity: 5 });
+    }
+    expect(compareBeforeAfter(episodes, daily, { now: new Date(2024, 2, 20, 12) })).toBe(null);
+    const { before, after } = compareBeforeAfter(episodes, daily, { now: new Date(2024, 3, 12, 12) });
+    expect(before.count).toBe(16);
+    expect(before.avgIntensity).toBe(7);
+    expect(after.count).toBe(6);
+    expect(after.avgIntensity).toBe(5);
+    expect(after.perMonth).toBeLessThan(before.perMonth / 1.5);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_PROFILE_ID,
+  listProfiles,
+  getActiveProfile,
+  setActiveProfile,
+  addProfile,
+  renameProfile,
+  removeProfile,
+  databaseName
+} from '../src/profiles.js';
+
+describe('profiles', () => {
+  beforeEach(() => {
+    global.localStorage = {
+      storage: {},
+      getItem(key) {
+        return this.storage[key] || null;
+      },
+      setItem(key, value) {
+        this.storage[key] = value;
+      }
+    };
+  });
+
+  it('starts with a default profile that keeps the original database', () => {
+    expect(listProfiles()).toHaveLength(1);
+    expect(getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+    expect(databaseName(DEFAULT_PROFILE_ID)).toBe('aiMigraineTracker');
+    expect(databaseName('abc')).toBe('aiMigraineTracker-abc');
+  });
+
+  it('adds, renames and switches profiles', () => {
+    addProfile('  Sam ', 'sam');
+    expect(listProfiles().map(p => p.name)).toEqual(['Me', 'Sam']);
+    expect(() => addProfile('sam', 'other')).toThrow(/already exists/);
+    expect(() => addProfile(' ', 'blank')).toThrow(/profile name/);
+    renameProfile('sam', 'Samira');
+    setActiveProfile('sam');
+    expect(getActiveProfile()).toEqual({ id: 'sam', name: 'Samira' });
+    expect(() => setActiveProfile('nobody')).toThrow(/Unknown profile/);
+  });
+
+  it('refuses to remove the active profile', () => {
+    addProfile('Sam', 'sam');
+    expect(() => removeProfile(DEFAULT_PROFILE_ID)).toThrow(/Switch to another profile/);
+    removeProfile('sam');
+    expect(listProfiles().map(p => p.id)).toEqual([DEFAULT_PROFILE_ID]);
+  });
+});
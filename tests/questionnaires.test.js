@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { QUESTIONNAIRES, questionnaireErrors, scoreQuestionnaire, questionLabel, midasDue } from '../src/questionnaires.js';
+import { parseDay } from '../src/dates.js';
+
+const midas = (days, extra = {}) => ({
+  type: 'midas',
+  date: '2024-03-01',
+  answers: { missedWork: days[0], reducedWork: days[1], missedHousework: days[2], reducedHousework: days[3], missedSocial: days[4], headacheDays: 20, painLevel: 7, ...extra }
+});
+const hit6 = answer => ({
+  type: 'hit6',
+  date: '2024-03-01',
+  answers: Object.fromEntries(QUESTIONNAIRES.hit6.questions.map((q, i) => [q.id, typeof answer === 'function' ? answer(i) : answer]))
+});
+
+describe('questionnaires', () => {
+  it('scores MIDAS from questions 1 to 5 only, with grade bands', () => {
+    expect(scoreQuestionnaire(midas([1, 1, 1, 1, 1]))).toMatchObject({ score: 5, grade: { id: 'I' } });
+    expect(scoreQuestionnaire(midas([2, 1, 1, 1, 1])).grade.id).toBe('II');
+    expect(scoreQuestionnaire(midas([5, 2, 2, 1, 1])).grade.id).toBe('III');
+    expect(scoreQuestionnaire(midas([10, 5, 3, 2, 1]))).toMatchObject({ score: 21, grade: { id: 'IV' } });
+  });
+
+  it('scores HIT-6 from 36 to 78 with impact bands', () => {
+    expect(scoreQuestionnaire(hit6('never'))).toMatchObject({ score: 36, grade: { id: 'little' } });
+    expect(scoreQuestionnaire(hit6('always'))).toMatchObject({ score: 78, grade: { id: 'severe' } });
+    // 4 × sometimes (40) + 2 × very often (22)
+    expect(scoreQuestionnaire(hit6(i => (i < 4 ? 'sometimes' : 'veryOften')))).toMatchObject({ score: 62, grade: { id: 'severe' } });
+    expect(scoreQuestionnaire(hit6(i => (i < 3 ? 'rarely' : 'sometimes'))).grade.id).toBe('some');
+    expect(scoreQuestionnaire(hit6(i => (i < 4 ? 'sometimes' : 'rarely')))).toMatchObject({ score: 56, grade: { id: 'substantial' } });
+  });
+
+  it('requires every question to be answered in range', () => {
+    expect(questionnaireErrors(midas([0, 0, 0, 0, 0]))).toEqual([]);
+    const errors = questionnaireErrors(midas([0, 0, 91, 0, 1.5], { painLevel: 11 }));
+    expect(errors.map(e => e.field)).toEqual(['missedHousework', 'missedSocial', 'painLevel']);
+    expect(errors[2].message).toBe('Question B needs a whole number from 0 to 10');
+    expect(questionnaireErrors({ ...hit6('never'), answers: { severe: 'often' } })).toHaveLength(6);
+    expect(questionnaireErrors({ type: 'phq9', date: '2024-03-01', answers: {} })[0].field).toBe('type');
+  });
+
+  it('numbers MIDAS questions 1 to 5, then A and B', () => {
+    expect(QUESTIONNAIRES.midas.questions.map((q, i) => questionLabel(QUESTIONNAIRES.midas, i))).toEqual(['1', '2', '3', '4', '5', 'A', 'B']);
+  });
+
+  it('says a MIDAS is due once the last one is over 3 months old', () => {
+    const now = parseDay('2024-06-15');
+    const episodes = [{ datetime: '2024-01-10T09:00' }];
+    expect(midasDue([], episodes, now).due).toBe(true);
+    expect(midasDue([], [{ datetime: '2024-05-01T09:00' }], now).due).toBe(false);
+    expect(midasDue([midas([0, 0, 0, 0, 0])], episodes, now)).toMatchObject({ due: true, last: { date: '2024-03-01' } });
+    expect(midasDue([{ ...midas([0, 0, 0, 0, 0]), date: '2024-04-01' }], episodes, now).due).toBe(false);
+  });
+});
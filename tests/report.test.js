@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { reportData, reportHTML } from '../src/report.js';
+
+// local-time ISO strings, so days don't shift with the test machine's zone
+const at = (day, time = '09:00') => new Date(`${day}T${time}`).toISOString();
+const ep = (day, extra = {}) => ({ id: day, datetime: at(day), intensity: 5, durationMinutes: 120, triggers: [], medications: [], ...extra });
+
+describe('report', () => {
+  const episodes = [
+    ep('2024-01-31', { intensity: 8, triggers: ['Stress'] }),
+    ep('2024-02-02', { intensity: 2, triggers: ['Stress', 'stress', 'Sleep'], medications: [{ name: 'Imitrex' }, { name: 'Sumatriptan' }] }),
+    ep('2024-02-10', { intensity: 7, durationMinutes: 60 * 30, triggers: ['Sleep'], medications: [{ name: 'Sumatriptan' }, { name: 'Ibuprofen' }] }),
+    ep('2024-03-20', { intensity: 9, triggers: ['Stress'] })
+  ];
+  const diary = [
+    { id: '2024-02-01', date: '2024-02-01', headache: false },
+    { id: '2024-02-05', date: '2024-02-05', headache: true },
+    // an episode overrides the check-in
+    { id: '2024-02-10', date: '2024-02-10', headache: false }
+  ];
+  const range = { from: '2024-02-01', to: '2024-02-29' };
+
+  it('summarises the episodes that started in the range', () => {
+    const data = reportData({ episodes, diary }, range);
+    expect(data.summary).toMatchObject({
+      days: 29,
+      episodes: 2,
+      // the 30-hour attack runs into the 11th
+      migraineDays: 3,
+      averageIntensity: 4.5,
+      medianDurationMinutes: 960,
+      loggedDays: 5
+    });
+    expect(data.summary.migraineDaysPerMonth).toBeCloseTo((3 / 29) * 30);
+  });
+
+  it('splits headache days by calendar month', () => {
+    const data = reportData({ episodes, diary }, { from: '2024-01-30', to: '2024-03-02' });
+    expect(data.months.map(m => m.month)).toEqual(['2024-01', '2024-02', '2024-03']);
+    expect(data.months[0]).toMatchObject({ days: 2, migraineDays: 1, headacheDays: 1, loggedDays: 1 });
+    expect(data.months[1]).toMatchObject({ days: 29, migraineDays: 3, headacheDays: 4, headacheFreeDays: 1, loggedDays: 5 });
+    expect(data.months[2]).toMatchObject({ days: 2, loggedDays: 0 });
+  });
+
+  it('counts intensities, medication days and triggers', () => {
+    const data = reportData({ episodes, diary }, range);
+    expect(data.intensity.bands.map(b => b.count)).toEqual([1, 0, 1]);
+    // brand and generic names are one drug, counted once per day
+    expect(data.medications).toEqual([
+      expect.objectContaining({ name: 'Sumatriptan', classLabel: 'Triptans', days: 2, doses: 3, overuseDays: 10 }),
+      expect.objectContaining({ name: 'Ibuprofen', days: 1, doses: 1 })
+    ]);
+    expect(data.triggers).toEqual([
+      { name: 'sleep', count: 2, share: 1 },
+      { name: 'stress', count: 1, share: 0.5 }
+    ]);
+  });
+
+  it('lists treatments and questionnaires that fall in the range', () => {
+    const schedule = { every: 1, unit: 'day', time: '08:00' };
+    const data = reportData({
+      episodes,
+      preventives: [
+        { id: 'a', name: 'Propranolol', doseMg: 40, schedule, startDate: '2023-06-01' },
+        { id: 'b', name: 'Topiramate', schedule, startDate: '2023-06-01', endDate: '2024-01-15' }
+      ],
+      questionnaires: [
+        { id: 'q', type: 'hit6', date: '2024-02-14', answers: { severe: 'never', limitsActivities: 'never', lieDown: 'never', tired: 'never', fedUp: 'never', concentration: 'never' } }
+      ]
+    }, range);
+    expect(data.preventives).toEqual([expect.objectContaining({ name: 'Propranolol', schedule: 'Every day at 08:00' })]);
+    expect(data.questionnaires).toEqual([expect.objectContaining({ name: 'HIT-6', score: 36 })]);
+  });
+
+  it('rejects a range that ends before it starts', () => {
+    expect(() => reportData({ episodes }, { from: '2024-03-01', to: '2024-02-01' })).toThrow(/start date/);
+  });
+
+  it('renders a printable page with the content escaped', () => {
+    const data = reportData({ episodes: [ep('2024-02-02', { triggers: ['<b>Cheese</b>'] })] }, range);
+    const html = reportHTML(data, {
+      profile: 'Sam & co',
+      insights: [{ title: 'Frequent migraines', message: 'More than 4 a month.' }],
+      charts: [{ title: 'Episodes per week', src: 'data:image/png;base64,AAAA' }]
+    });
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('@media print');
+    expect(html).toContain('id="print-report"');
+    expect(html).toContain('Sam &amp; co');
+    expect(html).toContain('&lt;b&gt;cheese&lt;/b&gt;');
+    expect(html).not.toContain('<b>');
+    expect(html).toContain('Frequent migraines');
+    expect(html).toContain('<img src="data:image/png;base64,AAAA" alt="Episodes per week">');
+  });
+});
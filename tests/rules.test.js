@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { analysePatterns } from '../src/patterns.js';
+import { registerRule, unregisterRule, listRules, getRule, ruleSettings, withRuleSettings } from '../src/rules.js';
+
+function daysAgo(days, hour = 12) {
+  const d = new Date();
+  d.setDate(d.getDate() - days);
+  d.setHours(hour, 0, 0, 0);
+  return d.toISOString();
+}
+
+// 4 episodes in the last 4 days, coffee in the first 2
+const episodes = [0, 1, 2, 3].map(i => ({
+  id: String(i),
+  datetime: daysAgo(i),
+  intensity: 5,
+  durationMinutes: 60,
+  triggers: i < 2 ? ['coffee'] : [],
+  medications: [],
+  notes: ''
+}));
+
+const titles = suggestions => suggestions.map(s => s.title);
+
+describe('insight rules', () => {
+  afterEach(() => unregisterRule('test-rule'));
+
+  it('registers the built-in rules with their parameters', () => {
+    const ids = listRules().map(r => r.id);
+    expect(ids).toContain('frequent-triggers');
+    expect(ids).toContain('medication-overuse');
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ruleSettings(getRule('time-of-day')).params).toEqual({ minShare: 40, windowMinutes: 240 });
+  });
+
+  it('rejects malformed rules', () => {
+    const run = () => null;
+    expect(() => registerRule({ id: 'Test Rule', title: 'Test', run })).toThrow(/lower-case/);
+    expect(() => registerRule({ id: 'frequent-triggers', title: 'Test', run })).toThrow(/already registered/);
+    expect(() => registerRule({ id: 'test-rule', title: 'Test' })).toThrow(/run function/);
+    expect(() => registerRule({ id: 'test-rule', title: 'Test', run, params: { n: { label: 'N', default: 5, min: 0, max: 3 } } }))
+      .toThrow(/between its min and max/);
+    expect(getRule('test-rule')).toBeNull();
+  });
+
+  it('falls back to defaults and keeps only changes in settings', () => {
+    const rule = getRule('frequent-triggers');
+    expect(ruleSettings(rule, { 'frequent-triggers': { params: { minShare: 500 } } })).toMatchObject({ enabled: true, params: { minShare: 25 } });
+    let config = withRuleSettings({}, 'frequent-triggers', { enabled: false, params: { minShare: 50 } });
+    expect(config).toEqual({ 'frequent-triggers': { enabled: false, params: { minShare: 50 } } });
+    config = withRuleSettings(config, 'frequent-triggers', { enabled: true, params: { minShare: 25 } });
+    expect(config).toEqual({});
+  });
+
+  it('honours disabled rules and adjusted thresholds', () => {
+    expect(titles(analysePatterns(episodes))).toContain('Frequent triggers');
+    const off = { 'frequent-triggers': { enabled: false } };
+    expect(titles(analysePatterns(episodes, { rules: off }))).not.toContain('Frequent triggers');
+    // coffee is in half the episodes
+    const strict = { 'frequent-triggers': { params: { minShare: 75 } } };
+    expect(titles(analysePatterns(episodes, { rules: strict }))).not.toContain('Frequent triggers');
+    const found = analysePatterns(episodes).find(s => s.title === 'Frequent triggers');
+    expect(found.ruleId).toBe('frequent-triggers');
+  });
+
+  it('runs third-party rules and skips ones that fail', () => {
+    registerRule({
+      id: 'test-rule',
+      title: 'Test',
+      params: { min: { label: 'Episodes', default: 3, min: 1, max: 10 } },
+      run: ({ episodes: eps }, { min }) => (eps.length >= min ? { title: 'Plenty', message: `${eps.length} episodes` } : null)
+    });
+    expect(analysePatterns(episodes).find(s => s.ruleId === 'test-rule')).toMatchObject({ title: 'Plenty', message: '4 episodes' });
+    expect(analysePatterns(episodes, { rules: { 'test-rule': { params: { min: 5 } } } }).some(s => s.ruleId === 'test-rule')).toBe(false);
+    unregisterRule('test-rule');
+    registerRule({ id: 'test-rule', title: 'Broken', run: () => { throw new Error('oops'); } });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      expect(titles(analysePatterns(episodes))).toContain('Frequent triggers');
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION, migrateData, readSchemaVersion } from '../src/schema.js';
+
+describe('readSchemaVersion', () => {
+  it('treats unversioned data as version 0', () => {
+    expect(readSchemaVersion({ episodes: [] })).toBe(0);
+  });
+
+  it('rejects malformed versions', () => {
+    expect(() => readSchemaVersion({ schemaVersion: 'two' })).toThrow(/Unrecognised/);
+  });
+});
+
+describe('migrateData', () => {
+  it('upgrades legacy episodes to the current schema', () => {
+    const legacy = {
+      episodes: [{ id: '1', datetime: '2023-01-01T10:00:00.000Z', intensity: 5, durationMinutes: 60 }],
+      settings: { theme: 'dark' }
+    };
+    const { episodes, settings } = migrateData(legacy, 0);
+    expect(episodes[0]).toMatchObject({ id: '1', triggers: [], medications: [], notes: '' });
+    expect(settings.theme).toBe('dark');
+  });
+
+  it('leaves current data untouched', () => {
+    const data = { episodes: [{ id: '1', triggers: ['stress'] }], settings: null };
+    expect(migrateData(data, SCHEMA_VERSION)).toEqual(data);
+  });
+
+  it('refuses data from a newer app version', () => {
+    expect(() => migrateData({ episodes: [] }, SCHEMA_VERSION + 1)).toThrow(/newer version/);
+  });
+});
+
+describe('episode timestamps migration', () => {
+  it('backfills createdAt and updatedAt from the onset time', () => {
+    const { episodes } = migrateData({ episodes: [{ id: '1', datetime: '2023-01-01T10:00:00.000Z' }] }, 1);
+    expect(episodes[0].createdAt).toBe('2023-01-01T10:00:00.000Z');
+    expect(episodes[0].updatedAt).toBe('2023-01-01T10:00:00.000Z');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+// each test gets an empty IndexedDB and localStorage and fresh modules,
+// as db.js caches its connections and storage.js its encryption state
+let db;
+let storage;
+
+beforeEach(async () => {
+  global.indexedDB = new IDBFactory();
+  global.localStorage = {
+    storage: {},
+    getItem(key) {
+      return key in this.storage ? this.storage[key] : null;
+    },
+    setItem(key, value) {
+      this.storage[key] = String(value);
+    },
+    removeItem(key) {
+      delete this.storage[key];
+    }
+  };
+  vi.resetModules();
+  db = await import('../src/db.js');
+  storage = await import('../src/storage.js');
+});
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('db', () => {
+  it('creates every store and reads back what was written', async () => {
+    const conn = await db.openDB('test');
+    expect([...conn.objectStoreNames]).toEqual(expect.arrayContaining(['episodes', 'meta', 'diary', 'exposures', 'insights']));
+    db.useDatabase('test');
+    await db.put('meta', { key: 'a', value: 1 });
+    await db.putMany('meta', [{ key: 'b', value: 2 }, { key: 'c', value: 3 }]);
+    expect(await db.get('meta', 'b')).toEqual({ key: 'b', value: 2 });
+    expect(await db.get('meta', 'missing')).toBeNull();
+    await db.remove('meta', 'a');
+    expect((await db.getAll('meta')).map(r => r.key)).toEqual(['b', 'c']);
+    await db.putMany('meta', [{ key: 'd', value: 4 }], { replace: true });
+    expect((await db.getAll('meta')).map(r => r.key)).toEqual(['d']);
+  });
+
+  it('writes nothing when a transaction fails part way', async () => {
+    db.useDatabase('test');
+    await expect(db.transaction(['meta'], 'readwrite', stores => {
+      stores.meta.put({ key: 'a', value: 1 });
+      throw new Error('oops');
+    })).rejects.toThrow('oops');
+    expect(await db.getAll('meta')).toEqual([]);
+  });
+
+  it('adds missing stores to a database from an older version', async () => {
+    await new Promise((resolve, reject) => {
+      const req = indexedDB.open('old', 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('episodes', { keyPath: 'id' });
+      req.onsuccess = () => {
+        req.result.close();
+        resolve();
+      };
+      req.onerror = () => reject(req.error);
+    });
+    const conn = await db.openDB('old');
+    expect(conn.objectStoreNames.contains('preventives')).toBe(true);
+    expect(conn.transaction('episodes').objectStore('episodes').indexNames.contains('datetime')).toBe(true);
+  });
+});
+
+describe('migration from localStorage', () => {
+  const legacy = [
+    { id: '1', datetime: '2023-01-01T10:00:00.000Z', intensity: 5, durationMinutes: 60, triggers: ['stress'], medications: [], notes: '' },
+    { datetime: '2023-01-02T10:00:00.000Z', intensity: 3, durationMinutes: 30 }
+  ];
+
+  it('moves episodes and settings into IndexedDB once', async () => {
+    localStorage.setItem('aiMigraineEpisodes', JSON.stringify(legacy));
+    localStorage.setItem('aiMigraineSettings', JSON.stringify({ theme: 'dark' }));
+    await storage.initStorage();
+    const episodes = await storage.loadEpisodes();
+    expect(episodes).toHaveLength(2);
+    expect(episodes.find(e => e.id === '1').triggers).toEqual(['stress']);
+    // ids are assigned and older episodes brought up to the current schema
+    const added = episodes.find(e => e.id !== '1');
+    expect(added.id).toBeTruthy();
+    expect(added).toMatchObject({ triggers: [], medications: [], notes: '' });
+    const settings = await storage.loadSettings();
+    expect(settings.theme).toBe('dark');
+    expect(settings.reminderTime).toBe('20:30');
+    expect(localStorage.getItem('aiMigraineEpisodes')).toBeNull();
+    expect(localStorage.getItem('aiMigraineSettings')).toBeNull();
+    // a second start finds nothing left to migrate
+    await storage.initStorage();
+    expect(await storage.loadEpisodes()).toHaveLength(2);
+  });
+
+  it('leaves unreadable values in localStorage', async () => {
+    localStorage.setItem('aiMigraineEpisodes', '[{"id": ');
+    localStorage.setItem('aiMigraineSettings', JSON.stringify({ theme: 'dark' }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await storage.initStorage();
+    expect(console.warn).toHaveBeenCalled();
+    expect(await storage.loadEpisodes()).toEqual([]);
+    expect((await storage.loadSettings()).theme).toBe('dark');
+    expect(localStorage.getItem('aiMigraineEpisodes')).toBe('[{"id": ');
+    expect(localStorage.getItem('aiMigraineSettings')).toBeNull();
+  });
+
+  it('starts empty without legacy data', async () => {
+    expect(await storage.initStorage()).toEqual({ locked: false });
+    expect(await storage.loadEpisodes()).toEqual([]);
+    expect((await storage.loadSettings()).theme).toBe('system');
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { oddsRatio, triggerComparison } from '../src/triggers.js';
+import { analysePatterns } from '../src/patterns.js';
+import { dayOf } from '../src/dates.js';
+
+const now = new Date(2024, 5, 30, 20);
+const day = n => dayOf(new Date(2024, 5, 30 - n));
+
+// 60 days of check-ins with a migraine every fifth day. Stress comes on
+// every migraine day and every seventh day; caffeine on three days in
+// four, migraine or not. Episodes list what the check-in does.
+function tracked(days = 60) {
+  const episodes = [];
+  const diary = [];
+  for (let n = 1; n <= days; n++) {
+    const attack = n % 5 === 0;
+    const factors = [];
+    if (attack || n % 7 === 0) factors.push('stress');
+    if (n % 4 !== 1) factors.push('caffeine');
+    diary.push({ id: day(n), date: day(n), headache: attack, factors });
+    if (attack) {
+      episodes.push({ id: String(n), datetime: new Date(2024, 5, 30 - n, 9).toISOString(), intensity: 6, durationMinutes: 120, triggers: factors, medications: [], notes: '' });
+    }
+  }
+  return { episodes, diary };
+}
+
+describe('triggers', () => {
+  it('computes odds ratios with a confidence interval', () => {
+    const result = oddsRatio(10, 10, 5, 20);
+    expect(result.oddsRatio).toBeCloseTo(4);
+    expect(result.low).toBeCloseTo(1.1, 1);
+    expect(result.high).toBeCloseTo(14.9, 1);
+    // a zero cell is corrected rather than infinite
+    expect(Number.isFinite(oddsRatio(5, 5, 0, 20).oddsRatio)).toBe(true);
+  });
+
+  it('compares days with and without each trigger', () => {
+    const { episodes, diary } = tracked();
+    const result = triggerComparison(episodes, diary, { now });
+    expect(result).toMatchObject({ days: 60, attackDays: 12, enough: true });
+    const stress = result.triggers.find(t => t.name === 'stress');
+    expect(stress).toMatchObject({ exposed: { days: 19, attackDays: 12 }, unexposed: { days: 41, attackDays: 0 }, enough: true });
+    expect(stress.low).toBeGreaterThan(1);
+    const caffeine = result.triggers.find(t => t.name === 'caffeine');
+    expect(caffeine).toMatchObject({ exposed: { days: 45, attackDays: 9 }, unexposed: { days: 15, attackDays: 3 } });
+    expect(caffeine.oddsRatio).toBeCloseTo(1);
+    expect(triggerComparison(episodes, diary.slice(0, 20), { now }).enough).toBe(false);
+  });
+
+  it('tells linked triggers from everyday ones', () => {
+    const { episodes, diary } = tracked();
+    const suggestions = analysePatterns(episodes, { diary, now });
+    const linked = suggestions.find(s => s.title === 'Triggers linked to your migraines');
+    expect(linked.message).toContain('Stress: a migraine started on 63% of days with it (12 of 19) and 0% of days without (0 of 41)');
+    expect(linked.message).not.toContain('Caffeine');
+    const frequent = suggestions.find(s => s.title === 'Frequent triggers');
+    expect(frequent.message).toContain('You often report Caffeine, but migraines weren\'t clearly more likely on days with it than without');
+  });
+
+  it('only counts triggers ticked in the check-in', () => {
+    const { episodes, diary } = tracked();
+    const tagged = episodes.map(ep => ({ ...ep, triggers: [...ep.triggers, 'Chocolate'] }));
+    expect(triggerComparison(tagged, diary, { now }).triggers.some(t => t.name === 'chocolate')).toBe(false);
+    const suggestions = analysePatterns(tagged, { diary, now });
+    expect(suggestions.find(s => s.title === 'Triggers linked to your migraines').message).not.toContain('Chocolate');
+    expect(suggestions.find(s => s.title === 'Frequent triggers').message).toContain('You often report Chocolate; there aren\'t yet 5 days with a check-in both with and without it');
+  });
+
+  it('counts days with a logged exposure as exposed', () => {
+    const { episodes, diary } = tracked();
+    // red wine logged on the morning of every migraine day and every eleventh day, never ticked in the check-in
+    const exposures = diary
+      .filter((e, i) => (i + 1) % 5 === 0 || (i + 1) % 11 === 0)
+      .map(e => ({ id: `w${e.date}`, name: 'Red wine', time: new Date(`${e.date}T07:00`).toISOString() }));
+    const wine = triggerComparison(episodes, diary, { exposures, now }).triggers.find(t => t.name === 'red wine');
+    expect(wine).toMatchObject({ exposed: { days: 16, attackDays: 12 }, unexposed: { days: 44, attackDays: 0 }, enough: true });
+    // exposures on days without a check-in are left out
+    const outside = [{ id: 'x', name: 'Red wine', time: new Date(2024, 3, 1, 21).toISOString() }];
+    expect(triggerComparison(episodes, diary, { exposures: outside, now }).triggers.some(t => t.name === 'red wine')).toBe(false);
+    const suggestions = analysePatterns(episodes, { diary, exposures, now });
+    expect(suggestions.find(s => s.title === 'Triggers linked to your migraines').message).toContain('Red wine: a migraine started on 75% of days with it (12 of 16)');
+  });
+
+  it('explains when there are too few check-ins to compare', () => {
+    const { episodes, diary } = tracked();
+    const message = analysePatterns(episodes, { diary: diary.slice(0, 20), now }).find(s => s.title === 'Frequent triggers').message;
+    expect(message).toContain('You often report triggers like Stress, Caffeine.');
+    expect(message).toContain('needs 30 days with a check-in in the last 3 months, 3 of them with a migraine starting; so far there are 20 (4 with a migraine)');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { validateEpisode, repairEpisode, screenEpisodes, assertValidEpisode, ValidationError } from '../src/validation.js';
+
+const valid = {
+  id: '1',
+  datetime: '2023-01-01T10:00:00.000Z',
+  intensity: 5,
+  durationMinutes: 60,
+  triggers: ['stress'],
+  medications: [{ name: 'Ibuprofen', doseMg: 400 }],
+  notes: ''
+};
+
+describe('validateEpisode', () => {
+  it('accepts a well-formed episode', () => {
+    expect(validateEpisode(valid)).toEqual([]);
+  });
+
+  it('reports each bad field', () => {
+    const errors = validateEpisode({ ...valid, datetime: undefined, intensity: 'high', durationMinutes: 0, medications: [{ doseMg: 5 }] });
+    expect(errors.map(e => e.field)).toEqual(['datetime', 'intensity', 'durationMinutes', 'medications']);
+    expect(() => assertValidEpisode({ ...valid, intensity: 11 })).toThrow(ValidationError);
+  });
+});
+
+describe('repairEpisode', () => {
+  it('coerces text numbers, clamps intensity and rebuilds lists', () => {
+    const repaired = repairEpisode({
+      datetime: '2023-01-01 10:00',
+      intensity: '12',
+      durationMinutes: '45 min',
+      triggers: 'stress; coffee',
+      medications: ['Paracetamol', { name: '' }, { name: 'Ibuprofen', doseMg: 'lots' }],
+      notes: null,
+      updatedAt: 'never'
+    });
+    expect(validateEpisode(repaired)).toEqual([]);
+    expect(repaired).toMatchObject({ intensity: 10, durationMinutes: 45, triggers: ['stress', 'coffee'], notes: '' });
+    expect(repaired.medications).toEqual([{ name: 'Paracetamol' }, { name: 'Ibuprofen' }]);
+    expect(repaired).not.toHaveProperty('updatedAt');
+  });
+});
+
+describe('screenEpisodes', () => {
+  const batch = [valid, { ...valid, id: '2', intensity: '7' }, { ...valid, id: '3', datetime: 'someday' }];
+
+  it('leaves invalid episodes out unless they can be fixed', () => {
+    const skipped = screenEpisodes(batch, { invalid: 'skip' });
+    expect(skipped.episodes.map(e => e.id)).toEqual(['1']);
+    expect(skipped.rejected.map(r => r.index)).toEqual([1, 2]);
+
+    const fixed = screenEpisodes(batch, { invalid: 'fix' });
+    expect(fixed.episodes.map(e => e.id)).toEqual(['1', '2']);
+    expect(fixed.fixed).toBe(1);
+    expect(fixed.rejected[0].errors[0].field).toBe('datetime');
+  });
+});
+
+describe('phases and aura', () => {
+  it('accepts phase times and aura details, and rejects reversed or unknown ones', () => {
+    const withPhases = {
+      ...valid,
+      phases: { aura: { start: '2023-01-01T09:30:00.000Z', end: '2023-01-01T09:50:00.000Z' }, headache: { start: valid.datetime } },
+      aura: { types: ['visual'], durationMinutes: 20 }
+    };
+    expect(validateEpisode(withPhases)).toEqual([]);
+    const bad = { ...withPhases, phases: { aura: { start: '2023-01-01T10:00:00.000Z', end: '2023-01-01T09:00:00.000Z' } }, aura: { types: ['smell'] } };
+    expect(validateEpisode(bad).map(e => e.field)).toEqual(['phases', 'aura']);
+    const repaired = repairEpisode(bad);
+    expect(repaired.phases).toEqual({ aura: { start: '2023-01-01T10:00:00.000Z' } });
+    expect(repaired.aura).toEqual({ types: [] });
+    expect(validateEpisode({ ...valid, phases: { migraine: {} } })[0].message).toMatch(/Unknown phase/);
+  });
+});
+
+describe('symptoms', () => {
+  it('accepts known symptoms and drops unknown values when repairing, reading "yes" as a flag', () => {
+    const withSymptoms = { ...valid, symptoms: { nausea: 'vomiting', photophobia: true, painLocation: ['temples', 'eyes'] } };
+    expect(validateEpisode(withSymptoms)).toEqual([]);
+    const bad = { ...valid, symptoms: { nausea: 'dizzy', photophobia: 'yes', painLocation: ['temples', 'feet'], smell: true } };
+    expect(validateEpisode(bad).map(e => e.field)).toEqual(['symptoms']);
+    expect(repairEpisode(bad).symptoms).toEqual({ photophobia: true, painLocation: ['temples'] });
+  });
+});
+
+describe('medication timing and relief', () => {
+  it('checks dose times and relief ratings, and repairs what it can', () => {
+    const rated = { name: 'Sumatriptan', doseMg: 50, takenAt: '2023-01-01T10:15:00.000Z', relief2h: 'good', relief24h: 'painFree', reliefMinutes: 45 };
+    expect(validateEpisode({ ...valid, medications: [rated] })).toEqual([]);
+    const bad = { ...valid, medications: [{ ...rated, relief2h: 'great' }] };
+    expect(validateEpisode(bad)[0].message).toMatch(/Unknown relief rating for Sumatriptan/);
+    const repaired = repairEpisode({ ...valid, medications: [{ ...rated, takenAt: 'soon', relief2h: 'great', reliefMinutes: '30 min' }] });
+    expect(repaired.medications).toEqual([{ name: 'Sumatriptan', doseMg: 50, relief24h: 'painFree', reliefMinutes: 30 }]);
+  });
+});
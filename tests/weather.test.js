@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { parseWeather, weatherReadingErrors, pressureDrop, pressureDropAnalysis } from '../src/weather.js';
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2024-03-01T00:00:00Z').getTime();
+
+// hourly readings for `days` days at 1015 hPa, falling 8 hPa over the
+// 12 hours before each hour in `drops` and recovering over the next 12
+function readings(days, drops = []) {
+  const list = [];
+  for (let h = 0; h < days * 24; h++) {
+    const nearest = drops.reduce((best, d) => (Math.abs(h - d) < Math.abs(h - best) ? d : best), Infinity);
+    const distance = Math.abs(h - nearest);
+    const pressure = distance < 12 ? 1007 + (8 * distance) / 12 : 1015;
+    const time = new Date(start + h * HOUR).toISOString();
+    list.push({ id: time, time, pressure });
+  }
+  return list;
+}
+
+describe('weather', () => {
+  it('reads CSV with units in the header and lines before it', () => {
+    const csv = 'latitude,longitude\n52.5,13.4\n\nTime,Pressure (hPa),temperature_2m (°C),RH\n' +
+      '2024-03-01T10:00Z,1012.5,8.2,81\n2024-03-01T09:00Z,1013,,\nbad,1000,1,1\n';
+    expect(parseWeather(csv)).toEqual([
+      { id: '2024-03-01T09:00:00.000Z', time: '2024-03-01T09:00:00.000Z', pressure: 1013 },
+      { id: '2024-03-01T10:00:00.000Z', time: '2024-03-01T10:00:00.000Z', pressure: 1012.5, temperature: 8.2, humidity: 81 }
+    ]);
+  });
+
+  it('reads JSON lists and columns', () => {
+    const list = JSON.stringify({ readings: [{ timestamp: 1709283600, pressure: 1001 }] });
+    expect(parseWeather(list)).toEqual([{ id: '2024-03-01T09:00:00.000Z', time: '2024-03-01T09:00:00.000Z', pressure: 1001 }]);
+    const columns = JSON.stringify({ latitude: 52.5, hourly: { time: ['2024-03-01T09:00Z', '2024-03-01T10:00Z'], pressure_msl: [1001, 1002], relativehumidity_2m: [70, 72] } });
+    expect(parseWeather(columns).map(r => [r.pressure, r.humidity])).toEqual([[1001, 70], [1002, 72]]);
+  });
+
+  it('rejects files without readings or in other units', () => {
+    expect(() => parseWeather('date,temp\n2024-03-01,5')).toThrow(/time and a pressure column/);
+    expect(() => parseWeather('time,pressure\n2024-03-01T09:00Z,29.9')).toThrow(/Pressure must be between 850 and 1100/);
+    expect(weatherReadingErrors({ id: 'x', time: '2024-03-01T09:00:00.000Z', pressure: 1000, humidity: 120 }).map(e => e.field)).toEqual(['id', 'humidity']);
+  });
+
+  it('finds the largest fall in the previous 24 hours', () => {
+    const list = readings(3, [36]);
+    expect(pressureDrop(list, start + 36 * HOUR)).toBeCloseTo(8);
+    // the whole fall is still within the last 24 hours
+    expect(pressureDrop(list, start + 47 * HOUR)).toBeCloseTo(8);
+    expect(pressureDrop(list, start + 70 * HOUR)).toBe(0);
+    // not enough readings before the first hour
+    expect(pressureDrop(list, start + 2 * HOUR)).toBeNull();
+  });
+
+  it('compares episodes after drops with chance', () => {
+    const drops = [60, 180, 300, 420, 540, 660, 780, 900, 1020, 1140];
+    const list = readings(50, drops);
+    const episode = h => ({ id: String(h), datetime: new Date(start + h * HOUR).toISOString(), intensity: 6, durationMinutes: 120 });
+    const now = new Date(start + 50 * 24 * HOUR);
+    const after = pressureDropAnalysis(drops.slice(0, 6).map(h => episode(h + 6)), list, { now });
+    expect(after).toMatchObject({ episodes: 6, episodesAfterDrop: 6, episodeRate: 1 });
+    expect(after.baselineRate).toBeLessThan(0.5);
+    expect(after.pValue).toBeLessThan(0.05);
+    const unrelated = pressureDropAnalysis([100, 220, 340, 460, 580, 700].map(episode), list, { now });
+    expect(unrelated.episodesAfterDrop).toBe(0);
+    expect(pressureDropAnalysis([episode(100)], [], { now })).toBeNull();
+  });
+});